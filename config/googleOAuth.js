@@ -2,6 +2,7 @@ import passport from "passport";
 import GoogleStrategy from "passport-google-oauth20";
 import User from "../models/User.modal.js";
 import bcrypt from "bcryptjs";
+import { canLinkByEmail } from "../utils/socialLoginHelper.js";
 
 export const configureGoogleStrategy = () => {
     passport.use(
@@ -23,8 +24,15 @@ export const configureGoogleStrategy = () => {
                     });
 
                     if (existingEmail) {
+                        // Staff and 2FA accounts link Google from their settings, never by email match
+                        if (!canLinkByEmail(existingEmail)) {
+                            return done(null, false, { message: "An account with this email already exists. Sign in and link Google from your account settings." });
+                        }
+
                         existingEmail.googleId = profile.id;
                         existingEmail.authProvider = "both";
+                        existingEmail.emailVerified = true;
+                        existingEmail.emailVerifiedAt = existingEmail.emailVerifiedAt || new Date();
                         await existingEmail.save();
                         return done(null, existingEmail);
                     }
@@ -34,6 +42,8 @@ export const configureGoogleStrategy = () => {
                         email: profile.emails?.[0]?.value,
                         googleId: profile.id,
                         authProvider: "google",
+                        emailVerified: true,
+                        emailVerifiedAt: new Date(),
                         role: "viewer",
                         isUpgraded: false,
                         maxDevices: 1,
@@ -0,0 +1,56 @@
+// OpenID Connect providers, configured entirely from the environment:
+//
+//   OIDC_PROVIDERS=microsoft,university
+//   OIDC_MICROSOFT_ISSUER=https://login.microsoftonline.com/<tenant>/v2.0
+//   OIDC_MICROSOFT_CLIENT_ID=...
+//   OIDC_MICROSOFT_CLIENT_SECRET=...
+//   OIDC_MICROSOFT_REDIRECT_URI=https://api.example.com/api/auth/oidc/microsoft/callback
+//   OIDC_MICROSOFT_NAME=Microsoft            (optional, shown to users)
+//   OIDC_MICROSOFT_SCOPES=openid email profile   (optional)
+//   OIDC_MICROSOFT_TRUST_EMAIL=true          (optional, off by default: link to an existing account by verified email)
+//
+// The issuer's /.well-known/openid-configuration supplies every endpoint.
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const readProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/-/g, "_")}_`;
+  const env = (key) => process.env[prefix + key];
+
+  const issuer = env("ISSUER");
+  const clientId = env("CLIENT_ID");
+  const redirectUri = env("REDIRECT_URI");
+
+  if (!issuer || !clientId || !redirectUri) {
+    console.warn(`⚠️ OIDC provider "${id}" is missing ${prefix}ISSUER, CLIENT_ID or REDIRECT_URI; skipping`);
+    return null;
+  }
+
+  return {
+    id,
+    name: env("NAME") || id,
+    issuer: issuer.replace(/\/+$/, ""),
+    clientId,
+    clientSecret: env("CLIENT_SECRET") || null,
+    redirectUri,
+    scopes: env("SCOPES") || "openid email profile",
+    trustEmail: env("TRUST_EMAIL") === "true"
+  };
+};
+
+/**
+ * Read on every call so providers can be added without code changes
+ * (and swapped for a mock issuer in tests).
+ */
+export const getOidcProviders = () => {
+  return (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => PROVIDER_ID_PATTERN.test(id))
+    .map(readProvider)
+    .filter(Boolean);
+};
+
+export const getOidcProvider = (id) => {
+  return getOidcProviders().find((provider) => provider.id === String(id || "").toLowerCase()) || null;
+};
@@ -0,0 +1,75 @@
+// Staff permissions, and which roles hold them.
+// `admin` holds every permission; the other staff roles get a slice of the admin dashboard.
+
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+  ANALYTICS_VIEW: "analytics:view",
+
+  USERS_VIEW: "users:view",
+  USERS_BLOCK: "users:block",
+  USERS_DELETE: "users:delete",
+  USERS_SECURITY: "users:security",
+  USERS_IMPERSONATE: "users:impersonate",
+  SECURITY_EVENTS_VIEW: "security-events:view",
+  STAFF_MANAGE: "staff:manage",
+  API_KEYS_MANAGE: "api-keys:manage",
+
+  FILMMAKERS_VIEW: "filmmakers:view",
+  FILMMAKERS_APPROVE: "filmmakers:approve",
+  FILMMAKERS_VERIFY_BANK: "filmmakers:verify-bank",
+
+  MOVIES_MODERATE: "movies:moderate",
+
+  PAYMENTS_RECONCILE: "payments:reconcile",
+  WITHDRAWALS_VIEW: "withdrawals:view",
+  WITHDRAWALS_PROCESS: "withdrawals:process",
+
+  SUBSCRIBERS_NOTIFY: "subscribers:notify",
+};
+
+// Roles that may only be granted by an admin (never through registration)
+export const STAFF_ROLES = ["admin", "moderator", "finance", "support"];
+
+export const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  moderator: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.FILMMAKERS_VIEW,
+    PERMISSIONS.FILMMAKERS_APPROVE,
+    PERMISSIONS.MOVIES_MODERATE,
+  ],
+  finance: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.ANALYTICS_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.FILMMAKERS_VIEW,
+    PERMISSIONS.FILMMAKERS_VERIFY_BANK,
+    PERMISSIONS.PAYMENTS_RECONCILE,
+    PERMISSIONS.WITHDRAWALS_VIEW,
+    PERMISSIONS.WITHDRAWALS_PROCESS,
+  ],
+  support: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_BLOCK,
+    PERMISSIONS.USERS_IMPERSONATE,
+    PERMISSIONS.SECURITY_EVENTS_VIEW,
+    PERMISSIONS.FILMMAKERS_VIEW,
+  ],
+  filmmaker: [],
+  viewer: [],
+};
+
+export const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Roles holding every one of the given permissions
+export const getRolesWithPermissions = (...permissions) => {
+  return Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    permissions.every((permission) => hasPermission(role, permission))
+  );
+};
@@ -0,0 +1,133 @@
+import bcrypt from "bcryptjs";
+import User from "../models/User.modal.js";
+import { verifyUserTotp } from "../utils/totpHelper.js";
+import { isStaffRole } from "../config/permissions.js";
+import {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    buildUserDataExport,
+    scheduleAccountDeletion,
+    cancelAccountDeletion
+} from "../utils/accountDeletionHelper.js";
+import { SECURITY_EVENT_TYPES, recordSecurityEvent } from "../utils/securityEventHelper.js";
+
+// Download everything stored about the current user as a JSON archive
+export const exportAccountData = async (req, res) => {
+    try {
+        const data = await buildUserDataExport(req.userId);
+
+        if (!data) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const filename = `cine-verse-export-${req.userId}-${Date.now()}.json`;
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        res.status(200).json(data);
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Get the pending deletion (if any) for the current user
+export const getAccountDeletionStatus = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId, {
+            attributes: ["id", "deletionRequestedAt", "deletionScheduledFor"]
+        });
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.status(200).json({
+            pendingDeletion: !!user.deletionScheduledFor,
+            deletionRequestedAt: user.deletionRequestedAt,
+            deletionScheduledFor: user.deletionScheduledFor,
+            gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Schedule the account for deletion after the grace period
+export const requestAccountDeletion = async (req, res) => {
+    const { password, confirmEmail, code, recoveryCode } = req.body;
+    try {
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (isStaffRole(user.role)) {
+            return res.status(403).json({ message: "Admin and staff accounts cannot be deleted" });
+        }
+
+        if (user.deletionScheduledFor) {
+            return res.status(400).json({
+                message: "Account deletion is already scheduled",
+                deletionScheduledFor: user.deletionScheduledFor
+            });
+        }
+
+        // Re-confirm identity: the password when one is set, otherwise the email address (Google and passwordless accounts)
+        if (user.password) {
+            if (!password || !(await bcrypt.compare(password, user.password))) {
+                return res.status(401).json({ message: "Invalid password" });
+            }
+        } else if (!confirmEmail || confirmEmail.toLowerCase() !== user.email) {
+            return res.status(400).json({ message: "Type your email address to confirm account deletion" });
+        }
+
+        if (user.totpEnabled) {
+            if (!code && !recoveryCode) {
+                return res.status(400).json({ message: "Authenticator code or recovery code is required" });
+            }
+
+            const verification = await verifyUserTotp(user, { code, recoveryCode });
+            if (!verification.success) {
+                return res.status(400).json({
+                    message: verification.message,
+                    code: verification.code
+                });
+            }
+        }
+
+        const deletionScheduledFor = await scheduleAccountDeletion(user);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ACCOUNT_DELETION_REQUESTED, {
+            userId: user.id,
+            metadata: { deletionScheduledFor }
+        });
+
+        res.status(200).json({
+            message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel any time before then.`,
+            deletionScheduledFor
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Cancel a scheduled deletion during the grace period
+export const cancelAccountDeletionRequest = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.deletionScheduledFor) {
+            return res.status(400).json({ message: "No account deletion is scheduled" });
+        }
+
+        await cancelAccountDeletion(user);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ACCOUNT_DELETION_CANCELLED, { userId: user.id });
+
+        res.status(200).json({ message: "Account deletion cancelled" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
@@ -3,7 +3,21 @@ import Movie from "../models/Movie.model.js";
 import Payment from "../models/Payment.model.js";
 import Review from "../models/Review.model.js";
 import Joi from "joi";
-import { Op } from "sequelize";
+import { Op, where as sqlWhere, literal } from "sequelize";
+import { getAccountLockouts, clearAccountLockouts } from "../utils/rateLimiter.js";
+import { purgeAccount } from "../utils/accountDeletionHelper.js";
+import Profile from "../models/Profile.model.js";
+import ImpersonationSession from "../models/ImpersonationSession.model.js";
+import ImpersonationRequest from "../models/ImpersonationRequest.model.js";
+import SecurityEvent from "../models/SecurityEvent.model.js";
+import { getDeviceInfo } from "../utils/deviceHelper.js";
+import { STAFF_ROLES, PERMISSIONS, isStaffRole, hasPermission, getRolePermissions } from "../config/permissions.js";
+import {
+  IMPERSONATION_TTL_MINUTES,
+  startImpersonation,
+  endImpersonation,
+} from "../utils/impersonationHelper.js";
+import { SECURITY_EVENT_TYPES, recordSecurityEvent } from "../utils/securityEventHelper.js";
 
 // ====== VALIDATION SCHEMAS ======
 
@@ -21,6 +35,19 @@ const blockUserSchema = Joi.object({
   duration: Joi.number().min(1), // Days, 0 = permanent
 });
 
+const twoFactorRequirementSchema = Joi.object({
+  required: Joi.boolean().required(),
+});
+
+const userRoleSchema = Joi.object({
+  role: Joi.string().valid("viewer", ...STAFF_ROLES).required(),
+});
+
+const impersonationSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required(),
+  profileId: Joi.string().uuid().allow(null),
+});
+
 // ====== HELPER FUNCTION ======
 const parseNumber = (value) => {
   if (value === null || value === undefined) return 0;
@@ -863,6 +890,7 @@ export const getAllUsers = async (req, res) => {
       where[Op.or] = [
         { name: { [Op.iLike]: `%${search}%` } },
         { email: { [Op.iLike]: `%${search}%` } },
+        { phoneNumber: { [Op.iLike]: `%${search}%` } },
       ];
     }
 
@@ -871,13 +899,26 @@ export const getAllUsers = async (req, res) => {
       order: [['createdAt', 'DESC']],
       offset: skip,
       limit: limitNum,
-      attributes: ['id','name', 'email', 'role', 'isBlocked','status', 'approvalStatus', 'createdAt', 'filmmmakerStatsTotalMovies', 'filmmmakerStatsTotalRevenue']
+      attributes: ['id','name', 'email', 'phoneNumber', 'role', 'isBlocked','status', 'approvalStatus', 'totpEnabled', 'totpRequired', 'createdAt', 'filmmmakerStatsTotalMovies', 'filmmmakerStatsTotalRevenue']
     });
 
     const total = await User.count({ where });
 
+    // Surface temporary login/OTP lockouts from the auth rate limiter
+    const lockouts = await getAccountLockouts(users.flatMap((u) => [u.email, u.phoneNumber]));
+    const data = users.map((u) => {
+      const userLockouts = [u.email, u.phoneNumber]
+        .filter(Boolean)
+        .flatMap((subject) => lockouts[subject.toLowerCase()] || []);
+      return {
+        ...u.toJSON(),
+        isLockedOut: userLockouts.length > 0,
+        lockouts: userLockouts,
+      };
+    });
+
     res.status(200).json({
-      data: users,
+      data,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -906,11 +947,11 @@ export const blockUser = async (req, res) => {
 
     const { userId } = req.params;
 
-    // Prevent blocking admin
+    // Prevent blocking admins and other staff (demote them first)
     const user = await User.findByPk(userId);
-    if (user?.role === "admin") {
+    if (isStaffRole(user?.role)) {
       return res.status(403).json({
-        message: "Cannot block admin users",
+        message: "Cannot block admin or staff users",
       });
     }
 
@@ -929,6 +970,12 @@ export const blockUser = async (req, res) => {
 
     await user.save();
 
+    await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ACCOUNT_BLOCKED, {
+      userId: user.id,
+      actorId: req.userId,
+      metadata: { reason: value.reason, duration: value.duration || null },
+    });
+
     const updatedUser = user;
 
     res.status(200).json({
@@ -962,6 +1009,15 @@ export const unblockUser = async (req, res) => {
 
     await user.save();
 
+    // Unblocking also lifts any temporary brute-force lockout
+    await clearAccountLockouts(user.email);
+    await clearAccountLockouts(user.phoneNumber);
+
+    await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ACCOUNT_UNBLOCKED, {
+      userId: user.id,
+      actorId: req.userId,
+    });
+
     const updatedUser = user;
 
     res.status(200).json({
@@ -973,6 +1029,65 @@ export const unblockUser = async (req, res) => {
   }
 };
 
+/**
+ * Require (or stop requiring) an authenticator app for a user
+ * PATCH /admin/users/:userId/require-2fa
+ */
+export const setTwoFactorRequirement = async (req, res) => {
+  try {
+    const { error, value } = twoFactorRequirementSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+      });
+    }
+
+    const { userId } = req.params;
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Only privileged accounts: admins, and filmmakers who can receive payouts
+    const hasPayoutAccess =
+      user.role === "filmmaker" &&
+      (user.approvalStatus === "approved" || !!user.filmmmakerMomoPhoneNumber);
+
+    if (value.required && !isStaffRole(user.role) && !hasPayoutAccess) {
+      return res.status(400).json({
+        message: "Two-factor can only be required for staff and filmmakers with payout access",
+      });
+    }
+
+    user.totpRequired = value.required;
+    await user.save();
+
+    await recordSecurityEvent(req, SECURITY_EVENT_TYPES.TWO_FACTOR_REQUIREMENT_CHANGED, {
+      userId: user.id,
+      actorId: req.userId,
+      metadata: { required: value.required },
+    });
+
+    res.status(200).json({
+      message: value.required
+        ? "Two-factor authentication is now required for this user"
+        : "Two-factor authentication is no longer required for this user",
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        totpRequired: user.totpRequired,
+        totpEnabled: user.totpEnabled,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 /**
  * Delete user account
  * DELETE /admin/users/:userId
@@ -981,23 +1096,20 @@ export const deleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Prevent deleting admin
+    // Prevent deleting admins and other staff (demote them first)
     const user = await User.findByPk(userId);
-    if (user?.role === "admin") {
+    if (isStaffRole(user?.role)) {
       return res.status(403).json({
-        message: "Cannot delete admin users",
+        message: "Cannot delete admin or staff users",
       });
     }
 
-    // If filmmaker, mark all their movies as hidden
-    if (user?.role === "filmmaker") {
-      await Movie.update(
-        { status: "hidden" },
-        { where: { filmmakerId: userId } }
-      );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
     }
 
-    await user.destroy();
+    // Hides a filmmaker's movies and keeps payments (anonymized) for accounting
+    await purgeAccount(userId);
 
     res.status(200).json({
       message: "User deleted successfully",
@@ -1008,6 +1120,294 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * Grant or revoke a staff role (moderator, finance, support, admin)
+ * PATCH /admin/users/:userId/role
+ */
+export const setUserRole = async (req, res) => {
+  try {
+    const { error, value } = userRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+      });
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.userId) {
+      return res.status(403).json({ message: "You cannot change your own role" });
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Filmmakers keep their role; their movies and payouts depend on it
+    if (user.role === "filmmaker") {
+      return res.status(400).json({
+        message: "Filmmaker accounts cannot be given staff roles",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = value.role;
+    await user.save();
+
+    await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ROLE_CHANGED, {
+      userId: user.id,
+      actorId: req.userId,
+      metadata: { from: previousRole, to: user.role },
+    });
+
+    res.status(200).json({
+      message: `Role changed from ${previousRole} to ${user.role}`,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: getRolePermissions(user.role),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ====== IMPERSONATION ======
+
+/**
+ * Start a read-only "view as user" session
+ * POST /admin/users/:userId/impersonate
+ */
+export const impersonateUser = async (req, res) => {
+  try {
+    if (req.impersonation) {
+      return res.status(403).json({ message: "Already viewing as another user" });
+    }
+
+    const { error, value } = impersonationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+      });
+    }
+
+    const { userId } = req.params;
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Staff accounts are never impersonated, which also rules out impersonating yourself
+    if (isStaffRole(user.role)) {
+      return res.status(403).json({
+        message: "Cannot impersonate admin or staff users",
+      });
+    }
+
+    if (value.profileId) {
+      const profile = await Profile.findOne({ where: { id: value.profileId, userId: user.id } });
+      if (!profile) {
+        return res.status(404).json({ message: "Profile not found" });
+      }
+    }
+
+    const { token, session } = await startImpersonation(req.user, user, {
+      reason: value.reason,
+      profileId: value.profileId,
+      deviceInfo: { ...getDeviceInfo(req), deviceId: req.deviceId },
+    });
+
+    await recordSecurityEvent(req, SECURITY_EVENT_TYPES.IMPERSONATION_STARTED, {
+      userId: user.id,
+      actorId: req.userId,
+      metadata: { sessionId: session.id, reason: value.reason },
+    });
+
+    res.status(201).json({
+      message: `Viewing as ${user.name} (read-only)`,
+      token,
+      expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+      session: {
+        id: session.id,
+        targetUserId: user.id,
+        profileId: session.profileId,
+        startedAt: session.startedAt,
+        expiresAt: session.expiresAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * End an impersonation session before it expires
+ * DELETE /admin/impersonations/:sessionId
+ */
+export const stopImpersonation = async (req, res) => {
+  try {
+    const session = await ImpersonationSession.findByPk(req.params.sessionId);
+
+    // Staff end their own sessions; admins can end anyone's
+    const canManageStaff = hasPermission(req.userRole, PERMISSIONS.STAFF_MANAGE);
+    if (!session || (session.adminId !== req.userId && !canManageStaff)) {
+      return res.status(404).json({ message: "Impersonation session not found" });
+    }
+
+    await endImpersonation(session, "ended_by_admin");
+
+    res.status(200).json({
+      message: "Impersonation session ended",
+      sessionId: session.id,
+      endedAt: session.endedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Impersonation audit trail: who viewed as whom, when, why and what they opened
+ * GET /admin/impersonations?adminId=&userId=&page=1
+ */
+export const getImpersonationSessions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, adminId, userId } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const where = {};
+    if (adminId) where.adminId = adminId;
+    if (userId) where.targetUserId = userId;
+
+    const { count, rows } = await ImpersonationSession.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: "admin", attributes: ["id", "name", "email"] },
+        { model: User, as: "targetUser", attributes: ["id", "name", "email", "role"] },
+      ],
+      order: [["startedAt", "DESC"]],
+      offset: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
+    res.status(200).json({
+      data: rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Every request made during one impersonation session, oldest first
+ * GET /admin/impersonations/:sessionId/requests?page=1
+ */
+export const getImpersonationRequests = async (req, res) => {
+  try {
+    const { page = 1, limit = 100 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 100));
+
+    const session = await ImpersonationSession.findByPk(req.params.sessionId, { attributes: ["id"] });
+    if (!session) {
+      return res.status(404).json({ message: "Impersonation session not found" });
+    }
+
+    const { count, rows } = await ImpersonationRequest.findAndCountAll({
+      where: { sessionId: session.id },
+      order: [["at", "ASC"]],
+      offset: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
+    res.status(200).json({
+      data: rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// ====== SECURITY EVENTS ======
+
+/**
+ * Search the security event log across all accounts
+ * GET /admin/security-events?userId=&email=&type=login.failed,otp.failed&outcome=&ip=&from=&to=&page=1
+ */
+export const searchSecurityEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, userId, actorId, email, type, outcome, ip, from, to } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const where = {};
+    if (userId) where.userId = userId;
+    if (actorId) where.actorId = actorId;
+    if (type) where.type = String(type).split(",");
+    if (outcome) where.outcome = outcome;
+    if (ip) where.ipAddress = ip;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(from);
+      if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+
+    // Failed logins to unknown accounts only carry the attempted email in metadata
+    if (email) {
+      where[Op.or] = [
+        { "$user.email$": { [Op.iLike]: `%${email}%` } },
+        sqlWhere(literal(`"SecurityEvent"."metadata"->>'email'`), { [Op.iLike]: `%${email}%` }),
+      ];
+    }
+
+    const { count, rows } = await SecurityEvent.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: "user", attributes: ["id", "name", "email", "phoneNumber", "role"] },
+        { model: User, as: "actor", attributes: ["id", "name", "email", "role"] },
+      ],
+      order: [["createdAt", "DESC"]],
+      offset: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
+    res.status(200).json({
+      data: rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: Math.ceil(count / limitNum),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // ====== CONTENT MODERATION ======
 
 /**
@@ -0,0 +1,137 @@
+import Joi from "joi";
+import ApiKey from "../models/ApiKey.model.js";
+import {
+    API_KEY_SCOPES,
+    DEFAULT_API_KEY_RATE_LIMIT,
+    generateApiKey,
+    serializeApiKey
+} from "../utils/apiKeyHelper.js";
+
+// ====== VALIDATION SCHEMAS ======
+
+const scopesSchema = Joi.array()
+    .items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+    .min(1)
+    .unique();
+
+const createApiKeySchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    description: Joi.string().max(1000).allow("", null),
+    scopes: scopesSchema.required(),
+    rateLimitPerMinute: Joi.number().integer().min(1).max(10000).default(DEFAULT_API_KEY_RATE_LIMIT),
+    expiresAt: Joi.date().iso().greater("now").allow(null),
+});
+
+const updateApiKeySchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    description: Joi.string().max(1000).allow("", null),
+    scopes: scopesSchema,
+    rateLimitPerMinute: Joi.number().integer().min(1).max(10000),
+    expiresAt: Joi.date().iso().greater("now").allow(null),
+}).min(1);
+
+const validationError = (res, error) => {
+    return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+    });
+};
+
+/**
+ * Issue a partner API key. The key is returned once and only its hash is stored.
+ * POST /admin/api-keys
+ */
+export const createApiKey = async (req, res) => {
+    try {
+        const { error, value } = createApiKeySchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const { key, keyPrefix, keyHash } = generateApiKey();
+
+        const apiKey = await ApiKey.create({
+            ...value,
+            keyPrefix,
+            keyHash,
+            createdBy: req.userId,
+        });
+
+        res.status(201).json({
+            message: "API key created. Copy it now; it won't be shown again.",
+            key,
+            apiKey: serializeApiKey(apiKey),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * All partner keys with their usage
+ * GET /admin/api-keys?includeRevoked=true
+ */
+export const listApiKeys = async (req, res) => {
+    try {
+        const where = req.query.includeRevoked === "true" ? {} : { revokedAt: null };
+
+        const apiKeys = await ApiKey.findAll({
+            where,
+            order: [["createdAt", "DESC"]],
+        });
+
+        res.status(200).json({
+            data: apiKeys.map(serializeApiKey),
+            scopes: Object.values(API_KEY_SCOPES),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Change a key's name, scopes, rate limit or expiry
+ * PATCH /admin/api-keys/:keyId
+ */
+export const updateApiKey = async (req, res) => {
+    try {
+        const { error, value } = updateApiKeySchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const apiKey = await ApiKey.findByPk(req.params.keyId);
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(404).json({ message: "API key not found" });
+        }
+
+        await apiKey.update(value);
+
+        res.status(200).json({
+            message: "API key updated",
+            apiKey: serializeApiKey(apiKey),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Revoke a key; requests using it fail immediately
+ * DELETE /admin/api-keys/:keyId
+ */
+export const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findByPk(req.params.keyId);
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(404).json({ message: "API key not found" });
+        }
+
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = req.userId;
+        await apiKey.save();
+
+        res.status(200).json({
+            message: "API key revoked",
+            apiKey: serializeApiKey(apiKey),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
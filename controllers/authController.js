@@ -1,23 +1,83 @@
 import User from "../models/User.modal.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import crypto from "crypto";
-import { createAndSendOTP, verifyOTP, deleteOTP } from "../utils/otpHelper.js";
+import {
+    createAndSendOTP,
+    verifyOTP,
+    deleteOTP,
+    createAndSendPhoneOTP,
+    verifyPhoneOTP,
+    deletePhoneOTP
+} from "../utils/otpHelper.js";
+import { createAndSendPasswordReset, consumePasswordResetToken } from "../utils/passwordResetHelper.js";
+import { createAndSendMagicLink, verifyMagicLinkSignature, consumeMagicLinkToken } from "../utils/magicLinkHelper.js";
+import { verifyUserTotp } from "../utils/totpHelper.js";
+import { createLoginChallenge, findLoginChallenge, consumeLoginChallenge } from "../utils/loginChallengeHelper.js";
+import { createSocialLoginCode, consumeSocialLoginCode } from "../utils/socialLoginCodeHelper.js";
+import { completeSocialLogin, requireSocialSecondFactor } from "../utils/socialLoginHelper.js";
+import { createAndSendEmailVerification, consumeEmailVerificationToken } from "../utils/emailVerificationHelper.js";
+import {
+    ACCESS_TOKEN_EXPIRES_IN,
+    issueAuthTokens,
+    rotateRefreshToken,
+    revokeRefreshTokens,
+    signAccessToken
+} from "../utils/tokenHelper.js";
+import {
+    endPlaybackSessions,
+    getActivePlaybackSessions,
+    getStreamLimit,
+    heartbeatPlaybackSession,
+    serializePlaybackSession
+} from "../utils/playbackSessionHelper.js";
+import { isStaffRole, getRolePermissions } from "../config/permissions.js";
+import { normalizePhoneNumber, maskPhoneNumber } from "../utils/phoneHelper.js";
+import {
+    SECURITY_EVENT_TYPES,
+    recordSecurityEvent,
+    serializeSecurityEvent
+} from "../utils/securityEventHelper.js";
+import SecurityEvent from "../models/SecurityEvent.model.js";
 // controllers/authController.js - Register function
-import { getDeviceInfo } from '../utils/deviceHelper.js';
-
+import { getDeviceInfo, getClientIp } from '../utils/deviceHelper.js';
+
+// Device info for a request whose fingerprint came in the body. The copy of req
+// loses Express's req.ip getter, so the resolved client IP is passed along
+const getFingerprintedDeviceInfo = (req, deviceFingerprint) => {
+    return getDeviceInfo({
+        ...req,
+        ip: getClientIp(req),
+        body: { ...req.body, deviceFingerprint },
+        headers: {
+            ...req.headers,
+            'x-device-fingerprint': deviceFingerprint || ''
+        }
+    });
+};
 
 export const register = async (req, res) => {
     const { name, email, password, role, deviceFingerprint } = req.body;
     
     try {
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        // Staff roles are granted by an admin, never self-assigned
+        if (isStaffRole(role)) {
+            return res.status(400).json({ message: "Invalid role" });
+        }
+
         const existingUser = await User.findOne({ where: { email } });
         if (existingUser) {
             return res.status(400).json({ message: "User already exists" });
         }
 
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+        // Password is optional: passwordless accounts sign in with an emailed link
+        let hashedPassword = null;
+        if (password) {
+            const salt = await bcrypt.genSalt(10);
+            hashedPassword = await bcrypt.hash(password, salt);
+        }
 
         const user = await User.create({
             name,
@@ -25,40 +85,28 @@ export const register = async (req, res) => {
             password: hashedPassword,
             role: role || "viewer",
             isUpgraded: false,
+            emailVerified: false,
             maxDevices: role === 'filmmaker' ? 2 : 1,
             activeDevices: []
         });
 
-        // Safely get device info
-        const deviceInfo = getDeviceInfo({
-            ...req,
-            body: { ...req.body, deviceFingerprint },
-            headers: {
-                ...req.headers,
-                'x-device-fingerprint': deviceFingerprint || ''
-            }
-        });
+        // Registration still succeeds if the email fails; the user can request a new link
+        const verificationResult = await createAndSendEmailVerification(user);
 
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                role: user.role,
-                deviceId: deviceInfo.deviceId
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "7d" }
-        );
+        // Safely get device info
+        const deviceInfo = getFingerprintedDeviceInfo(req, deviceFingerprint);
 
         // Add device to user
         user.activeDevices = [{
             ...deviceInfo,
-            token: token,
             loginAt: new Date()
         }];
         
         user.changed('activeDevices', true);
         await user.save();
 
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, deviceInfo);
+
         res.status(201).json({
             message: "User registered successfully",
             user: {
@@ -67,10 +115,14 @@ export const register = async (req, res) => {
                 email: user.email,
                 role: user.role,
                 isUpgraded: user.isUpgraded,
+                emailVerified: user.emailVerified,
                 maxDevices: user.maxDevices,
                 currentDevices: 1
             },
+            verificationEmailSent: verificationResult.success,
             token,
+            refreshToken,
+            expiresIn,
             deviceId: deviceInfo.deviceId
         });
     } catch (error) {
@@ -98,24 +150,53 @@ export const login = async (req, res) => {
         });
         
         if (!user) {
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                outcome: "failure",
+                metadata: { email, reason: "unknown_account" }
+            });
             return res.status(401).json({ 
                 message: "Invalid credentials - User not found" 
             });
         }
 
-        // Check if user has password (Google users might not have passwords)
+        // Check if user has password (Google and passwordless users might not have passwords)
         if (!user.password) {
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                userId: user.id,
+                outcome: "failure",
+                metadata: { reason: "password_not_set" }
+            });
             return res.status(401).json({ 
-                message: "Please login with Google or reset your password" 
+                message: "This account has no password. Sign in with an email link, with Google, or reset your password",
+                code: "PASSWORD_NOT_SET"
             });
         }
 
         // Verify password
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                userId: user.id,
+                outcome: "failure",
+                metadata: { reason: "wrong_password" }
+            });
             return res.status(401).json({ message: "Invalid credentials" });
         }
 
+        // Step 2 only signs in when it presents this proof that the password checked out
+        const challenge = await createLoginChallenge(user);
+
+        // Authenticator app users skip the email code entirely
+        if (user.totpEnabled) {
+            return res.status(200).json({
+                message: "Enter the code from your authenticator app to login.",
+                email: email,
+                method: "totp",
+                loginChallenge: challenge.token,
+                expiresIn: challenge.expiresIn
+            });
+        }
+
         // Only create and send OTP if user exists and password matches
         const otpResult = await createAndSendOTP(email);
 
@@ -129,6 +210,8 @@ export const login = async (req, res) => {
         res.status(200).json({
             message: "OTP sent to your email. Please verify to login.",
             email: email,
+            method: "email",
+            loginChallenge: challenge.token,
             expiresIn: otpResult.expiresIn // 10 minutes
         });
     } catch (error) {
@@ -136,16 +219,78 @@ export const login = async (req, res) => {
     }
 };
 
+/**
+ * Record the signing-in device on the user, enforcing the device limit
+ * (a returning device is always let back in). Shared by every login step
+ * that ends in a session.
+ */
+const registerLoginDevice = async (req, user, deviceFingerprint) => {
+    const deviceInfo = getFingerprintedDeviceInfo(req, deviceFingerprint);
+
+    const currentDevices = Array.isArray(user.activeDevices) ? user.activeDevices : [];
+
+    if (currentDevices.length >= user.maxDevices) {
+        const isReturningDevice = currentDevices.some(
+            device => device && device.deviceId === deviceInfo.deviceId
+        );
+
+        if (!isReturningDevice) {
+            return {
+                success: false,
+                body: {
+                    message: `Maximum ${user.maxDevices} device(s) allowed. Please logout from another device or upgrade your account.`,
+                    maxDevices: user.maxDevices,
+                    currentDevices: currentDevices.length,
+                    code: 'DEVICE_LIMIT_REACHED'
+                }
+            };
+        }
+    }
+
+    const deviceIndex = currentDevices.findIndex(
+        d => d && d.deviceId === deviceInfo.deviceId
+    );
+
+    if (deviceIndex !== -1) {
+        // Update existing device (dropping any token stored by older logins).
+        // A fresh login starts on the account holder, not the last selected profile
+        const { token: legacyToken, profileId: previousProfileId, ...existingDevice } = currentDevices[deviceIndex];
+        currentDevices[deviceIndex] = {
+            ...existingDevice,
+            ...deviceInfo,
+            loginAt: new Date()
+        };
+    } else {
+        currentDevices.push({
+            ...deviceInfo,
+            loginAt: new Date()
+        });
+    }
+
+    user.activeDevices = currentDevices;
+    user.changed('activeDevices', true);
+    await user.save();
+
+    return { success: true, deviceInfo, currentDevices };
+};
+
 // Login - Step 2: Verify OTP and create session
 // controllers/authController.js
 export const verifyLoginOTP = async (req, res) => {
-    const { email, otp, deviceFingerprint } = req.body;
+    const { email, otp, recoveryCode, loginChallenge, deviceFingerprint } = req.body;
     
     try {
-        if (!email || !otp) {
+        if (!email || (!otp && !recoveryCode)) {
             return res.status(400).json({ message: "Email and OTP are required" });
         }
 
+        if (!loginChallenge) {
+            return res.status(400).json({
+                message: "Login challenge is required. Enter your email and password first.",
+                code: "LOGIN_CHALLENGE_REQUIRED"
+            });
+        }
+
         const user = await User.findOne({ where: { email } });
         if (!user) {
             return res.status(401).json({ 
@@ -153,9 +298,24 @@ export const verifyLoginOTP = async (req, res) => {
             });
         }
 
-        // Verify OTP
-        const otpVerifyResult = await verifyOTP(email, otp);
+        // The code is only a second factor; the password must have been checked by step 1.
+        // Checked before the challenge is spent so a mistyped code doesn't burn it
+        const challenge = await findLoginChallenge(user, loginChallenge);
+        if (!challenge.success) {
+            const status = challenge.code ? 401 : 500;
+            return res.status(status).json({ message: challenge.message, code: challenge.code, error: challenge.error });
+        }
+
+        // Verify the authenticator code (or a recovery code) when enrolled, otherwise the emailed OTP
+        const otpVerifyResult = user.totpEnabled
+            ? await verifyUserTotp(user, { code: otp, recoveryCode })
+            : await verifyOTP(email, otp);
         if (!otpVerifyResult.success) {
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OTP_FAILED, {
+                userId: user.id,
+                outcome: "failure",
+                metadata: { method: user.totpEnabled ? "totp" : "email_otp", code: otpVerifyResult.code }
+            });
             return res.status(401).json({
                 message: otpVerifyResult.message,
                 code: otpVerifyResult.code,
@@ -163,76 +323,29 @@ export const verifyLoginOTP = async (req, res) => {
             });
         }
 
-        // Safely get device info
-        const deviceInfo = getDeviceInfo({
-            ...req,
-            body: { ...req.body, deviceFingerprint },
-            headers: {
-                ...req.headers,
-                'x-device-fingerprint': deviceFingerprint || ''
-            }
-        });
-
-        // Check device limit
-        const currentDevices = Array.isArray(user.activeDevices) ? user.activeDevices : [];
-        
-        if (currentDevices.length >= user.maxDevices) {
-            // If max devices reached, check if this is a returning device
-            const isReturningDevice = currentDevices.some(
-                device => device && device.deviceId === deviceInfo.deviceId
-            );
-            
-            if (!isReturningDevice) {
-                return res.status(403).json({
-                    message: `Maximum ${user.maxDevices} device(s) allowed. Please logout from another device or upgrade your account.`,
-                    maxDevices: user.maxDevices,
-                    currentDevices: currentDevices.length,
-                    code: 'DEVICE_LIMIT_REACHED'
-                });
-            }
+        const challengeResult = await consumeLoginChallenge(challenge.challengeId);
+        if (!challengeResult.success) {
+            const status = challengeResult.code ? 401 : 500;
+            return res.status(status).json({ message: challengeResult.message, code: challengeResult.code, error: challengeResult.error });
         }
 
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                role: user.role,
-                deviceId: deviceInfo.deviceId
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "7d" }
-        );
-
-        // Update or add device
-        const deviceIndex = currentDevices.findIndex(
-            d => d && d.deviceId === deviceInfo.deviceId
-        );
-
-        if (deviceIndex !== -1) {
-            // Update existing device
-            const updatedDevice = {
-                ...currentDevices[deviceIndex],
-                ...deviceInfo,
-                token: token,
-                loginAt: new Date()
-            };
-            currentDevices[deviceIndex] = updatedDevice;
-        } else {
-            // Add new device
-            currentDevices.push({
-                ...deviceInfo,
-                token: token,
-                loginAt: new Date()
-            });
+        const signIn = await registerLoginDevice(req, user, deviceFingerprint);
+        if (!signIn.success) {
+            return res.status(403).json(signIn.body);
         }
-        
-        // Update user's active devices
-        user.activeDevices = currentDevices;
-        user.changed('activeDevices', true);
-        await user.save();
+        const { deviceInfo, currentDevices } = signIn;
+
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, deviceInfo);
 
         // Delete OTP
         await deleteOTP(email);
 
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId: deviceInfo.deviceId,
+            metadata: { method: user.totpEnabled ? "totp" : "email_otp" }
+        });
+
         res.status(200).json({
             message: "User logged in successfully",
             user: {
@@ -242,9 +355,15 @@ export const verifyLoginOTP = async (req, res) => {
                 role: user.role,
                 isUpgraded: user.isUpgraded,
                 maxDevices: user.maxDevices,
-                currentDevices: currentDevices.length
+                currentDevices: currentDevices.length,
+                totpEnabled: user.totpEnabled,
+                deletionScheduledFor: user.deletionScheduledFor
             },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
+            remainingRecoveryCodes: otpVerifyResult.remainingRecoveryCodes,
             token,
+            refreshToken,
+            expiresIn,
             deviceId: deviceInfo.deviceId
         });
     } catch (error) {
@@ -272,6 +391,13 @@ export const resendOTP = async (req, res) => {
             return res.status(404).json({ message: "User not found. Please register first." });
         }
 
+        if (user.totpEnabled) {
+            return res.status(400).json({
+                message: "This account uses an authenticator app. Enter a code from the app or one of your recovery codes.",
+                method: "totp"
+            });
+        }
+
         // Delete old OTP and create new one
         const otpResult = await createAndSendOTP(email);
 
@@ -292,17 +418,614 @@ export const resendOTP = async (req, res) => {
     }
 };
 
+// Accounts created by registerWithPhone have neither an email address nor a password
+const isPhoneSignup = (user) => !user.email && !user.password && user.authProvider === "local";
+
+// Phone register: Create an account from a phone number and text a verification code
+export const registerWithPhone = async (req, res) => {
+    const { name, role } = req.body;
+    try {
+        if (!name || !req.body.phoneNumber) {
+            return res.status(400).json({ message: "Name and phone number are required" });
+        }
+
+        if (isStaffRole(role)) {
+            return res.status(400).json({ message: "Invalid role" });
+        }
+
+        const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+        if (!phoneNumber) {
+            return res.status(400).json({ message: "Invalid phone number" });
+        }
+
+        const user = await User.findOne({ where: { phoneNumber } });
+        if (user?.phoneVerified) {
+            return res.status(400).json({ message: "User already exists" });
+        }
+
+        // A number nobody has verified yet can't be held hostage by an abandoned signup,
+        // but the existing account is left alone until the code proves who holds the number
+        if (!user) {
+            await User.create({
+                name,
+                phoneNumber,
+                role: role || "viewer",
+                isUpgraded: false,
+                emailVerified: false,
+                phoneVerified: false,
+                maxDevices: role === 'filmmaker' ? 2 : 1,
+                activeDevices: []
+            });
+        }
+
+        const otpResult = await createAndSendPhoneOTP(phoneNumber, { name, role: role || "viewer" });
+
+        if (!otpResult.success) {
+            return res.status(500).json({
+                message: "Failed to send verification code",
+                error: otpResult.error
+            });
+        }
+
+        res.status(201).json({
+            message: "Verification code sent by SMS. Enter it to finish signing up.",
+            phoneNumber: maskPhoneNumber(phoneNumber),
+            expiresIn: otpResult.expiresIn // 10 minutes
+        });
+    } catch (error) {
+        console.error('Phone registration error:', error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Phone login - Step 1: Text a sign-in code (also used to resend it)
+export const loginWithPhone = async (req, res) => {
+    try {
+        if (!req.body.phoneNumber) {
+            return res.status(400).json({ message: "Phone number is required" });
+        }
+
+        const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+        if (!phoneNumber) {
+            return res.status(400).json({ message: "Invalid phone number" });
+        }
+
+        // Same response whether or not the account exists, so the endpoint can't be used to probe numbers
+        const genericResponse = {
+            message: "If an account exists for this number, a verification code has been sent by SMS.",
+            phoneNumber: maskPhoneNumber(phoneNumber)
+        };
+
+        const user = await User.findOne({ where: { phoneNumber } });
+        if (!user || user.isBlocked) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const otpResult = await createAndSendPhoneOTP(phoneNumber);
+
+        if (!otpResult.success) {
+            return res.status(500).json({
+                message: "Failed to send verification code",
+                error: otpResult.error
+            });
+        }
+
+        res.status(200).json({
+            ...genericResponse,
+            expiresIn: otpResult.expiresIn // 10 minutes
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Phone login - Step 2: Verify the SMS code and create a session (also completes phone registration)
+export const verifyPhoneLogin = async (req, res) => {
+    const { otp, totpCode, recoveryCode, deviceFingerprint } = req.body;
+    try {
+        if (!req.body.phoneNumber || !otp) {
+            return res.status(400).json({ message: "Phone number and OTP are required" });
+        }
+
+        const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+        if (!phoneNumber) {
+            return res.status(400).json({ message: "Invalid phone number" });
+        }
+
+        const user = await User.findOne({ where: { phoneNumber } });
+        if (!user) {
+            return res.status(401).json({
+                message: "User not found. Please register first."
+            });
+        }
+
+        const otpVerifyResult = await verifyPhoneOTP(phoneNumber, otp);
+        if (!otpVerifyResult.success) {
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OTP_FAILED, {
+                userId: user.id,
+                outcome: "failure",
+                metadata: { method: "phone_otp", code: otpVerifyResult.code }
+            });
+            return res.status(401).json({
+                message: otpVerifyResult.message,
+                code: otpVerifyResult.code,
+                remainingAttempts: otpVerifyResult.remainingAttempts
+            });
+        }
+
+        if (user.isBlocked) {
+            return res.status(403).json({
+                message: "Your account has been blocked",
+                reason: user.blockedReason
+            });
+        }
+
+        // The SMS code stays valid until the session is issued, so the client can retry with an authenticator code
+        let totpResult = {};
+        if (user.totpEnabled) {
+            if (!totpCode && !recoveryCode) {
+                return res.status(401).json({
+                    message: "Enter the code from your authenticator app to login.",
+                    code: "TOTP_REQUIRED",
+                    method: "totp"
+                });
+            }
+
+            totpResult = await verifyUserTotp(user, { code: totpCode, recoveryCode });
+            if (!totpResult.success) {
+                await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OTP_FAILED, {
+                    userId: user.id,
+                    outcome: "failure",
+                    metadata: { method: "totp", code: totpResult.code }
+                });
+                return res.status(401).json({ message: totpResult.message, code: totpResult.code });
+            }
+        }
+
+        if (!user.phoneVerified) {
+            user.phoneVerified = true;
+            user.phoneVerifiedAt = new Date();
+
+            // A repeated signup names the account only if phone signup created it
+            const { pendingSignup } = otpVerifyResult;
+            if (pendingSignup && isPhoneSignup(user)) {
+                user.name = pendingSignup.name;
+                user.role = pendingSignup.role;
+                user.maxDevices = pendingSignup.role === 'filmmaker' ? 2 : 1;
+            }
+        }
+
+        const signIn = await registerLoginDevice(req, user, deviceFingerprint);
+        if (!signIn.success) {
+            return res.status(403).json(signIn.body);
+        }
+        const { deviceInfo, currentDevices } = signIn;
+
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, deviceInfo);
+
+        await deletePhoneOTP(phoneNumber);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId: deviceInfo.deviceId,
+            metadata: { method: "phone_otp" }
+        });
+
+        res.status(200).json({
+            message: "User logged in successfully",
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                phoneNumber: user.phoneNumber,
+                role: user.role,
+                isUpgraded: user.isUpgraded,
+                maxDevices: user.maxDevices,
+                currentDevices: currentDevices.length,
+                totpEnabled: user.totpEnabled,
+                deletionScheduledFor: user.deletionScheduledFor
+            },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
+            remainingRecoveryCodes: totpResult.remainingRecoveryCodes,
+            token,
+            refreshToken,
+            expiresIn,
+            deviceId: deviceInfo.deviceId
+        });
+    } catch (error) {
+        console.error('Phone OTP verification error:', error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Magic link - Step 1: Email a single-use sign-in link
+export const requestMagicLink = async (req, res) => {
+    const { email } = req.body;
+    try {
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ where: { email: email.toLowerCase() } });
+
+        // Same response whether or not the account exists, so the endpoint can't be used to probe emails
+        const genericResponse = {
+            message: "If an account exists for this email, a sign-in link has been sent.",
+            email: email
+        };
+
+        if (!user || user.isBlocked) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const linkResult = await createAndSendMagicLink(user, getDeviceInfo(req).ipAddress);
+
+        // A send failure must not be visible to the caller either, or it would reveal the account exists
+        if (!linkResult.success) {
+            console.error(`Failed to send sign-in link for user ${user.id}:`, linkResult.error);
+        }
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Magic link - Step 2: Exchange the link for a session on this device
+export const verifyMagicLink = async (req, res) => {
+    const { token, otp, recoveryCode, deviceFingerprint } = req.body;
+    const email = req.body.email ? String(req.body.email).toLowerCase() : null;
+
+    try {
+        if (!email || !token) {
+            return res.status(400).json({ message: "Email and token are required" });
+        }
+
+        const signature = verifyMagicLinkSignature(email, token);
+        if (!signature.success) {
+            return res.status(401).json({ message: signature.message, code: signature.code });
+        }
+
+        const user = await User.findByPk(signature.userId);
+        if (!user || user.email !== email) {
+            return res.status(401).json({ message: "Invalid sign-in link. Request a new one.", code: "MAGIC_LINK_INVALID" });
+        }
+
+        if (user.isBlocked) {
+            return res.status(403).json({
+                message: "Your account has been blocked",
+                reason: user.blockedReason
+            });
+        }
+
+        // The link stands in for the password; an authenticator app is still required when enrolled.
+        // Checked before the link is spent so a mistyped code doesn't burn it
+        let totpResult = {};
+        if (user.totpEnabled) {
+            if (!otp && !recoveryCode) {
+                return res.status(401).json({
+                    message: "Enter the code from your authenticator app to login.",
+                    code: "TOTP_REQUIRED",
+                    method: "totp"
+                });
+            }
+
+            totpResult = await verifyUserTotp(user, { code: otp, recoveryCode });
+            if (!totpResult.success) {
+                await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OTP_FAILED, {
+                    userId: user.id,
+                    outcome: "failure",
+                    metadata: { method: "totp", code: totpResult.code }
+                });
+                return res.status(401).json({ message: totpResult.message, code: totpResult.code });
+            }
+        }
+
+        const linkResult = await consumeMagicLinkToken(email, token);
+        if (!linkResult.success) {
+            const status = linkResult.code ? 401 : 500;
+            return res.status(status).json({ message: linkResult.message, code: linkResult.code, error: linkResult.error });
+        }
+
+        // Following the link proves the user owns the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+
+        const signIn = await registerLoginDevice(req, user, deviceFingerprint);
+        if (!signIn.success) {
+            return res.status(403).json(signIn.body);
+        }
+        const { deviceInfo, currentDevices } = signIn;
+
+        const { token: accessToken, refreshToken, expiresIn } = await issueAuthTokens(user, deviceInfo);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId: deviceInfo.deviceId,
+            metadata: { method: "magic_link" }
+        });
+
+        res.status(200).json({
+            message: "User logged in successfully",
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                isUpgraded: user.isUpgraded,
+                maxDevices: user.maxDevices,
+                currentDevices: currentDevices.length,
+                totpEnabled: user.totpEnabled,
+                deletionScheduledFor: user.deletionScheduledFor
+            },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
+            remainingRecoveryCodes: totpResult.remainingRecoveryCodes,
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            deviceId: deviceInfo.deviceId
+        });
+    } catch (error) {
+        console.error('Magic link verification error:', error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Forgot password - Step 1: Email a single-use reset link
+export const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+    try {
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ where: { email: email.toLowerCase() } });
+
+        // Same response whether or not the account exists, so the endpoint can't be used to probe emails
+        const genericResponse = {
+            message: "If an account exists for this email, a password reset link has been sent.",
+            email: email
+        };
+
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const resetResult = await createAndSendPasswordReset(user);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED, {
+            userId: user.id,
+            outcome: resetResult.success ? "success" : "failure"
+        });
+
+        // A send failure must not be visible to the caller either, or it would reveal the account exists
+        if (!resetResult.success) {
+            console.error(`Failed to send password reset email for user ${user.id}:`, resetResult.error);
+        }
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Forgot password - Step 2: Set the new password and sign out every device
+export const resetPassword = async (req, res) => {
+    const { email, token, newPassword } = req.body;
+    try {
+        if (!email || !token || !newPassword) {
+            return res.status(400).json({ message: "Email, token and new password are required" });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({ message: "Password must be at least 8 characters long" });
+        }
+
+        const resetResult = await consumePasswordResetToken(email.toLowerCase(), token);
+        if (!resetResult.success) {
+            return res.status(400).json({
+                message: resetResult.message,
+                code: resetResult.code
+            });
+        }
+
+        const user = await User.findByPk(resetResult.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+
+        // Following the emailed link proves ownership of the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+
+        // Google-only accounts become usable with a password as well
+        if (user.authProvider === "google") {
+            user.authProvider = "both";
+        } else if (user.authProvider === "oidc") {
+            user.authProvider = "local";
+        }
+
+        // Revoke every existing session
+        user.activeDevices = [];
+        user.changed('activeDevices', true);
+        await user.save();
+        await revokeRefreshTokens({ userId: user.id }, "password_reset");
+
+        // A pending login OTP was issued against the old password
+        await deleteOTP(user.email);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.PASSWORD_CHANGED, {
+            userId: user.id,
+            metadata: { method: "reset_link" }
+        });
+
+        res.status(200).json({
+            message: "Password reset successfully. Please login with your new password."
+        });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Confirm email ownership from the link sent at registration
+export const verifyEmail = async (req, res) => {
+    const { email, token } = req.body;
+    try {
+        if (!email || !token) {
+            return res.status(400).json({ message: "Email and token are required" });
+        }
+
+        const verification = await consumeEmailVerificationToken(email.toLowerCase(), token);
+        if (!verification.success) {
+            return res.status(400).json({
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        const user = await User.findByPk(verification.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.EMAIL_VERIFIED, { userId: user.id });
+        }
+
+        res.status(200).json({
+            message: "Email verified successfully",
+            emailVerified: true
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Send a fresh verification link
+export const resendVerificationEmail = async (req, res) => {
+    const { email } = req.body;
+    try {
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ where: { email: email.toLowerCase() } });
+
+        // Same response for unknown and already-verified accounts, so the endpoint can't be used to probe emails
+        const genericResponse = {
+            message: "If this email belongs to an unverified account, a new verification link has been sent.",
+            email: email
+        };
+
+        if (!user || user.emailVerified) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const verificationResult = await createAndSendEmailVerification(user);
+
+        if (!verificationResult.success) {
+            return res.status(500).json({
+                message: "Failed to send verification email",
+                error: verificationResult.error
+            });
+        }
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+export const refreshAccessToken = async (req, res) => {
+    const { refreshToken, deviceFingerprint } = req.body;
+    try {
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const deviceInfo = getFingerprintedDeviceInfo(req, deviceFingerprint);
+
+        const rotation = await rotateRefreshToken(refreshToken, deviceInfo);
+
+        if (!rotation.success) {
+            // A replayed token means it was stolen: sign the device out entirely
+            if (rotation.code === "REFRESH_TOKEN_REUSED") {
+                const compromisedUser = await User.findByPk(rotation.userId);
+                if (compromisedUser) {
+                    compromisedUser.activeDevices = (compromisedUser.activeDevices || []).filter(
+                        d => d && d.deviceId !== rotation.deviceId
+                    );
+                    compromisedUser.changed('activeDevices', true);
+                    await compromisedUser.save();
+                }
+            }
+
+            return res.status(401).json({
+                message: rotation.message,
+                code: rotation.code
+            });
+        }
+
+        const user = await User.findByPk(rotation.userId);
+        const activeDevice = user && Array.isArray(user.activeDevices) && user.activeDevices.find(
+            d => d && d.deviceId === rotation.deviceId
+        );
+
+        if (!activeDevice) {
+            await revokeRefreshTokens({ userId: rotation.userId, deviceId: rotation.deviceId }, "device_removed");
+            return res.status(401).json({
+                message: "This device has been signed out. Please login again.",
+                code: "DEVICE_NOT_ACTIVE"
+            });
+        }
+
+        res.status(200).json({
+            message: "Token refreshed successfully",
+            // Keep the device on the profile it last switched to
+            token: signAccessToken(
+                user,
+                rotation.deviceId,
+                activeDevice.profileId ? { profileId: activeDevice.profileId } : {}
+            ),
+            refreshToken: rotation.refreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            deviceId: rotation.deviceId
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
 // Logout from current device
 export const logout = async (req, res) => {
     try {
-        const deviceId = generateDeviceId(req);
+        const deviceId = req.deviceId;
         const user = await User.findByPk(req.userId);
 
         if (user) {
             user.activeDevices = (user.activeDevices || []).filter(d => d.deviceId !== deviceId);
+            user.changed('activeDevices', true);
             await user.save();
         }
 
+        await revokeRefreshTokens({ userId: req.userId, deviceId }, "logout");
+        await endPlaybackSessions({ userId: req.userId, deviceId }, "logout");
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGOUT, { userId: req.userId });
+
         res.status(200).json({ message: "Logged out successfully" });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
@@ -316,9 +1039,14 @@ export const logoutAll = async (req, res) => {
 
         if (user) {
             user.activeDevices = [];
+            user.changed('activeDevices', true);
             await user.save();
         }
 
+        await revokeRefreshTokens({ userId: req.userId }, "logout");
+        await endPlaybackSessions({ userId: req.userId }, "logout");
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGOUT_ALL, { userId: req.userId });
+
         res.status(200).json({ message: "Logged out from all devices successfully" });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
@@ -340,6 +1068,12 @@ export const upgradeUser = async (req, res) => {
         user.maxDevices = 2;
         await user.save();
 
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.ACCOUNT_UPGRADED, {
+            userId: user.id,
+            actorId: req.userId,
+            metadata: { maxDevices: user.maxDevices }
+        });
+
         res.status(200).json({
             message: "User upgraded successfully",
             user: {
@@ -360,19 +1094,78 @@ export const upgradeUser = async (req, res) => {
 export const getActiveDevices = async (req, res) => {
     try {
         const user = await User.findByPk(req.userId, {
-            attributes: ['activeDevices', 'isUpgraded', 'maxDevices']
+            attributes: ['activeDevices', 'isUpgraded', 'maxDevices', 'maxStreams']
         });
 
         res.status(200).json({
             activeDevices: user.activeDevices,
             isUpgraded: user.isUpgraded,
-            maxDevices: user.maxDevices
+            maxDevices: user.maxDevices,
+            maxStreams: getStreamLimit(user)
         });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
 
+// Get streams currently playing on the account (separate from signed-in devices)
+export const getActiveStreams = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId, {
+            attributes: ['id', 'maxStreams']
+        });
+        const sessions = await getActivePlaybackSessions(req.userId);
+
+        res.status(200).json({
+            activeStreams: sessions.map((session) => serializePlaybackSession(session, req.deviceId)),
+            maxStreams: getStreamLimit(user)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Player heartbeat; a 409 means the stream was evicted or ended and playback must stop
+export const streamHeartbeat = async (req, res) => {
+    try {
+        const result = await heartbeatPlaybackSession(req.userId, req.params.sessionId, req.deviceId);
+
+        if (!result.success) {
+            const status = result.code === "STREAM_SESSION_NOT_FOUND" ? 404 : 409;
+            return res.status(status).json({
+                message: result.message,
+                code: result.code,
+                endedReason: result.endedReason
+            });
+        }
+
+        res.status(200).json({
+            message: "Playback session active",
+            session: serializePlaybackSession(result.session, req.deviceId)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Stop a stream, either from the player itself or remotely from another device
+export const stopStream = async (req, res) => {
+    try {
+        const stopped = await endPlaybackSessions(
+            { id: req.params.sessionId, userId: req.userId },
+            "stopped"
+        );
+
+        if (!stopped) {
+            return res.status(404).json({ message: "Active playback session not found" });
+        }
+
+        res.status(200).json({ message: "Stream stopped successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
 // Remove specific device
 export const removeDevice = async (req, res) => {
     try {
@@ -381,67 +1174,137 @@ export const removeDevice = async (req, res) => {
 
         if (user) {
             user.activeDevices = (user.activeDevices || []).filter(d => d.deviceId !== deviceId);
+            user.changed('activeDevices', true);
             await user.save();
         }
 
+        await revokeRefreshTokens({ userId: req.userId, deviceId }, "device_removed");
+        await endPlaybackSessions({ userId: req.userId, deviceId }, "device_removed");
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.DEVICE_REMOVED, {
+            userId: req.userId,
+            metadata: { removedDeviceId: deviceId }
+        });
+
         res.status(200).json({ message: "Device removed successfully" });
     } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
 
+// Recent security activity on the current account (logins, failed codes, device and password changes)
+export const getSecurityEvents = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type } = req.query;
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const where = { userId: req.userId };
+        if (type) where.type = String(type).split(",");
+
+        const { count, rows } = await SecurityEvent.findAndCountAll({
+            where,
+            order: [["createdAt", "DESC"]],
+            offset: (pageNum - 1) * limitNum,
+            limit: limitNum
+        });
+
+        res.status(200).json({
+            events: rows.map(serializeSecurityEvent),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total: count,
+                pages: Math.ceil(count / limitNum)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Where the Google callback sends the browser back to
+const buildGoogleRedirectUrl = (path) => `${process.env.FRONTEND_URL || "https://cinemarwa.com"}${path}`;
+
 export const loginWithGoogle = async (req, res) => {
     try {
         const user = req.user; // Passport attaches Google user here
 
         if (!user) {
-            return res.redirect("http://localhost:5173/auth/failed?error=no_google_user");
+            return res.redirect(buildGoogleRedirectUrl("/auth/failed?error=no_google_user"));
         }
 
-        const deviceId = generateDeviceId(req);
+        // A URL ends up in history, logs and Referer headers, so it carries a
+        // short-lived single-use code; the web app exchanges it for tokens
+        const { code } = await createSocialLoginCode(user);
+        return res.redirect(buildGoogleRedirectUrl(`/auth/google?code=${code}`));
 
-        // Create JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                role: user.role,
-                deviceId: deviceId
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+    } catch (error) {
+        console.error("Google login error:", error);
+        return res.redirect(buildGoogleRedirectUrl("/auth/failed?error=google_auth_failed"));
+    }
+};
 
-        // Update or add device
-        user.activeDevices = user.activeDevices || [];
-        const existingDevice = user.activeDevices.find(d => d.deviceId === deviceId);
-
-        if (existingDevice) {
-            existingDevice.token = token;
-            existingDevice.loginAt = new Date();
-        } else {
-            user.activeDevices.push({
-                deviceId: deviceId,
-                token: token,
-                userAgent: req.headers['user-agent'],
-                ipAddress: req.ip,
-                loginAt: new Date()
+/**
+ * Trade the code from the Google redirect for tokens
+ * POST /api/auth/google/exchange
+ * Body: { code, deviceFingerprint? }
+ */
+export const exchangeGoogleLoginCode = async (req, res) => {
+    try {
+        const result = await consumeSocialLoginCode(req.body.code);
+        if (!result.success) {
+            return res.status(401).json({ message: result.message, code: result.code });
+        }
+
+        const user = await User.findByPk(result.userId);
+        if (!user) {
+            return res.status(401).json({ message: "User not found" });
+        }
+
+        if (user.isBlocked) {
+            return res.status(403).json({
+                message: "Your account has been blocked",
+                reason: user.blockedReason
             });
         }
 
-        user.changed("activeDevices", true);
-        await user.save();
+        const secondFactor = await requireSocialSecondFactor(user);
+        if (secondFactor) {
+            return res.status(200).json(secondFactor);
+        }
 
-        // Redirect back to frontend with JWT
-        const redirectUrl = `http://localhost:5173?token=${token}`;
-        return res.redirect(redirectUrl);
+        const { token, refreshToken, expiresIn, deviceId } = await completeSocialLogin(req, user);
 
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId,
+            metadata: { method: "google" }
+        });
+
+        res.status(200).json({
+            message: "Google login successful",
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                isUpgraded: user.isUpgraded,
+                maxDevices: user.maxDevices,
+                profilePicture: user.profilePicture,
+                authProvider: user.authProvider
+            },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
+            token,
+            refreshToken,
+            expiresIn,
+            deviceId
+        });
     } catch (error) {
-        console.error("Google login error:", error);
-        return res.redirect(
-            "http://localhost:5173/auth/failed?error=google_auth_failed"
-        );
+        res.status(500).json({ message: "Server error", error: error.message });
     }
 };
+
 export const googleOAuthCallback = (req, res) => {
     res.send("Google OAuth callback handled by passport.");
 }
@@ -455,6 +1318,13 @@ export const subscribeToNewsletter = async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        if (!user.emailVerified) {
+            return res.status(403).json({
+                message: "Please verify your email address before subscribing",
+                code: "EMAIL_NOT_VERIFIED"
+            });
+        }
+
         user.isSubscribed = true;
         await user.save();
 
@@ -464,13 +1334,6 @@ export const subscribeToNewsletter = async (req, res) => {
     }
 };
 
-const generateDeviceId = (req) => {
-    const userAgent = req.headers['user-agent'] || '';
-    const ipAddress = req.ip || req.connection.remoteAddress || '';
-    const rawId = `${userAgent}-${ipAddress}`;
-    return crypto.createHash('sha256').update(rawId).digest('hex');
-};
-
 // Get User Profile/Information
 export const getProfileUser = async (req, res) => {
 
@@ -488,8 +1351,11 @@ export const getProfileUser = async (req, res) => {
                 'id', 
                 'name', 
                 'email', 
+                'phoneNumber',
                 'role', 
                 'isUpgraded',
+                'emailVerified',
+                'phoneVerified',
                 'maxDevices', 
                 'activeDevices',
                 'createdAt',
@@ -508,17 +1374,23 @@ export const getProfileUser = async (req, res) => {
             id: user.id,
             name: user.name,
             email: 
-                user.email.length > 2
+                user.email && user.email.length > 2
                     ? formatEmail(user.email)
                     : user.email,
+            phoneNumber: maskPhoneNumber(user.phoneNumber),
             role: user.role,
+            permissions: getRolePermissions(user.role),
             isUpgraded: user.isUpgraded,
+            emailVerified: user.emailVerified,
+            phoneVerified: user.phoneVerified,
             isSubscribed: user.isSubscribed || false,
             maxDevices: user.maxDevices,
             currentDevices: currentDevices,
             activeDevices: user.activeDevices || [],
             createdAt: user.createdAt,
-            updatedAt: user.updatedAt
+            updatedAt: user.updatedAt,
+            // Set when an admin is viewing as this user, so clients can show a banner
+            impersonation: req.impersonation || null
         });
     } catch (error) {
         console.error('Get profile error:', error);
@@ -4,6 +4,7 @@ import Payment from "../models/Payment.model.js";
 import { clearUrl } from "../utils/backblazeB2.js";
 import Joi from "joi";
 import { Op } from "sequelize";
+import { getEngagementByMovie, summarizeEngagement } from "../utils/playbackProgressHelper.js";
 
 // ====== VALIDATION SCHEMAS ======
 
@@ -552,7 +553,7 @@ export const getMovieAnalytics = async (req, res) => {
     const { movieId } = req.params;
 
     const movie = await Movie.findByPk(movieId, {
-      attributes: ["id", "title", "description", "status", "totalViews", "totalRevenue", "avgRating", "totalReviews", "createdAt", "viewPrice", "downloadPrice", "currency", "filmmakerId"]
+      attributes: ["id", "title", "description", "status", "contentType", "totalViews", "totalRevenue", "avgRating", "totalReviews", "createdAt", "viewPrice", "downloadPrice", "currency", "filmmakerId"]
     });
 
     if (!movie) {
@@ -612,6 +613,12 @@ export const getMovieAnalytics = async (req, res) => {
       recentRevenue += safeParseNumber(payment.amount);
     });
 
+    // Completion from stored playback progress; a series counts its episodes
+    const engagementStats = await getEngagementByMovie(
+      movie.contentType === "series" ? { seriesId: movie.id } : { movieId: movie.id }
+    );
+    const engagement = summarizeEngagement([...engagementStats.values()]);
+
     res.status(200).json({
       success: true,
       data: {
@@ -646,6 +653,7 @@ export const getMovieAnalytics = async (req, res) => {
           revenueTrend: recentPayments.length > 0 ? 
             (safeParseNumber(recentRevenue) / 30).toFixed(2) : "0.00"
         },
+        engagement,
         timeline: {
           createdAt: movie.createdAt,
           lastPayment: payments.length > 0 ? 
@@ -694,10 +702,26 @@ export const getFilmmakerAnalytics = async (req, res) => {
       attributes: [
         "id", "title", "contentType", "status", "totalViews", 
         "totalRevenue", "avgRating", "totalReviews", "viewPrice", 
-        "downloadPrice", "createdAt", "updatedAt"
+        "downloadPrice", "createdAt", "updatedAt", "seriesId"
       ]
     });
 
+    // ====== ENGAGEMENT (playback progress in period) ======
+    const engagementStats = movies.length > 0
+      ? await getEngagementByMovie({
+          movieId: movies.map(movie => movie.id),
+          lastWatchedAt: { [Op.gte]: startDate }
+        })
+      : new Map();
+
+    // A series is rated by its episodes
+    const titleEngagement = (movie) => summarizeEngagement(
+      movie.contentType === "series"
+        ? movies.filter(m => m.seriesId === movie.id).map(m => engagementStats.get(m.id)).filter(Boolean)
+        : [engagementStats.get(movie.id)].filter(Boolean)
+    );
+    const engagement = summarizeEngagement([...engagementStats.values()]);
+
     // ====== GET PAYMENTS IN PERIOD ======
     const payments = await Payment.findAll({
       where: {
@@ -785,7 +809,8 @@ export const getFilmmakerAnalytics = async (req, res) => {
         contentType: movie.contentType,
         revenue: safeParseNumber(movie.totalRevenue),
         views: safeParseNumber(movie.totalViews),
-        rating: safeParseNumber(movie.avgRating)
+        rating: safeParseNumber(movie.avgRating),
+        completionRate: titleEngagement(movie).completionRate
       }));
 
     const topByViews = [...movies]
@@ -797,7 +822,8 @@ export const getFilmmakerAnalytics = async (req, res) => {
         contentType: movie.contentType,
         views: safeParseNumber(movie.totalViews),
         revenue: safeParseNumber(movie.totalRevenue),
-        rating: safeParseNumber(movie.avgRating)
+        rating: safeParseNumber(movie.avgRating),
+        completionRate: titleEngagement(movie).completionRate
       }));
 
     // ====== TIMELINE DATA (Daily breakdown) ======
@@ -886,8 +912,10 @@ export const getFilmmakerAnalytics = async (req, res) => {
           platformFee: parseFloat((netRevenue - filmmakerEarnings).toFixed(2)),
           avgRating: parseFloat(avgRating.toFixed(1)),
           uniqueViewers,
-          conversionRate: parseFloat(conversionRate.toFixed(2))
+          conversionRate: parseFloat(conversionRate.toFixed(2)),
+          completionRate: engagement.completionRate
         },
+        engagement,
         growth: {
           revenueGrowth: parseFloat(revenueGrowth.toFixed(1)),
           salesGrowth: parseFloat(salesGrowth.toFixed(1)),
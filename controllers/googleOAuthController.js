@@ -1,13 +1,6 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.modal.js";
-import crypto from "crypto";
-
-// Generate unique device ID
-const generateDeviceId = (req) => {
-    const userAgent = req.headers['user-agent'] || '';
-    const ip = req.ip || req.connection.remoteAddress;
-    return crypto.createHash('md5').update(userAgent + ip).digest('hex');
-};
+import { completeSocialLogin, requireSocialSecondFactor } from "../utils/socialLoginHelper.js";
+import { SECURITY_EVENT_TYPES, recordSecurityEvent } from "../utils/securityEventHelper.js";
 
 // Google OAuth Success Handler
 export const googleAuthSuccess = async (req, res) => {
@@ -18,48 +11,18 @@ export const googleAuthSuccess = async (req, res) => {
             return res.status(401).json({ message: "Authentication failed" });
         }
 
-        // Generate device ID
-        const deviceId = generateDeviceId(req);
-        const existingDevice = user.activeDevices.find(device => device.deviceId === deviceId);
-
-        // Create JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                role: user.role,
-                deviceId: deviceId,
-                authProvider: user.authProvider
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
-
-        // Update or add device
-        if (existingDevice) {
-            // Update existing device token
-            const deviceIndex = user.activeDevices.findIndex(d => d.deviceId === deviceId);
-            if (deviceIndex !== -1) {
-                user.activeDevices[deviceIndex].token = token;
-                user.activeDevices[deviceIndex].loginAt = new Date();
-                user.activeDevices[deviceIndex].lastActive = new Date();
-                // Mark the JSON field as changed for Sequelize
-                user.changed('activeDevices', true);
-            }
-        } else {
-            // Add new device
-            user.activeDevices = user.activeDevices || [];
-            user.activeDevices.push({
-                deviceId: deviceId,
-                token: token,
-                userAgent: req.headers['user-agent'],
-                ipAddress: req.ip,
-                loginAt: new Date(),
-                lastActive: new Date()
-            });
-            // Mark the JSON field as changed for Sequelize
-            user.changed('activeDevices', true);
+        const secondFactor = await requireSocialSecondFactor(user);
+        if (secondFactor) {
+            return res.status(200).json(secondFactor);
         }
-        await user.save();
+
+        const { token, refreshToken, expiresIn, deviceId } = await completeSocialLogin(req, user);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId,
+            metadata: { method: "google" }
+        });
 
         // Return success response with user data and token
         res.status(200).json({
@@ -74,7 +37,10 @@ export const googleAuthSuccess = async (req, res) => {
                 profilePicture: user.profilePicture,
                 authProvider: user.authProvider
             },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
             token,
+            refreshToken,
+            expiresIn,
             deviceId
         });
         
@@ -146,6 +112,8 @@ export const linkGoogleAccount = async (req, res) => {
         }
         await user.save();
 
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.GOOGLE_LINKED, { userId: user.id });
+
         res.status(200).json({
             message: "Google account linked successfully",
             user: {
@@ -196,6 +164,8 @@ export const unlinkGoogleAccount = async (req, res) => {
 
         await user.save();
 
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.GOOGLE_UNLINKED, { userId: user.id });
+
         res.status(200).json({
             message: "Google account unlinked successfully",
             authProvider: user.authProvider
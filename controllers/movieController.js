@@ -3,10 +3,58 @@ import UserAccess from "../models/userAccess.model.js";
 import Review from "../models/Review.model.js";
 import User from "../models/User.modal.js";
 import Share from "../models/share.model.js";
+import MovieRating from "../models/MovieRating.model.js";
+import SubtitleTrack from "../models/SubtitleTrack.model.js";
+import PlaybackProgress from "../models/PlaybackProgress.model.js";
 import slugify from "slugify";
 import { uploadToB2, deleteFromB2, clearUrl, getBunnyCDNUrl, getStreamingUrls } from "../utils/backblazeB2.js"; 
 import { Op } from "sequelize";
 import sequelize from "../config/database.js";
+import {
+  getAllowedAge,
+  isAllowedForAge,
+  ageRestrictedResponse
+} from "../utils/parentalControlHelper.js";
+import {
+  getRequestCountry,
+  normalizeGeoRestrictions,
+  isAvailableInRegion,
+  regionRestrictedResponse
+} from "../utils/geoRestrictionHelper.js";
+import { applyViewerRestrictions } from "../utils/viewerRestrictionHelper.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { getMovieCredits } from "../utils/creditHelper.js";
+import { getSubtitleTracks } from "../utils/subtitleHelper.js";
+import {
+  getRequestLocale,
+  localizeMovies,
+  localizeMovie,
+  getAvailableLocales,
+  translatedTextMatch
+} from "../utils/translationHelper.js";
+import { isOnWatchlist } from "../utils/watchlistHelper.js";
+import {
+  progressOwner,
+  serializeProgress,
+  resolveNextEpisode,
+  resolvePreviousEpisode
+} from "../utils/playbackProgressHelper.js";
+import {
+  applyMovieSearch,
+  movieSearchAttributes,
+  movieSearchOrder,
+  applyTitleSuggestMatch,
+  titleSuggestScore,
+  suggestFilmmakers,
+  suggestTags,
+  findSpellingSuggestion
+} from "../utils/movieSearchHelper.js";
+import {
+  getMovieFacets,
+  priceRangeCondition,
+  releaseYearCondition
+} from "../utils/movieFacetHelper.js";
+import { getClientIp } from "../utils/deviceHelper.js";
 
 // Helper function to calculate expiry date
 function calculateExpiryDate(period) {
@@ -77,6 +125,7 @@ export const addMovie = async (req, res) => {
       pricingTiers,
       totalSeasons = 1,
       releaseSchedule,
+      geoRestrictions,
     } = req.body;
 
     // Ensure contentType is a string
@@ -110,6 +159,16 @@ export const addMovie = async (req, res) => {
       });
     }
 
+    // Territorial rights: { allow: ["RW", ...], deny: [...] }
+    let parsedGeoRestrictions = {};
+    if (geoRestrictions !== undefined && geoRestrictions !== "") {
+      const geo = normalizeGeoRestrictions(geoRestrictions);
+      if (geo.error) {
+        return res.status(400).json({ success: false, message: geo.error });
+      }
+      parsedGeoRestrictions = geo.value;
+    }
+
     // If it's an episode, validate series
     if (contentType === "episode") {
       if (!seriesId) {
@@ -413,6 +472,7 @@ export const addMovie = async (req, res) => {
       tags: contentType === "episode" ? seriesInfo.tags : parsedTags,
       
       language: contentType === "episode" ? seriesInfo.language : (language || "en"),
+      geoRestrictions: parsedGeoRestrictions,
       
       youtubeTrailerLink: youtubeTrailerLink || "",
       site: youtubeTrailerLink ? "youtube" : "",
@@ -539,79 +599,111 @@ export const getAllMovies = async (req, res) => {
       excludeEpisodes = "true",
       minRating,
       maxRating,
+      language,
+      year,
+      priceRange,
+      // Facet counts cost a query per facet, so clients ask for them
+      facets = "false",
     } = req.query;
 
-    const where = {};
-    
-    if (status) {
-      where.status = status;
-    } else {
-      where.status = "approved";
-    }
-
-    if (contentType) {
-      where.contentType = contentType;
-    } else if (excludeEpisodes === "true") {
-      where.contentType = { [Op.in]: ["movie", "series"] };
-    }
+    // Conditions grouped by the facet they belong to, so each facet's counts
+    // can leave out its own selection; `base` always applies
+    const filters = {
+      base: [{ status: status || "approved" }],
+      category: [],
+      language: [],
+      contentType: [],
+      price: [],
+      rating: [],
+      year: [],
+    };
 
     if (seriesId) {
-      where.seriesId = seriesId;
-      where.contentType = "episode";
+      filters.base.push({ seriesId });
+      filters.contentType.push({ contentType: "episode" });
+    } else if (contentType) {
+      filters.contentType.push({ contentType });
+    } else if (excludeEpisodes === "true") {
+      filters.contentType.push({ contentType: { [Op.in]: ["movie", "series"] } });
     }
 
     if (season) {
-      where.seasonNumber = parseInt(season);
+      filters.base.push({ seasonNumber: parseInt(season) });
     }
 
     if (filmmakerId) {
-      where.filmmakerId = filmmakerId;
+      filters.base.push({ filmmakerId });
     }
 
     if (category) {
-      where.categories = { [Op.contains]: [category] };
+      filters.category.push({ categories: { [Op.contains]: [category] } });
+    }
+
+    if (language) {
+      filters.language.push({ language });
     }
 
     if (search) {
-      where[Op.or] = [
-        { title: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } },
-      ];
+      filters.base.push({
+        [Op.or]: [
+          { title: { [Op.iLike]: `%${search}%` } },
+          { description: { [Op.iLike]: `%${search}%` } },
+          translatedTextMatch(search),
+        ],
+      });
     }
 
     if (minRating !== undefined) {
-      where.avgRating = { ...where.avgRating, [Op.gte]: parseFloat(minRating) };
+      filters.rating.push({ avgRating: { [Op.gte]: parseFloat(minRating) } });
     }
     if (maxRating !== undefined) {
-      where.avgRating = { ...where.avgRating, [Op.lte]: parseFloat(maxRating) };
+      filters.rating.push({ avgRating: { [Op.lte]: parseFloat(maxRating) } });
     }
 
     if (freeToView === "true") {
-      where.viewPrice = 0;
+      filters.price.push({ viewPrice: 0 });
     } else {
       const viewPriceConditions = {};
       if (minViewPrice !== undefined) viewPriceConditions[Op.gte] = parseFloat(minViewPrice);
       if (maxViewPrice !== undefined) viewPriceConditions[Op.lte] = parseFloat(maxViewPrice);
       if (Object.keys(viewPriceConditions).length > 0) {
-        where.viewPrice = viewPriceConditions;
+        filters.price.push({ viewPrice: viewPriceConditions });
       }
     }
 
+    if (priceRange) {
+      const condition = priceRangeCondition(priceRange);
+      if (condition) filters.price.push(condition);
+    }
+
     if (freeToDownload === "true") {
-      where.downloadPrice = 0;
+      filters.base.push({ downloadPrice: 0 });
     } else {
       const downloadPriceConditions = {};
       if (minDownloadPrice !== undefined) downloadPriceConditions[Op.gte] = parseFloat(minDownloadPrice);
       if (maxDownloadPrice !== undefined) downloadPriceConditions[Op.lte] = parseFloat(maxDownloadPrice);
       if (Object.keys(downloadPriceConditions).length > 0) {
-        where.downloadPrice = downloadPriceConditions;
+        filters.base.push({ downloadPrice: downloadPriceConditions });
       }
     }
 
+    if (year) {
+      const condition = releaseYearCondition(year);
+      if (condition) filters.year.push(condition);
+    }
+
     if (sortBy === "upcoming") {
-      where.release_date = { [Op.gt]: new Date() };
+      filters.base.push({ release_date: { [Op.gt]: new Date() } });
     }
 
+    const whereWithout = (facet) => applyViewerRestrictions({
+      [Op.and]: Object.entries(filters)
+        .filter(([group]) => group !== facet)
+        .flatMap(([, conditions]) => conditions),
+    }, req);
+
+    const where = whereWithout(null);
+
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const sortOrder = order === "asc" ? "ASC" : "DESC";
     let orderOptions = [];
@@ -669,17 +761,24 @@ export const getAllMovies = async (req, res) => {
       ];
     }
 
-    const { count, rows: movies } = await Movie.findAndCountAll({
-      where,
-      order: orderOptions,
-      offset,
-      limit: parseInt(limit),
-    });
+    const [{ count, rows: movies }, facetCounts] = await Promise.all([
+      Movie.findAndCountAll({
+        where,
+        order: orderOptions,
+        offset,
+        limit: parseInt(limit),
+      }),
+      facets === "true" ? getMovieFacets(whereWithout) : null,
+    ]);
+
+    const locale = getRequestLocale(req);
+    const localizedMovies = await localizeMovies(movies, locale);
 
-    const transformedMovies = movies.map(movie => {
+    const transformedMovies = localizedMovies.map(movie => {
       const base = {
         id: movie.id,
         title: movie.title,
+        originalTitle: movie.originalTitle,
         slug: movie.slug,
         contentType: movie.contentType,
         description: movie.description,
@@ -698,8 +797,10 @@ export const getAllMovies = async (req, res) => {
         categories: movie.categories,
         tags: movie.tags,
         language: movie.language,
+        locale: movie.locale,
         videoDuration: movie.videoDuration,
         release_date: movie.release_date,
+        ageRestriction: movie.ageRestriction,
       };
 
       if (movie.contentType === "episode") {
@@ -722,6 +823,7 @@ export const getAllMovies = async (req, res) => {
       return base;
     });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
       data: {
@@ -740,7 +842,12 @@ export const getAllMovies = async (req, res) => {
           seriesId,
           season,
           excludeEpisodes,
+          language,
+          year,
+          priceRange,
+          locale,
         },
+        facets: facetCounts,
       },
     });
   } catch (error) {
@@ -756,12 +863,16 @@ export const getAllMovies = async (req, res) => {
 export const getFilmmakerSeries = async (req, res) => {
   try {
     const { filmmakerId } = req.params;
+    const where = {
+      filmmakerId,
+      contentType: "series",
+      status: { [Op.in]: ["approved", "submitted"] }
+    };
+
+    applyViewerRestrictions(where, req);
+
     const seriesList = await Movie.findAll({
-      where: {
-        filmmakerId,
-        contentType: "series",
-        status: { [Op.in]: ["approved", "submitted"] }
-      },
+      where,
       order: [["createdAt", "DESC"]]
     });
     
@@ -800,6 +911,18 @@ export const getMovieById = async (req, res) => {
       });
     }
 
+    const allowedAge = getAllowedAge(req.user, req.profile);
+    if (!(await isAllowedForAge(movie, allowedAge))) {
+      return res.status(403).json(ageRestrictedResponse(allowedAge));
+    }
+
+    const isOwnerOrAdmin =
+      hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE) || (userId && movie.filmmakerId === userId);
+    const country = getRequestCountry(req);
+    if (!isOwnerOrAdmin && !(await isAvailableInRegion(movie, country))) {
+      return res.status(403).json(regionRestrictedResponse(country));
+    }
+
     let userHasAccess = false;
     let accessType = null;
     let expiresAt = null;
@@ -877,15 +1000,16 @@ export const getMovieById = async (req, res) => {
       await movie.save();
     }
 
+    const locale = getRequestLocale(req);
     let additionalData = {};
     
     if (movie.contentType === "series") {
       const episodes = await Movie.findAll({
-        where: {
+        where: applyViewerRestrictions({
           seriesId: movie.id,
           contentType: "episode",
           status: "approved"
-        },
+        }, req),
         order: [
           ["seasonNumber", "ASC"],
           ["episodeNumber", "ASC"]
@@ -893,7 +1017,7 @@ export const getMovieById = async (req, res) => {
         limit: 20
       });
 
-      additionalData.episodes = episodes;
+      additionalData.episodes = await localizeMovies(episodes, locale);
       additionalData.totalEpisodes = await Movie.count({
         where: {
           seriesId: movie.id,
@@ -921,35 +1045,30 @@ export const getMovieById = async (req, res) => {
 
     if (movie.contentType === "episode") {
       const series = await Movie.findByPk(movie.seriesId);
-      additionalData.series = series;
+      additionalData.series = await localizeMovie(series, locale);
 
+      // Crosses into the next (or previous) season after a season's last episode
       const [nextEpisode, previousEpisode] = await Promise.all([
-        Movie.findOne({
-          where: {
-            seriesId: movie.seriesId,
-            seasonNumber: movie.seasonNumber,
-            episodeNumber: movie.episodeNumber + 1,
-            contentType: "episode",
-            status: "approved"
-          }
-        }),
-        Movie.findOne({
-          where: {
-            seriesId: movie.seriesId,
-            seasonNumber: movie.seasonNumber,
-            episodeNumber: movie.episodeNumber - 1,
-            contentType: "episode",
-            status: "approved"
-          }
-        })
+        resolveNextEpisode(movie),
+        resolvePreviousEpisode(movie)
       ]);
 
-      additionalData.nextEpisode = nextEpisode;
-      additionalData.previousEpisode = previousEpisode;
+      additionalData.nextEpisode = await localizeMovie(nextEpisode, locale);
+      additionalData.previousEpisode = await localizeMovie(previousEpisode, locale);
+    }
+
+    additionalData.credits = await getMovieCredits(movie.id);
+    additionalData.subtitles = await getSubtitleTracks(movie.id);
+    additionalData.availableLocales = await getAvailableLocales(movie);
+    additionalData.onWatchlist = await isOnWatchlist(req, movie);
+    additionalData.playbackProgress = null;
+    if (userId && movie.contentType !== "series") {
+      const progress = await PlaybackProgress.findOne({ where: { ...progressOwner(req), movieId: movie.id } });
+      additionalData.playbackProgress = progress ? serializeProgress(progress) : null;
     }
     
     const responseData = {
-      ...movie.toJSON(),
+      ...(await localizeMovie(movie, locale)),
       userAccess: {
         hasAccess: userHasAccess,
         accessType,
@@ -967,6 +1086,7 @@ export const getMovieById = async (req, res) => {
     responseData.streamingUrl = getBunnyCDNUrl(responseData.streamingUrl);
     responseData.hlsUrl = getBunnyCDNUrl(responseData.hlsUrl);
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
       data: responseData
@@ -1001,6 +1121,7 @@ export const updateMovie = async (req, res) => {
       seasonNumber,
       episodeNumber,
       totalSeasons,
+      geoRestrictions,
     } = req.body;
 
     const movie = await Movie.findByPk(id);
@@ -1050,6 +1171,13 @@ export const updateMovie = async (req, res) => {
     if (seasonNumber !== undefined) updateData.seasonNumber = parseInt(seasonNumber);
     if (episodeNumber !== undefined) updateData.episodeNumber = parseInt(episodeNumber);
     if (totalSeasons !== undefined) updateData.totalSeasons = parseInt(totalSeasons);
+    if (geoRestrictions !== undefined) {
+      const geo = normalizeGeoRestrictions(geoRestrictions);
+      if (geo.error) {
+        return res.status(400).json({ success: false, message: geo.error });
+      }
+      updateData.geoRestrictions = geo.value;
+    }
     
     if (viewPrice !== undefined) updateData.price = parseFloat(viewPrice);
 
@@ -1152,6 +1280,11 @@ export const deleteMovie = async (req, res) => {
       await deleteFromB2(movie.videoPublicId);
     }
 
+    const subtitleTracks = await SubtitleTrack.findAll({ where: { movieId: movie.id }, attributes: ["filePublicId"] });
+    for (const track of subtitleTracks) {
+      if (track.filePublicId) await deleteFromB2(track.filePublicId);
+    }
+
     const seriesId = movie.seriesId;
     
     await movie.destroy();
@@ -1187,15 +1320,15 @@ export const deleteMovie = async (req, res) => {
   }
 };
 
-// 📌 Search Movies
+// 📌 Search Movies (full-text, ranked, with highlighted snippets)
 export const searchMovies = async (req, res) => {
   try {
     const { query, page = 1, limit = 10, contentType, excludeEpisodes = false } = req.query;
 
-    if (!query || query.trim().length < 2) {
+    if (!query || !query.trim()) {
       return res.status(400).json({
         success: false,
-        message: "Search query must be at least 2 characters",
+        message: "Search query is required",
       });
     }
 
@@ -1203,40 +1336,67 @@ export const searchMovies = async (req, res) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const offset = (pageNum - 1) * limitNum;
 
-    const where = {
-      status: "approved",
-      [Op.or]: [
-        { title: { [Op.iLike]: `%${query}%` } },
-        { description: { [Op.iLike]: `%${query}%` } },
-        { tags: { [Op.contains]: [query] } },
-      ]
+    const searchTerm = query.trim();
+    const locale = getRequestLocale(req);
+
+    // Best matches first, with highlighted title and description snippets
+    const runSearch = (term) => {
+      const where = applyMovieSearch({ status: "approved" }, term);
+
+      if (contentType) {
+        where.contentType = contentType;
+      } else if (excludeEpisodes === "true") {
+        where.contentType = { [Op.in]: ["movie", "series"] };
+      }
+
+      applyViewerRestrictions(where, req);
+
+      return Movie.findAndCountAll({
+        where,
+        attributes: { include: movieSearchAttributes(term, locale) },
+        order: movieSearchOrder(),
+        offset,
+        limit: limitNum,
+      });
     };
 
-    if (contentType) {
-      where.contentType = contentType;
-    } else if (excludeEpisodes === "true") {
-      where.contentType = { [Op.in]: ["movie", "series"] };
+    let { count, rows: movies } = await runSearch(searchTerm);
+
+    // Nothing found: retry with the closest title or tag and say so
+    let didYouMean = null;
+    if (count === 0) {
+      didYouMean = await findSpellingSuggestion(searchTerm, applyViewerRestrictions({}, req));
+      if (didYouMean) {
+        ({ count, rows: movies } = await runSearch(didYouMean));
+        if (count === 0) didYouMean = null;
+      }
     }
 
-    const { count, rows: movies } = await Movie.findAndCountAll({
-      where,
-      order: [['createdAt', 'DESC']],
-      offset,
-      limit: limitNum,
-    });
+    const localizedMovies = await localizeMovies(movies, locale);
 
-    const normalizedMovies = movies.map(movie => ({
-      ...movie.toJSON(),
-      poster: getBunnyCDNUrl(movie.poster),
-      backdrop: getBunnyCDNUrl(movie.backdrop),
-      streamingUrl: getBunnyCDNUrl(movie.streamingUrl),
-      videoUrl: getBunnyCDNUrl(movie.videoUrl),
-      hlsUrl: getBunnyCDNUrl(movie.hlsUrl),
-    }));
+    const normalizedMovies = localizedMovies.map(movie => {
+      const { searchRank, titleHighlight, descriptionHighlight, ...values } = movie;
+      return {
+        ...values,
+        poster: getBunnyCDNUrl(movie.poster),
+        backdrop: getBunnyCDNUrl(movie.backdrop),
+        streamingUrl: getBunnyCDNUrl(movie.streamingUrl),
+        videoUrl: getBunnyCDNUrl(movie.videoUrl),
+        hlsUrl: getBunnyCDNUrl(movie.hlsUrl),
+        searchRank: Number(searchRank),
+        highlights: {
+          title: titleHighlight,
+          description: descriptionHighlight,
+        },
+      };
+    });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
-      query,
+      query: searchTerm,
+      // When set, `data` holds the results for this corrected query instead
+      didYouMean,
       data: normalizedMovies,
       pagination: {
         page: pageNum,
@@ -1255,6 +1415,71 @@ export const searchMovies = async (req, res) => {
   }
 };
 
+// 📌 Autocomplete suggestions (typo-tolerant titles, filmmakers and tags)
+export const suggestMovies = async (req, res) => {
+  try {
+    const query = String(req.query.query || "").trim();
+    const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit) || 8));
+
+    if (!query) {
+      return res.status(200).json({ success: true, query, suggestions: [] });
+    }
+
+    const where = applyTitleSuggestMatch({
+      status: "approved",
+      contentType: { [Op.in]: ["movie", "series"] },
+    }, query);
+    applyViewerRestrictions(where, req);
+
+    const [titles, filmmakers, tags] = await Promise.all([
+      Movie.findAll({
+        where,
+        attributes: ["id", "title", "slug", "contentType", "poster", titleSuggestScore(query)],
+        order: [[sequelize.literal(`"score"`), "DESC"], ["totalViews", "DESC"]],
+        limit: limitNum,
+      }),
+      suggestFilmmakers(query, limitNum, applyViewerRestrictions({}, req)),
+      suggestTags(query, limitNum, applyViewerRestrictions({}, req)),
+    ]);
+
+    const suggestions = [
+      ...titles.map((movie) => ({
+        type: "title",
+        text: movie.title,
+        id: movie.id,
+        slug: movie.slug,
+        contentType: movie.contentType,
+        poster: getBunnyCDNUrl(movie.poster),
+        score: Number(movie.get("score")),
+      })),
+      ...filmmakers.map((filmmaker) => ({
+        type: "filmmaker",
+        text: filmmaker.name,
+        id: filmmaker.id,
+        profileImage: filmmaker.profileImage,
+        score: Number(filmmaker.score),
+      })),
+      ...tags.map((tag) => ({
+        type: "tag",
+        text: tag.tag,
+        titles: tag.titles,
+        score: Number(tag.score),
+      })),
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limitNum);
+
+    res.status(200).json({ success: true, query, suggestions });
+  } catch (error) {
+    console.error("Error in suggestMovies:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+};
+
 // 📌 Get Movies by Filmmaker
 export const getFilmmakerMovies = async (req, res) => {
   try {
@@ -1274,12 +1499,15 @@ export const getFilmmakerMovies = async (req, res) => {
       where.contentType = contentType;
     }
 
-    const { count, rows: movies } = await Movie.findAndCountAll({
+    applyViewerRestrictions(where, req);
+
+    const { count, rows } = await Movie.findAndCountAll({
       where,
       order: [['createdAt', 'DESC']],
       offset,
       limit: limitNum,
     });
+    const movies = await localizeMovies(rows, getRequestLocale(req));
 
     const groupedByType = {
       movies: movies.filter(m => m.contentType === "movie"),
@@ -1287,6 +1515,7 @@ export const getFilmmakerMovies = async (req, res) => {
       episodes: movies.filter(m => m.contentType === "episode"),
     };
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
       data: {
@@ -1328,15 +1557,18 @@ export const getTrendingMovies = async (req, res) => {
       where.contentType = contentType;
     }
 
+    applyViewerRestrictions(where, req);
+
     const movies = await Movie.findAll({
       where,
       order: [['totalViews', 'DESC'], ['avgRating', 'DESC']],
       limit: limitNum
     });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
-      data: movies
+      data: await localizeMovies(movies, getRequestLocale(req))
     });
   } catch (error) {
     console.error("Error in getTrendingMovies:", error);
@@ -1363,15 +1595,18 @@ export const getTopRatedMovies = async (req, res) => {
       where.contentType = contentType;
     }
 
+    applyViewerRestrictions(where, req);
+
     const movies = await Movie.findAll({
       where,
       order: [['avgRating', 'DESC'], ['totalReviews', 'DESC']],
       limit: limitNum
     });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
-      data: movies
+      data: await localizeMovies(movies, getRequestLocale(req))
     });
   } catch (error) {
     console.error("Error in getTopRatedMovies:", error);
@@ -1418,6 +1653,8 @@ export const getMoviesByCategory = async (req, res) => {
       where.contentType = { [Op.in]: ["movie", "series"] };
     }
 
+    applyViewerRestrictions(where, req);
+
     const { count, rows: movies } = await Movie.findAndCountAll({
       where,
       order: [['createdAt', 'DESC']],
@@ -1425,10 +1662,11 @@ export const getMoviesByCategory = async (req, res) => {
       limit: limitNum
     });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
       category,
-      data: movies,
+      data: await localizeMovies(movies, getRequestLocale(req)),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -1482,15 +1720,18 @@ export const getRecentMovies = async (req, res) => {
       where.contentType = contentType;
     }
 
+    applyViewerRestrictions(where, req);
+
     const movies = await Movie.findAll({
       where,
       order: [['createdAt', 'DESC']],
       limit: limitNum
     });
 
+    res.vary("Accept-Language");
     res.status(200).json({
       success: true,
-      data: movies
+      data: await localizeMovies(movies, getRequestLocale(req))
     });
   } catch (error) {
     console.error("Error in getRecentMovies:", error);
@@ -2006,12 +2247,12 @@ export const addRatingMovies = async (req, res) => {
       });
     } 
     
-    // Note: You need to import MovieRating model
-    // import MovieRating from "../models/MovieRating.model.js";
-    
+    // Each household profile keeps its own rating
+    const profileId = req.profileId || null;
     let existingRating = await MovieRating.findOne({
       where: {
         userId,
+        profileId,
         movieId: movie.id
       }
     });
@@ -2022,6 +2263,7 @@ export const addRatingMovies = async (req, res) => {
     } else {
       existingRating = await MovieRating.create({
         userId,
+        profileId,
         movieId: movie.id,
         rating
       });
@@ -2072,7 +2314,7 @@ export const shareMovieLink = async (req, res) => {
       });
     }
 
-    const ipAddress = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+    const ipAddress = getClientIp(req);
     const userAgent = req.headers['user-agent'];
     
     if (!movieId || !platform) {
@@ -2243,10 +2485,12 @@ export const addMovieReview = async (req, res) => {
       });
     }
 
-    // Check if user already reviewed this movie
+    // Check if this user (or household profile) already reviewed this movie
+    const profileId = req.profileId || null;
     const existingReview = await Review.findOne({
       where: {
         userId,
+        profileId,
         movieId
       }
     });
@@ -2269,6 +2513,7 @@ export const addMovieReview = async (req, res) => {
       
       reviewData = await Review.create({
         userId,
+        profileId,
         movieId,
         rating,
         comment: fullComment
@@ -2467,6 +2712,7 @@ export const getMovieReview = async (req, res) => {
     const review = await Review.findOne({
       where: {
         userId,
+        profileId: req.profileId || null,
         movieId
       }
     });
@@ -2522,6 +2768,7 @@ export default {
   updateMovie,
   deleteMovie,
   searchMovies,
+  suggestMovies,
   getFilmmakerMovies,
   getTrendingMovies,
   getTopRatedMovies,
@@ -0,0 +1,329 @@
+import User from "../models/User.modal.js";
+import UserIdentity from "../models/UserIdentity.model.js";
+import { getOidcProviders, getOidcProvider } from "../config/oidcProviders.js";
+import {
+    buildAuthorizationUrl,
+    completeAuthorization,
+    readCodeVerifierCookie,
+    clearCodeVerifierCookie
+} from "../utils/oidcHelper.js";
+import { completeSocialLogin, canLinkByEmail, requireSocialSecondFactor } from "../utils/socialLoginHelper.js";
+import { SECURITY_EVENT_TYPES, recordSecurityEvent } from "../utils/securityEventHelper.js";
+
+// ====== HELPER FUNCTIONS ======
+
+const findProviderOr404 = (req, res) => {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+        res.status(404).json({ message: "Unknown sign-in provider" });
+        return null;
+    }
+    return provider;
+};
+
+const isEmailVerifiedClaim = (claims) => claims.email_verified === true || claims.email_verified === "true";
+
+/**
+ * Resolve the user an ID token belongs to. Existing identities sign straight in;
+ * a verified email from a trusted provider links to the matching account (like Google),
+ * except for staff and 2FA-protected accounts; otherwise a new viewer account is created.
+ */
+const findOrCreateOidcUser = async (provider, claims) => {
+    const identity = await UserIdentity.findOne({
+        where: { provider: provider.id, subject: claims.sub }
+    });
+
+    if (identity) {
+        const user = await User.findByPk(identity.userId);
+        if (!user) return { success: false, status: 401, message: "User not found" };
+
+        identity.lastLoginAt = new Date();
+        if (claims.email) identity.email = claims.email;
+        await identity.save();
+        return { success: true, user };
+    }
+
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    if (!email) {
+        return {
+            success: false,
+            status: 400,
+            message: `${provider.name} did not share an email address`,
+            code: "OIDC_EMAIL_REQUIRED"
+        };
+    }
+
+    const emailVerified = isEmailVerifiedClaim(claims);
+    let user = await User.findOne({ where: { email } });
+
+    if (user) {
+        if (!emailVerified || !provider.trustEmail || !canLinkByEmail(user)) {
+            return {
+                success: false,
+                status: 409,
+                message: `An account with this email already exists. Sign in and link ${provider.name} from your account settings.`,
+                code: "OIDC_ACCOUNT_EXISTS"
+            };
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+    } else {
+        user = await User.create({
+            name: claims.name || email.split("@")[0],
+            email,
+            authProvider: "oidc",
+            emailVerified,
+            emailVerifiedAt: emailVerified ? new Date() : null,
+            role: "viewer",
+            isUpgraded: false,
+            maxDevices: 1,
+            profilePicture: claims.picture
+        });
+    }
+
+    await UserIdentity.create({
+        userId: user.id,
+        provider: provider.id,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date()
+    });
+
+    return { success: true, user };
+};
+
+// Attach the provider account from the ID token to a signed-in user
+const linkIdentity = async (provider, claims, userId) => {
+    const existing = await UserIdentity.findOne({
+        where: { provider: provider.id, subject: claims.sub }
+    });
+
+    if (existing && existing.userId !== userId) {
+        return {
+            success: false,
+            status: 409,
+            message: `This ${provider.name} account is already linked to another user`
+        };
+    }
+
+    if (!existing) {
+        const other = await UserIdentity.findOne({ where: { userId, provider: provider.id } });
+        if (other) {
+            return {
+                success: false,
+                status: 409,
+                message: `Another ${provider.name} account is already linked. Unlink it first.`
+            };
+        }
+
+        await UserIdentity.create({
+            userId,
+            provider: provider.id,
+            subject: claims.sub,
+            email: claims.email || null
+        });
+    }
+
+    return { success: true };
+};
+
+// ====== PROVIDERS ======
+
+// List the configured sign-in providers
+export const listOidcProviders = async (req, res) => {
+    try {
+        res.status(200).json({
+            providers: getOidcProviders().map((provider) => ({
+                id: provider.id,
+                name: provider.name,
+                loginUrl: `/api/auth/oidc/${provider.id}`
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== SIGN IN ======
+
+// Redirect to the provider's sign-in page
+export const startOidcLogin = async (req, res) => {
+    try {
+        const provider = findProviderOr404(req, res);
+        if (!provider) return;
+
+        res.redirect(await buildAuthorizationUrl(provider, { mode: "login" }, res));
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// The provider redirects back here with ?code&state, both for sign-in and for linking
+export const oidcCallback = async (req, res) => {
+    try {
+        const provider = findProviderOr404(req, res);
+        if (!provider) return;
+
+        if (req.query.error) {
+            return res.status(401).json({
+                message: `${provider.name} authentication failed`,
+                error: req.query.error_description || req.query.error
+            });
+        }
+
+        const result = await completeAuthorization(provider, {
+            code: req.query.code,
+            state: req.query.state,
+            codeVerifier: readCodeVerifierCookie(req)
+        });
+        clearCodeVerifierCookie(res);
+
+        if (!result.success) {
+            return res.status(401).json({ message: result.message, code: result.code });
+        }
+
+        if (result.context.mode === "link") {
+            const linked = await linkIdentity(provider, result.claims, result.context.userId);
+            if (!linked.success) {
+                return res.status(linked.status).json({ message: linked.message });
+            }
+
+            await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OIDC_LINKED, {
+                userId: result.context.userId,
+                metadata: { provider: provider.id }
+            });
+
+            return res.status(200).json({
+                message: `${provider.name} account linked successfully`,
+                provider: provider.id
+            });
+        }
+
+        const found = await findOrCreateOidcUser(provider, result.claims);
+        if (!found.success) {
+            return res.status(found.status).json({ message: found.message, code: found.code });
+        }
+
+        const user = found.user;
+        if (user.isBlocked) {
+            return res.status(403).json({
+                message: "Your account has been blocked",
+                reason: user.blockedReason
+            });
+        }
+
+        const secondFactor = await requireSocialSecondFactor(user);
+        if (secondFactor) {
+            return res.status(200).json(secondFactor);
+        }
+
+        const { token, refreshToken, expiresIn, deviceId } = await completeSocialLogin(req, user);
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.LOGIN, {
+            userId: user.id,
+            deviceId,
+            metadata: { method: "oidc", provider: provider.id }
+        });
+
+        res.status(200).json({
+            message: `${provider.name} login successful`,
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                isUpgraded: user.isUpgraded,
+                maxDevices: user.maxDevices,
+                profilePicture: user.profilePicture,
+                authProvider: user.authProvider
+            },
+            twoFactorSetupRequired: user.totpRequired && !user.totpEnabled,
+            token,
+            refreshToken,
+            expiresIn,
+            deviceId
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== ACCOUNT LINKING ======
+
+// Linked provider accounts of the current user
+export const getLinkedIdentities = async (req, res) => {
+    try {
+        const identities = await UserIdentity.findAll({
+            where: { userId: req.userId },
+            attributes: ["provider", "email", "lastLoginAt", "createdAt"],
+            order: [["createdAt", "ASC"]]
+        });
+
+        res.status(200).json({ identities });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Start linking a provider account; the client opens the returned URL
+export const linkOidcAccount = async (req, res) => {
+    try {
+        const provider = findProviderOr404(req, res);
+        if (!provider) return;
+
+        res.status(200).json({
+            authorizationUrl: await buildAuthorizationUrl(provider, { mode: "link", userId: req.userId }, res)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Unlink a provider account
+export const unlinkOidcAccount = async (req, res) => {
+    try {
+        const provider = findProviderOr404(req, res);
+        if (!provider) return;
+
+        const user = await User.findByPk(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const identity = await UserIdentity.findOne({
+            where: { userId: user.id, provider: provider.id }
+        });
+
+        if (!identity) {
+            return res.status(400).json({
+                message: `${provider.name} account is not linked to this user`
+            });
+        }
+
+        // Keep at least one way to sign in
+        const otherIdentities = await UserIdentity.count({ where: { userId: user.id } }) - 1;
+        if (!user.password && !user.googleId && otherIdentities === 0) {
+            return res.status(400).json({
+                message: `Cannot unlink ${provider.name} as you don't have a password set. Please set a password first.`
+            });
+        }
+
+        await identity.destroy();
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.OIDC_UNLINKED, {
+            userId: user.id,
+            metadata: { provider: provider.id }
+        });
+
+        res.status(200).json({
+            message: `${provider.name} account unlinked successfully`,
+            authProvider: user.authProvider
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
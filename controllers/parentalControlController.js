@@ -0,0 +1,97 @@
+import Joi from "joi";
+import User from "../models/User.modal.js";
+import {
+    calculateAge,
+    getAllowedAge,
+    hashParentalPin,
+    verifyParentalPin
+} from "../utils/parentalControlHelper.js";
+
+const parentalControlsSchema = Joi.object({
+    enabled: Joi.boolean(),
+    maxAge: Joi.number().integer().min(0).max(21).allow(null),
+    dateOfBirth: Joi.date().iso().max("now").allow(null),
+    pin: Joi.string().pattern(/^\d{4,6}$/).messages({
+        "string.pattern.base": "PIN must be 4 to 6 digits",
+    }),
+    currentPin: Joi.string().allow(""),
+}).or("enabled", "maxAge", "dateOfBirth", "pin");
+
+const serializeParentalControls = (user, profile = null) => ({
+    enabled: user.parentalControlsEnabled,
+    maxAge: user.parentalMaxAge,
+    hasPin: Boolean(user.parentalPinHash),
+    dateOfBirth: user.dateOfBirth,
+    age: calculateAge(user.dateOfBirth),
+    allowedAge: getAllowedAge(user, profile)
+});
+
+// Current parental control settings and the age limit applied to this session
+export const getParentalControls = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.status(200).json(serializeParentalControls(user, req.profile));
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Turn the lock on/off, change the account age limit, date of birth or PIN
+export const updateParentalControls = async (req, res) => {
+    try {
+        if (req.profileId) {
+            return res.status(403).json({
+                message: "Switch back to the account holder to change parental controls",
+                code: "PROFILE_MANAGEMENT_RESTRICTED"
+            });
+        }
+
+        const { error, value } = parentalControlsSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: "Validation error",
+                error: error.details.map((d) => d.message).join(", "),
+            });
+        }
+
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        // Any change while the lock is on needs the current PIN
+        const pinCheck = await verifyParentalPin(user, value.currentPin);
+        if (!pinCheck.success) {
+            return res.status(403).json({
+                message: pinCheck.message,
+                code: pinCheck.code
+            });
+        }
+
+        if (value.enabled === true && !user.parentalPinHash && !value.pin) {
+            return res.status(400).json({ message: "Choose a PIN to turn on parental controls" });
+        }
+
+        if (value.pin) user.parentalPinHash = await hashParentalPin(value.pin);
+        if (value.maxAge !== undefined) user.parentalMaxAge = value.maxAge;
+        if (value.dateOfBirth !== undefined) user.dateOfBirth = value.dateOfBirth;
+        if (value.enabled !== undefined) {
+            user.parentalControlsEnabled = value.enabled;
+            if (!value.enabled) user.parentalPinHash = null;
+        }
+        await user.save();
+
+        res.status(200).json({
+            message: "Parental controls updated",
+            parentalControls: serializeParentalControls(user)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
@@ -0,0 +1,291 @@
+import Joi from "joi";
+import { Op } from "sequelize";
+import Movie from "../models/Movie.model.js";
+import User from "../models/User.modal.js";
+import Payment from "../models/Payment.model.js";
+import ApiKey from "../models/ApiKey.model.js";
+import PartnerLink from "../models/PartnerLink.model.js";
+import { applyGeoRestriction, isAvailableInRegion } from "../utils/geoRestrictionHelper.js";
+import { resolveContentAccess } from "../utils/contentAccessHelper.js";
+import { createPairingCode, redeemPairingCode, findPartnerLink } from "../utils/partnerLinkHelper.js";
+
+// ====== VALIDATION SCHEMAS ======
+
+const catalogQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    contentType: Joi.string().valid("movie", "series", "episode"),
+    category: Joi.string(),
+    country: Joi.string().length(2).uppercase(),
+    updatedSince: Joi.date().iso(),
+});
+
+// Partners identify users only by their own id, and only once the user paired with them
+const accessQuerySchema = Joi.object({
+    movieId: Joi.string().required(),
+    partnerUserId: Joi.string().max(255).required(),
+    country: Joi.string().length(2).uppercase(),
+});
+
+const partnerLinkSchema = Joi.object({
+    code: Joi.string().required(),
+    partnerUserId: Joi.string().max(255).required(),
+});
+
+// Catalog fields partners may use; no stream URLs or revenue
+const CATALOG_ATTRIBUTES = [
+    "id", "title", "slug", "description", "language", "poster", "backdrop", "thumbnail",
+    "categories", "tags", "geoRestrictions", "ageRestriction", "viewPrice", "currency",
+    "videoDuration", "avgRating", "totalReviews", "contentType", "seriesId", "seasonNumber",
+    "episodeNumber", "youtubeTrailerLink", "createdAt", "updatedAt",
+];
+
+const validationError = (res, error) => {
+    return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+    });
+};
+
+const findApprovedMovie = (idOrSlug) => {
+    return Movie.findOne({
+        where: {
+            status: "approved",
+            [Op.or]: [
+                // Only compare ids that look like UUIDs, so a slug doesn't break the query
+                ...(Joi.string().uuid().validate(idOrSlug).error ? [] : [{ id: idOrSlug }]),
+                { slug: idOrSlug },
+            ],
+        },
+    });
+};
+
+// ====== CATALOG (catalog:read) ======
+
+/**
+ * Approved titles, newest first. `country` hides titles not licensed there;
+ * `updatedSince` lets partners sync incrementally.
+ * GET /api/partner/catalog?page=&limit=&contentType=&category=&country=&updatedSince=
+ */
+export const getPartnerCatalog = async (req, res) => {
+    try {
+        const { error, value } = catalogQuerySchema.validate(req.query);
+        if (error) return validationError(res, error);
+
+        const where = { status: "approved" };
+        if (value.contentType) where.contentType = value.contentType;
+        if (value.category) where.categories = { [Op.contains]: [value.category] };
+        if (value.updatedSince) where.updatedAt = { [Op.gte]: value.updatedSince };
+        if (value.country) applyGeoRestriction(where, value.country);
+
+        const { count, rows } = await Movie.findAndCountAll({
+            where,
+            attributes: CATALOG_ATTRIBUTES,
+            include: [{ model: User, as: "filmmaker", attributes: ["id", "name"] }],
+            order: [["createdAt", "DESC"]],
+            offset: (value.page - 1) * value.limit,
+            limit: value.limit,
+        });
+
+        res.status(200).json({
+            data: rows,
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total: count,
+                pages: Math.ceil(count / value.limit),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// GET /api/partner/catalog/:movieId (id or slug)
+export const getPartnerCatalogItem = async (req, res) => {
+    try {
+        const movie = await findApprovedMovie(req.params.movieId);
+        if (!movie) {
+            return res.status(404).json({ message: "Title not found" });
+        }
+
+        const filmmaker = await User.findByPk(movie.filmmakerId, { attributes: ["id", "name"] });
+        const data = Object.fromEntries(CATALOG_ATTRIBUTES.map((field) => [field, movie[field]]));
+
+        res.status(200).json({ data: { ...data, filmmaker } });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== ENTITLEMENTS (access:check) ======
+
+/**
+ * Pair one of the partner's users with the Cine-Verse account that issued the code
+ * POST /api/partner/links { code, partnerUserId }
+ */
+export const linkPartnerUser = async (req, res) => {
+    try {
+        const { error, value } = partnerLinkSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const result = await redeemPairingCode(req.apiKey.id, value.code, value.partnerUserId);
+        if (!result.success) {
+            return res.status(400).json({ message: result.message, code: result.code });
+        }
+
+        res.status(201).json({
+            partnerUserId: result.link.partnerUserId,
+            linkedAt: result.link.linkedAt,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Whether a paired user may watch a title, for playback on partner devices
+ * GET /api/partner/access?movieId=&partnerUserId=&country=
+ */
+export const checkPartnerAccess = async (req, res) => {
+    try {
+        const { error, value } = accessQuerySchema.validate(req.query);
+        if (error) return validationError(res, error);
+
+        const movie = await findApprovedMovie(value.movieId);
+        if (!movie) {
+            return res.status(404).json({ message: "Title not found" });
+        }
+
+        const link = await findPartnerLink(req.apiKey.id, value.partnerUserId);
+        const user = link && await User.findByPk(link.userId);
+        if (!user) {
+            return res.status(404).json({
+                message: "No Cine-Verse account is linked to this user",
+                code: "PARTNER_USER_NOT_LINKED",
+            });
+        }
+
+        const base = { movieId: movie.id, partnerUserId: value.partnerUserId };
+
+        if (user.isBlocked) {
+            return res.status(200).json({ ...base, hasAccess: false, reason: "ACCOUNT_BLOCKED" });
+        }
+
+        if (value.country && !(await isAvailableInRegion(movie, value.country))) {
+            return res.status(200).json({ ...base, hasAccess: false, reason: "REGION_RESTRICTED" });
+        }
+
+        const access = await resolveContentAccess(movie, user);
+
+        res.status(200).json({
+            ...base,
+            hasAccess: access.hasAccess,
+            accessType: access.accessType,
+            expiresAt: access.expiresAt,
+            requiresPurchase: !access.hasAccess && movie.viewPrice > 0,
+            reason: access.hasAccess ? null : "NOT_PURCHASED",
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== PARTNER LINKS (signed-in users) ======
+
+/**
+ * Code the user gives a partner to let it check what they can watch
+ * POST /api/auth/partner-links
+ */
+export const createPartnerPairingCode = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId, { attributes: ["id"] });
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const { code, expiresIn } = await createPairingCode(user);
+
+        res.status(201).json({
+            message: "Enter this code in the partner's app to link your account.",
+            code,
+            expiresIn,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// GET /api/auth/partner-links
+export const getPartnerLinks = async (req, res) => {
+    try {
+        const links = await PartnerLink.findAll({
+            where: { userId: req.userId, linkedAt: { [Op.ne]: null }, revokedAt: null },
+            attributes: ["id", "linkedAt"],
+            include: [{ model: ApiKey, as: "partner", attributes: ["name"] }],
+            order: [["linkedAt", "DESC"]],
+        });
+
+        res.status(200).json({
+            links: links.map((link) => ({
+                id: link.id,
+                partner: link.partner?.name || null,
+                linkedAt: link.linkedAt,
+            })),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Withdraw a partner's access to the account
+// DELETE /api/auth/partner-links/:linkId
+export const revokePartnerLink = async (req, res) => {
+    try {
+        const [revoked] = Joi.string().uuid().validate(req.params.linkId).error
+            ? [0]
+            : await PartnerLink.update(
+                { revokedAt: new Date() },
+                { where: { id: req.params.linkId, userId: req.userId, revokedAt: null } }
+            );
+
+        if (!revoked) {
+            return res.status(404).json({ message: "Partner link not found" });
+        }
+
+        res.status(200).json({ message: "Partner unlinked successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== ANALYTICS (analytics:read) ======
+
+/**
+ * Audience numbers for one title (no revenue)
+ * GET /api/partner/analytics/:movieId
+ */
+export const getPartnerAnalytics = async (req, res) => {
+    try {
+        const movie = await findApprovedMovie(req.params.movieId);
+        if (!movie) {
+            return res.status(404).json({ message: "Title not found" });
+        }
+
+        const totalSales = await Payment.count({
+            where: { movieId: movie.id, paymentStatus: "succeeded" },
+        });
+
+        res.status(200).json({
+            movieId: movie.id,
+            title: movie.title,
+            totalViews: movie.totalViews || 0,
+            totalSales,
+            avgRating: movie.avgRating,
+            totalReviews: movie.totalReviews,
+            shareCount: movie.shareCount || 0,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
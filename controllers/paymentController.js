@@ -10,6 +10,18 @@ import Withdrawal from "../models/withdrawal.js";
 import { calculateExpiryDate, getAccessPeriodLabel } from "../utils/dateUtils.js";
 import { sendPaymentConfirmation } from "../utils/subscribeEmail.js";
 import { clearUrl } from "../utils/backblazeB2.js";
+import { recordWatch } from "../utils/watchHistoryHelper.js";
+import { getSubtitleTracks } from "../utils/subtitleHelper.js";
+import { getAllowedAge, isAllowedForAge, ageRestrictedResponse } from "../utils/parentalControlHelper.js";
+import { getRequestCountry, isAvailableInRegion, regionRestrictedResponse } from "../utils/geoRestrictionHelper.js";
+import {
+  PLAN_STREAM_LIMITS,
+  STREAM_HEARTBEAT_INTERVAL_SECONDS,
+  getStreamLimit,
+  startPlaybackSession,
+  verifyPlaybackSession
+} from "../utils/playbackSessionHelper.js";
+import { getDeviceInfo } from "../utils/deviceHelper.js";
 
 // ====== PAYMENT DISTRIBUTION CONFIGURATION ======
 const FILMMAKER_SHARE = parseFloat(process.env.FILMMAKER_SHARE_PERCENTAGE) || 70;
@@ -230,6 +242,37 @@ const sanitizeDescription = (description) => {
   return sanitized;
 };
 
+/**
+ * 🔥 CONTENT MUST BE LICENSED IN THE BUYER'S COUNTRY
+ */
+const checkRegionAvailability = async (req, content) => {
+  const country = getRequestCountry(req);
+  if (await isAvailableInRegion(content, country)) return null;
+  return { status: 403, body: regionRestrictedResponse(country) };
+};
+
+/**
+ * 🔥 BUYERS MUST HAVE A VERIFIED EMAIL OR PHONE (receipts and access links go there)
+ */
+const checkBuyerVerified = async (userId) => {
+  const buyer = await User.findByPk(userId, { attributes: ['id', 'emailVerified', 'phoneVerified'] });
+  if (!buyer) {
+    return { status: 404, body: { success: false, message: "User not found" } };
+  }
+  // Phone-only accounts are verified through their SMS code
+  if (!buyer.emailVerified && !buyer.phoneVerified) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "Please verify your email address or phone number before making a purchase",
+        code: "EMAIL_NOT_VERIFIED"
+      }
+    };
+  }
+  return null;
+};
+
 // ====== CORE PAYMENT FUNCTIONS ======
 
 /**
@@ -377,9 +420,9 @@ const grantSubscriptionAccess = async (payment) => {
     const metadata = payment.metadata || {};
     
     const planConfigs = {
-      'basic': { maxDevices: 1, isUpgraded: true },
-      'pro': { maxDevices: 4, isUpgraded: true },
-      'enterprise': { maxDevices: 10, isUpgraded: true }
+      'basic': { maxDevices: 1, maxStreams: PLAN_STREAM_LIMITS.basic, isUpgraded: true },
+      'pro': { maxDevices: 4, maxStreams: PLAN_STREAM_LIMITS.pro, isUpgraded: true },
+      'enterprise': { maxDevices: 10, maxStreams: PLAN_STREAM_LIMITS.enterprise, isUpgraded: true }
     };
 
     const planConfig = planConfigs[planId] || planConfigs['pro'];
@@ -392,11 +435,13 @@ const grantSubscriptionAccess = async (payment) => {
       startDate: payment.subscriptionStartDate || new Date(),
       endDate: payment.subscriptionEndDate,
       maxDevices: planConfig.maxDevices,
+      maxStreams: planConfig.maxStreams,
       paymentId: payment.id
     };
 
     user.isUpgraded = planConfig.isUpgraded;
     user.maxDevices = planConfig.maxDevices;
+    user.maxStreams = planConfig.maxStreams;
     
     if (user.activeDevices && user.activeDevices.length > planConfig.maxDevices) {
       user.activeDevices = user.activeDevices.slice(0, planConfig.maxDevices);
@@ -407,7 +452,8 @@ const grantSubscriptionAccess = async (payment) => {
     return { 
       success: true, 
       plan: planId, 
-      maxDevices: planConfig.maxDevices 
+      maxDevices: planConfig.maxDevices,
+      maxStreams: planConfig.maxStreams
     };
   } catch (error) {
     console.error('❌ Error granting subscription:', error);
@@ -535,6 +581,11 @@ export const payWithMoMo = async (req, res) => {
 
     const { amount, phoneNumber, userId, movieId, description, currency, type, contentType, accessPeriod } = value;
 
+    const buyerCheck = await checkBuyerVerified(userId);
+    if (buyerCheck) {
+      return res.status(buyerCheck.status).json(buyerCheck.body);
+    }
+
     console.log("📱 Payment Request:", { 
       amount, 
       currency, 
@@ -551,6 +602,11 @@ export const payWithMoMo = async (req, res) => {
       return res.status(404).json({ success: false, message: "Content not found" });
     }
 
+    const regionCheck = await checkRegionAvailability(req, movie);
+    if (regionCheck) {
+      return res.status(regionCheck.status).json(regionCheck.body);
+    }
+
     // Get filmmaker info
     const filmmakerInfo = await getFilmmakerFromContent(movieId, contentType || 'movie');
     if (!filmmakerInfo.success) {
@@ -842,6 +898,11 @@ export const paySeriesWithMoMo = async (req, res) => {
 
     const { amount, phoneNumber, userId, seriesId, description, currency, accessPeriod } = value;
 
+    const buyerCheck = await checkBuyerVerified(userId);
+    if (buyerCheck) {
+      return res.status(buyerCheck.status).json(buyerCheck.body);
+    }
+
     console.log("🎬 Series Payment Request:", { 
       amount, 
       currency, 
@@ -869,6 +930,11 @@ export const paySeriesWithMoMo = async (req, res) => {
       });
     }
 
+    const regionCheck = await checkRegionAvailability(req, series);
+    if (regionCheck) {
+      return res.status(regionCheck.status).json(regionCheck.body);
+    }
+
     const filmmakerValidation = await validateFilmmakerSetup(filmmakerId, 'series_access');
     if (!filmmakerValidation.isValid) {
       return res.status(400).json({
@@ -1331,6 +1397,11 @@ export const paySubscriptionWithMoMo = async (req, res) => {
       type = 'subscription_upgrade' 
     } = value;
 
+    const buyerCheck = await checkBuyerVerified(userId);
+    if (buyerCheck) {
+      return res.status(buyerCheck.status).json(buyerCheck.body);
+    }
+
     console.log("📱 Parsed Subscription Request:", {
       amount,
       currency,
@@ -1712,6 +1783,11 @@ export const payWithStripe = async (req, res) => {
 
     const { amount, email, userId, movieId, currency, description, type } = value;
 
+    const buyerCheck = await checkBuyerVerified(userId);
+    if (buyerCheck) {
+      return res.status(buyerCheck.status).json(buyerCheck.body);
+    }
+
     const movie = await Movie.findByPk(movieId);
     if (!movie) {
       return res.status(404).json({
@@ -1720,6 +1796,11 @@ export const payWithStripe = async (req, res) => {
       });
     }
 
+    const regionCheck = await checkRegionAvailability(req, movie);
+    if (regionCheck) {
+      return res.status(regionCheck.status).json(regionCheck.body);
+    }
+
     const filmmakerInfo = await getFilmmakerFromContent(movieId, 'movie');
     if (!filmmakerInfo.success) {
       return res.status(400).json({
@@ -1819,6 +1900,11 @@ export const paySubscriptionWithStripe = async (req, res) => {
 
     const { amount, email, userId, currency, planId, period, metadata, phoneNumber } = value;
 
+    const buyerCheck = await checkBuyerVerified(userId);
+    if (buyerCheck) {
+      return res.status(buyerCheck.status).json(buyerCheck.body);
+    }
+
     const startDate = new Date();
     const endDate = new Date();
     if (period === 'year') {
@@ -3376,10 +3462,36 @@ export const getSecureStreamUrl = async (req, res) => {
       });
     }
 
+    const allowedAge = getAllowedAge(req.user, req.profile);
+    if (!(await isAllowedForAge(movie, allowedAge))) {
+      return res.status(403).json(ageRestrictedResponse(allowedAge));
+    }
+
+    const regionCheck = await checkRegionAvailability(req, movie);
+    if (regionCheck) {
+      return res.status(regionCheck.status).json(regionCheck.body);
+    }
+
+    // Support staff viewing as the user must not take a stream slot or touch their history
+    const impersonating = Boolean(req.impersonation);
+
+    // Counts against the plan's concurrent stream limit; the oldest stream is evicted when full
+    const { userAgent, ipAddress } = getDeviceInfo(req);
+    const { session, evicted } = impersonating
+      ? { session: null, evicted: [] }
+      : await startPlaybackSession(req.user, {
+        deviceId: req.deviceId,
+        profileId: req.profileId,
+        movieId: movie.id,
+        userAgent,
+        ipAddress
+      });
+
     const token = jwt.sign(
       {
         userId,
         movieId,
+        playbackSessionId: session?.id,
         type: 'stream',
         expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000)
       },
@@ -3388,11 +3500,23 @@ export const getSecureStreamUrl = async (req, res) => {
     );
 
     const secureUrl = `${process.env.API_URL}/api/movies/stream/${movieId}?token=${token}`;
+
+    // Watch history is kept per household profile
+    if (!impersonating) {
+      await recordWatch(req.userId, req.profileId, movie.id);
+    }
     
     res.json({
       success: true,
       url: secureUrl,
-      expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000)
+      expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000),
+      subtitles: await getSubtitleTracks(movie.id),
+      playbackSession: session && {
+        id: session.id,
+        heartbeatIntervalSeconds: STREAM_HEARTBEAT_INTERVAL_SECONDS,
+        maxStreams: getStreamLimit(req.user),
+        evictedSessions: evicted.map((evictedSession) => evictedSession.deviceId)
+      }
     });
 
   } catch (error) {
@@ -3418,6 +3542,18 @@ export const streamMovie = async (req, res) => {
       });
     }
 
+    // A URL from getSecureStreamUrl only plays while its stream slot is still held
+    if (decoded.playbackSessionId) {
+      const sessionCheck = await verifyPlaybackSession(decoded.userId, decoded.playbackSessionId, decoded.movieId);
+      if (!sessionCheck.success) {
+        return res.status(sessionCheck.code === 'STREAM_SESSION_NOT_FOUND' ? 403 : 409).json({
+          success: false,
+          message: sessionCheck.message,
+          code: sessionCheck.code
+        });
+      }
+    }
+
     const payment = await Payment.findByPk(paymentId);
     if (!payment || payment.paymentStatus !== 'succeeded') {
       return res.status(403).json({
@@ -0,0 +1,302 @@
+import Joi from "joi";
+import slugify from "slugify";
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import Movie from "../models/Movie.model.js";
+import Person from "../models/Person.model.js";
+import MovieCredit, { CREDIT_ROLES } from "../models/MovieCredit.model.js";
+import { clearUrl } from "../utils/backblazeB2.js";
+import { getMovieCredits, serializePerson } from "../utils/creditHelper.js";
+import { applyViewerRestrictions, findViewableMovie } from "../utils/viewerRestrictionHelper.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+// ====== VALIDATION SCHEMAS ======
+
+const personSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(150).required(),
+    bio: Joi.string().max(5000).allow("", null),
+    profileImage: Joi.string().uri().allow("", null),
+    birthDate: Joi.date().iso().max("now").allow(null),
+});
+
+const updatePersonSchema = personSchema.fork(["name"], (schema) => schema.optional()).min(1);
+
+const creditsSchema = Joi.object({
+    credits: Joi.array().items(Joi.object({
+        personId: Joi.string().uuid().required(),
+        role: Joi.string().valid(...CREDIT_ROLES).required(),
+        character: Joi.string().trim().max(150).allow("", null),
+        billingOrder: Joi.number().integer().min(0),
+    })).max(200).required(),
+});
+
+const validationError = (res, error) => {
+    return res.status(400).json({
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+    });
+};
+
+// ====== HELPER FUNCTIONS ======
+
+const canModerate = (req) => hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE);
+
+const findPerson = async (idOrSlug) => {
+    const { error } = Joi.string().uuid().validate(idOrSlug);
+    return Person.findOne({ where: error ? { slug: idOrSlug } : { id: idOrSlug } });
+};
+
+const uniquePersonSlug = async (name) => {
+    const slug = slugify(name, { lower: true, strict: true }) || "person";
+    const taken = await Person.findOne({ where: { slug } });
+    return taken ? `${slug}-${Date.now()}` : slug;
+};
+
+// ====== PEOPLE ======
+
+/**
+ * Browse people, optionally by name or by the role they are credited in
+ * GET /api/people?search=&role=director&page=1&limit=20
+ */
+export const listPeople = async (req, res) => {
+    try {
+        const { search, role } = req.query;
+        const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const where = {};
+        if (search) {
+            where.name = { [Op.iLike]: `%${search}%` };
+        }
+        if (role) {
+            if (!CREDIT_ROLES.includes(role)) {
+                return res.status(400).json({ message: `Role must be one of: ${CREDIT_ROLES.join(", ")}` });
+            }
+            where.id = {
+                [Op.in]: sequelize.literal(
+                    `(SELECT "personId" FROM "MovieCredits" WHERE "role" = ${sequelize.escape(role)})`
+                ),
+            };
+        }
+
+        const { count, rows } = await Person.findAndCountAll({
+            where,
+            order: [["name", "ASC"]],
+            offset: (pageNum - 1) * limitNum,
+            limit: limitNum,
+        });
+
+        res.status(200).json({
+            data: rows.map(serializePerson),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total: count,
+                pages: Math.ceil(count / limitNum),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * A person with their filmography, grouped by role, newest first.
+ * Only titles the viewer may see are listed.
+ * GET /api/people/:personId (id or slug)
+ */
+export const getPerson = async (req, res) => {
+    try {
+        const person = await findPerson(req.params.personId);
+        if (!person) {
+            return res.status(404).json({ message: "Person not found" });
+        }
+
+        const credits = await MovieCredit.findAll({
+            where: { personId: person.id },
+            include: [{
+                model: Movie,
+                as: "movie",
+                required: true,
+                where: applyViewerRestrictions({ status: "approved" }, req),
+                attributes: ["id", "title", "slug", "poster", "contentType", "release_date", "avgRating"],
+            }],
+            order: [[{ model: Movie, as: "movie" }, "release_date", "DESC NULLS LAST"]],
+        });
+
+        const filmography = Object.fromEntries(CREDIT_ROLES.map((role) => [role, []]));
+        credits.forEach((credit) => {
+            filmography[credit.role].push({
+                character: credit.character,
+                billingOrder: credit.billingOrder,
+                movie: {
+                    ...credit.movie.toJSON(),
+                    poster: clearUrl(credit.movie.poster),
+                },
+            });
+        });
+
+        res.status(200).json({
+            person: {
+                ...serializePerson(person),
+                bio: person.bio,
+                birthDate: person.birthDate,
+            },
+            filmography,
+            totalCredits: credits.length,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Add a person (filmmakers and moderators)
+ * POST /api/people
+ */
+export const createPerson = async (req, res) => {
+    try {
+        if (req.userRole !== "filmmaker" && !canModerate(req)) {
+            return res.status(403).json({ message: "Only filmmakers and moderators can add people" });
+        }
+
+        const { error, value } = personSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const person = await Person.create({
+            ...value,
+            slug: await uniquePersonSlug(value.name),
+            createdBy: req.userId,
+        });
+
+        res.status(201).json({
+            message: "Person added",
+            person: { ...serializePerson(person), bio: person.bio, birthDate: person.birthDate },
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Edit a person (whoever added them, or a moderator)
+ * PUT /api/people/:personId
+ */
+export const updatePerson = async (req, res) => {
+    try {
+        const person = await findPerson(req.params.personId);
+        if (!person) {
+            return res.status(404).json({ message: "Person not found" });
+        }
+
+        if (person.createdBy !== req.userId && !canModerate(req)) {
+            return res.status(403).json({ message: "Not authorized to edit this person" });
+        }
+
+        const { error, value } = updatePersonSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        await person.update(value);
+
+        res.status(200).json({
+            message: "Person updated",
+            person: { ...serializePerson(person), bio: person.bio, birthDate: person.birthDate },
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Remove a person and all their credits (moderators)
+ * DELETE /api/people/:personId
+ */
+export const deletePerson = async (req, res) => {
+    try {
+        if (!canModerate(req)) {
+            return res.status(403).json({ message: "Access denied. Insufficient permissions." });
+        }
+
+        const person = await findPerson(req.params.personId);
+        if (!person) {
+            return res.status(404).json({ message: "Person not found" });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await MovieCredit.destroy({ where: { personId: person.id }, transaction });
+            await person.destroy({ transaction });
+        });
+
+        res.status(200).json({ message: "Person removed" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== MOVIE CREDITS ======
+
+/**
+ * Cast and crew of a title
+ * GET /api/movies/:id/credits
+ */
+export const getCredits = async (req, res) => {
+    try {
+        const found = await findViewableMovie(req, req.params.id);
+        if (!found.success) {
+            return res.status(found.status).json(found.body);
+        }
+        const { movie } = found;
+
+        res.status(200).json({ credits: await getMovieCredits(movie.id) });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Replace the cast and crew of a title (its filmmaker or a moderator).
+ * Billing order defaults to the position in the list.
+ * PUT /api/movies/:id/credits
+ */
+export const setCredits = async (req, res) => {
+    try {
+        const movie = await Movie.findByPk(req.params.id, { attributes: ["id", "filmmakerId"] });
+        if (!movie) {
+            return res.status(404).json({ message: "Content not found" });
+        }
+
+        if (movie.filmmakerId !== req.userId && !canModerate(req)) {
+            return res.status(403).json({ message: "Not authorized to update this content" });
+        }
+
+        const { error, value } = creditsSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const personIds = [...new Set(value.credits.map((credit) => credit.personId))];
+        const found = await Person.count({ where: { id: personIds } });
+        if (found !== personIds.length) {
+            return res.status(400).json({ message: "One or more people do not exist" });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await MovieCredit.destroy({ where: { movieId: movie.id }, transaction });
+            await MovieCredit.bulkCreate(
+                value.credits.map((credit, index) => ({
+                    movieId: movie.id,
+                    personId: credit.personId,
+                    role: credit.role,
+                    character: credit.role === "actor" ? credit.character || null : null,
+                    billingOrder: credit.billingOrder ?? index,
+                })),
+                { transaction }
+            );
+        });
+
+        res.status(200).json({
+            message: "Credits updated",
+            credits: await getMovieCredits(movie.id),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
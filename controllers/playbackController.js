@@ -0,0 +1,221 @@
+import Joi from "joi";
+import { Op } from "sequelize";
+import Movie from "../models/Movie.model.js";
+import PlaybackProgress from "../models/PlaybackProgress.model.js";
+import { clearUrl } from "../utils/backblazeB2.js";
+import { resolveContentAccess } from "../utils/contentAccessHelper.js";
+import { getRequestLocale, localizeMovies } from "../utils/translationHelper.js";
+import {
+    progressOwner,
+    recordProgress,
+    serializeProgress,
+    isFinished,
+    resolveNextEpisode,
+    resolveSeriesEpisode,
+    getContinueWatching,
+} from "../utils/playbackProgressHelper.js";
+
+// ====== VALIDATION SCHEMAS ======
+
+// Either the title itself, or an episode by series, season and episode number
+const progressSchema = Joi.object({
+    movieId: Joi.string().guid(),
+    seriesId: Joi.string().guid(),
+    seasonNumber: Joi.number().integer().min(0),
+    episodeNumber: Joi.number().integer().min(0),
+    position: Joi.number().min(0).required(),
+    duration: Joi.number().positive(),
+})
+    .xor("movieId", "seriesId")
+    .with("seriesId", ["seasonNumber", "episodeNumber"]);
+
+// ====== HELPER FUNCTIONS ======
+
+const summarizeTitle = (movie) => movie && ({
+    id: movie.id,
+    title: movie.title,
+    originalTitle: movie.originalTitle,
+    slug: movie.slug,
+    contentType: movie.contentType,
+    poster: clearUrl(movie.poster),
+    backdrop: clearUrl(movie.backdrop),
+    seasonNumber: movie.seasonNumber,
+    episodeNumber: movie.episodeNumber,
+    videoDuration: movie.videoDuration,
+    locale: movie.locale,
+});
+
+const isGuid = (value) => !Joi.string().guid().validate(value).error;
+
+// ====== PLAYBACK PROGRESS ======
+
+/**
+ * Called by the player every few seconds and on pause/stop.
+ * When an episode is finished, the next one is returned for autoplay.
+ * POST /api/playback/progress
+ * Body: { movieId, position, duration? } or { seriesId, seasonNumber, episodeNumber, position, duration? }
+ * `duration` only counts for titles without a known videoDuration.
+ */
+export const reportProgress = async (req, res) => {
+    try {
+        const { error, value } = progressSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation error",
+                error: error.details.map((d) => d.message).join(", "),
+            });
+        }
+
+        const movie = await Movie.findOne({
+            where: value.movieId
+                ? { id: value.movieId, status: "approved" }
+                : {
+                    seriesId: value.seriesId,
+                    seasonNumber: value.seasonNumber,
+                    episodeNumber: value.episodeNumber,
+                    contentType: "episode",
+                    status: "approved",
+                },
+        });
+
+        if (!movie) {
+            return res.status(404).json({ success: false, message: "Content not found" });
+        }
+
+        // Only titles the viewer can actually play may land in Continue Watching
+        const access = await resolveContentAccess(movie, req.user);
+        if (!access.hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: "You do not have access to this title",
+            });
+        }
+
+        if (movie.contentType === "series") {
+            return res.status(400).json({
+                success: false,
+                message: "Report progress for an episode, not the whole series",
+            });
+        }
+
+        const progress = await recordProgress(req, movie, value);
+
+        const nextEpisode = movie.contentType === "episode" && isFinished(progress)
+            ? await resolveNextEpisode(movie, req)
+            : null;
+
+        res.status(200).json({
+            success: true,
+            data: serializeProgress(progress),
+            nextEpisode: summarizeTitle(nextEpisode),
+        });
+    } catch (error) {
+        console.error("Error in reportProgress:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Resume point for a title, from whichever device watched it last
+ * GET /api/playback/progress/:movieId
+ */
+export const getProgress = async (req, res) => {
+    try {
+        const progress = isGuid(req.params.movieId)
+            ? await PlaybackProgress.findOne({ where: { ...progressOwner(req), movieId: req.params.movieId } })
+            : null;
+
+        res.status(200).json({ success: true, data: progress ? serializeProgress(progress) : null });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Forget progress so a title leaves Continue Watching. A series id clears every episode.
+ * DELETE /api/playback/progress/:movieId
+ */
+export const removeProgress = async (req, res) => {
+    try {
+        const { movieId } = req.params;
+        const deleted = isGuid(movieId)
+            ? await PlaybackProgress.destroy({
+                where: { ...progressOwner(req), [Op.or]: [{ movieId }, { seriesId: movieId }] },
+            })
+            : 0;
+
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: "No progress for this title" });
+        }
+
+        res.status(200).json({ success: true, message: "Removed from Continue Watching" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+// ====== CONTINUE WATCHING ======
+
+/**
+ * The Continue Watching rail, most recent first
+ * GET /api/playback/continue-watching?limit=20
+ */
+export const getContinueWatchingRail = async (req, res) => {
+    try {
+        const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+        const entries = await getContinueWatching(req, limitNum);
+
+        const locale = getRequestLocale(req);
+        const [movies, series] = await Promise.all([
+            localizeMovies(entries.map((entry) => entry.movie), locale),
+            localizeMovies(entries.filter((entry) => entry.series).map((entry) => entry.series), locale),
+        ]);
+        const seriesById = new Map(series.map((item) => [item.id, item]));
+
+        res.vary("Accept-Language");
+        res.status(200).json({
+            success: true,
+            data: entries.map((entry, index) => ({
+                movie: summarizeTitle(movies[index]),
+                series: entry.series ? summarizeTitle(seriesById.get(entry.series.id)) : null,
+                progress: entry.progress,
+                upNext: entry.upNext,
+                lastWatchedAt: entry.lastWatchedAt,
+            })),
+        });
+    } catch (error) {
+        console.error("Error in getContinueWatchingRail:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * The episode to play when the viewer opens a series
+ * GET /api/playback/series/:seriesId/next
+ */
+export const getSeriesNextEpisode = async (req, res) => {
+    try {
+        const series = isGuid(req.params.seriesId)
+            ? await Movie.findOne({ where: { id: req.params.seriesId, contentType: "series" } })
+            : null;
+        if (!series) {
+            return res.status(404).json({ success: false, message: "Series not found" });
+        }
+
+        const { reason, episode, progress } = await resolveSeriesEpisode(req, series);
+        const [localized] = episode ? await localizeMovies([episode], getRequestLocale(req)) : [null];
+
+        res.vary("Accept-Language");
+        res.status(200).json({
+            success: true,
+            data: {
+                reason,
+                episode: summarizeTitle(localized),
+                progress: progress ? serializeProgress(progress) : null,
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
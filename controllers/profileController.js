@@ -0,0 +1,324 @@
+import bcrypt from "bcryptjs";
+import Joi from "joi";
+import User from "../models/User.modal.js";
+import Movie from "../models/Movie.model.js";
+import Profile from "../models/Profile.model.js";
+import Review from "../models/Review.model.js";
+import MovieRating from "../models/MovieRating.model.js";
+import WatchHistory from "../models/WatchHistory.model.js";
+import WatchlistItem from "../models/WatchlistItem.model.js";
+import PlaybackProgress from "../models/PlaybackProgress.model.js";
+import { signAccessToken, ACCESS_TOKEN_EXPIRES_IN } from "../utils/tokenHelper.js";
+import { getAllowedAge, isLessStrict, verifyParentalPin } from "../utils/parentalControlHelper.js";
+
+const MAX_PROFILES = parseInt(process.env.MAX_PROFILES_PER_ACCOUNT) || 5;
+
+// ====== VALIDATION SCHEMAS ======
+const createProfileSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    avatar: Joi.string().uri().allow(null, ""),
+    maturityLevel: Joi.string().valid("kids", "teen", "adult").default("adult"),
+    dateOfBirth: Joi.date().iso().max("now").allow(null),
+    parentalPin: Joi.string().allow(""),
+    pin: Joi.string().pattern(/^\d{4,6}$/).allow(null).messages({
+        "string.pattern.base": "PIN must be 4 to 6 digits",
+    }),
+});
+
+const updateProfileSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    avatar: Joi.string().uri().allow(null, ""),
+    maturityLevel: Joi.string().valid("kids", "teen", "adult"),
+    dateOfBirth: Joi.date().iso().max("now").allow(null),
+    parentalPin: Joi.string().allow(""),
+    pin: Joi.string().pattern(/^\d{4,6}$/).allow(null).messages({
+        "string.pattern.base": "PIN must be 4 to 6 digits",
+    }),
+}).min(1);
+
+// ====== HELPER FUNCTIONS ======
+const serializeProfile = (profile) => ({
+    id: profile.id,
+    name: profile.name,
+    avatar: profile.avatar,
+    maturityLevel: profile.maturityLevel,
+    dateOfBirth: profile.dateOfBirth,
+    hasPin: Boolean(profile.pinHash),
+    createdAt: profile.createdAt,
+});
+
+const hashPin = async (pin) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(pin, salt);
+};
+
+// Only the account holder (no profile selected) may add, edit or remove profiles
+const rejectIfProfileScoped = (req, res) => {
+    if (req.profileId) {
+        res.status(403).json({
+            message: "Switch back to the account holder to manage profiles",
+            code: "PROFILE_MANAGEMENT_RESTRICTED",
+        });
+        return true;
+    }
+    return false;
+};
+
+// With the parental lock on, maturity settings can only change with the parental PIN
+const rejectIfParentalPinInvalid = async (req, res, pin) => {
+    const pinCheck = await verifyParentalPin(req.user, pin);
+    if (!pinCheck.success) {
+        res.status(403).json({ message: pinCheck.message, code: pinCheck.code });
+        return true;
+    }
+    return false;
+};
+
+// Point this device at a profile (or back at the account holder with null)
+const setDeviceProfile = async (user, deviceId, profileId) => {
+    user.activeDevices = (user.activeDevices || []).map((device) =>
+        device && device.deviceId === deviceId ? { ...device, profileId } : device
+    );
+    user.changed("activeDevices", true);
+    await user.save();
+};
+
+// ====== PROFILE MANAGEMENT ======
+
+// List the account's profiles
+export const getProfiles = async (req, res) => {
+    try {
+        const profiles = await Profile.findAll({
+            where: { userId: req.userId },
+            order: [["createdAt", "ASC"]],
+        });
+
+        res.status(200).json({
+            profiles: profiles.map(serializeProfile),
+            activeProfileId: req.profileId,
+            maxProfiles: MAX_PROFILES,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Add a profile to the account
+export const createProfile = async (req, res) => {
+    try {
+        if (rejectIfProfileScoped(req, res)) return;
+
+        const { error, value } = createProfileSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: "Validation error",
+                error: error.details.map((d) => d.message).join(", "),
+            });
+        }
+
+        if (await rejectIfParentalPinInvalid(req, res, value.parentalPin)) return;
+
+        const count = await Profile.count({ where: { userId: req.userId } });
+        if (count >= MAX_PROFILES) {
+            return res.status(400).json({
+                message: `An account can have at most ${MAX_PROFILES} profiles`,
+                code: "PROFILE_LIMIT_REACHED",
+            });
+        }
+
+        const profile = await Profile.create({
+            userId: req.userId,
+            name: value.name,
+            avatar: value.avatar || null,
+            maturityLevel: value.maturityLevel,
+            dateOfBirth: value.dateOfBirth || null,
+            pinHash: value.pin ? await hashPin(value.pin) : null,
+        });
+
+        res.status(201).json({
+            message: "Profile created successfully",
+            profile: serializeProfile(profile),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Update a profile's name, avatar, maturity level or PIN (pin: null removes it)
+export const updateProfile = async (req, res) => {
+    try {
+        if (rejectIfProfileScoped(req, res)) return;
+
+        const { error, value } = updateProfileSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                message: "Validation error",
+                error: error.details.map((d) => d.message).join(", "),
+            });
+        }
+
+        const profile = await Profile.findOne({
+            where: { id: req.params.profileId, userId: req.userId },
+        });
+
+        if (!profile) {
+            return res.status(404).json({ message: "Profile not found" });
+        }
+
+        const changesMaturity = value.maturityLevel !== undefined || value.dateOfBirth !== undefined;
+        if (changesMaturity && (await rejectIfParentalPinInvalid(req, res, value.parentalPin))) return;
+
+        if (value.name !== undefined) profile.name = value.name;
+        if (value.avatar !== undefined) profile.avatar = value.avatar || null;
+        if (value.maturityLevel !== undefined) profile.maturityLevel = value.maturityLevel;
+        if (value.dateOfBirth !== undefined) profile.dateOfBirth = value.dateOfBirth;
+        if (value.pin !== undefined) profile.pinHash = value.pin ? await hashPin(value.pin) : null;
+        await profile.save();
+
+        res.status(200).json({
+            message: "Profile updated successfully",
+            profile: serializeProfile(profile),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Delete a profile along with its history, ratings and reviews
+export const deleteProfile = async (req, res) => {
+    try {
+        if (rejectIfProfileScoped(req, res)) return;
+
+        const profile = await Profile.findOne({
+            where: { id: req.params.profileId, userId: req.userId },
+        });
+
+        if (!profile) {
+            return res.status(404).json({ message: "Profile not found" });
+        }
+
+        await Promise.all([
+            WatchHistory.destroy({ where: { profileId: profile.id } }),
+            WatchlistItem.destroy({ where: { profileId: profile.id } }),
+            PlaybackProgress.destroy({ where: { profileId: profile.id } }),
+            Review.destroy({ where: { profileId: profile.id } }),
+            MovieRating.destroy({ where: { profileId: profile.id } }),
+        ]);
+        await profile.destroy();
+
+        // Devices still on this profile fall back to the account holder
+        const user = req.user;
+        user.activeDevices = (user.activeDevices || []).map((device) => {
+            if (!device || device.profileId !== profile.id) return device;
+            const { profileId, ...rest } = device;
+            return rest;
+        });
+        user.changed("activeDevices", true);
+        await user.save();
+
+        res.status(200).json({
+            message: "Profile deleted successfully",
+            profileId: profile.id,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== PROFILE SWITCHING ======
+
+// Issue an access token scoped to one profile for this device.
+// Moving to a profile that sees more than the current one needs the parental PIN
+export const switchProfile = async (req, res) => {
+    const { pin, parentalPin } = req.body;
+    try {
+        const profile = await Profile.findOne({
+            where: { id: req.params.profileId, userId: req.userId },
+        });
+
+        if (!profile) {
+            return res.status(404).json({ message: "Profile not found" });
+        }
+
+        if (profile.pinHash) {
+            const pinMatches = pin ? await bcrypt.compare(String(pin), profile.pinHash) : false;
+            if (!pinMatches) {
+                return res.status(403).json({
+                    message: pin ? "Incorrect PIN" : "This profile is PIN protected",
+                    code: pin ? "INVALID_PROFILE_PIN" : "PROFILE_PIN_REQUIRED",
+                });
+            }
+        }
+
+        const loosens = isLessStrict(getAllowedAge(req.user, profile), getAllowedAge(req.user, req.profile));
+        if (loosens && (await rejectIfParentalPinInvalid(req, res, parentalPin))) return;
+
+        const user = await User.findByPk(req.userId);
+        await setDeviceProfile(user, req.deviceId, profile.id);
+
+        res.status(200).json({
+            message: `Switched to ${profile.name}`,
+            token: signAccessToken(user, req.deviceId, { profileId: profile.id }),
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            profile: serializeProfile(profile),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Go back to the account holder on this device (needs the parental PIN when the lock is on)
+export const exitProfile = async (req, res) => {
+    try {
+        if (req.profileId && (await rejectIfParentalPinInvalid(req, res, req.body.parentalPin))) return;
+
+        const user = await User.findByPk(req.userId);
+        await setDeviceProfile(user, req.deviceId, null);
+
+        res.status(200).json({
+            message: "Switched to the account holder",
+            token: signAccessToken(user, req.deviceId),
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            profile: null,
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// ====== WATCH HISTORY ======
+
+// Watch history of the profile the token is scoped to (or the account holder)
+export const getWatchHistory = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const { count, rows } = await WatchHistory.findAndCountAll({
+            where: { userId: req.userId, profileId: req.profileId },
+            include: [
+                {
+                    model: Movie,
+                    as: "movie",
+                    attributes: ["id", "title", "slug", "poster", "contentType"],
+                },
+            ],
+            order: [["lastWatchedAt", "DESC"]],
+            offset: (pageNum - 1) * limitNum,
+            limit: limitNum,
+        });
+
+        res.status(200).json({
+            data: rows,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total: count,
+                pages: Math.ceil(count / limitNum),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
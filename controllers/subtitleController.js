@@ -0,0 +1,209 @@
+import path from "path";
+import Joi from "joi";
+import { Op } from "sequelize";
+import Movie from "../models/Movie.model.js";
+import SubtitleTrack from "../models/SubtitleTrack.model.js";
+import { uploadToB2, deleteFromB2 } from "../utils/backblazeB2.js";
+import { convertToWebVTT, getSubtitleTracks, serializeSubtitleTrack } from "../utils/subtitleHelper.js";
+import { findViewableMovie } from "../utils/viewerRestrictionHelper.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+const MAX_TRACKS_PER_MOVIE = 30;
+
+// ====== VALIDATION SCHEMAS ======
+
+// Multipart fields arrive as strings, hence the truthy/falsy lists
+const trackFields = {
+    language: Joi.string().trim().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/).messages({
+        "string.pattern.base": "Language must be a language code such as en, fr or rw",
+    }),
+    label: Joi.string().trim().min(1).max(60),
+    kind: Joi.string().valid("subtitles", "captions"),
+    isDefault: Joi.boolean().truthy("true", "1").falsy("false", "0"),
+    isForced: Joi.boolean().truthy("true", "1").falsy("false", "0"),
+};
+
+const createTrackSchema = Joi.object({
+    ...trackFields,
+    language: trackFields.language.required(),
+    label: trackFields.label.required(),
+    kind: trackFields.kind.default("subtitles"),
+    isDefault: trackFields.isDefault.default(false),
+    isForced: trackFields.isForced.default(false),
+});
+
+const updateTrackSchema = Joi.object(trackFields).min(1);
+
+const validationError = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+    });
+};
+
+// ====== HELPER FUNCTIONS ======
+
+// The movie, if the user may manage its tracks; otherwise responds and returns null
+const findManageableMovie = async (req, res) => {
+    const movie = await Movie.findByPk(req.params.movieId);
+    if (!movie) {
+        res.status(404).json({ success: false, message: "Content not found" });
+        return null;
+    }
+
+    if (movie.filmmakerId !== req.userId && !hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE)) {
+        res.status(403).json({ success: false, message: "Not authorized" });
+        return null;
+    }
+
+    return movie;
+};
+
+// Only one default track per movie
+const clearOtherDefaults = (movieId, trackId) => {
+    return SubtitleTrack.update(
+        { isDefault: false },
+        { where: { movieId, isDefault: true, ...(trackId && { id: { [Op.ne]: trackId } }) } }
+    );
+};
+
+// ====== SUBTITLE TRACKS ======
+
+/**
+ * Subtitle and caption tracks of a movie or episode
+ * GET /api/movies/:movieId/subtitles
+ */
+export const listSubtitles = async (req, res) => {
+    try {
+        const found = await findViewableMovie(req, req.params.movieId);
+        if (!found.success) {
+            return res.status(found.status).json(found.body);
+        }
+
+        res.status(200).json({ success: true, data: await getSubtitleTracks(found.movie.id) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Upload a track (.srt or .vtt, multipart field "subtitle").
+ * SRT is converted to WebVTT; malformed files are rejected with the failing cue.
+ * POST /api/movies/:movieId/subtitles
+ */
+export const uploadSubtitle = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "No subtitle file provided" });
+        }
+
+        const movie = await findManageableMovie(req, res);
+        if (!movie) return;
+
+        const { error, value } = createTrackSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const trackCount = await SubtitleTrack.count({ where: { movieId: movie.id } });
+        if (trackCount >= MAX_TRACKS_PER_MOVIE) {
+            return res.status(400).json({
+                success: false,
+                message: `A title can have at most ${MAX_TRACKS_PER_MOVIE} subtitle tracks`,
+            });
+        }
+
+        const converted = convertToWebVTT(req.file.buffer, req.file.originalname);
+        if (!converted.success) {
+            return res.status(400).json({ success: false, message: converted.message, code: converted.code });
+        }
+
+        const originalFormat = path.extname(req.file.originalname).toLowerCase() === ".vtt" ? "vtt" : "srt";
+        const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+
+        const uploadResult = await uploadToB2(Buffer.from(converted.vtt, "utf-8"), `${baseName}-${value.language}.vtt`, {
+            folder: movie.contentType === "episode" ? "series/subtitles" : "movies/subtitles",
+            mimeType: "text/vtt",
+        });
+
+        if (value.isDefault) await clearOtherDefaults(movie.id);
+
+        const track = await SubtitleTrack.create({
+            ...value,
+            language: value.language.toLowerCase(),
+            movieId: movie.id,
+            fileUrl: uploadResult.secure_url,
+            filePublicId: uploadResult.public_id,
+            originalFormat,
+            cueCount: converted.cueCount,
+            uploadedBy: req.userId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: originalFormat === "srt"
+                ? "Subtitle uploaded and converted to WebVTT"
+                : "Subtitle uploaded",
+            data: serializeSubtitleTrack(track),
+        });
+    } catch (error) {
+        console.error("Error in uploadSubtitle:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Change a track's language, label, kind, default or forced flag
+ * PATCH /api/movies/:movieId/subtitles/:trackId
+ */
+export const updateSubtitle = async (req, res) => {
+    try {
+        const movie = await findManageableMovie(req, res);
+        if (!movie) return;
+
+        const track = await SubtitleTrack.findOne({ where: { id: req.params.trackId, movieId: movie.id } });
+        if (!track) {
+            return res.status(404).json({ success: false, message: "Subtitle track not found" });
+        }
+
+        const { error, value } = updateTrackSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        if (value.language) value.language = value.language.toLowerCase();
+        if (value.isDefault) await clearOtherDefaults(movie.id, track.id);
+
+        await track.update(value);
+
+        res.status(200).json({
+            success: true,
+            message: "Subtitle track updated",
+            data: serializeSubtitleTrack(track),
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Remove a track and its file
+ * DELETE /api/movies/:movieId/subtitles/:trackId
+ */
+export const deleteSubtitle = async (req, res) => {
+    try {
+        const movie = await findManageableMovie(req, res);
+        if (!movie) return;
+
+        const track = await SubtitleTrack.findOne({ where: { id: req.params.trackId, movieId: movie.id } });
+        if (!track) {
+            return res.status(404).json({ success: false, message: "Subtitle track not found" });
+        }
+
+        if (track.filePublicId) {
+            await deleteFromB2(track.filePublicId);
+        }
+        await track.destroy();
+
+        res.status(200).json({ success: true, message: "Subtitle track deleted" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
@@ -0,0 +1,147 @@
+import Joi from "joi";
+import Movie from "../models/Movie.model.js";
+import MovieTranslation, { SUPPORTED_LOCALES } from "../models/MovieTranslation.model.js";
+import { serializeTranslation } from "../utils/translationHelper.js";
+import { findViewableMovie } from "../utils/viewerRestrictionHelper.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+// ====== VALIDATION SCHEMAS ======
+
+const translationSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().trim().allow("", null).max(10000),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(30).default([]),
+});
+
+// ====== HELPER FUNCTIONS ======
+
+// The movie, if the user may manage its translations; otherwise responds and returns null
+const findManageableMovie = async (req, res) => {
+    const movie = await Movie.findByPk(req.params.movieId);
+    if (!movie) {
+        res.status(404).json({ success: false, message: "Content not found" });
+        return null;
+    }
+
+    if (movie.filmmakerId !== req.userId && !hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE)) {
+        res.status(403).json({ success: false, message: "Not authorized" });
+        return null;
+    }
+
+    return movie;
+};
+
+// Responds 400 and returns null unless the :locale param is supported
+const parseLocaleParam = (req, res) => {
+    const locale = String(req.params.locale || "").toLowerCase();
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+        res.status(400).json({
+            success: false,
+            message: `Unsupported locale. Supported locales: ${SUPPORTED_LOCALES.join(", ")}`,
+        });
+        return null;
+    }
+    return locale;
+};
+
+// ====== TRANSLATIONS ======
+
+/**
+ * Every translation of a title, plus its original language
+ * GET /api/movies/:movieId/translations
+ */
+export const listTranslations = async (req, res) => {
+    try {
+        const found = await findViewableMovie(req, req.params.movieId, ["original_language"]);
+        if (!found.success) {
+            return res.status(found.status).json(found.body);
+        }
+        const { movie } = found;
+
+        const translations = await MovieTranslation.findAll({
+            where: { movieId: movie.id },
+            order: [["locale", "ASC"]],
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                originalLanguage: movie.original_language,
+                supportedLocales: SUPPORTED_LOCALES,
+                translations: translations.map(serializeTranslation),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Add or replace the title's metadata in one locale
+ * PUT /api/movies/:movieId/translations/:locale
+ * Body: { title, description?, tags? }
+ */
+export const upsertTranslation = async (req, res) => {
+    try {
+        const locale = parseLocaleParam(req, res);
+        if (!locale) return;
+
+        const movie = await findManageableMovie(req, res);
+        if (!movie) return;
+
+        if (movie.original_language === locale) {
+            return res.status(400).json({
+                success: false,
+                message: "This is the title's original language; update the title itself instead",
+            });
+        }
+
+        const { error, value } = translationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation error",
+                error: error.details.map((d) => d.message).join(", "),
+            });
+        }
+
+        const existing = await MovieTranslation.findOne({ where: { movieId: movie.id, locale } });
+        const fields = { ...value, description: value.description || null, translatedBy: req.userId };
+
+        const translation = existing
+            ? await existing.update(fields)
+            : await MovieTranslation.create({ ...fields, movieId: movie.id, locale });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? "Translation updated" : "Translation added",
+            data: serializeTranslation(translation),
+        });
+    } catch (error) {
+        console.error("Error in upsertTranslation:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Remove a translation; the title falls back to its original metadata in that locale
+ * DELETE /api/movies/:movieId/translations/:locale
+ */
+export const deleteTranslation = async (req, res) => {
+    try {
+        const locale = parseLocaleParam(req, res);
+        if (!locale) return;
+
+        const movie = await findManageableMovie(req, res);
+        if (!movie) return;
+
+        const deleted = await MovieTranslation.destroy({ where: { movieId: movie.id, locale } });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: "Translation not found" });
+        }
+
+        res.status(200).json({ success: true, message: "Translation deleted" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
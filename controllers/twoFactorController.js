@@ -0,0 +1,199 @@
+import User from "../models/User.modal.js";
+import {
+    generateTotpSecret,
+    encryptTotpSecret,
+    decryptTotpSecret,
+    verifyTotpCode,
+    buildOtpAuthUrl,
+    generateRecoveryCodes,
+    verifyUserTotp
+} from "../utils/totpHelper.js";
+import { SECURITY_EVENT_TYPES, recordSecurityEvent } from "../utils/securityEventHelper.js";
+
+// Get two-factor status for the current user
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.status(200).json({
+            totpEnabled: user.totpEnabled,
+            totpRequired: user.totpRequired,
+            enabledAt: user.totpEnabledAt,
+            remainingRecoveryCodes: Array.isArray(user.totpRecoveryCodes) ? user.totpRecoveryCodes.length : 0
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Enrollment - Step 1: Generate a secret and provisioning URI for the QR code
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.totpEnabled) {
+            return res.status(400).json({
+                message: "Authenticator app is already enabled. Disable it first to enroll a new device."
+            });
+        }
+
+        const secret = generateTotpSecret();
+        user.totpPendingSecret = encryptTotpSecret(secret);
+        await user.save();
+
+        res.status(200).json({
+            message: "Scan the QR code with your authenticator app, then confirm with a code",
+            secret,
+            otpauthUrl: buildOtpAuthUrl(user.email, secret)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Enrollment - Step 2: Confirm with a first code and hand out recovery codes
+export const enableTwoFactor = async (req, res) => {
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({ message: "Authenticator code is required" });
+        }
+
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.totpPendingSecret) {
+            return res.status(400).json({
+                message: "No enrollment in progress. Start the setup again.",
+                code: "TOTP_SETUP_NOT_STARTED"
+            });
+        }
+
+        const secret = decryptTotpSecret(user.totpPendingSecret);
+        const result = verifyTotpCode(secret, code);
+        if (!result.success) {
+            return res.status(400).json({
+                message: "Invalid authenticator code",
+                code: result.code
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.totpSecret = user.totpPendingSecret;
+        user.totpPendingSecret = null;
+        user.totpEnabled = true;
+        user.totpEnabledAt = new Date();
+        user.totpLastUsedStep = result.step;
+        user.totpRecoveryCodes = hashes;
+        user.changed('totpRecoveryCodes', true);
+        await user.save();
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED, { userId: user.id });
+
+        res.status(200).json({
+            message: "Authenticator app enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Disable TOTP (not allowed when an admin requires it)
+export const disableTwoFactor = async (req, res) => {
+    const { code, recoveryCode } = req.body;
+    try {
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ message: "Authenticator code or recovery code is required" });
+        }
+
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.totpRequired) {
+            return res.status(403).json({
+                message: "Two-factor authentication is required for your account and cannot be disabled",
+                code: "TOTP_REQUIRED"
+            });
+        }
+
+        const verification = await verifyUserTotp(user, { code, recoveryCode });
+        if (!verification.success) {
+            return res.status(400).json({
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        user.totpEnabled = false;
+        user.totpSecret = null;
+        user.totpPendingSecret = null;
+        user.totpEnabledAt = null;
+        user.totpLastUsedStep = null;
+        user.totpRecoveryCodes = [];
+        user.changed('totpRecoveryCodes', true);
+        await user.save();
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED, {
+            userId: user.id,
+            metadata: { method: recoveryCode ? "recovery_code" : "totp" }
+        });
+
+        res.status(200).json({ message: "Authenticator app disabled. Login codes will be sent by email." });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Replace all recovery codes
+export const regenerateRecoveryCodes = async (req, res) => {
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({ message: "Authenticator code is required" });
+        }
+
+        const user = await User.findByPk(req.userId);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const verification = await verifyUserTotp(user, { code });
+        if (!verification.success) {
+            return res.status(400).json({
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.totpRecoveryCodes = hashes;
+        user.changed('totpRecoveryCodes', true);
+        await user.save();
+
+        await recordSecurityEvent(req, SECURITY_EVENT_TYPES.RECOVERY_CODES_REGENERATED, { userId: user.id });
+
+        res.status(200).json({
+            message: "New recovery codes generated. Previous codes no longer work.",
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
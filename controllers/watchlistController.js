@@ -0,0 +1,222 @@
+import Joi from "joi";
+import sequelize from "../config/database.js";
+import Movie from "../models/Movie.model.js";
+import WatchlistItem from "../models/WatchlistItem.model.js";
+import { clearUrl } from "../utils/backblazeB2.js";
+import { getAllowedAge, isAllowedForAge, ageRestrictedResponse } from "../utils/parentalControlHelper.js";
+import { getRequestLocale, localizeMovies } from "../utils/translationHelper.js";
+import { getAvailability, serializeWatchlistItem, watchlistOwner } from "../utils/watchlistHelper.js";
+
+const MAX_WATCHLIST_ITEMS = 500;
+
+const WATCHLIST_MOVIE_ATTRIBUTES = [
+    "id", "title", "slug", "description", "poster", "backdrop", "contentType", "status",
+    "viewPrice", "currency", "release_date", "avgRating", "categories", "tags",
+    "ageRestriction", "original_language",
+];
+
+// ====== VALIDATION SCHEMAS ======
+
+const addSchema = Joi.object({
+    movieId: Joi.string().guid().required(),
+});
+
+const reorderSchema = Joi.object({
+    movieIds: Joi.array().items(Joi.string().guid()).unique().min(1).max(MAX_WATCHLIST_ITEMS).required(),
+});
+
+const validationError = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.details.map((d) => d.message).join(", "),
+    });
+};
+
+// ====== WATCHLIST ======
+
+/**
+ * The viewer's list in their chosen order, with price-drop and "now available" flags.
+ * ?filter=priceDropped or ?filter=nowAvailable narrows it to flagged titles.
+ * GET /api/watchlist
+ */
+export const getWatchlist = async (req, res) => {
+    try {
+        const items = await WatchlistItem.findAll({
+            where: watchlistOwner(req),
+            include: [{ model: Movie, as: "movie", attributes: WATCHLIST_MOVIE_ATTRIBUTES }],
+            order: [["position", "ASC"], ["createdAt", "ASC"]],
+        });
+
+        const listed = items.filter((item) => item.movie);
+        const [movies, availability] = await Promise.all([
+            localizeMovies(listed.map((item) => item.movie), getRequestLocale(req)),
+            getAvailability(listed.map((item) => item.movie)),
+        ]);
+
+        let entries = listed.map((item, index) => serializeWatchlistItem(
+            item,
+            { ...movies[index], poster: clearUrl(movies[index].poster), backdrop: clearUrl(movies[index].backdrop) },
+            availability.get(item.movieId)
+        ));
+
+        const counts = {
+            total: entries.length,
+            priceDropped: entries.filter((entry) => entry.priceDropped).length,
+            nowAvailable: entries.filter((entry) => entry.nowAvailable).length,
+        };
+
+        if (req.query.filter === "priceDropped" || req.query.filter === "nowAvailable") {
+            entries = entries.filter((entry) => entry[req.query.filter]);
+        }
+
+        res.vary("Accept-Language");
+        res.status(200).json({ success: true, data: entries, counts });
+    } catch (error) {
+        console.error("Error in getWatchlist:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Save a movie or a whole series (not single episodes) at the end of the list
+ * POST /api/watchlist
+ * Body: { movieId }
+ */
+export const addToWatchlist = async (req, res) => {
+    try {
+        const { error, value } = addSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const movie = await Movie.findOne({ where: { id: value.movieId, status: "approved" } });
+        if (!movie) {
+            return res.status(404).json({ success: false, message: "Content not found" });
+        }
+
+        if (movie.contentType === "episode") {
+            return res.status(400).json({
+                success: false,
+                message: "Episodes can't be added on their own; add the series instead",
+                seriesId: movie.seriesId,
+            });
+        }
+
+        const allowedAge = getAllowedAge(req.user, req.profile);
+        if (!(await isAllowedForAge(movie, allowedAge))) {
+            return res.status(403).json(ageRestrictedResponse(allowedAge));
+        }
+
+        const owner = watchlistOwner(req);
+        const available = (await getAvailability([movie])).get(movie.id);
+        const summary = { id: movie.id, title: movie.title, slug: movie.slug, viewPrice: movie.viewPrice };
+
+        const where = { ...owner, movieId: movie.id };
+        const itemCount = await WatchlistItem.count({ where: owner });
+        if (itemCount >= MAX_WATCHLIST_ITEMS && !(await WatchlistItem.findOne({ where }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Your watchlist can hold at most ${MAX_WATCHLIST_ITEMS} titles`,
+            });
+        }
+
+        // The unique owner/title index makes a double-submitted add find the first row
+        const lastPosition = await WatchlistItem.max("position", { where: owner });
+        const [item, created] = await WatchlistItem.findOrCreate({
+            where,
+            defaults: {
+                position: Number.isFinite(lastPosition) ? lastPosition + 1 : 0,
+                priceAtAdd: movie.viewPrice,
+                availableAtAdd: available,
+            },
+        });
+        if (!created) {
+            return res.status(200).json({
+                success: true,
+                message: "Already on your watchlist",
+                data: serializeWatchlistItem(item, summary, available),
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "Added to your watchlist",
+            data: serializeWatchlistItem(item, summary, available),
+        });
+    } catch (error) {
+        console.error("Error in addToWatchlist:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * DELETE /api/watchlist/:movieId
+ */
+export const removeFromWatchlist = async (req, res) => {
+    try {
+        if (Joi.string().guid().validate(req.params.movieId).error) {
+            return res.status(404).json({ success: false, message: "Not on your watchlist" });
+        }
+
+        const deleted = await WatchlistItem.destroy({
+            where: { ...watchlistOwner(req), movieId: req.params.movieId },
+        });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: "Not on your watchlist" });
+        }
+
+        res.status(200).json({ success: true, message: "Removed from your watchlist" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * Reorder the list. The given titles move to the top in that order; the rest
+ * keep their relative order after them, so a client can send just what moved.
+ * PUT /api/watchlist/order
+ * Body: { movieIds: [...] }
+ */
+export const reorderWatchlist = async (req, res) => {
+    try {
+        const { error, value } = reorderSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const items = await WatchlistItem.findAll({
+            where: watchlistOwner(req),
+            order: [["position", "ASC"], ["createdAt", "ASC"]],
+        });
+
+        const byMovie = new Map(items.map((item) => [item.movieId, item]));
+        const unknown = value.movieIds.filter((movieId) => !byMovie.has(movieId));
+        if (unknown.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Some titles are not on your watchlist",
+                movieIds: unknown,
+            });
+        }
+
+        const moved = new Set(value.movieIds);
+        const ordered = [
+            ...value.movieIds.map((movieId) => byMovie.get(movieId)),
+            ...items.filter((item) => !moved.has(item.movieId)),
+        ];
+
+        await sequelize.transaction(async (transaction) => {
+            for (const [position, item] of ordered.entries()) {
+                if (item.position !== position) {
+                    await item.update({ position }, { transaction });
+                }
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Watchlist reordered",
+            data: ordered.map((item, position) => ({ movieId: item.movieId, position })),
+        });
+    } catch (error) {
+        console.error("Error in reorderWatchlist:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
@@ -1,6 +1,15 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.modal.js"; // Make sure this path is correct
+import Profile from "../models/Profile.model.js";
 import crypto from "crypto";
+import { getRolesWithPermissions, hasPermission, PERMISSIONS } from "../config/permissions.js";
+import {
+  IMPERSONATION_SAFE_METHODS,
+  findActiveImpersonation,
+  logImpersonatedRequest
+} from "../utils/impersonationHelper.js";
+import { findApiKey, readApiKeyFromRequest, trackApiKeyUsage } from "../utils/apiKeyHelper.js";
+import { getDeviceInfo } from "../utils/deviceHelper.js";
 
 /**
  * Generate a unique device ID based on user-agent and IP
@@ -14,9 +23,101 @@ export const generateDeviceId = (req) => {
 };
 
 /**
- * Authenticate JWT token and attach user info to request
+ * Check that a device is still listed in the user's active devices
+ * @param {User} user
+ * @param {string} deviceId
+ * @returns boolean
+ */
+const isDeviceActive = (user, deviceId) => {
+  return Boolean(deviceId) && Array.isArray(user.activeDevices) && user.activeDevices.some(
+    (device) => device && device.deviceId === deviceId
+  );
+};
+
+/**
+ * Load the household profile a token is scoped to, if any
+ * @param {User} user
+ * @param {string} profileId
+ * @returns Profile | null
+ */
+const loadTokenProfile = async (user, profileId) => {
+  if (!profileId) return null;
+  return Profile.findOne({ where: { id: profileId, userId: user.id } });
+};
+
+/**
+ * Validate a "view as user" token: its session must be open, and the admin who
+ * started it must still be an admin signed in on the device it was issued to
+ * @param {object} decoded
+ * @returns {{ impersonation?: object, error?: object }}
  */
-export const authenticateToken = async (req, res, next) => {
+const loadImpersonation = async (decoded) => {
+  const result = await findActiveImpersonation(decoded);
+  if (!result.success) {
+    return { error: { message: result.message, code: result.code } };
+  }
+
+  const admin = await User.findByPk(result.session.adminId);
+  const canImpersonate = admin && hasPermission(admin.role, PERMISSIONS.USERS_IMPERSONATE);
+  if (!canImpersonate || admin.isBlocked || !isDeviceActive(admin, decoded.deviceId)) {
+    return {
+      error: { message: "Impersonation session is no longer valid", code: "IMPERSONATION_INVALID" }
+    };
+  }
+
+  return {
+    impersonation: {
+      sessionId: result.session.id,
+      adminId: admin.id,
+      adminName: admin.name,
+      adminEmail: admin.email,
+      startedAt: result.session.startedAt,
+      expiresAt: result.session.expiresAt
+    }
+  };
+};
+
+/**
+ * Mark an impersonated request, audit it, and refuse anything that writes
+ * @returns boolean true when the request was rejected
+ */
+const applyImpersonation = (req, res, impersonation) => {
+  req.impersonation = impersonation;
+  req.user.impersonatedBy = impersonation;
+  res.set("X-Impersonation-Session", impersonation.sessionId);
+
+  res.on("finish", () => {
+    logImpersonatedRequest(impersonation.sessionId, {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      at: new Date()
+    });
+  });
+
+  if (!IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+    res.status(403).json({
+      message: "Impersonation sessions are read-only",
+      code: "IMPERSONATION_READ_ONLY"
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Accounts an admin has required to use an authenticator app, but which have
+ * not enrolled one yet
+ * @param {User} user
+ * @returns boolean
+ */
+const isAwaitingTwoFactorEnrollment = (user) => Boolean(user.totpRequired && !user.totpEnabled);
+
+/**
+ * Verify the bearer token and attach user info to request. Until a required
+ * authenticator app is enrolled, the token only opens the enrollment endpoints.
+ */
+const authenticateRequest = async (req, res, next, { allowPendingEnrollment = false } = {}) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -32,27 +133,56 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: "User not found" });
     }
 
-    // Check if token matches any active device
-    const deviceExists = user.activeDevices.some(
-      (device) => device.token === token
-    );
-    if (!deviceExists) {
-      return res
-        .status(401)
-        .json({ message: "Invalid or expired token for this device" });
+    // Impersonation tokens live on the admin's device instead of the user's
+    let impersonation = null;
+    if (decoded.impersonationSessionId) {
+      const result = await loadImpersonation(decoded);
+      if (result.error) {
+        return res.status(401).json(result.error);
+      }
+      impersonation = result.impersonation;
+    } else {
+      // Access tokens are short-lived; the device they were issued to must still be signed in
+      const deviceExists = isDeviceActive(user, decoded.deviceId);
+      if (!deviceExists) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired token for this device" });
+      }
+    }
+
+    // Profile-scoped tokens stop working once the profile is deleted
+    const profile = await loadTokenProfile(user, decoded.profileId);
+    if (decoded.profileId && !profile) {
+      return res.status(401).json({
+        message: "This profile no longer exists. Please select another profile.",
+        code: "PROFILE_NOT_FOUND"
+      });
+    }
+
+    if (!impersonation && !allowPendingEnrollment && isAwaitingTwoFactorEnrollment(user)) {
+      return res.status(403).json({
+        message: "Set up an authenticator app to continue",
+        code: "TWO_FACTOR_SETUP_REQUIRED"
+      });
     }
 
     req.userId = user.id;
     req.userRole = user.role;
     req.deviceId = decoded.deviceId;
     req.user = user; // Attach full user object for convenience
+    req.profileId = profile ? profile.id : null;
+    req.profile = profile;
+    req.impersonation = null;
+
+    if (impersonation && applyImpersonation(req, res, impersonation)) return;
 
     next();
   } catch (error) {
     console.error("Authentication error:", error.message);
     
     if (error.name === "TokenExpiredError") {
-      return res.status(403).json({ message: "Token expired" });
+      return res.status(403).json({ message: "Token expired", code: "TOKEN_EXPIRED" });
     } else if (error.name === "JsonWebTokenError") {
       return res.status(403).json({ message: "Invalid token" });
     } else {
@@ -61,6 +191,99 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate JWT token and attach user info to request
+ */
+export const authenticateToken = (req, res, next) => authenticateRequest(req, res, next);
+
+/**
+ * Like authenticateToken, but also lets in accounts that still have to enroll
+ * an authenticator app. Only for the endpoints that complete enrollment.
+ */
+export const authenticateForEnrollment = (req, res, next) =>
+  authenticateRequest(req, res, next, { allowPendingEnrollment: true });
+
+/**
+ * Authenticate a partner API key (server-to-server, no user or device) holding
+ * every listed scope, and apply the key's per-minute rate limit.
+ * e.g. authenticateApiKey(API_KEY_SCOPES.CATALOG_READ)
+ */
+export const authenticateApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const key = readApiKeyFromRequest(req);
+
+    if (!key) {
+      return res.status(401).json({ message: "API key required", code: "API_KEY_REQUIRED" });
+    }
+
+    try {
+      const result = await findApiKey(key);
+      if (!result.success) {
+        return res.status(401).json({ message: result.message, code: result.code });
+      }
+
+      const { apiKey } = result;
+      const granted = apiKey.scopes || [];
+      const missing = scopes.filter((scope) => !granted.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: "This API key is not allowed to use this endpoint",
+          code: "API_KEY_SCOPE_MISSING",
+          requiredScopes: missing
+        });
+      }
+
+      const usage = await trackApiKeyUsage(apiKey, getDeviceInfo(req).ipAddress);
+      res.set("X-RateLimit-Limit", String(usage.limit));
+      res.set("X-RateLimit-Remaining", String(usage.remaining));
+      res.set("X-RateLimit-Reset", String(Math.ceil(usage.resetAt.getTime() / 1000)));
+
+      if (usage.limited) {
+        res.set("Retry-After", String(usage.retryAfter));
+        return res.status(429).json({
+          message: `Rate limit of ${usage.limit} requests per minute exceeded`,
+          code: "API_KEY_RATE_LIMITED",
+          retryAfter: usage.retryAfter
+        });
+      }
+
+      req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: granted };
+      next();
+    } catch (error) {
+      console.error("API key authentication error:", error.message);
+      return res.status(500).json({ message: "Server error during authentication" });
+    }
+  };
+};
+
+/**
+ * Keep impersonation tokens away from endpoints that hand out the user's data
+ * wholesale (exports, secrets), even though they are read-only
+ */
+export const rejectImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      message: "Not available while viewing as another user",
+      code: "IMPERSONATION_FORBIDDEN"
+    });
+  }
+  next();
+};
+
+/**
+ * Block accounts that an admin has required to use an authenticator app
+ * until they finish enrolling
+ */
+export const requireTwoFactorEnrollment = (req, res, next) => {
+  if (req.user && isAwaitingTwoFactorEnrollment(req.user)) {
+    return res.status(403).json({
+      message: "Set up an authenticator app to continue",
+      code: "TWO_FACTOR_SETUP_REQUIRED"
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to allow only admin users
  */
@@ -68,7 +291,7 @@ export const requireAdmin = (req, res, next) => {
   if (req.userRole !== "admin") {
     return res.status(403).json({ message: "Admin access required" });
   }
-  next();
+  requireTwoFactorEnrollment(req, res, next);
 };
 
 /**
@@ -285,6 +508,20 @@ export const requireRole = (...allowedRoles) => {
   };
 };
 
+/**
+ * Permission-based authorization for staff (see config/permissions.js).
+ * Allows the roles holding every listed permission, then applies the same
+ * two-factor enrollment check as requireAdmin.
+ * e.g. requirePermission(PERMISSIONS.WITHDRAWALS_PROCESS)
+ */
+export const requirePermission = (...permissions) => {
+  const checkRole = requireRole(...getRolesWithPermissions(...permissions));
+
+  return (req, res, next) => {
+    checkRole(req, res, () => requireTwoFactorEnrollment(req, res, next));
+  };
+};
+
 /**
  * Optional authentication: if a valid token is present, attach `req.user`.
  * If no token or token is invalid, do NOT return 401 — just continue without user.
@@ -300,16 +537,31 @@ export const optionalAuthenticate = async (req, res, next) => {
     const user = await User.findByPk(decoded.userId);
     if (!user) return next();
 
-    // Ensure token matches an active device for this user
-    const deviceExists = Array.isArray(user.activeDevices) && user.activeDevices.some(
-      (device) => device.token === token
-    );
-    if (!deviceExists) return next();
+    let impersonation = null;
+    if (decoded.impersonationSessionId) {
+      const result = await loadImpersonation(decoded);
+      if (result.error) return next();
+      impersonation = result.impersonation;
+    } else if (!isDeviceActive(user, decoded.deviceId)) {
+      // Ensure the token's device is still signed in for this user
+      return next();
+    }
+
+    // A session still waiting on authenticator enrollment browses anonymously
+    if (!impersonation && isAwaitingTwoFactorEnrollment(user)) return next();
+
+    const profile = await loadTokenProfile(user, decoded.profileId);
+    if (decoded.profileId && !profile) return next();
 
     req.userId = user.id;
     req.userRole = user.role;
     req.deviceId = decoded.deviceId;
     req.user = user;
+    req.profileId = profile ? profile.id : null;
+    req.profile = profile;
+    req.impersonation = null;
+
+    if (impersonation && applyImpersonation(req, res, impersonation)) return;
 
     next();
   } catch (error) {
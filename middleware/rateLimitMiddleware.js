@@ -0,0 +1,174 @@
+import { getClientIp } from "../utils/deviceHelper.js";
+import { normalizePhoneNumber } from "../utils/phoneHelper.js";
+import { reserveAttempt, releaseAttempt, clearAttempts } from "../utils/rateLimiter.js";
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  accountField: null, // body field identifying the account, e.g. "email"
+  accountFromRequest: null, // (req) => account, for endpoints behind authentication
+  normalizeAccount: (value) => String(value).trim().toLowerCase(), // so spelling variants share one counter
+  maxAttempts: 5, // per account within the window
+  ipMaxAttempts: 20, // per client IP within the window
+  windowMs: 15 * MINUTE,
+  baseLockMs: 1 * MINUTE,
+  maxLockMs: 60 * MINUTE,
+  countAll: false, // true: every request counts (sends, lookups); false: only failures
+  failureStatuses: [401],
+  clearOnSuccess: true, // false: a success only gives its attempt back
+};
+
+/**
+ * Throttle an auth endpoint per client IP and per account.
+ * Every request reserves an attempt before it reaches the handler, so parallel
+ * requests can't race past the limit; once the response is sent, attempts whose
+ * outcome doesn't count are given back. Handlers stay unaware of the limiter.
+ */
+export const authRateLimit = (scope, options = {}) => {
+  const config = { ...DEFAULT_LIMITS, ...options };
+
+  return async (req, res, next) => {
+    const ip = getClientIp(req);
+    const rawAccount = config.accountFromRequest
+      ? config.accountFromRequest(req)
+      : config.accountField ? req.body?.[config.accountField] : null;
+    const account = rawAccount ? config.normalizeAccount(rawAccount) || null : null;
+
+    const subjects = [{ type: "ip", value: ip, maxAttempts: config.ipMaxAttempts }];
+    if (account) {
+      subjects.push({ type: "account", value: account, maxAttempts: config.maxAttempts });
+    }
+
+    const reserved = [];
+    try {
+      for (const subject of subjects) {
+        const status = await reserveAttempt(scope, subject.type, subject.value, {
+          maxAttempts: subject.maxAttempts,
+          windowMs: config.windowMs,
+          baseLockMs: config.baseLockMs,
+          maxLockMs: config.maxLockMs,
+        });
+        if (status.locked) {
+          res.set("Retry-After", String(status.retryAfter));
+          return res.status(429).json({
+            message: `Too many attempts. Please try again in ${Math.ceil(status.retryAfter / 60)} minute(s).`,
+            code: "TOO_MANY_ATTEMPTS",
+            retryAfter: status.retryAfter,
+            lockedUntil: status.lockedUntil,
+          });
+        }
+        reserved.push(subject);
+      }
+    } catch (error) {
+      // Never lock users out because the limiter itself failed
+      console.error("Rate limit check error:", error.message);
+      return next();
+    }
+
+    res.on("finish", () => {
+      const counted = config.countAll || config.failureStatuses.includes(res.statusCode);
+      if (counted) return;
+
+      for (const subject of reserved) {
+        // A successful sign-in wipes the account's slate instead
+        const release = subject.type === "account" && config.clearOnSuccess && res.statusCode < 300
+          ? clearAttempts(scope, subject.type, subject.value)
+          : releaseAttempt(scope, subject.type, subject.value);
+        release.catch((error) => console.error("Rate limit release error:", error.message));
+      }
+    });
+
+    next();
+  };
+};
+
+// ====== PRESETS FOR AUTH ENDPOINTS ======
+
+export const loginRateLimit = authRateLimit("login", { accountField: "email" });
+
+export const verifyOtpRateLimit = authRateLimit("verify-otp", { accountField: "email" });
+
+export const resendOtpRateLimit = authRateLimit("resend-otp", {
+  accountField: "email",
+  countAll: true,
+  maxAttempts: 3,
+  ipMaxAttempts: 10,
+  windowMs: 10 * MINUTE,
+});
+
+export const checkEmailRateLimit = authRateLimit("check-email", {
+  countAll: true,
+  ipMaxAttempts: 20,
+  windowMs: 10 * MINUTE,
+});
+
+export const forgotPasswordRateLimit = authRateLimit("forgot-password", {
+  accountField: "email",
+  countAll: true,
+  maxAttempts: 3,
+  ipMaxAttempts: 10,
+  windowMs: 60 * MINUTE,
+});
+
+export const magicLinkRateLimit = authRateLimit("magic-link", {
+  accountField: "email",
+  countAll: true,
+  maxAttempts: 3,
+  ipMaxAttempts: 10,
+  windowMs: 60 * MINUTE,
+});
+
+export const verifyMagicLinkRateLimit = authRateLimit("verify-magic-link", { accountField: "email" });
+
+// A wrong or spent reset token answers 400
+export const resetPasswordRateLimit = authRateLimit("reset-password", {
+  accountField: "email",
+  failureStatuses: [400],
+});
+
+export const verifyEmailRateLimit = authRateLimit("verify-email", {
+  accountField: "email",
+  failureStatuses: [400, 404],
+});
+
+// Like refresh tokens, the Google sign-in code carries no account identifier
+export const googleLoginCodeRateLimit = authRateLimit("google-login-code", {
+  ipMaxAttempts: 10,
+});
+
+// Refresh tokens carry no account identifier, so only the client IP is throttled
+export const refreshTokenRateLimit = authRateLimit("refresh", {
+  ipMaxAttempts: 30,
+});
+
+// Each request sends an SMS, so every one counts
+export const phoneOtpRateLimit = authRateLimit("phone-otp", {
+  accountField: "phoneNumber",
+  normalizeAccount: normalizePhoneNumber,
+  countAll: true,
+  maxAttempts: 3,
+  ipMaxAttempts: 10,
+  windowMs: 10 * MINUTE,
+});
+
+export const verifyPhoneOtpRateLimit = authRateLimit("verify-phone-otp", {
+  accountField: "phoneNumber",
+  normalizeAccount: normalizePhoneNumber,
+});
+
+export const resendVerificationRateLimit = authRateLimit("resend-verification", {
+  accountField: "email",
+  countAll: true,
+  maxAttempts: 3,
+  ipMaxAttempts: 10,
+  windowMs: 60 * MINUTE,
+});
+
+// PINs are a few digits, so wrong guesses also lock the account whatever IP they
+// come from. Switching to a profile without a PIN succeeds, so success doesn't reset it
+export const profilePinRateLimit = authRateLimit("profile-pin", {
+  accountFromRequest: (req) => req.userId,
+  ipMaxAttempts: 10,
+  failureStatuses: [403],
+  clearOnSuccess: false,
+});
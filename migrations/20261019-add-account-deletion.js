@@ -0,0 +1,31 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('Users', 'deletionRequestedAt', { type: Sequelize.DATE });
+  await queryInterface.addColumn('Users', 'deletionScheduledFor', { type: Sequelize.DATE });
+
+  // Payments outlive the buyer's account, so the owner reference must be nullable
+  await queryInterface.changeColumn('Payments', 'userId', { type: Sequelize.UUID, allowNull: true });
+  await queryInterface.addColumn('Payments', 'anonymizedAt', { type: Sequelize.DATE });
+
+  // A purged filmmaker's titles are detached rather than cascaded away with the account
+  await queryInterface.sequelize.query('ALTER TABLE "Movies" DROP CONSTRAINT IF EXISTS "Movies_filmmakerId_fkey"');
+  await queryInterface.changeColumn('Movies', 'filmmakerId', { type: Sequelize.UUID, allowNull: true });
+  await queryInterface.addConstraint('Movies', {
+    fields: ['filmmakerId'],
+    type: 'foreign key',
+    name: 'Movies_filmmakerId_fkey',
+    references: { table: 'Users', field: 'id' },
+    onDelete: 'SET NULL'
+  });
+
+  await queryInterface.addIndex('Users', ['deletionScheduledFor']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeIndex('Users', ['deletionScheduledFor']);
+  await queryInterface.sequelize.query('ALTER TABLE "Movies" DROP CONSTRAINT IF EXISTS "Movies_filmmakerId_fkey"');
+  await queryInterface.changeColumn('Movies', 'filmmakerId', { type: Sequelize.UUID, allowNull: false });
+  await queryInterface.removeColumn('Payments', 'anonymizedAt');
+  await queryInterface.changeColumn('Payments', 'userId', { type: Sequelize.UUID, allowNull: false });
+  await queryInterface.removeColumn('Users', 'deletionScheduledFor');
+  await queryInterface.removeColumn('Users', 'deletionRequestedAt');
+}
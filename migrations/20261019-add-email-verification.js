@@ -0,0 +1,27 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('Users', 'emailVerified', { type: Sequelize.BOOLEAN, defaultValue: false });
+  await queryInterface.addColumn('Users', 'emailVerifiedAt', { type: Sequelize.DATE });
+
+  // Accounts created before verification existed keep working
+  await queryInterface.sequelize.query(
+    'UPDATE "Users" SET "emailVerified" = true, "emailVerifiedAt" = "createdAt"'
+  );
+
+  await queryInterface.createTable('EmailVerifications', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    email: { type: Sequelize.STRING, allowNull: false },
+    tokenHash: { type: Sequelize.STRING, allowNull: false },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('EmailVerifications', ['email']);
+  await queryInterface.addIndex('EmailVerifications', ['tokenHash']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('EmailVerifications');
+  await queryInterface.removeColumn('Users', 'emailVerified');
+  await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+}
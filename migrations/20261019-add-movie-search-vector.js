@@ -0,0 +1,16 @@
+import { installMovieSearchTrigger } from '../utils/movieSearchHelper.js';
+
+// Weighted full-text search over title, tags, categories and description
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('Movies', 'searchVector', { type: Sequelize.TSVECTOR });
+  await queryInterface.addIndex('Movies', ['searchVector'], { using: 'GIN' });
+
+  // Creates the trigger and fills existing rows
+  await installMovieSearchTrigger(queryInterface);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS movies_search_vector_trigger ON "Movies";');
+  await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS movies_search_vector_update();');
+  await queryInterface.removeColumn('Movies', 'searchVector');
+}
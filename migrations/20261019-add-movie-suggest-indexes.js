@@ -0,0 +1,14 @@
+import { installMovieSuggestIndexes } from '../utils/movieSearchHelper.js';
+
+// pg_trgm indexes for typo-tolerant autocomplete over titles, tags and filmmaker names
+export async function up(queryInterface) {
+  await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+  await installMovieSuggestIndexes(queryInterface);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS movies_title_trgm_idx;');
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS movies_tags_trgm_idx;');
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS users_name_trgm_idx;');
+  await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS movie_tags_text(varchar[]);');
+}
@@ -0,0 +1,24 @@
+export async function up(queryInterface, Sequelize) {
+  // Phone-only accounts have no email address
+  await queryInterface.changeColumn('Users', 'email', { type: Sequelize.STRING, allowNull: true });
+  await queryInterface.addColumn('Users', 'phoneNumber', { type: Sequelize.STRING, unique: true });
+  await queryInterface.addColumn('Users', 'phoneVerified', { type: Sequelize.BOOLEAN, defaultValue: false });
+  await queryInterface.addColumn('Users', 'phoneVerifiedAt', { type: Sequelize.DATE });
+
+  await queryInterface.changeColumn('OTPs', 'email', { type: Sequelize.STRING, allowNull: true });
+  await queryInterface.addColumn('OTPs', 'phoneNumber', { type: Sequelize.STRING });
+  await queryInterface.addColumn('OTPs', 'pendingSignup', { type: Sequelize.JSON });
+  await queryInterface.addIndex('OTPs', ['phoneNumber']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('OTPs', 'pendingSignup');
+  await queryInterface.removeColumn('OTPs', 'phoneNumber');
+  await queryInterface.sequelize.query('DELETE FROM "OTPs" WHERE "email" IS NULL');
+  await queryInterface.changeColumn('OTPs', 'email', { type: Sequelize.STRING, allowNull: false });
+
+  await queryInterface.removeColumn('Users', 'phoneVerifiedAt');
+  await queryInterface.removeColumn('Users', 'phoneVerified');
+  await queryInterface.removeColumn('Users', 'phoneNumber');
+  await queryInterface.changeColumn('Users', 'email', { type: Sequelize.STRING, allowNull: false });
+}
@@ -0,0 +1,13 @@
+// Staff roles for permission-based admin access (config/permissions.js)
+export async function up(queryInterface) {
+  for (const role of ['moderator', 'finance', 'support']) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_Users_role" ADD VALUE IF NOT EXISTS '${role}';`);
+  }
+}
+
+// Postgres cannot drop enum values; demote staff so the extra values go unused
+export async function down(queryInterface) {
+  await queryInterface.sequelize.query(
+    `UPDATE "Users" SET "role" = 'viewer' WHERE "role" IN ('moderator', 'finance', 'support');`
+  );
+}
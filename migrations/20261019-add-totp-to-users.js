@@ -0,0 +1,19 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('Users', 'totpEnabled', { type: Sequelize.BOOLEAN, defaultValue: false });
+  await queryInterface.addColumn('Users', 'totpSecret', { type: Sequelize.STRING });
+  await queryInterface.addColumn('Users', 'totpPendingSecret', { type: Sequelize.STRING });
+  await queryInterface.addColumn('Users', 'totpEnabledAt', { type: Sequelize.DATE });
+  await queryInterface.addColumn('Users', 'totpLastUsedStep', { type: Sequelize.INTEGER });
+  await queryInterface.addColumn('Users', 'totpRecoveryCodes', { type: Sequelize.JSON, defaultValue: [] });
+  await queryInterface.addColumn('Users', 'totpRequired', { type: Sequelize.BOOLEAN, defaultValue: false });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('Users', 'totpEnabled');
+  await queryInterface.removeColumn('Users', 'totpSecret');
+  await queryInterface.removeColumn('Users', 'totpPendingSecret');
+  await queryInterface.removeColumn('Users', 'totpEnabledAt');
+  await queryInterface.removeColumn('Users', 'totpLastUsedStep');
+  await queryInterface.removeColumn('Users', 'totpRecoveryCodes');
+  await queryInterface.removeColumn('Users', 'totpRequired');
+}
@@ -0,0 +1,28 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('ApiKeys', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    name: { type: Sequelize.STRING, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    keyPrefix: { type: Sequelize.STRING, allowNull: false, unique: true },
+    keyHash: { type: Sequelize.STRING, allowNull: false },
+    scopes: { type: Sequelize.JSON, defaultValue: [] },
+    rateLimitPerMinute: { type: Sequelize.INTEGER, defaultValue: 60 },
+    windowStartedAt: { type: Sequelize.DATE },
+    windowRequestCount: { type: Sequelize.INTEGER, defaultValue: 0 },
+    totalRequests: { type: Sequelize.INTEGER, defaultValue: 0 },
+    lastUsedAt: { type: Sequelize.DATE },
+    lastUsedIp: { type: Sequelize.STRING },
+    expiresAt: { type: Sequelize.DATE },
+    createdBy: { type: Sequelize.UUID, references: { model: 'Users', key: 'id' }, onDelete: 'SET NULL' },
+    revokedAt: { type: Sequelize.DATE },
+    revokedBy: { type: Sequelize.UUID },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('ApiKeys', ['revokedAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('ApiKeys');
+}
@@ -0,0 +1,19 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('LoginChallenges', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    tokenHash: { type: Sequelize.STRING, allowNull: false },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    isUsed: { type: Sequelize.BOOLEAN, defaultValue: false },
+    usedAt: { type: Sequelize.DATE },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('LoginChallenges', ['userId']);
+  await queryInterface.addIndex('LoginChallenges', ['tokenHash']);
+  await queryInterface.addIndex('LoginChallenges', ['expiresAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('LoginChallenges');
+}
@@ -0,0 +1,21 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('MagicLinks', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    email: { type: Sequelize.STRING, allowNull: false },
+    tokenHash: { type: Sequelize.STRING, allowNull: false },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    isUsed: { type: Sequelize.BOOLEAN, defaultValue: false },
+    usedAt: { type: Sequelize.DATE },
+    requestedIp: { type: Sequelize.STRING },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('MagicLinks', ['email']);
+  await queryInterface.addIndex('MagicLinks', ['tokenHash']);
+  await queryInterface.addIndex('MagicLinks', ['expiresAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('MagicLinks');
+}
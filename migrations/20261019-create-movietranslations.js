@@ -0,0 +1,29 @@
+import { installMovieSearchTrigger, installTranslationSearchTriggers } from '../utils/movieSearchHelper.js';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('MovieTranslations', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    locale: { type: Sequelize.STRING(8), allowNull: false },
+    title: { type: Sequelize.STRING, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    tags: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+    translatedBy: { type: Sequelize.UUID },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('MovieTranslations', ['movieId', 'locale'], { unique: true });
+  await queryInterface.addIndex('MovieTranslations', ['locale']);
+
+  // Translations join the movie search vector
+  await installMovieSearchTrigger(queryInterface);
+  await installTranslationSearchTriggers(queryInterface);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('MovieTranslations');
+  await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS movie_translations_search_refresh();');
+  // Re-index without the translated text
+  await queryInterface.sequelize.query('UPDATE "Movies" SET "title" = "title";');
+}
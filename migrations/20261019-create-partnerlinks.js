@@ -0,0 +1,26 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('PartnerLinks', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    apiKeyId: { type: Sequelize.UUID, references: { model: 'ApiKeys', key: 'id' }, onDelete: 'CASCADE' },
+    partnerUserId: { type: Sequelize.STRING },
+    codeHash: { type: Sequelize.STRING },
+    codeExpiresAt: { type: Sequelize.DATE },
+    linkedAt: { type: Sequelize.DATE },
+    revokedAt: { type: Sequelize.DATE },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('PartnerLinks', ['userId']);
+  await queryInterface.addIndex('PartnerLinks', ['codeHash']);
+  // A partner user maps to one account at a time
+  await queryInterface.addIndex('PartnerLinks', ['apiKeyId', 'partnerUserId'], {
+    unique: true,
+    where: { revokedAt: null }
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('PartnerLinks');
+}
@@ -0,0 +1,20 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('PasswordResets', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    email: { type: Sequelize.STRING, allowNull: false },
+    tokenHash: { type: Sequelize.STRING, allowNull: false },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    isUsed: { type: Sequelize.BOOLEAN, defaultValue: false },
+    usedAt: { type: Sequelize.DATE },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('PasswordResets', ['email']);
+  await queryInterface.addIndex('PasswordResets', ['tokenHash']);
+  await queryInterface.addIndex('PasswordResets', ['expiresAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('PasswordResets');
+}
@@ -0,0 +1,43 @@
+import { installMovieSearchTrigger, installCreditSearchTriggers } from '../utils/movieSearchHelper.js';
+
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('People', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    name: { type: Sequelize.STRING, allowNull: false },
+    slug: { type: Sequelize.STRING, allowNull: false, unique: true },
+    bio: { type: Sequelize.TEXT },
+    profileImage: { type: Sequelize.STRING },
+    birthDate: { type: Sequelize.DATEONLY },
+    createdBy: { type: Sequelize.UUID },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('People', ['name']);
+
+  await queryInterface.createTable('MovieCredits', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    personId: { type: Sequelize.UUID, allowNull: false, references: { model: 'People', key: 'id' }, onDelete: 'CASCADE' },
+    role: { type: Sequelize.ENUM('director', 'actor', 'writer', 'cinematographer', 'composer'), allowNull: false },
+    character: { type: Sequelize.STRING },
+    billingOrder: { type: Sequelize.INTEGER, defaultValue: 0 },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('MovieCredits', ['movieId', 'role', 'billingOrder']);
+  await queryInterface.addIndex('MovieCredits', ['personId']);
+
+  // Credited names join the movie search vector
+  await installMovieSearchTrigger(queryInterface);
+  await installCreditSearchTriggers(queryInterface);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('MovieCredits');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_MovieCredits_role";');
+  // The People trigger uses the function too, so the table goes first
+  await queryInterface.dropTable('People');
+  await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS movie_credits_search_refresh();');
+}
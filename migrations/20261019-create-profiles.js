@@ -0,0 +1,38 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('Profiles', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    name: { type: Sequelize.STRING, allowNull: false },
+    avatar: Sequelize.STRING,
+    maturityLevel: { type: Sequelize.ENUM('kids', 'teen', 'adult'), defaultValue: 'adult' },
+    pinHash: Sequelize.STRING,
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+  await queryInterface.addIndex('Profiles', ['userId']);
+
+  await queryInterface.createTable('WatchHistories', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    profileId: { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'CASCADE' },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    watchCount: { type: Sequelize.INTEGER, defaultValue: 1 },
+    lastWatchedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+  await queryInterface.addIndex('WatchHistories', ['userId', 'profileId']);
+  await queryInterface.addIndex('WatchHistories', ['movieId']);
+
+  // Ratings and reviews written while a profile is selected belong to that profile
+  await queryInterface.addColumn('Reviews', 'profileId', { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'CASCADE' });
+  await queryInterface.addColumn('movieRatings', 'profileId', { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'CASCADE' });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('movieRatings', 'profileId');
+  await queryInterface.removeColumn('Reviews', 'profileId');
+  await queryInterface.dropTable('WatchHistories');
+  await queryInterface.dropTable('Profiles');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Profiles_maturityLevel";');
+}
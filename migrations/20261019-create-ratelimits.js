@@ -0,0 +1,22 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('RateLimits', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    scope: { type: Sequelize.STRING, allowNull: false },
+    subjectType: { type: Sequelize.ENUM('ip','account'), allowNull: false },
+    subject: { type: Sequelize.STRING, allowNull: false },
+    attempts: { type: Sequelize.INTEGER, defaultValue: 0 },
+    windowStartedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    lockCount: { type: Sequelize.INTEGER, defaultValue: 0 },
+    lockedUntil: { type: Sequelize.DATE },
+    lastAttemptAt: { type: Sequelize.DATE },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('RateLimits', ['scope', 'subjectType', 'subject'], { unique: true });
+  await queryInterface.addIndex('RateLimits', ['lockedUntil']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('RateLimits');
+}
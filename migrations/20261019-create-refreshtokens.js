@@ -0,0 +1,25 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('RefreshTokens', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    deviceId: { type: Sequelize.STRING, allowNull: false },
+    familyId: { type: Sequelize.UUID, allowNull: false },
+    tokenHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    revokedAt: { type: Sequelize.DATE },
+    revokedReason: { type: Sequelize.STRING },
+    replacedById: { type: Sequelize.UUID },
+    userAgent: { type: Sequelize.STRING },
+    ipAddress: { type: Sequelize.STRING },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('RefreshTokens', ['userId']);
+  await queryInterface.addIndex('RefreshTokens', ['userId', 'deviceId']);
+  await queryInterface.addIndex('RefreshTokens', ['familyId']);
+  await queryInterface.addIndex('RefreshTokens', ['expiresAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('RefreshTokens');
+}
@@ -0,0 +1,24 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('SecurityEvents', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    actorId: { type: Sequelize.UUID },
+    type: { type: Sequelize.STRING, allowNull: false },
+    outcome: { type: Sequelize.ENUM('success', 'failure'), defaultValue: 'success' },
+    ipAddress: { type: Sequelize.STRING },
+    userAgent: { type: Sequelize.TEXT },
+    deviceId: { type: Sequelize.STRING },
+    metadata: { type: Sequelize.JSON, defaultValue: {} },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('SecurityEvents', ['userId', 'createdAt']);
+  await queryInterface.addIndex('SecurityEvents', ['type']);
+  await queryInterface.addIndex('SecurityEvents', ['ipAddress']);
+  await queryInterface.addIndex('SecurityEvents', ['createdAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('SecurityEvents');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_SecurityEvents_outcome";');
+}
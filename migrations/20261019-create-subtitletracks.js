@@ -0,0 +1,27 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('SubtitleTracks', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    language: { type: Sequelize.STRING(16), allowNull: false },
+    label: { type: Sequelize.STRING, allowNull: false },
+    kind: { type: Sequelize.ENUM('subtitles', 'captions'), defaultValue: 'subtitles' },
+    isDefault: { type: Sequelize.BOOLEAN, defaultValue: false },
+    isForced: { type: Sequelize.BOOLEAN, defaultValue: false },
+    fileUrl: { type: Sequelize.STRING, allowNull: false },
+    filePublicId: { type: Sequelize.STRING },
+    originalFormat: { type: Sequelize.ENUM('srt', 'vtt'), allowNull: false },
+    cueCount: { type: Sequelize.INTEGER, defaultValue: 0 },
+    uploadedBy: { type: Sequelize.UUID },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('SubtitleTracks', ['movieId']);
+  await queryInterface.addIndex('SubtitleTracks', ['movieId', 'language', 'kind', 'isForced']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('SubtitleTracks');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_SubtitleTracks_kind";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_SubtitleTracks_originalFormat";');
+}
@@ -0,0 +1,23 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('UserIdentities', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    provider: { type: Sequelize.STRING, allowNull: false },
+    subject: { type: Sequelize.STRING, allowNull: false },
+    email: { type: Sequelize.STRING },
+    lastLoginAt: { type: Sequelize.DATE },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('UserIdentities', ['provider', 'subject'], { unique: true });
+  await queryInterface.addIndex('UserIdentities', ['userId', 'provider'], { unique: true });
+
+  // Accounts created through a generic OIDC provider have no password
+  await queryInterface.sequelize.query(`ALTER TYPE "enum_Users_authProvider" ADD VALUE IF NOT EXISTS 'oidc';`);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('UserIdentities');
+  await queryInterface.sequelize.query(`UPDATE "Users" SET "authProvider" = 'local' WHERE "authProvider" = 'oidc';`);
+}
@@ -0,0 +1,24 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('WatchlistItems', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    profileId: { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'CASCADE' },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    position: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+    priceAtAdd: { type: Sequelize.FLOAT },
+    availableAtAdd: { type: Sequelize.BOOLEAN, defaultValue: true },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('WatchlistItems', ['userId', 'profileId', 'position']);
+  await queryInterface.addIndex('WatchlistItems', ['movieId']);
+  // NULLS NOT DISTINCT so the account holder's rows (profileId null) can't repeat either
+  await queryInterface.sequelize.query(
+    'CREATE UNIQUE INDEX "watchlist_items_owner_movie" ON "WatchlistItems" ("userId", "profileId", "movieId") NULLS NOT DISTINCT'
+  );
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('WatchlistItems');
+}
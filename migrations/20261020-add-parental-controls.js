@@ -0,0 +1,15 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('Users', 'dateOfBirth', { type: Sequelize.DATEONLY });
+  await queryInterface.addColumn('Users', 'parentalControlsEnabled', { type: Sequelize.BOOLEAN, defaultValue: false });
+  await queryInterface.addColumn('Users', 'parentalMaxAge', { type: Sequelize.INTEGER });
+  await queryInterface.addColumn('Users', 'parentalPinHash', { type: Sequelize.STRING });
+  await queryInterface.addColumn('Profiles', 'dateOfBirth', { type: Sequelize.DATEONLY });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('Profiles', 'dateOfBirth');
+  await queryInterface.removeColumn('Users', 'parentalPinHash');
+  await queryInterface.removeColumn('Users', 'parentalMaxAge');
+  await queryInterface.removeColumn('Users', 'parentalControlsEnabled');
+  await queryInterface.removeColumn('Users', 'dateOfBirth');
+}
@@ -0,0 +1,26 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('ImpersonationSessions', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    // Set to null rather than cascading, so the audit trail outlives the accounts
+    adminId: { type: Sequelize.UUID, references: { model: 'Users', key: 'id' }, onDelete: 'SET NULL' },
+    targetUserId: { type: Sequelize.UUID, references: { model: 'Users', key: 'id' }, onDelete: 'SET NULL' },
+    profileId: { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL' },
+    reason: { type: Sequelize.TEXT, allowNull: false },
+    startedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    expiresAt: { type: Sequelize.DATE, allowNull: false },
+    endedAt: { type: Sequelize.DATE },
+    endedReason: { type: Sequelize.STRING },
+    deviceId: { type: Sequelize.STRING },
+    ipAddress: { type: Sequelize.STRING },
+    userAgent: { type: Sequelize.STRING },
+    requestLog: { type: Sequelize.JSON, defaultValue: [] }
+  });
+
+  await queryInterface.addIndex('ImpersonationSessions', ['adminId']);
+  await queryInterface.addIndex('ImpersonationSessions', ['targetUserId']);
+  await queryInterface.addIndex('ImpersonationSessions', ['startedAt']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('ImpersonationSessions');
+}
@@ -0,0 +1,30 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('PlaybackProgress', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    profileId: { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'CASCADE' },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    seriesId: { type: Sequelize.UUID },
+    positionSeconds: { type: Sequelize.FLOAT, defaultValue: 0 },
+    durationSeconds: { type: Sequelize.FLOAT },
+    percentWatched: { type: Sequelize.FLOAT, defaultValue: 0 },
+    maxPercentWatched: { type: Sequelize.FLOAT, defaultValue: 0 },
+    completedAt: { type: Sequelize.DATE },
+    deviceId: { type: Sequelize.STRING },
+    lastWatchedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('PlaybackProgress', ['userId', 'profileId', 'lastWatchedAt']);
+  // NULLS NOT DISTINCT so the account holder's rows (profileId null) are unique too
+  await queryInterface.sequelize.query(
+    'CREATE UNIQUE INDEX "playback_progress_owner_movie" ON "PlaybackProgress" ("userId", "profileId", "movieId") NULLS NOT DISTINCT'
+  );
+  await queryInterface.addIndex('PlaybackProgress', ['movieId']);
+  await queryInterface.addIndex('PlaybackProgress', ['seriesId']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('PlaybackProgress');
+}
@@ -0,0 +1,36 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('PlaybackSessions', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    userId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+    profileId: { type: Sequelize.UUID, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL' },
+    deviceId: { type: Sequelize.STRING, allowNull: false },
+    movieId: { type: Sequelize.UUID, allowNull: false, references: { model: 'Movies', key: 'id' }, onDelete: 'CASCADE' },
+    startedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    lastHeartbeatAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW },
+    endedAt: { type: Sequelize.DATE },
+    endedReason: { type: Sequelize.STRING },
+    userAgent: { type: Sequelize.STRING },
+    ipAddress: { type: Sequelize.STRING }
+  });
+
+  await queryInterface.addIndex('PlaybackSessions', ['userId', 'endedAt']);
+  await queryInterface.addIndex('PlaybackSessions', ['userId', 'deviceId']);
+
+  // Concurrent streams are limited per plan, independently of maxDevices
+  await queryInterface.addColumn('Users', 'maxStreams', { type: Sequelize.INTEGER, defaultValue: 1 });
+
+  // Existing subscribers keep their plan's stream limit; the plan is only stored as its device
+  // limit (basic 1, pro 4, enterprise 10 devices -> 1, 2, 4 streams, see PLAN_STREAM_LIMITS)
+  await queryInterface.sequelize.query(`
+    UPDATE "Users" SET "maxStreams" = CASE
+      WHEN "maxDevices" >= 10 THEN 4
+      WHEN "maxDevices" >= 4 THEN 2
+      ELSE 1
+    END;
+  `);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('Users', 'maxStreams');
+  await queryInterface.dropTable('PlaybackSessions');
+}
@@ -0,0 +1,26 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('ImpersonationRequests', {
+    id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+    sessionId: { type: Sequelize.UUID, allowNull: false, references: { model: 'ImpersonationSessions', key: 'id' }, onDelete: 'CASCADE' },
+    method: { type: Sequelize.STRING, allowNull: false },
+    path: { type: Sequelize.TEXT, allowNull: false },
+    status: { type: Sequelize.INTEGER },
+    at: { type: Sequelize.DATE, defaultValue: Sequelize.NOW }
+  });
+
+  await queryInterface.addIndex('ImpersonationRequests', ['sessionId', 'at']);
+
+  // Move the entries kept in the session's JSON column, then drop it
+  await queryInterface.sequelize.query(`
+    INSERT INTO "ImpersonationRequests" ("id", "sessionId", "method", "path", "status", "at")
+    SELECT gen_random_uuid(), s."id", entry->>'method', entry->>'path', (entry->>'status')::integer, (entry->>'at')::timestamptz
+    FROM "ImpersonationSessions" s, json_array_elements(COALESCE(s."requestLog", '[]'::json)) AS entry;
+  `);
+
+  await queryInterface.removeColumn('ImpersonationSessions', 'requestLog');
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.addColumn('ImpersonationSessions', 'requestLog', { type: Sequelize.JSON, defaultValue: [] });
+  await queryInterface.dropTable('ImpersonationRequests');
+}
@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ApiKey = sequelize.define('ApiKey', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Partner the key was issued to, e.g. "Kigali Film Festival"'
+    },
+    description: DataTypes.TEXT,
+    keyPrefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Public part of the key (cvk_xxxxxxxx), used to look it up and shown in listings'
+    },
+    keyHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'SHA-256 of the full key; the key itself is only shown once, at creation'
+    },
+    scopes: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: 'Subset of API_KEY_SCOPES in utils/apiKeyHelper.js'
+    },
+    rateLimitPerMinute: {
+        type: DataTypes.INTEGER,
+        defaultValue: 60
+    },
+    windowStartedAt: DataTypes.DATE,
+    windowRequestCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    totalRequests: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    lastUsedAt: DataTypes.DATE,
+    lastUsedIp: DataTypes.STRING,
+    expiresAt: DataTypes.DATE,
+    createdBy: DataTypes.UUID,
+    revokedAt: DataTypes.DATE,
+    revokedBy: DataTypes.UUID
+}, {
+    timestamps: true,
+    indexes: [
+        { fields: ['revokedAt'] }
+    ]
+});
+
+export default ApiKey;
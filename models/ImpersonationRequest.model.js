@@ -0,0 +1,35 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// One row per request made with an impersonation token; rows are only ever inserted
+const ImpersonationRequest = sequelize.define('ImpersonationRequest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    sessionId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    method: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    path: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    status: DataTypes.INTEGER,
+    at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['sessionId', 'at'] }
+    ]
+});
+
+export default ImpersonationRequest;
@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Audit trail of admins viewing the platform as another user
+const ImpersonationSession = sequelize.define('ImpersonationSession', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    adminId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Null once the admin account is deleted; the session stays on record'
+    },
+    targetUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Null once the viewed account is deleted'
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Household profile viewed, null = the account holder'
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    endedAt: DataTypes.DATE,
+    endedReason: {
+        type: DataTypes.STRING,
+        comment: 'ended_by_admin, expired'
+    },
+    deviceId: {
+        type: DataTypes.STRING,
+        comment: "The admin's device; the token stops working when it signs out"
+    },
+    ipAddress: DataTypes.STRING,
+    userAgent: DataTypes.STRING
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['adminId'] },
+        { fields: ['targetUserId'] },
+        { fields: ['startedAt'] }
+    ]
+});
+
+export default ImpersonationSession;
@@ -0,0 +1,41 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const LoginChallenge = sequelize.define('LoginChallenge', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'SHA-256 of the challenge returned once the password checks out; the raw value is never stored'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    isUsed: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    usedAt: DataTypes.DATE,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['tokenHash'] },
+        { fields: ['expiresAt'] }
+    ]
+});
+
+export default LoginChallenge;
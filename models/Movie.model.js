@@ -1,5 +1,6 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/database.js";
+import { installMovieSearchTrigger, installMovieSuggestIndexes } from "../utils/movieSearchHelper.js";
 
 const Movie = sequelize.define(
   "Movie",
@@ -12,7 +13,7 @@ const Movie = sequelize.define(
 
     filmmakerId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true, // null once the filmmaker's account has been purged
     },
 
     // ======= BASIC INFO =======
@@ -211,12 +212,20 @@ const Movie = sequelize.define(
       type: DataTypes.STRING,
       defaultValue: "completed",
     },
+
+    // ======= SEARCH =======
+    // Weighted title/tags/categories/description; written by a database trigger
+    searchVector: DataTypes.TSVECTOR,
   },
 
   {
     tableName: "Movies",
     timestamps: true,
 
+    defaultScope: {
+      attributes: { exclude: ["searchVector"] },
+    },
+
     // ===================== CLEAN INDEXES =====================
     indexes: [
       { fields: ["filmmakerId"] },
@@ -253,8 +262,22 @@ const Movie = sequelize.define(
       // Composite indexes
       { fields: ["contentType", "status", "createdAt"] },
       { fields: ["filmmakerId", "status", "createdAt"] },
+
+      // Full-text search
+      { fields: ["searchVector"], using: "GIN" },
     ],
   }
 );
 
+Movie.addHook("afterSync", async () => {
+  await installMovieSearchTrigger();
+  await installMovieSuggestIndexes();
+});
+
+// The search vector comes back from inserts; keep it out of API responses
+Movie.prototype.toJSON = function () {
+  const { searchVector, ...values } = this.get({ plain: true });
+  return values;
+};
+
 export default Movie;
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { installCreditSearchTriggers } from '../utils/movieSearchHelper.js';
+
+export const CREDIT_ROLES = ['director', 'actor', 'writer', 'cinematographer', 'composer'];
+
+// A person's role on a title; actors also carry the character they play
+const MovieCredit = sequelize.define('MovieCredit', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    personId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    role: {
+        type: DataTypes.ENUM(...CREDIT_ROLES),
+        allowNull: false
+    },
+    character: DataTypes.STRING,
+    billingOrder: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Lower is billed first within a role'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'MovieCredits',
+    timestamps: true,
+    indexes: [
+        { fields: ['movieId', 'role', 'billingOrder'] },
+        { fields: ['personId'] }
+    ]
+});
+
+// Credited names are part of the title's search vector
+MovieCredit.addHook('afterSync', () => installCreditSearchTriggers());
+
+export default MovieCredit;
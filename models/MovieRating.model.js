@@ -17,6 +17,10 @@ const MovieRating = sequelize.define('movieRating', {
     comment: {
         type: DataTypes.STRING,
         allowNull: true
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
     }
 });
 MovieRating.belongsTo(User, { foreignKey: 'userId' });
@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { installTranslationSearchTriggers } from '../utils/movieSearchHelper.js';
+
+// Locales the catalog is shown in
+export const SUPPORTED_LOCALES = ['rw', 'en', 'fr'];
+
+// A title's metadata in one locale; the Movie row itself holds the original-language version
+const MovieTranslation = sequelize.define('MovieTranslation', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    locale: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+        validate: { isIn: [SUPPORTED_LOCALES] }
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    description: DataTypes.TEXT,
+    tags: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: []
+    },
+    translatedBy: DataTypes.UUID,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'MovieTranslations',
+    timestamps: true,
+    indexes: [
+        { fields: ['movieId', 'locale'], unique: true },
+        { fields: ['locale'] }
+    ]
+});
+
+// Translated titles, tags and descriptions are part of the title's search vector
+MovieTranslation.addHook('afterSync', () => installTranslationSearchTriggers());
+
+export default MovieTranslation;
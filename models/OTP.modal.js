@@ -9,15 +9,22 @@ const OTP = sequelize.define('OTP', {
     },
     email: {
         type: DataTypes.STRING,
-        allowNull: false,
         lowercase: true,
         trim: true,
         index: true
     },
+    phoneNumber: {
+        type: DataTypes.STRING,
+        comment: 'Set instead of email for codes sent by SMS'
+    },
     otp: {
         type: DataTypes.STRING,
         allowNull: false
     },
+    pendingSignup: {
+        type: DataTypes.JSON,
+        comment: '{ name, role } from a phone signup, applied once the code is verified'
+    },
     expiresAt: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -43,6 +50,7 @@ const OTP = sequelize.define('OTP', {
     timestamps: false,
     indexes: [
         { fields: ['email'] },
+        { fields: ['phoneNumber'] },
         { fields: ['expiresAt'] }
     ]
 });
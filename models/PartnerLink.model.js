@@ -0,0 +1,39 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// A user's consent for one partner (API key) to check their entitlements
+const PartnerLink = sequelize.define('PartnerLink', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    apiKeyId: {
+        type: DataTypes.UUID,
+        comment: 'Partner that redeemed the pairing code; null while the code is unused'
+    },
+    partnerUserId: {
+        type: DataTypes.STRING,
+        comment: "The partner's own, opaque id for the user; the only identifier partners send"
+    },
+    codeHash: {
+        type: DataTypes.STRING,
+        comment: 'SHA-256 of the pairing code the user gives the partner; cleared once redeemed'
+    },
+    codeExpiresAt: DataTypes.DATE,
+    linkedAt: DataTypes.DATE,
+    revokedAt: DataTypes.DATE
+}, {
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['codeHash'] },
+        { unique: true, fields: ['apiKeyId', 'partnerUserId'], where: { revokedAt: null } }
+    ]
+});
+
+export default PartnerLink;
@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const PasswordReset = sequelize.define('PasswordReset', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        lowercase: true,
+        trim: true
+    },
+    tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'SHA-256 of the token sent by email; the raw token is never stored'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    isUsed: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    usedAt: DataTypes.DATE,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['email'] },
+        { fields: ['tokenHash'] },
+        { fields: ['expiresAt'] }
+    ]
+});
+
+export default PasswordReset;
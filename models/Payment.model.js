@@ -37,7 +37,7 @@ const Payment = sequelize.define('Payment', {
     },
     userId: {
         type: DataTypes.UUID,
-        allowNull: false
+        allowNull: true // null once the buyer's account has been deleted
     },
     movieId: {
         type: DataTypes.UUID,
@@ -76,6 +76,9 @@ const Payment = sequelize.define('Payment', {
     seriesId: {
         type: DataTypes.UUID
     },
+    anonymizedAt: {
+        type: DataTypes.DATE
+    },
     createdAt: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
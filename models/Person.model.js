@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Someone credited on a title: director, actor, writer, crew
+const Person = sequelize.define('Person', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    slug: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    bio: DataTypes.TEXT,
+    profileImage: DataTypes.STRING,
+    birthDate: DataTypes.DATEONLY,
+    createdBy: {
+        type: DataTypes.UUID,
+        comment: 'User who added the person; they may edit it along with staff'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'People',
+    timestamps: true,
+    indexes: [
+        { fields: ['name'] }
+    ]
+});
+
+export default Person;
@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Resume point of a movie or episode, per account and profile (profileId null = the account holder)
+const PlaybackProgress = sequelize.define('PlaybackProgress', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    seriesId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Set for episodes, so a series is resumed from its latest episode'
+    },
+    positionSeconds: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+    },
+    durationSeconds: DataTypes.FLOAT,
+    percentWatched: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0,
+        comment: '0-100, at the last reported position'
+    },
+    maxPercentWatched: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0,
+        comment: 'Furthest point ever reached, for completion analytics'
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        comment: 'First time the viewer finished the title'
+    },
+    deviceId: {
+        type: DataTypes.STRING,
+        comment: 'Device that reported last'
+    },
+    lastWatchedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'PlaybackProgress',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'profileId', 'lastWatchedAt'] },
+        { fields: ['movieId'] },
+        { fields: ['seriesId'] }
+    ]
+});
+
+// recordProgress upserts on (userId, profileId, movieId). The account holder's rows
+// have no profile, so the index treats NULLs as equal.
+PlaybackProgress.addHook('afterSync', async () => {
+    await sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS "playback_progress_owner_movie" ' +
+        'ON "PlaybackProgress" ("userId", "profileId", "movieId") NULLS NOT DISTINCT'
+    );
+});
+
+export default PlaybackProgress;
@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// One row per stream being watched; kept alive by player heartbeats
+const PlaybackSession = sequelize.define('PlaybackSession', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    deviceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Device ID from utils/deviceHelper.js'
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    lastHeartbeatAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    endedAt: DataTypes.DATE,
+    endedReason: {
+        type: DataTypes.STRING,
+        comment: 'stopped, evicted, expired, replaced, device_removed, logout'
+    },
+    userAgent: DataTypes.STRING,
+    ipAddress: DataTypes.STRING
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['userId', 'endedAt'] },
+        { fields: ['userId', 'deviceId'] }
+    ]
+});
+
+export default PlaybackSession;
@@ -0,0 +1,45 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// A household member under one account. Purchases stay on the account; history, ratings and reviews are per profile
+const Profile = sequelize.define('Profile', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        trim: true
+    },
+    avatar: DataTypes.STRING,
+    maturityLevel: {
+        type: DataTypes.ENUM('kids', 'teen', 'adult'),
+        defaultValue: 'adult'
+    },
+    dateOfBirth: DataTypes.DATEONLY,
+    pinHash: {
+        type: DataTypes.STRING,
+        comment: 'bcrypt hash of the optional profile PIN'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { fields: ['userId'] }
+    ]
+});
+
+export default Profile;
@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const RateLimit = sequelize.define('RateLimit', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    scope: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Endpoint family, e.g. login, verify-otp, resend-otp'
+    },
+    subjectType: {
+        type: DataTypes.ENUM('ip', 'account'),
+        allowNull: false
+    },
+    subject: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Client IP address or lower-cased email'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    windowStartedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    lockCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Consecutive lockouts; each one doubles the next lock duration'
+    },
+    lockedUntil: DataTypes.DATE,
+    lastAttemptAt: DataTypes.DATE
+}, {
+    timestamps: true,
+    indexes: [
+        { fields: ['scope', 'subjectType', 'subject'], unique: true },
+        { fields: ['lockedUntil'] }
+    ]
+});
+
+export default RateLimit;
@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    deviceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Device ID from utils/deviceHelper.js'
+    },
+    familyId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Shared by every token rotated from the same login'
+    },
+    tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: DataTypes.DATE,
+    revokedReason: {
+        type: DataTypes.STRING,
+        comment: 'rotated, relogin, logout, reuse_detected, password_reset, device_removed'
+    },
+    replacedById: DataTypes.UUID,
+    userAgent: DataTypes.STRING,
+    ipAddress: DataTypes.STRING,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['userId', 'deviceId'] },
+        { fields: ['familyId'] },
+        { fields: ['expiresAt'] }
+    ]
+});
+
+export default RefreshToken;
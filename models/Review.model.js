@@ -15,6 +15,10 @@ const Review = sequelize.define('Review', {
         type: DataTypes.UUID,
         allowNull: false
     },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
     rating: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const SecurityEvent = sequelize.define('SecurityEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        comment: 'Account the event is about; null for failed logins to unknown accounts'
+    },
+    actorId: {
+        type: DataTypes.UUID,
+        comment: 'Who caused it when not the account holder, e.g. the admin who blocked the user'
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'One of SECURITY_EVENT_TYPES in utils/securityEventHelper.js'
+    },
+    outcome: {
+        type: DataTypes.ENUM('success', 'failure'),
+        defaultValue: 'success'
+    },
+    ipAddress: DataTypes.STRING,
+    userAgent: DataTypes.TEXT,
+    deviceId: DataTypes.STRING,
+    metadata: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+        comment: 'Event details, e.g. { method: "google" } or { from: "viewer", to: "support" }'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['userId', 'createdAt'] },
+        { fields: ['type'] },
+        { fields: ['ipAddress'] },
+        { fields: ['createdAt'] }
+    ]
+});
+
+export default SecurityEvent;
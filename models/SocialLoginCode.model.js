@@ -0,0 +1,41 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const SocialLoginCode = sequelize.define('SocialLoginCode', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    codeHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'SHA-256 of the code handed to the web app after a Google sign-in; the raw value is never stored'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    isUsed: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    usedAt: DataTypes.DATE,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['codeHash'] },
+        { fields: ['expiresAt'] }
+    ]
+});
+
+export default SocialLoginCode;
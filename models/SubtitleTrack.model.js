@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// A WebVTT subtitle or caption track of a movie or episode, stored in B2
+const SubtitleTrack = sequelize.define('SubtitleTrack', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    language: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        comment: 'BCP 47 tag, e.g. en, fr, rw'
+    },
+    label: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Shown in the player menu, e.g. "English (CC)"'
+    },
+    kind: {
+        type: DataTypes.ENUM('subtitles', 'captions'),
+        defaultValue: 'subtitles',
+        comment: 'Captions also describe sounds, for deaf and hard-of-hearing viewers'
+    },
+    isDefault: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'At most one per movie'
+    },
+    isForced: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Only translates foreign-language dialogue and signs; shown without the viewer choosing it'
+    },
+    fileUrl: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    filePublicId: {
+        type: DataTypes.STRING,
+        comment: 'B2 file name, used to delete the file'
+    },
+    originalFormat: {
+        type: DataTypes.ENUM('srt', 'vtt'),
+        allowNull: false
+    },
+    cueCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    uploadedBy: DataTypes.UUID,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'SubtitleTracks',
+    timestamps: true,
+    indexes: [
+        { fields: ['movieId'] },
+        { fields: ['movieId', 'language', 'kind', 'isForced'] }
+    ]
+});
+
+export default SubtitleTrack;
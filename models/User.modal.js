@@ -14,24 +14,41 @@ const User = sequelize.define('User', {
     },
     email: {
         type: DataTypes.STRING,
-        allowNull: false,
         unique: true,
         lowercase: true,
-        trim: true
+        trim: true,
+        comment: 'Null for accounts registered with a phone number only'
+    },
+    phoneNumber: {
+        type: DataTypes.STRING,
+        unique: true,
+        comment: 'E.164, e.g. +250788123456; used for SMS sign-in'
     },
+    phoneVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    phoneVerifiedAt: DataTypes.DATE,
     password: {
         type: DataTypes.STRING
     },
+    emailVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    emailVerifiedAt: DataTypes.DATE,
     googleId: {
         type: DataTypes.STRING
     },
     authProvider: {
-        type: DataTypes.ENUM('local', 'google', 'both'),
-        defaultValue: 'local'
+        type: DataTypes.ENUM('local', 'google', 'both', 'oidc'),
+        defaultValue: 'local',
+        comment: 'oidc = signed up through a generic OpenID Connect provider (see UserIdentities)'
     },
     profilePicture: DataTypes.STRING,
     role: {
-        type: DataTypes.ENUM('viewer', 'admin', 'filmmaker'),
+        type: DataTypes.ENUM('viewer', 'admin', 'filmmaker', 'moderator', 'finance', 'support'),
+        comment: 'Staff roles and their permissions are listed in config/permissions.js',
         defaultValue: 'viewer',
         allowNull: false
     },
@@ -43,12 +60,46 @@ const User = sequelize.define('User', {
     activeDevices: {
         type: DataTypes.JSON,
         defaultValue: [],
-        comment: 'Array of {deviceId, token, loginAt, userAgent, ipAddress, lastActive}'
+        comment: 'Array of {deviceId, deviceName, loginAt, userAgent, ipAddress, lastActive}; tokens live in RefreshTokens'
     },
     maxDevices: {
         type: DataTypes.INTEGER,
         defaultValue: 1
     },
+    maxStreams: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+        comment: 'Concurrent playback sessions allowed by the plan, see utils/playbackSessionHelper.js'
+    },
+
+    // ====== TWO-FACTOR (TOTP) ======
+    totpEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    totpSecret: {
+        type: DataTypes.STRING,
+        comment: 'AES-GCM encrypted base32 secret, set once enrollment is confirmed'
+    },
+    totpPendingSecret: {
+        type: DataTypes.STRING,
+        comment: 'Encrypted secret awaiting the first valid code'
+    },
+    totpEnabledAt: DataTypes.DATE,
+    totpLastUsedStep: {
+        type: DataTypes.INTEGER,
+        comment: 'Last accepted time step, so a code cannot be replayed'
+    },
+    totpRecoveryCodes: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: 'Array of SHA-256 hashes of unused recovery codes'
+    },
+    totpRequired: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Set by an admin for admins and filmmakers with payout access'
+    },
 
     // ====== FILMMAKER PROFILE ======
     filmmmakerIsVerified: {
@@ -157,6 +208,22 @@ const User = sequelize.define('User', {
     blockedReason: DataTypes.TEXT,
     blockedAt: DataTypes.DATE,
     blockedBy: DataTypes.UUID,
+
+    // ====== PARENTAL CONTROLS ======
+    dateOfBirth: DataTypes.DATEONLY,
+    parentalControlsEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    parentalMaxAge: {
+        type: DataTypes.INTEGER,
+        comment: 'Highest Movie.ageRestriction allowed on this account while parental controls are on'
+    },
+    parentalPinHash: DataTypes.STRING,
+
+    // ====== ACCOUNT DELETION ======
+    deletionRequestedAt: DataTypes.DATE,
+    deletionScheduledFor: DataTypes.DATE,
     createdAt: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
@@ -169,6 +236,7 @@ const User = sequelize.define('User', {
     timestamps: true,
     indexes: [
         { fields: ['email'] },
+        { fields: ['phoneNumber'] },
         { fields: ['googleId'] },
         { fields: ['role'] },
         { fields: ['approvalStatus'] },
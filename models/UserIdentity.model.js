@@ -0,0 +1,44 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// An account at an external OpenID Connect provider linked to a user
+const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    provider: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Provider id from OIDC_PROVIDERS, see config/oidcProviders.js'
+    },
+    subject: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'The `sub` claim, stable per provider'
+    },
+    email: DataTypes.STRING,
+    lastLoginAt: DataTypes.DATE,
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'UserIdentities',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['provider', 'subject'] },
+        { unique: true, fields: ['userId', 'provider'] }
+    ]
+});
+
+export default UserIdentity;
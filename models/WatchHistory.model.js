@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// One row per title watched, per account and profile (profileId null = the account holder)
+const WatchHistory = sequelize.define('WatchHistory', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    watchCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1
+    },
+    lastWatchedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'WatchHistories',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'profileId'] },
+        { fields: ['movieId'] }
+    ]
+});
+
+export default WatchHistory;
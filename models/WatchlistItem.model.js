@@ -0,0 +1,64 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// A movie or series saved for later, per account and profile (profileId null = the account holder)
+const WatchlistItem = sequelize.define('WatchlistItem', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    movieId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Order chosen by the viewer, lowest first'
+    },
+    priceAtAdd: {
+        type: DataTypes.FLOAT,
+        comment: 'viewPrice when the title was added, for price-drop flags'
+    },
+    availableAtAdd: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        comment: 'False when the title was still upcoming, for "now available" flags'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'WatchlistItems',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'profileId', 'position'] },
+        { fields: ['movieId'] }
+    ]
+});
+
+// One row per title per owner. The account holder's rows have no profile, and
+// a plain unique index would let those repeat, since NULLs count as distinct.
+WatchlistItem.addHook('afterSync', async () => {
+    await sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS "watchlist_items_owner_movie" ' +
+        'ON "WatchlistItems" ("userId", "profileId", "movieId") NULLS NOT DISTINCT'
+    );
+});
+
+export default WatchlistItem;
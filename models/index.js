@@ -5,6 +5,28 @@ import Review from './Review.model.js';
 import Payment from './Payment.model.js';
 import Withdrawal from './withdrawal.js';
 import OTP from './OTP.modal.js';
+import PasswordReset from './PasswordReset.model.js';
+import RefreshToken from './RefreshToken.model.js';
+import RateLimit from './RateLimit.model.js';
+import EmailVerification from './EmailVerification.model.js';
+import Profile from './Profile.model.js';
+import WatchHistory from './WatchHistory.model.js';
+import PlaybackSession from './PlaybackSession.model.js';
+import ImpersonationSession from './ImpersonationSession.model.js';
+import ImpersonationRequest from './ImpersonationRequest.model.js';
+import UserIdentity from './UserIdentity.model.js';
+import MagicLink from './MagicLink.model.js';
+import LoginChallenge from './LoginChallenge.model.js';
+import SocialLoginCode from './SocialLoginCode.model.js';
+import SecurityEvent from './SecurityEvent.model.js';
+import ApiKey from './ApiKey.model.js';
+import PartnerLink from './PartnerLink.model.js';
+import Person from './Person.model.js';
+import MovieCredit from './MovieCredit.model.js';
+import SubtitleTrack from './SubtitleTrack.model.js';
+import MovieTranslation from './MovieTranslation.model.js';
+import WatchlistItem from './WatchlistItem.model.js';
+import PlaybackProgress from './PlaybackProgress.model.js';
 
 // ===== DEFINE RELATIONSHIPS =====
 
@@ -13,7 +35,8 @@ import OTP from './OTP.modal.js';
 User.hasMany(Movie, {
     foreignKey: 'filmmakerId',
     as: 'createdMovies',
-    onDelete: 'CASCADE'
+    // Titles outlive a purged filmmaker account, hidden, with their buyers' payments
+    onDelete: 'SET NULL'
 });
 
 Movie.belongsTo(User, {
@@ -48,11 +71,11 @@ Review.belongsTo(Movie, {
 });
 
 // 4. USER -> PAYMENT (One-to-Many)
-// A user can make many payments
+// A user can make many payments. Payments are kept (anonymized) when the user is deleted
 User.hasMany(Payment, {
     foreignKey: 'userId',
     as: 'payments',
-    onDelete: 'CASCADE'
+    onDelete: 'SET NULL'
 });
 
 Payment.belongsTo(User, {
@@ -99,6 +122,327 @@ Withdrawal.belongsTo(Payment, {
     as: 'payment'
 });
 
+// USER -> PASSWORD RESET (One-to-Many)
+// Reset links are removed together with the account
+User.hasMany(PasswordReset, {
+    foreignKey: 'userId',
+    as: 'passwordResets',
+    onDelete: 'CASCADE'
+});
+
+PasswordReset.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> REFRESH TOKEN (One-to-Many)
+// One rotating token family per signed-in device
+User.hasMany(RefreshToken, {
+    foreignKey: 'userId',
+    as: 'refreshTokens',
+    onDelete: 'CASCADE'
+});
+
+RefreshToken.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> EMAIL VERIFICATION (One-to-Many)
+User.hasMany(EmailVerification, {
+    foreignKey: 'userId',
+    as: 'emailVerifications',
+    onDelete: 'CASCADE'
+});
+
+EmailVerification.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> PROFILE (One-to-Many)
+User.hasMany(Profile, {
+    foreignKey: 'userId',
+    as: 'profiles',
+    onDelete: 'CASCADE'
+});
+
+Profile.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// PROFILE -> REVIEW / WATCH HISTORY (One-to-Many)
+Profile.hasMany(Review, {
+    foreignKey: 'profileId',
+    as: 'reviews',
+    onDelete: 'CASCADE'
+});
+
+Review.belongsTo(Profile, {
+    foreignKey: 'profileId',
+    as: 'profile'
+});
+
+User.hasMany(WatchHistory, {
+    foreignKey: 'userId',
+    as: 'watchHistory',
+    onDelete: 'CASCADE'
+});
+
+Profile.hasMany(WatchHistory, {
+    foreignKey: 'profileId',
+    as: 'watchHistory',
+    onDelete: 'CASCADE'
+});
+
+WatchHistory.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// USER / PROFILE -> WATCHLIST (One-to-Many)
+User.hasMany(WatchlistItem, {
+    foreignKey: 'userId',
+    as: 'watchlist',
+    onDelete: 'CASCADE'
+});
+
+Profile.hasMany(WatchlistItem, {
+    foreignKey: 'profileId',
+    as: 'watchlist',
+    onDelete: 'CASCADE'
+});
+
+Movie.hasMany(WatchlistItem, {
+    foreignKey: 'movieId',
+    as: 'watchlistItems',
+    onDelete: 'CASCADE'
+});
+
+WatchlistItem.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// USER / PROFILE -> PLAYBACK PROGRESS (One-to-Many)
+User.hasMany(PlaybackProgress, {
+    foreignKey: 'userId',
+    as: 'playbackProgress',
+    onDelete: 'CASCADE'
+});
+
+Profile.hasMany(PlaybackProgress, {
+    foreignKey: 'profileId',
+    as: 'playbackProgress',
+    onDelete: 'CASCADE'
+});
+
+Movie.hasMany(PlaybackProgress, {
+    foreignKey: 'movieId',
+    as: 'playbackProgress',
+    onDelete: 'CASCADE'
+});
+
+PlaybackProgress.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// USER -> PLAYBACK SESSION (One-to-Many)
+// Concurrent streams, counted against the plan's maxStreams
+User.hasMany(PlaybackSession, {
+    foreignKey: 'userId',
+    as: 'playbackSessions',
+    onDelete: 'CASCADE'
+});
+
+PlaybackSession.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// USER -> USER IDENTITY (One-to-Many)
+// Linked OpenID Connect accounts, one per provider
+User.hasMany(UserIdentity, {
+    foreignKey: 'userId',
+    as: 'identities',
+    onDelete: 'CASCADE'
+});
+
+UserIdentity.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> MAGIC LINK (One-to-Many)
+// Passwordless sign-in links, removed together with the account
+User.hasMany(MagicLink, {
+    foreignKey: 'userId',
+    as: 'magicLinks',
+    onDelete: 'CASCADE'
+});
+
+MagicLink.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> LOGIN CHALLENGE (One-to-Many)
+// Proof that the password was checked, spent by the second login step
+User.hasMany(LoginChallenge, {
+    foreignKey: 'userId',
+    as: 'loginChallenges',
+    onDelete: 'CASCADE'
+});
+
+LoginChallenge.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> SOCIAL LOGIN CODE (One-to-Many)
+// Single-use code the Google callback hands the web app in place of tokens
+User.hasMany(SocialLoginCode, {
+    foreignKey: 'userId',
+    as: 'socialLoginCodes',
+    onDelete: 'CASCADE'
+});
+
+SocialLoginCode.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// USER -> SECURITY EVENT (One-to-Many)
+// Account activity log; actorId is the staff member behind admin actions
+User.hasMany(SecurityEvent, {
+    foreignKey: 'userId',
+    as: 'securityEvents',
+    onDelete: 'CASCADE'
+});
+
+SecurityEvent.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+SecurityEvent.belongsTo(User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+    constraints: false
+});
+
+// MOVIE <-> PERSON through MOVIE CREDIT (cast & crew)
+Movie.hasMany(MovieCredit, {
+    foreignKey: 'movieId',
+    as: 'credits',
+    onDelete: 'CASCADE'
+});
+
+MovieCredit.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+Person.hasMany(MovieCredit, {
+    foreignKey: 'personId',
+    as: 'credits',
+    onDelete: 'CASCADE'
+});
+
+MovieCredit.belongsTo(Person, {
+    foreignKey: 'personId',
+    as: 'person'
+});
+
+// MOVIE -> SUBTITLE TRACK (One-to-Many)
+Movie.hasMany(SubtitleTrack, {
+    foreignKey: 'movieId',
+    as: 'subtitleTracks',
+    onDelete: 'CASCADE'
+});
+
+SubtitleTrack.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// MOVIE -> TRANSLATION (One-to-Many, one per locale)
+Movie.hasMany(MovieTranslation, {
+    foreignKey: 'movieId',
+    as: 'translations',
+    onDelete: 'CASCADE'
+});
+
+MovieTranslation.belongsTo(Movie, {
+    foreignKey: 'movieId',
+    as: 'movie'
+});
+
+// ADMIN -> PARTNER API KEY
+// Keys outlive the staff member who issued them
+ApiKey.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    constraints: false
+});
+
+// USER -> PARTNER LINK -> PARTNER API KEY
+// Partners only see entitlements of users who paired with them
+User.hasMany(PartnerLink, {
+    foreignKey: 'userId',
+    as: 'partnerLinks',
+    onDelete: 'CASCADE'
+});
+
+ApiKey.hasMany(PartnerLink, {
+    foreignKey: 'apiKeyId',
+    as: 'links',
+    onDelete: 'CASCADE'
+});
+
+PartnerLink.belongsTo(ApiKey, {
+    foreignKey: 'apiKeyId',
+    as: 'partner'
+});
+
+// ADMIN -> IMPERSONATION SESSION -> USER
+// Audit trail of "view as user" sessions; it outlives both accounts
+User.hasMany(ImpersonationSession, {
+    foreignKey: 'adminId',
+    as: 'impersonationsStarted',
+    onDelete: 'SET NULL'
+});
+
+User.hasMany(ImpersonationSession, {
+    foreignKey: 'targetUserId',
+    as: 'impersonationsReceived',
+    onDelete: 'SET NULL'
+});
+
+ImpersonationSession.belongsTo(User, {
+    foreignKey: 'adminId',
+    as: 'admin'
+});
+
+ImpersonationSession.belongsTo(User, {
+    foreignKey: 'targetUserId',
+    as: 'targetUser'
+});
+
+// Every request made during the session
+ImpersonationSession.hasMany(ImpersonationRequest, {
+    foreignKey: 'sessionId',
+    as: 'requests',
+    onDelete: 'CASCADE'
+});
+
+ImpersonationRequest.belongsTo(ImpersonationSession, {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
 // 6. APPROVED_BY relationship (Self-referencing for User)
 // An admin user can approve/reject other users
 User.hasMany(User, {
@@ -233,6 +577,28 @@ export {
     Payment,
     Withdrawal,
     OTP,
+    PasswordReset,
+    RefreshToken,
+    RateLimit,
+    EmailVerification,
+    Profile,
+    WatchHistory,
+    PlaybackSession,
+    ImpersonationSession,
+    ImpersonationRequest,
+    UserIdentity,
+    MagicLink,
+    LoginChallenge,
+    SocialLoginCode,
+    SecurityEvent,
+    ApiKey,
+    PartnerLink,
+    Person,
+    MovieCredit,
+    SubtitleTrack,
+    MovieTranslation,
+    WatchlistItem,
+    PlaybackProgress,
     sequelize
 };
 
@@ -243,5 +609,27 @@ export default {
     Payment,
     Withdrawal,
     OTP,
+    PasswordReset,
+    RefreshToken,
+    RateLimit,
+    EmailVerification,
+    Profile,
+    WatchHistory,
+    PlaybackSession,
+    ImpersonationSession,
+    ImpersonationRequest,
+    UserIdentity,
+    MagicLink,
+    LoginChallenge,
+    SocialLoginCode,
+    SecurityEvent,
+    ApiKey,
+    PartnerLink,
+    Person,
+    MovieCredit,
+    SubtitleTrack,
+    MovieTranslation,
+    WatchlistItem,
+    PlaybackProgress,
     sequelize
 };
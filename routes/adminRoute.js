@@ -9,7 +9,14 @@ import {
   getAllUsers,
   blockUser,
   unblockUser,
+  setTwoFactorRequirement,
   deleteUser,
+  setUserRole,
+  impersonateUser,
+  searchSecurityEvents,
+  stopImpersonation,
+  getImpersonationSessions,
+  getImpersonationRequests,
   getPendingMovies,
   approveMovie,
   getFlaggedContent,
@@ -17,11 +24,18 @@ import {
   getFilmmakersPerformance,
   recentAdminActivities,
 } from "../controllers/adminDashboardController.js";
+import {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+} from "../controllers/apiKeyController.js";
 import {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   checkNotBlocked,
 } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -29,11 +43,11 @@ const router = express.Router();
 
 // Get admin dashboard overview
 // GET /admin/dashboard
-router.get("/dashboard", authenticateToken, requireAdmin, getAdminDashboard);
+router.get("/dashboard", authenticateToken, requirePermission(PERMISSIONS.DASHBOARD_VIEW), getAdminDashboard);
 
 // Get detailed analytics
 // GET /admin/analytics?period=month
-router.get("/analytics", authenticateToken, requireAdmin, getDetailedAnalytics);
+router.get("/analytics", authenticateToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getDetailedAnalytics);
 
 // ====== FILMMAKER MANAGEMENT ======
 
@@ -42,7 +56,7 @@ router.get("/analytics", authenticateToken, requireAdmin, getDetailedAnalytics);
 router.get(
   "/filmmakers",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.FILMMAKERS_VIEW),
   getAllFilmmakers
 );
 
@@ -51,7 +65,7 @@ router.get(
 router.get(
   "/filmmakers/pending",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.FILMMAKERS_VIEW),
   getPendingFilmmakers
 );
 
@@ -60,7 +74,7 @@ router.get(
 router.patch(
   "/filmmakers/:filmamakerId/approve",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.FILMMAKERS_APPROVE),
   checkNotBlocked,
   approveFilmmaker
 );
@@ -70,7 +84,7 @@ router.patch(
 router.patch(
   "/filmmakers/:filmamakerId/verify-bank",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.FILMMAKERS_VERIFY_BANK),
   checkNotBlocked,
   verifyFilmmmakerBank
 );
@@ -79,16 +93,16 @@ router.patch(
 
 // Get all users
 // GET /admin/users?role=filmmaker&search=john
-router.get("/users", authenticateToken, requireAdmin, getAllUsers);
+router.get("/users", authenticateToken, requirePermission(PERMISSIONS.USERS_VIEW), getAllUsers);
 
-router.get("/recent-activities",authenticateToken,requireAdmin,recentAdminActivities)
+router.get("/recent-activities",authenticateToken,requirePermission(PERMISSIONS.DASHBOARD_VIEW),recentAdminActivities)
 
 // Block user account
 // PATCH /admin/users/:userId/block
 router.patch(
   "/users/:userId/block",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_BLOCK),
   checkNotBlocked,
   blockUser
 );
@@ -98,21 +112,100 @@ router.patch(
 router.patch(
   "/users/:userId/unblock",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_BLOCK),
   checkNotBlocked,
   unblockUser
 );
 
+// Require authenticator-app 2FA for an admin or payout-enabled filmmaker
+// PATCH /admin/users/:userId/require-2fa
+router.patch(
+  "/users/:userId/require-2fa",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_SECURITY),
+  checkNotBlocked,
+  setTwoFactorRequirement
+);
+
 // Delete user account
 // DELETE /admin/users/:userId
 router.delete(
   "/users/:userId",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_DELETE),
   checkNotBlocked,
   deleteUser
 );
 
+// Grant or revoke a staff role
+// PATCH /admin/users/:userId/role
+router.patch(
+  "/users/:userId/role",
+  authenticateToken,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  checkNotBlocked,
+  setUserRole
+);
+
+// ====== IMPERSONATION ======
+
+// Start a read-only, time-limited "view as user" session
+// POST /admin/users/:userId/impersonate
+router.post(
+  "/users/:userId/impersonate",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  checkNotBlocked,
+  impersonateUser
+);
+
+// Impersonation audit trail
+// GET /admin/impersonations?adminId=&userId=
+router.get(
+  "/impersonations",
+  authenticateToken,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  getImpersonationSessions
+);
+
+// Requests made during one session
+// GET /admin/impersonations/:sessionId/requests
+router.get(
+  "/impersonations/:sessionId/requests",
+  authenticateToken,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  getImpersonationRequests
+);
+
+// End an impersonation session early
+// DELETE /admin/impersonations/:sessionId
+router.delete(
+  "/impersonations/:sessionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  stopImpersonation
+);
+
+// ====== SECURITY EVENTS ======
+
+// Search logins, failed codes and account changes across users
+// GET /admin/security-events?userId=&email=&type=&outcome=&ip=&from=&to=
+router.get(
+  "/security-events",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SECURITY_EVENTS_VIEW),
+  searchSecurityEvents
+);
+
+// ====== PARTNER API KEYS ======
+
+// Issue a key (shown once), list, update scopes/limits, revoke
+// /admin/api-keys
+router.post("/api-keys", authenticateToken, requirePermission(PERMISSIONS.API_KEYS_MANAGE), createApiKey);
+router.get("/api-keys", authenticateToken, requirePermission(PERMISSIONS.API_KEYS_MANAGE), listApiKeys);
+router.patch("/api-keys/:keyId", authenticateToken, requirePermission(PERMISSIONS.API_KEYS_MANAGE), updateApiKey);
+router.delete("/api-keys/:keyId", authenticateToken, requirePermission(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
+
 // ====== CONTENT MODERATION ======
 
 // Get pending movie approvals
@@ -120,7 +213,7 @@ router.delete(
 router.get(
   "/movies/pending",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.MOVIES_MODERATE),
   getPendingMovies
 );
 
@@ -129,7 +222,7 @@ router.get(
 router.patch(
   "/movies/:movieId/approve",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.MOVIES_MODERATE),
   checkNotBlocked,
   approveMovie
 );
@@ -139,7 +232,7 @@ router.patch(
 router.get(
   "/flagged-content",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.MOVIES_MODERATE),
   getFlaggedContent
 );
 
@@ -150,10 +243,10 @@ router.get(
 router.get(
   "/payments/reconciliation",
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_RECONCILE),
   getPaymentReconciliation
 );
 
-router.get('/filmmakers/performance', authenticateToken, requireAdmin, getFilmmakersPerformance);
+router.get('/filmmakers/performance', authenticateToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getFilmmakersPerformance);
 
 export default router;
\ No newline at end of file
@@ -5,28 +5,100 @@ import {
     login,
     verifyLoginOTP,
     resendOTP,
+    registerWithPhone,
+    loginWithPhone,
+    verifyPhoneLogin,
+    requestMagicLink,
+    verifyMagicLink,
+    forgotPassword,
+    resetPassword,
+    refreshAccessToken,
+    verifyEmail,
+    resendVerificationEmail,
     logout,
     logoutAll,
     upgradeUser,
     getActiveDevices,
+    getActiveStreams,
+    streamHeartbeat,
+    stopStream,
     removeDevice,
+    getSecurityEvents,
     loginWithGoogle,
+    exchangeGoogleLoginCode,
     getProfileUser,
     updateProfileUser
 } from "../controllers/authController.js";
-import { authenticateToken, requireUpgrade } from "../middleware/authMiddleware.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/twoFactorController.js";
+import {
+    exportAccountData,
+    getAccountDeletionStatus,
+    requestAccountDeletion,
+    cancelAccountDeletionRequest
+} from "../controllers/accountController.js";
+import {
+    getParentalControls,
+    updateParentalControls
+} from "../controllers/parentalControlController.js";
+import {
+    createPartnerPairingCode,
+    getPartnerLinks,
+    revokePartnerLink
+} from "../controllers/partnerController.js";
+import {
+    authenticateToken,
+    authenticateForEnrollment,
+    requireUpgrade,
+    rejectImpersonation
+} from "../middleware/authMiddleware.js";
+import {
+    loginRateLimit,
+    verifyOtpRateLimit,
+    resendOtpRateLimit,
+    phoneOtpRateLimit,
+    verifyPhoneOtpRateLimit,
+    magicLinkRateLimit,
+    verifyMagicLinkRateLimit,
+    forgotPasswordRateLimit,
+    resetPasswordRateLimit,
+    refreshTokenRateLimit,
+    googleLoginCodeRateLimit,
+    verifyEmailRateLimit,
+    resendVerificationRateLimit,
+    profilePinRateLimit
+} from "../middleware/rateLimitMiddleware.js";
 import passport from "passport";
 
 const router = express.Router();
 
 router.post("/register", register);
-router.post("/login", login);
-router.post("/verify-otp", verifyLoginOTP);
-router.post("/resend-otp", resendOTP);
-router.post("/logout", authenticateToken, logout);
-router.post("/logout-all", authenticateToken, logoutAll);
+router.post("/login", loginRateLimit, login);
+router.post("/verify-otp", verifyOtpRateLimit, verifyLoginOTP);
+router.post("/resend-otp", resendOtpRateLimit, resendOTP);
+router.post("/phone/register", phoneOtpRateLimit, registerWithPhone);
+router.post("/phone/login", phoneOtpRateLimit, loginWithPhone);
+router.post("/phone/verify-otp", verifyPhoneOtpRateLimit, verifyPhoneLogin);
+router.post("/magic-link", magicLinkRateLimit, requestMagicLink);
+router.post("/magic-link/verify", verifyMagicLinkRateLimit, verifyMagicLink);
+router.post("/forgot-password", forgotPasswordRateLimit, forgotPassword);
+router.post("/reset-password", resetPasswordRateLimit, resetPassword);
+router.post("/refresh", refreshTokenRateLimit, refreshAccessToken);
+router.post("/verify-email", verifyEmailRateLimit, verifyEmail);
+router.post("/resend-verification", resendVerificationRateLimit, resendVerificationEmail);
+router.post("/logout", authenticateForEnrollment, logout);
+router.post("/logout-all", authenticateForEnrollment, logoutAll);
 router.get("/devices", authenticateToken, getActiveDevices);
-router.get("/me", authenticateToken, getProfileUser);
+router.get("/streams", authenticateToken, getActiveStreams);
+router.post("/streams/:sessionId/heartbeat", authenticateToken, streamHeartbeat);
+router.delete("/streams/:sessionId", authenticateToken, stopStream);
+router.get("/security-events", authenticateToken, getSecurityEvents);
+router.get("/me", authenticateForEnrollment, getProfileUser);
 router.get(
   "/google",
   passport.authenticate("google", { scope: ["profile", "email"] })
@@ -36,7 +108,22 @@ router.get(
   passport.authenticate("google", { session: false }),
   loginWithGoogle
 );
+router.post("/google/exchange", googleLoginCodeRateLimit, exchangeGoogleLoginCode);
 router.delete("/devices/:deviceId", authenticateToken, removeDevice);
+router.get("/2fa", authenticateForEnrollment, getTwoFactorStatus);
+router.post("/2fa/setup", authenticateForEnrollment, setupTwoFactor);
+router.post("/2fa/enable", authenticateForEnrollment, enableTwoFactor);
+router.post("/2fa/disable", authenticateToken, disableTwoFactor);
+router.post("/2fa/recovery-codes", authenticateToken, regenerateRecoveryCodes);
+router.get("/account/export", authenticateToken, rejectImpersonation, exportAccountData);
+router.get("/account/deletion", authenticateToken, getAccountDeletionStatus);
+router.post("/account/deletion", authenticateToken, requestAccountDeletion);
+router.delete("/account/deletion", authenticateToken, cancelAccountDeletionRequest);
+router.post("/partner-links", authenticateToken, createPartnerPairingCode);
+router.get("/partner-links", authenticateToken, getPartnerLinks);
+router.delete("/partner-links/:linkId", authenticateToken, revokePartnerLink);
+router.get("/parental-controls", authenticateToken, getParentalControls);
+router.put("/parental-controls", authenticateToken, profilePinRateLimit, updateParentalControls);
 router.patch("/upgrade/:userId", authenticateToken, requireUpgrade, upgradeUser);
 router.put("/update-profile", authenticateToken, updateProfileUser);
 
@@ -22,6 +22,7 @@ import {
   requireFilmmakerApproved,
   requireFilmmakerVerified,
   checkNotBlocked,
+  requireTwoFactorEnrollment,
 } from "../middleware/authMiddleware.js";
 import { getAllWithdrawals } from "../controllers/paymentController.js";
 
@@ -96,6 +97,7 @@ router.put(
   "/payment-method",
   authenticateToken,
   requireFilmmaker,
+  requireTwoFactorEnrollment,
   checkNotBlocked,
   updatePaymentMethod
 );
@@ -120,6 +122,7 @@ router.post(
   requireFilmmaker,
   requireFilmmakerApproved,
   requireFilmmakerVerified,
+  requireTwoFactorEnrollment,
   checkNotBlocked,
   requestWithdrawal
 );
@@ -9,6 +9,7 @@ import {
     checkEmailAvailable
 } from "../controllers/googleOAuthController.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
+import { checkEmailRateLimit } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
@@ -61,8 +62,9 @@ router.get("/profile", authenticateToken, getCurrentProfile);
  * @desc    Check if email is available for registration
  * @access  Public
  * @body    { email: string }
+ * @note    Throttled per IP to slow down account enumeration
  */
-router.post("/check-email", checkEmailAvailable);
+router.post("/check-email", checkEmailRateLimit, checkEmailAvailable);
 
 // ========== ACCOUNT LINKING ==========
 
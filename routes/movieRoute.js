@@ -4,6 +4,7 @@ import {
   updateMovie,
   deleteMovie,
   searchMovies,
+  suggestMovies,
   addMovie,
   getFilmmakerMovies,
   getTrendingMovies,
@@ -12,7 +13,6 @@ import {
   uploadMovieVideo,
   uploadPoster,
   uploadBackdrop,
-  // uploadSubtitle,
   getMovieCategories,
   getAllMovies,
   getFilmmakerSeries,
@@ -26,36 +26,56 @@ import {
   uploadVideoMiddleware,
   uploadImageMiddleware,
   uploadMovieFilesMiddleware,
+  uploadSubtitleMiddleware,
 } from "../utils/backblazeB2.js";
 import { getSecureStreamUrl } from "../controllers/paymentController.js";
 import { addEpisode, createSeries } from "../controllers/series.controller.js";
+import { getCredits, setCredits } from "../controllers/personController.js";
+import {
+  listSubtitles,
+  uploadSubtitle,
+  updateSubtitle,
+  deleteSubtitle,
+} from "../controllers/subtitleController.js";
+import {
+  listTranslations,
+  upsertTranslation,
+  deleteTranslation,
+} from "../controllers/translationController.js";
 
 const router = express.Router();
 
 // ====== PUBLIC ROUTES ======
 
 // Get all movies (with pagination, filtering, sorting)
-router.get("/", getAllMovies);
+router.get("/", optionalAuthenticate, getAllMovies);
 
 // Search movies
 // api/movies/search?query= In the query string
-router.get("/search", searchMovies);
+router.get("/search", optionalAuthenticate, searchMovies);
+
+// Autocomplete while typing; tolerates misspellings
+// api/movies/suggest?query=ubum
+router.get("/suggest", optionalAuthenticate, suggestMovies);
 router.get('/secure-stream/:movieId', authenticateToken, getSecureStreamUrl);
 
 // Get trending movies
-router.get("/trending", getTrendingMovies);
+router.get("/trending", optionalAuthenticate, getTrendingMovies);
 
 // Get top rated movies
-router.get("/top-rated", getTopRatedMovies);
+router.get("/top-rated", optionalAuthenticate, getTopRatedMovies);
 
 // Get movies by category
-router.get("/category/:category", getMoviesByCategory);
+router.get("/category/:category", optionalAuthenticate, getMoviesByCategory);
 router.get("/categories", getMovieCategories);
 // Get movies by filmmaker
-router.get("/filmmaker/:filmamakerId", getFilmmakerMovies);
-router.get("/filmmaker/:filmmakerId/series", getFilmmakerSeries);
+router.get("/filmmaker/:filmmakerId", optionalAuthenticate, getFilmmakerMovies);
+router.get("/filmmaker/:filmmakerId/series", optionalAuthenticate, getFilmmakerSeries);
 router.get("/:id/reviews",authenticateToken, getMovieReview);
 
+// Cast and crew
+router.get("/:id/credits", optionalAuthenticate, getCredits);
+
 // Get movie by ID or slug (must be last)
 // `optionalAuthenticate` will attach `req.user` when a valid token is sent.
 router.get("/:id", optionalAuthenticate, getMovieById);
@@ -79,6 +99,9 @@ router.post("/rating", authenticateToken,addRatingMovies);
 // Update movie (Filmmaker or Admin)
 router.put("/:id", authenticateToken, updateMovie);
 
+// Replace cast and crew (Filmmaker or Moderator)
+router.put("/:id/credits", authenticateToken, setCredits);
+
 // Delete movie (Filmmaker or Admin)
 router.delete("/:id", authenticateToken, deleteMovie);
 
@@ -105,13 +128,23 @@ router.post(
   uploadBackdrop
 );
 
-// Upload subtitle file
-// router.post(
-//   "/:movieId/subtitle",
-//   authenticateToken,
-//   uploadImageMiddleware().single("subtitle"),
-//   uploadSubtitle
-// );
+// Subtitle and caption tracks (.srt is converted to WebVTT)
+// Multipart: subtitle file + language, label, kind, isDefault, isForced
+router.get("/:movieId/subtitles", optionalAuthenticate, listSubtitles);
+router.post(
+  "/:movieId/subtitles",
+  authenticateToken,
+  uploadSubtitleMiddleware().single("subtitle"),
+  uploadSubtitle
+);
+router.patch("/:movieId/subtitles/:trackId", authenticateToken, updateSubtitle);
+router.delete("/:movieId/subtitles/:trackId", authenticateToken, deleteSubtitle);
+
+// Title, description and tags per locale (rw, en, fr)
+// Listing and detail endpoints pick one from ?lang= or Accept-Language
+router.get("/:movieId/translations", optionalAuthenticate, listTranslations);
+router.put("/:movieId/translations/:locale", authenticateToken, upsertTranslation);
+router.delete("/:movieId/translations/:locale", authenticateToken, deleteTranslation);
 
 // ====== STREAMING ROUTES ======
 
@@ -0,0 +1,60 @@
+import express from "express";
+import {
+    listOidcProviders,
+    startOidcLogin,
+    oidcCallback,
+    getLinkedIdentities,
+    linkOidcAccount,
+    unlinkOidcAccount
+} from "../controllers/oidcController.js";
+import { authenticateToken, rejectImpersonation } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// ========== OPENID CONNECT PROVIDERS ==========
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the sign-in providers configured through OIDC_PROVIDERS
+ * @access  Public
+ */
+router.get("/providers", listOidcProviders);
+
+/**
+ * @route   GET /api/auth/oidc/identities
+ * @desc    Provider accounts linked to the current user
+ * @access  Private (authenticated users only)
+ */
+router.get("/identities", authenticateToken, getLinkedIdentities);
+
+/**
+ * @route   GET /api/auth/oidc/:provider
+ * @desc    Redirect to the provider's sign-in page
+ * @access  Public
+ */
+router.get("/:provider", startOidcLogin);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Provider redirect target; signs in or finishes linking
+ * @access  Public (the signed state says which)
+ */
+router.get("/:provider/callback", oidcCallback);
+
+// ========== ACCOUNT LINKING ==========
+
+/**
+ * @route   GET /api/auth/oidc/:provider/link
+ * @desc    Get the provider URL that links it to the current account
+ * @access  Private (authenticated users only)
+ */
+router.get("/:provider/link", authenticateToken, rejectImpersonation, linkOidcAccount);
+
+/**
+ * @route   DELETE /api/auth/oidc/:provider/link
+ * @desc    Unlink the provider from the account
+ * @access  Private (authenticated users only)
+ */
+router.delete("/:provider/link", authenticateToken, unlinkOidcAccount);
+
+export default router;
@@ -0,0 +1,51 @@
+import express from "express";
+import {
+    getPartnerCatalog,
+    getPartnerCatalogItem,
+    checkPartnerAccess,
+    linkPartnerUser,
+    getPartnerAnalytics
+} from "../controllers/partnerController.js";
+import { authenticateApiKey } from "../middleware/authMiddleware.js";
+import { API_KEY_SCOPES } from "../utils/apiKeyHelper.js";
+
+const router = express.Router();
+
+// ========== PARTNER API (server-to-server, API key required) ==========
+
+/**
+ * @route   GET /api/partner/catalog
+ * @desc    Approved titles, filterable by type, category, country and last update
+ * @access  API key with catalog:read
+ */
+router.get("/catalog", authenticateApiKey(API_KEY_SCOPES.CATALOG_READ), getPartnerCatalog);
+
+/**
+ * @route   GET /api/partner/catalog/:movieId
+ * @desc    One approved title, by id or slug
+ * @access  API key with catalog:read
+ */
+router.get("/catalog/:movieId", authenticateApiKey(API_KEY_SCOPES.CATALOG_READ), getPartnerCatalogItem);
+
+/**
+ * @route   POST /api/partner/links
+ * @desc    Redeem a user's pairing code under the partner's own id for them
+ * @access  API key with access:check
+ */
+router.post("/links", authenticateApiKey(API_KEY_SCOPES.ACCESS_CHECK), linkPartnerUser);
+
+/**
+ * @route   GET /api/partner/access
+ * @desc    Whether a paired user (by the partner's id for them) may watch a title
+ * @access  API key with access:check
+ */
+router.get("/access", authenticateApiKey(API_KEY_SCOPES.ACCESS_CHECK), checkPartnerAccess);
+
+/**
+ * @route   GET /api/partner/analytics/:movieId
+ * @desc    Views, sales count and ratings for one title
+ * @access  API key with analytics:read
+ */
+router.get("/analytics/:movieId", authenticateApiKey(API_KEY_SCOPES.ANALYTICS_READ), getPartnerAnalytics);
+
+export default router;
@@ -21,7 +21,8 @@ import {
   checkSeriesAccess,
   checkMoMoPaymentStatus
 } from "../controllers/paymentController.js";
-import { authenticateToken, requireAdmin } from "../middleware/authMiddleware.js";
+import { authenticateToken, requirePermission, requireTwoFactorEnrollment } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -71,13 +72,13 @@ router.patch("/:paymentId/confirm", authenticateToken, confirmPayment);
 
 // Get movie sales & revenue analytics (Admin only)
 // GET /api/payments/movie/:movieId/analytics
-router.get("/movie/:movieId/analytics", authenticateToken, requireAdmin, getMovieAnalytics);
+router.get("/movie/:movieId/analytics", authenticateToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getMovieAnalytics);
 
 // ====== WITHDRAWAL ROUTES ======
 
 // 🔥 NEW: Request withdrawal (Filmmaker only)
 // POST /api/payments/withdrawals/request
-router.post("/withdrawals/:filmmakerId/request", authenticateToken, requestWithdrawal);
+router.post("/withdrawals/:filmmakerId/request", authenticateToken, requireTwoFactorEnrollment, requestWithdrawal);
 
 // 🔥 NEW: Get withdrawal history for authenticated user
 // GET /api/payments/withdrawals/history
@@ -95,11 +96,11 @@ router.get("/withdrawals/:withdrawalId", authenticateToken, getWithdrawalDetails
 
 // 🔥 NEW: Get all withdrawals (Admin only)
 // GET /api/payments/admin/withdrawals
-router.get("/admin/withdrawals", authenticateToken, requireAdmin, getAllWithdrawals);
+router.get("/admin/withdrawals", authenticateToken, requirePermission(PERMISSIONS.WITHDRAWALS_VIEW), getAllWithdrawals);
 
 // 🔥 NEW: Process withdrawal (Admin only)
 // PUT /api/payments/admin/withdrawals/:withdrawalId/process
-router.put("/admin/withdrawals/:withdrawalId/process", authenticateToken, requireAdmin, processWithdrawal);
+router.put("/admin/withdrawals/:withdrawalId/process", authenticateToken, requirePermission(PERMISSIONS.WITHDRAWALS_PROCESS), processWithdrawal);
 
 // ====== WEBHOOK ROUTES ======
 
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+    listPeople,
+    getPerson,
+    createPerson,
+    updatePerson,
+    deletePerson
+} from "../controllers/personController.js";
+import { authenticateToken, optionalAuthenticate } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// ====== PUBLIC ROUTES ======
+
+// Browse people: /api/people?search=&role=director
+router.get("/", listPeople);
+
+// A person's filmography, by id or slug
+router.get("/:personId", optionalAuthenticate, getPerson);
+
+// ====== PROTECTED ROUTES ======
+
+router.post("/", authenticateToken, createPerson);
+router.put("/:personId", authenticateToken, updatePerson);
+router.delete("/:personId", authenticateToken, deletePerson);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+    reportProgress,
+    getProgress,
+    removeProgress,
+    getContinueWatchingRail,
+    getSeriesNextEpisode
+} from "../controllers/playbackController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Progress is kept per profile, so playback resumes on any device
+router.use(authenticateToken);
+
+router.post("/progress", reportProgress);
+router.get("/progress/:movieId", getProgress);
+router.delete("/progress/:movieId", removeProgress);
+
+router.get("/continue-watching", getContinueWatchingRail);
+router.get("/series/:seriesId/next", getSeriesNextEpisode);
+
+export default router;
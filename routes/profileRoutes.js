@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  switchProfile,
+  exitProfile,
+  getWatchHistory
+} from "../controllers/profileController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { profilePinRateLimit } from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getProfiles);
+router.post("/", createProfile);
+router.get("/history", getWatchHistory);
+router.post("/exit", profilePinRateLimit, exitProfile);
+router.put("/:profileId", updateProfile);
+router.delete("/:profileId", deleteProfile);
+router.post("/:profileId/switch", profilePinRateLimit, switchProfile);
+
+export default router;
@@ -6,7 +6,8 @@ import {
   changeSubscribeStatus,
   getSubscribers
 } from '../controllers/subscribeController.js';
-import { authenticateToken,requireAdmin } from '../middleware/authMiddleware.js';
+import { authenticateToken, requirePermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -23,8 +24,8 @@ const upload = multer({
 });
 
 router.post('/new', subscribeCinemaRwa);
-router.post('/notify',authenticateToken,requireAdmin, upload.single('image'), notifySubscribers);
-router.put('/status',authenticateToken,requireAdmin, changeSubscribeStatus);
+router.post('/notify',authenticateToken, requirePermission(PERMISSIONS.SUBSCRIBERS_NOTIFY), upload.single('image'), notifySubscribers);
+router.put('/status',authenticateToken, requirePermission(PERMISSIONS.SUBSCRIBERS_NOTIFY), changeSubscribeStatus);
 router.get('/subscribers', getSubscribers);
 
 export default router;
\ No newline at end of file
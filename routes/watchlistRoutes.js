@@ -0,0 +1,21 @@
+import express from "express";
+import {
+    getWatchlist,
+    addToWatchlist,
+    removeFromWatchlist,
+    reorderWatchlist
+} from "../controllers/watchlistController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Each profile has its own list
+router.use(authenticateToken);
+
+// ?filter=priceDropped | nowAvailable
+router.get("/", getWatchlist);
+router.post("/", addToWatchlist);
+router.put("/order", reorderWatchlist);
+router.delete("/:movieId", removeFromWatchlist);
+
+export default router;
@@ -14,14 +14,27 @@ import authRoutes from "./routes/authRoutes.js";
 import adminRoutes from "./routes/adminRoute.js";
 import filmmmakerRoutes from "./routes/filmmmakerRoute.js";
 import googleOAuthRoutes from "./routes/googleOAuthRoutes.js";
+import oidcRoutes from "./routes/oidcRoutes.js";
+import partnerRoutes from "./routes/partnerRoutes.js";
+import personRoutes from "./routes/personRoutes.js";
+import watchlistRoutes from "./routes/watchlistRoutes.js";
+import playbackRoutes from "./routes/playbackRoutes.js";
 import { initializePassport } from "./config/googleOAuth.js";
 import subscribeRoutes from "./routes/subscribeRoutes.js";
+import profileRoutes from "./routes/profileRoutes.js";
 import { User, Movie, Review, Payment, OTP } from "./models/index.js";
+import { processDueAccountDeletions } from "./utils/accountDeletionHelper.js";
 
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// req.ip only believes X-Forwarded-For entries added by our own proxies.
+// TRUST_PROXY is the number of hops in front of the app (e.g. 1 behind a load
+// balancer) or a comma-separated list of proxy addresses/subnets; unset trusts none
+const trustProxy = process.env.TRUST_PROXY;
+app.set("trust proxy", /^\d+$/.test(trustProxy || "") ? Number(trustProxy) : trustProxy || false);
+
 let sessionStore;
 
 // Session Configuration will be set up in startServer
@@ -44,9 +57,15 @@ app.use("/api/movies", movieRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/auth", googleOAuthRoutes);
+app.use("/api/auth/oidc", oidcRoutes);
 app.use("/api/filmmaker", filmmmakerRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/subscribe", subscribeRoutes);
+app.use("/api/profiles", profileRoutes);
+app.use("/api/partner", partnerRoutes);
+app.use("/api/people", personRoutes);
+app.use("/api/watchlist", watchlistRoutes);
+app.use("/api/playback", playbackRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -115,6 +134,16 @@ async function startServer() {
     // Only start server if not in test environment
     if (process.env.NODE_ENV !== 'test') {
       app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+
+      // Purge accounts whose deletion grace period has ended
+      setInterval(async () => {
+        try {
+          const purged = await processDueAccountDeletions();
+          if (purged > 0) console.log(`🗑️ Purged ${purged} deleted account(s)`);
+        } catch (error) {
+          console.error('❌ Account deletion job failed:', error.message);
+        }
+      }, 60 * 60 * 1000);
     }
   } catch (error) {
     console.error('❌ Failed to start server:', error);
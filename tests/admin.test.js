@@ -1,5 +1,7 @@
 import request from 'supertest';
 import app from '../server.js';
+import { User, ImpersonationSession, ImpersonationRequest } from '../models/index.js';
+import { purgeAccount } from '../utils/accountDeletionHelper.js';
 
 
 
@@ -105,6 +107,20 @@ describe('Admin API Tests', () => {
       }
     });
 
+    it('should include lockout status for each user', async () => {
+      const token = await getAdminToken();
+
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect([200, 403, 404]).toContain(response.status);
+      if (response.status === 200 && response.body.data.length > 0) {
+        expect(response.body.data[0]).toHaveProperty('isLockedOut');
+        expect(Array.isArray(response.body.data[0].lockouts)).toBe(true);
+      }
+    });
+
     it('should support filtering filmmakers', async () => {
       const token = await getAdminToken();
 
@@ -414,4 +430,127 @@ describe('Admin API Tests', () => {
       expect([200, 403, 404]).toContain(response.status);
     });
   });
+
+  describe('PATCH /api/admin/users/:userId/role', () => {
+    it('should reject without authentication', async () => {
+      const response = await request(app)
+        .patch('/api/admin/users/00000000-0000-4000-8000-000000000000/role')
+        .send({ role: 'moderator' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject an unknown role', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .patch('/api/admin/users/00000000-0000-4000-8000-000000000000/role')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'superuser' });
+
+      expect([400, 403]).toContain(response.status);
+    });
+  });
+
+  describe('Impersonation', () => {
+    it('should reject starting impersonation without authentication', async () => {
+      const response = await request(app)
+        .post('/api/admin/users/00000000-0000-4000-8000-000000000000/impersonate')
+        .send({ reason: 'User reports paid but cannot watch' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require a reason', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/admin/users/00000000-0000-4000-8000-000000000000/impersonate')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect([400, 403]).toContain(response.status);
+    });
+
+    it('should list the impersonation audit trail', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/admin/impersonations')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect([200, 403]).toContain(response.status);
+      if (response.status === 200) {
+        expect(Array.isArray(response.body.data)).toBe(true);
+      }
+    });
+
+    it('should 404 the request log of an unknown session', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/admin/impersonations/00000000-0000-4000-8000-000000000000/requests')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect([403, 404]).toContain(response.status);
+    });
+
+    it('should keep the audit trail when both accounts are purged', async () => {
+      const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
+      const register = (name) => request(app)
+        .post('/api/auth/register')
+        .send({ name, email: `${name}_${uniqueId}@example.com`, password: 'Test@1234567' });
+
+      const [staff, viewer] = [await register('support'), await register('viewed')];
+      if (staff.status !== 201 || viewer.status !== 201) return;
+
+      const [admin, target] = await Promise.all([
+        User.findOne({ where: { email: `support_${uniqueId}@example.com` } }),
+        User.findOne({ where: { email: `viewed_${uniqueId}@example.com` } })
+      ]);
+      const session = await ImpersonationSession.create({
+        adminId: admin.id,
+        targetUserId: target.id,
+        reason: 'Playback issue',
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      });
+      await ImpersonationRequest.create({ sessionId: session.id, method: 'GET', path: '/api/movies', status: 200 });
+
+      expect((await purgeAccount(admin.id)).success).toBe(true);
+      expect((await purgeAccount(target.id)).success).toBe(true);
+
+      await session.reload();
+      expect(session.adminId).toBeNull();
+      expect(session.targetUserId).toBeNull();
+      expect(await ImpersonationRequest.count({ where: { sessionId: session.id } })).toBe(1);
+    });
+  });
+
+  describe('GET /api/admin/security-events', () => {
+    it('should reject without authentication', async () => {
+      const response = await request(app).get('/api/admin/security-events');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should search failed logins by email', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/admin/security-events')
+        .query({ type: 'login.failed', email: 'nonexistent' })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect([200, 403]).toContain(response.status);
+      if (response.status === 200) {
+        expect(Array.isArray(response.body.data)).toBe(true);
+        response.body.data.forEach((event) => expect(event.type).toBe('login.failed'));
+      }
+    });
+  });
 });
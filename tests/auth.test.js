@@ -1,5 +1,9 @@
 import request from 'supertest';
 import app from '../server.js';
+import { generateTotpCode, verifyUserTotp } from '../utils/totpHelper.js';
+import { createSocialLoginCode } from '../utils/socialLoginCodeHelper.js';
+import User from '../models/User.modal.js';
+import OTP from '../models/OTP.modal.js';
 
 // Set to true for detailed debugging
 const DEBUG_MODE = true;
@@ -73,6 +77,8 @@ describe('Authentication API Tests', () => {
         expect(response.body.user).toHaveProperty('email', testUser.email);
         expect(response.body.user).toHaveProperty('role', testUser.role);
         expect(response.body.user).toHaveProperty('isUpgraded', false);
+        expect(response.body.user).toHaveProperty('emailVerified', false);
+        expect(response.body).toHaveProperty('verificationEmailSent');
         expect(response.body.user).toHaveProperty('maxDevices');
         expect(response.body.user).toHaveProperty('currentDevices', 1);
         
@@ -83,6 +89,15 @@ describe('Authentication API Tests', () => {
       }
     });
 
+    it('should not allow registering with a staff role', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...createTestUser(), role: 'finance' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Invalid role');
+    });
+
     it('should reject duplicate email registration', async () => {
       const testUser = createTestUser();
 
@@ -492,6 +507,63 @@ describe('Authentication API Tests', () => {
     });
   });
 
+  describe('GET /api/auth/security-events', () => {
+    it('should reject without authentication', async () => {
+      const response = await request(app).get('/api/auth/security-events');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the account\'s own security events', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .get('/api/auth/security-events')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      log.response(response);
+
+      expect(response.status).toBeLessThan(500);
+      if (response.status === 200) {
+        expect(Array.isArray(response.body.events)).toBe(true);
+        expect(response.body).toHaveProperty('pagination');
+        response.body.events.forEach((event) => expect(event).not.toHaveProperty('actorId'));
+      }
+    });
+  });
+
+  describe('Concurrent streams', () => {
+    it('should list active streams with the plan limit', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .get('/api/auth/streams')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.activeStreams)).toBe(true);
+      expect(response.body).toHaveProperty('maxStreams');
+    });
+
+    it('should reject a heartbeat for an unknown session', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .post('/api/auth/streams/00000000-0000-4000-8000-000000000000/heartbeat')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('code', 'STREAM_SESSION_NOT_FOUND');
+    });
+
+    it('should reject streams without token', async () => {
+      const response = await request(app)
+        .get('/api/auth/streams');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe('GET /api/auth/profile', () => {
     beforeAll(async () => {
       // Ensure we have a token
@@ -703,6 +775,809 @@ describe('Authentication API Tests', () => {
     });
   });
 
+  describe('Phone accounts', () => {
+    const phoneNumber = `+2507${String(Date.now()).slice(-8)}`;
+
+    it('should require a name and phone number to register', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Phone User' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an invalid phone number', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Phone User', phoneNumber: 'not-a-number' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Invalid phone number');
+    });
+
+    it('should not allow registering with a staff role', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Phone User', phoneNumber, role: 'admin' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should register with a phone number and text a code', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Phone User', phoneNumber });
+
+      log.response(response);
+
+      expect(response.status).toBe(201);
+      expect(response.body).not.toHaveProperty('token');
+      expect(response.body.phoneNumber).not.toBe(phoneNumber);
+    });
+
+    it('should reject a wrong SMS code', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/verify-otp')
+        .send({ phoneNumber, otp: '000000' });
+
+      log.response(response);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should apply a repeated signup only once the number is verified', async () => {
+      const signupNumber = `+2507${String(Date.now() + 1).slice(-8)}`;
+      const first = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'First Name', phoneNumber: signupNumber });
+      expect(first.status).toBe(201);
+
+      const again = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Second Name', phoneNumber: signupNumber, role: 'filmmaker' });
+      expect(again.status).toBe(201);
+
+      const pending = await User.findOne({ where: { phoneNumber: signupNumber } });
+      expect(pending.name).toBe('First Name');
+      expect(pending.role).toBe('viewer');
+
+      const { otp } = await OTP.findOne({ where: { phoneNumber: signupNumber } });
+      const verified = await request(app)
+        .post('/api/auth/phone/verify-otp')
+        .send({ phoneNumber: signupNumber, otp });
+      expect(verified.status).toBe(200);
+
+      await pending.reload();
+      expect(pending.name).toBe('Second Name');
+      expect(pending.role).toBe('filmmaker');
+    });
+
+    it('should not let a phone signup change an email account', async () => {
+      const testUser = createTestUser();
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+      if (registered.status !== 201) return;
+
+      // Added to the account but never verified
+      const heldNumber = `+2507${String(Date.now() + 2).slice(-8)}`;
+      await User.update({ phoneNumber: heldNumber }, { where: { email: testUser.email } });
+
+      const response = await request(app)
+        .post('/api/auth/phone/register')
+        .send({ name: 'Someone Else', phoneNumber: heldNumber, role: 'filmmaker' });
+      expect(response.status).toBe(201);
+
+      const { otp } = await OTP.findOne({ where: { phoneNumber: heldNumber } });
+      await request(app)
+        .post('/api/auth/phone/verify-otp')
+        .send({ phoneNumber: heldNumber, otp });
+
+      const account = await User.findOne({ where: { email: testUser.email } });
+      expect(account.name).toBe(testUser.name);
+      expect(account.role).toBe('viewer');
+    });
+
+    it('should not reveal whether a phone number is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/phone/login')
+        .send({ phoneNumber: '+250700000001' });
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If an account exists');
+    });
+  });
+
+  describe('Magic link sign-in', () => {
+    it('should reject a link request without email', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({});
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Email is required');
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nonexistent@example.com' });
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should answer a registered email exactly like an unknown one', async () => {
+      if (!createdUserEmail) {
+        console.log('⚠️ Skipping: No registered user available');
+        return;
+      }
+
+      const unknown = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: createTestUser().email });
+      const registered = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: createdUserEmail });
+
+      log.response(registered);
+
+      expect(registered.status).toBe(unknown.status);
+      expect(registered.body).not.toHaveProperty('expiresIn');
+      expect(registered.body.message).toBe(unknown.body.message);
+    });
+
+    it('should reject a tampered sign-in link', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ email: 'nonexistent@example.com', token: 'not-a-signed-token' });
+
+      log.response(response);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('code', 'MAGIC_LINK_INVALID');
+    });
+
+    it('should register a local account without a password', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(createTestUser({ password: undefined }));
+
+      log.response(response);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toHaveProperty('token');
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should reject request without email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({});
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Email is required');
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nonexistent@example.com' });
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should answer a registered email exactly like an unknown one', async () => {
+      if (!createdUserEmail) {
+        console.log('⚠️ Skipping: No registered user available');
+        return;
+      }
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: createTestUser().email });
+      const registered = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: createdUserEmail });
+
+      log.response(registered);
+
+      expect(registered.status).toBe(unknown.status);
+      expect(registered.body).not.toHaveProperty('expiresIn');
+      expect(registered.body.message).toBe(unknown.body.message);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reject request with missing fields', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ email: 'nonexistent@example.com' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an invalid reset token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({
+          email: 'nonexistent@example.com',
+          token: 'not-a-real-token',
+          newPassword: 'NewPass@1234567'
+        });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('code', 'RESET_TOKEN_INVALID');
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('should reject request with missing fields', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ email: 'nonexistent@example.com' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Email and token are required');
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({
+          email: 'nonexistent@example.com',
+          token: 'not-a-real-token'
+        });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('code', 'VERIFICATION_TOKEN_INVALID');
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    it('should reject request without email', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({});
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'nonexistent@example.com' });
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If this email belongs to an unverified account');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken = null;
+
+    beforeAll(async () => {
+      const testUser = createTestUser();
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+
+      if (response.status === 201) {
+        refreshToken = response.body.refreshToken;
+      }
+    });
+
+    it('should reject request without refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Refresh token is required');
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' });
+
+      log.response(response);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('code', 'REFRESH_TOKEN_INVALID');
+    });
+
+    it('should rotate the refresh token and detect reuse of the old one', async () => {
+      if (!refreshToken) {
+        console.warn('Skipping refresh rotation test - no refresh token');
+        return;
+      }
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      log.response(first);
+
+      expect(first.status).toBe(200);
+      expect(first.body).toHaveProperty('token');
+      expect(first.body).toHaveProperty('refreshToken');
+      expect(first.body.refreshToken).not.toBe(refreshToken);
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      log.response(replay);
+
+      expect(replay.status).toBe(401);
+      expect(replay.body).toHaveProperty('code', 'REFRESH_TOKEN_REUSED');
+
+      // The whole family is revoked, including the token issued by the first refresh
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken });
+
+      expect(afterReuse.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/google/exchange', () => {
+    it('should reject an unknown code', async () => {
+      const response = await request(app)
+        .post('/api/auth/google/exchange')
+        .send({ code: 'not-a-real-code' });
+
+      log.response(response);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('code', 'SOCIAL_LOGIN_CODE_INVALID');
+    });
+
+    it('should trade a code for tokens only once', async () => {
+      const testUser = createTestUser();
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+      if (registered.status !== 201) return;
+
+      const user = await User.findOne({ where: { email: testUser.email } });
+      const { code } = await createSocialLoginCode(user);
+
+      const exchanged = await request(app)
+        .post('/api/auth/google/exchange')
+        .send({ code });
+
+      log.response(exchanged);
+
+      expect(exchanged.status).toBe(200);
+      expect(exchanged.body).toHaveProperty('token');
+      expect(exchanged.body).toHaveProperty('refreshToken');
+
+      const replay = await request(app)
+        .post('/api/auth/google/exchange')
+        .send({ code });
+
+      expect(replay.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/2fa/setup', () => {
+    let twoFactorToken = null;
+
+    beforeAll(async () => {
+      const testUser = createTestUser();
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+
+      if (response.status === 201) {
+        twoFactorToken = response.body.token;
+      }
+    });
+
+    it('should reject without authentication', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return a secret and otpauth provisioning URI', async () => {
+      if (!twoFactorToken) {
+        console.warn('Skipping 2FA setup test - no auth token');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${twoFactorToken}`);
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('secret');
+      expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should reject enabling with a wrong code', async () => {
+      if (!twoFactorToken) return;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${twoFactorToken}`)
+        .send({ code: '000000' });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/verify-otp with an authenticator app', () => {
+    let enrolledUser = null;
+    let enrolledToken = null;
+    let enrolledSecret = null;
+    let recoveryCodes = [];
+
+    beforeAll(async () => {
+      const testUser = createTestUser();
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+      if (registered.status !== 201) return;
+
+      const token = registered.body.token;
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+      if (setup.status !== 200) return;
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotpCode(setup.body.secret) });
+      if (enabled.status !== 200) return;
+
+      enrolledUser = testUser;
+      enrolledToken = token;
+      enrolledSecret = setup.body.secret;
+      recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    it('should record the enrollment in the security log', async () => {
+      if (!enrolledUser) return;
+
+      const response = await request(app)
+        .get('/api/auth/security-events')
+        .set('Authorization', `Bearer ${enrolledToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.events.map((event) => event.type)).toContain('two_factor.enabled');
+    });
+
+    it('should not sign in with a second factor alone', async () => {
+      if (!enrolledUser) {
+        console.warn('Skipping 2FA login test - enrollment failed');
+        return;
+      }
+
+      const response = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({ email: enrolledUser.email, recoveryCode: recoveryCodes[0] });
+
+      log.response(response);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('code', 'LOGIN_CHALLENGE_REQUIRED');
+      expect(response.body).not.toHaveProperty('token');
+    });
+
+    it('should sign in once with the challenge issued by the password step', async () => {
+      if (!enrolledUser) return;
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: enrolledUser.email, password: enrolledUser.password });
+
+      log.response(login);
+
+      expect(login.status).toBe(200);
+      expect(login.body).toHaveProperty('method', 'totp');
+      expect(login.body).toHaveProperty('loginChallenge');
+
+      const forged = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({ email: enrolledUser.email, recoveryCode: recoveryCodes[0], loginChallenge: 'not-a-challenge' });
+
+      expect(forged.status).toBe(401);
+      expect(forged.body).toHaveProperty('code', 'LOGIN_CHALLENGE_INVALID');
+
+      const verified = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({
+          email: enrolledUser.email,
+          recoveryCode: recoveryCodes[0],
+          loginChallenge: login.body.loginChallenge,
+          deviceFingerprint: enrolledUser.deviceFingerprint
+        });
+
+      log.response(verified);
+
+      expect(verified.status).toBe(200);
+      expect(verified.body).toHaveProperty('token');
+
+      const replay = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({
+          email: enrolledUser.email,
+          recoveryCode: recoveryCodes[1],
+          loginChallenge: login.body.loginChallenge
+        });
+
+      expect(replay.status).toBe(401);
+      expect(replay.body).toHaveProperty('code', 'LOGIN_CHALLENGE_INVALID');
+    });
+
+    it('should accept a code only once when requests race', async () => {
+      if (!enrolledUser) return;
+
+      // Two copies of the account loaded before either request spends the code
+      const load = () => User.findOne({ where: { email: enrolledUser.email } });
+
+      const recovery = await Promise.all([
+        verifyUserTotp(await load(), { recoveryCode: recoveryCodes[2] }),
+        verifyUserTotp(await load(), { recoveryCode: recoveryCodes[2] })
+      ]);
+      expect(recovery.filter((result) => result.success)).toHaveLength(1);
+
+      // The next time step is within the drift window and not used yet
+      const code = generateTotpCode(enrolledSecret, Date.now() + 30 * 1000);
+      const totp = await Promise.all([
+        verifyUserTotp(await load(), { code }),
+        verifyUserTotp(await load(), { code })
+      ]);
+      expect(totp.filter((result) => result.success)).toHaveLength(1);
+      expect(totp.find((result) => !result.success)).toHaveProperty('code', 'TOTP_ALREADY_USED');
+    });
+  });
+
+  describe('Account export and deletion', () => {
+    let accountToken = null;
+    let accountPassword = null;
+
+    beforeAll(async () => {
+      const testUser = createTestUser();
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+
+      if (response.status === 201) {
+        accountToken = response.body.token;
+        accountPassword = testUser.password;
+      }
+    });
+
+    it('should reject export without authentication', async () => {
+      const response = await request(app)
+        .get('/api/auth/account/export');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should export profile, payments and device history without secrets', async () => {
+      if (!accountToken) {
+        console.warn('Skipping account export test - no auth token');
+        return;
+      }
+
+      const response = await request(app)
+        .get('/api/auth/account/export')
+        .set('Authorization', `Bearer ${accountToken}`);
+
+      log.response(response);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.body).toHaveProperty('profile');
+      expect(response.body.profile).not.toHaveProperty('password');
+      expect(response.body).toHaveProperty('payments');
+      expect(response.body).toHaveProperty('accessGrants');
+      expect(response.body.devices).toHaveProperty('sessionHistory');
+    });
+
+    it('should reject deletion with a wrong password', async () => {
+      if (!accountToken) return;
+
+      const response = await request(app)
+        .post('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${accountToken}`)
+        .send({ password: 'Wrong@1234567' });
+
+      log.response(response);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should schedule and then cancel deletion', async () => {
+      if (!accountToken) return;
+
+      const scheduled = await request(app)
+        .post('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${accountToken}`)
+        .send({ password: accountPassword });
+
+      log.response(scheduled);
+
+      expect(scheduled.status).toBe(200);
+      expect(scheduled.body).toHaveProperty('deletionScheduledFor');
+
+      const cancelled = await request(app)
+        .delete('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${accountToken}`);
+
+      expect(cancelled.status).toBe(200);
+
+      const status = await request(app)
+        .get('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${accountToken}`);
+
+      expect(status.body).toHaveProperty('pendingDeletion', false);
+    });
+  });
+
+  describe('Parental controls', () => {
+    let parentToken = null;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(createTestUser());
+
+      if (response.status === 201) {
+        parentToken = response.body.token;
+      }
+    });
+
+    it('should be off for a new account', async () => {
+      if (!parentToken) return;
+
+      const response = await request(app)
+        .get('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${parentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('enabled', false);
+      expect(response.body).toHaveProperty('allowedAge', null);
+    });
+
+    it('should require a PIN to turn the lock on', async () => {
+      if (!parentToken) return;
+
+      const response = await request(app)
+        .put('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ enabled: true, maxAge: 12 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should lock settings behind the PIN and filter the catalog', async () => {
+      if (!parentToken) return;
+
+      const enabled = await request(app)
+        .put('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ enabled: true, maxAge: 12, pin: '4321' });
+
+      log.response(enabled);
+
+      expect(enabled.status).toBe(200);
+      expect(enabled.body.parentalControls).toHaveProperty('allowedAge', 12);
+
+      const withoutPin = await request(app)
+        .put('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ maxAge: 18 });
+
+      expect(withoutPin.status).toBe(403);
+      expect(withoutPin.body).toHaveProperty('code', 'PARENTAL_PIN_REQUIRED');
+
+      const catalog = await request(app)
+        .get('/api/movies')
+        .set('Authorization', `Bearer ${parentToken}`);
+
+      if (catalog.status === 200) {
+        catalog.body.data.movies.forEach((movie) => {
+          expect(movie.ageRestriction || 0).toBeLessThanOrEqual(12);
+        });
+      }
+    });
+  });
+
+  describe('POST /api/auth/check-email (rate limiting)', () => {
+    it('should lock out a client after too many lookups', async () => {
+      let lastResponse = null;
+
+      for (let i = 0; i < 21; i++) {
+        lastResponse = await request(app)
+          .post('/api/auth/check-email')
+          .send({ email: `probe_${i}@example.com` });
+
+        if (lastResponse.status === 429) break;
+      }
+
+      log.response(lastResponse);
+
+      expect(lastResponse.status).toBe(429);
+      expect(lastResponse.body).toHaveProperty('code', 'TOO_MANY_ATTEMPTS');
+      expect(lastResponse.body).toHaveProperty('retryAfter');
+      expect(lastResponse.headers).toHaveProperty('retry-after');
+
+      // A forged X-Forwarded-For doesn't buy a fresh counter
+      const spoofed = await request(app)
+        .post('/api/auth/check-email')
+        .set('X-Forwarded-For', '203.0.113.7')
+        .send({ email: 'probe_spoofed@example.com' });
+
+      expect(spoofed.status).toBe(429);
+    });
+  });
+
+  describe('POST /api/auth/login (rate limiting)', () => {
+    it('should not let parallel guesses past the per-account limit', async () => {
+      const testUser = createTestUser();
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+      if (registered.status !== 201) return;
+
+      const responses = await Promise.all(
+        Array.from({ length: 10 }, () => request(app)
+          .post('/api/auth/login')
+          .send({ email: testUser.email, password: 'Wrong@1234567' }))
+      );
+
+      const guesses = responses.filter((response) => response.status === 401);
+      const throttled = responses.filter((response) => response.status === 429);
+
+      expect(guesses.length).toBeLessThanOrEqual(5);
+      expect(guesses.length + throttled.length).toBe(10);
+    });
+  });
+
   // Cleanup after all tests
   afterAll(async () => {
     console.log('\n🧹 Test cleanup completed');
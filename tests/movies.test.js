@@ -1,5 +1,7 @@
 import request from 'supertest';
+import { Op } from 'sequelize';
 import app from '../server.js';
+import Movie from '../models/Movie.model.js';
 
 describe('Movies API Tests', () => {
   let authToken = null;
@@ -71,6 +73,36 @@ describe('GET /api/movies', () => {
 
     expect([200, 404]).toContain(response.status);
   });
+
+  it('should return facet counts alongside results', async () => {
+    const response = await request(app)
+      .get('/api/movies?category=Action&priceRange=free&facets=true');
+
+    expect([200, 404]).toContain(response.status);
+    if (response.status === 200) {
+      const { facets } = response.body.data;
+      expect(Array.isArray(facets.categories)).toBe(true);
+      expect(Array.isArray(facets.languages)).toBe(true);
+      expect(Array.isArray(facets.contentTypes)).toBe(true);
+      expect(Array.isArray(facets.releaseYears)).toBe(true);
+      expect(facets.priceRanges.map((range) => range.key)).toContain('free');
+      expect(facets.ratings.length).toBeGreaterThan(0);
+
+      // The selected price range counts every free title matching the other filters
+      const free = facets.priceRanges.find((range) => range.key === 'free');
+      expect(free.count).toBe(response.body.data.pagination.total);
+    }
+  });
+
+  it('should skip facets unless asked', async () => {
+    const response = await request(app)
+      .get('/api/movies');
+
+    expect([200, 404]).toContain(response.status);
+    if (response.status === 200) {
+      expect(response.body.data.facets).toBeNull();
+    }
+  });
 });
 
   describe('GET /api/movies/search', () => {
@@ -87,6 +119,77 @@ describe('GET /api/movies', () => {
 
       expect([200, 404]).toContain(response.status);
     });
+
+    it('should rank results and return highlighted snippets', async () => {
+      const response = await request(app)
+        .get('/api/movies/search')
+        .query({ query: '"the movie" -trailer' });
+
+      expect([200, 404]).toContain(response.status);
+      if (response.status === 200) {
+        const ranks = response.body.data.map((movie) => movie.searchRank);
+        expect(ranks).toEqual([...ranks].sort((a, b) => b - a));
+        response.body.data.forEach((movie) => {
+          expect(movie).toHaveProperty('highlights');
+          expect(movie).not.toHaveProperty('searchVector');
+        });
+      }
+    });
+
+    it('should accept single-character queries', async () => {
+      const response = await request(app)
+        .get('/api/movies/search?query=x');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject an empty query', async () => {
+      const response = await request(app)
+        .get('/api/movies/search?query=%20');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should include a did-you-mean field', async () => {
+      const response = await request(app)
+        .get('/api/movies/search?query=tset');
+
+      expect([200, 404]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.body).toHaveProperty('didYouMean');
+      }
+    });
+  });
+
+  describe('GET /api/movies/suggest', () => {
+    it('should suggest from a single character', async () => {
+      const response = await request(app)
+        .get('/api/movies/suggest?query=t');
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.suggestions)).toBe(true);
+    });
+
+    it('should return ranked suggestions of known types', async () => {
+      const response = await request(app)
+        .get('/api/movies/suggest')
+        .query({ query: 'tset movei', limit: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.suggestions.length).toBeLessThanOrEqual(5);
+      const scores = response.body.suggestions.map((suggestion) => suggestion.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      response.body.suggestions.forEach((suggestion) => {
+        expect(['title', 'filmmaker', 'tag']).toContain(suggestion.type);
+      });
+    });
+
+    it('should return no suggestions for an empty query', async () => {
+      const response = await request(app).get('/api/movies/suggest');
+
+      expect(response.status).toBe(200);
+      expect(response.body.suggestions).toEqual([]);
+    });
   });
 
   describe('GET /api/movies/trending', () => {
@@ -191,6 +294,18 @@ describe('GET /api/movies', () => {
 
       expect(response.status).toBe(401);
     });
+
+    it('should reject invalid geoRestrictions country codes', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .put('/api/movies/testmovie')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ geoRestrictions: { deny: ['Rwanda'] } });
+
+      expect([400, 403, 404]).toContain(response.status);
+    });
   });
 
   describe('DELETE /api/movies/:id (Protected)', () => {
@@ -238,4 +353,113 @@ describe('GET /api/movies', () => {
       expect(response.status).toBe(404);
     });
   });
+
+  describe('Subtitle tracks', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:03,000\nMuraho\n\n2\n00:00:04,000 --> 00:00:05,500\nBonjour\n';
+
+    it('should require authentication to upload', async () => {
+      const response = await request(app)
+        .post('/api/movies/00000000-0000-0000-0000-000000000000/subtitles')
+        .field('language', 'en')
+        .field('label', 'English')
+        .attach('subtitle', Buffer.from(srt), 'english.srt');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 404 for tracks of an unknown title', async () => {
+      const response = await request(app)
+        .get('/api/movies/00000000-0000-0000-0000-000000000000/subtitles');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should hide the tracks of an unpublished title', async () => {
+      const unpublished = await Movie.findOne({ where: { status: { [Op.ne]: 'approved' } } });
+      if (!unpublished) return;
+
+      const response = await request(app)
+        .get(`/api/movies/${unpublished.id}/subtitles`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should list tracks in movie details', async () => {
+      const list = await request(app).get('/api/movies?limit=1');
+      const movie = list.body?.data?.movies?.[0];
+      if (!movie) return;
+
+      const response = await request(app).get(`/api/movies/${movie.id}`);
+
+      if (response.status === 200) {
+        expect(Array.isArray(response.body.data.subtitles)).toBe(true);
+      }
+    });
+  });
+
+  describe('Translations', () => {
+    it('should require authentication to add a translation', async () => {
+      const response = await request(app)
+        .put('/api/movies/00000000-0000-0000-0000-000000000000/translations/fr')
+        .send({ title: 'Le film' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject unsupported locales', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .put('/api/movies/00000000-0000-0000-0000-000000000000/translations/de')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Der Film' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for translations of an unknown title', async () => {
+      const response = await request(app)
+        .get('/api/movies/00000000-0000-0000-0000-000000000000/translations');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should hide the translations of an unpublished title', async () => {
+      const unpublished = await Movie.findOne({ where: { status: { [Op.ne]: 'approved' } } });
+      if (!unpublished) return;
+
+      const response = await request(app)
+        .get(`/api/movies/${unpublished.id}/translations`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should serve listings in the requested locale', async () => {
+      const response = await request(app)
+        .get('/api/movies?limit=5&facets=false')
+        .set('Accept-Language', 'fr-FR,fr;q=0.9,en;q=0.8');
+
+      expect([200, 404]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.headers.vary).toMatch(/Accept-Language/);
+        expect(response.body.data.filters.locale).toBe('fr');
+        response.body.data.movies.forEach((movie) => {
+          expect(movie).toHaveProperty('locale');
+          expect(movie).toHaveProperty('originalTitle');
+        });
+      }
+    });
+
+    it('should let ?lang= override Accept-Language', async () => {
+      const response = await request(app)
+        .get('/api/movies?lang=rw&facets=false')
+        .set('Accept-Language', 'fr');
+
+      expect([200, 404]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.body.data.filters.locale).toBe('rw');
+      }
+    });
+  });
 });
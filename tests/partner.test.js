@@ -0,0 +1,251 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Partner API Tests', () => {
+  let adminToken = null;
+
+  const getAdminToken = async () => {
+    if (!adminToken) {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@example.com',
+          password: 'Admin@1234567'
+        });
+      if (response.status === 200) {
+        adminToken = response.body.token;
+      }
+    }
+    return adminToken;
+  };
+
+  // Issue a key through the admin API; null when no admin is available
+  const issueKey = async (scopes, extra = {}) => {
+    const token = await getAdminToken();
+    if (!token) return null;
+
+    const response = await request(app)
+      .post('/api/admin/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Test partner', scopes, ...extra });
+
+    return response.status === 201 ? response.body : null;
+  };
+
+  describe('Admin key management', () => {
+    it('should reject without authentication', async () => {
+      const response = await request(app)
+        .post('/api/admin/api-keys')
+        .send({ name: 'Test partner', scopes: ['catalog:read'] });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const token = await getAdminToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/admin/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Test partner', scopes: ['everything'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return the key once and never store it in plain text', async () => {
+      const issued = await issueKey(['catalog:read']);
+      if (!issued) return;
+
+      expect(issued.key).toMatch(/^cvk_/);
+      expect(issued.apiKey).not.toHaveProperty('keyHash');
+      expect(issued.apiKey.keyPrefix).toBeTruthy();
+      expect(issued.key.startsWith(issued.apiKey.keyPrefix)).toBe(true);
+    });
+  });
+
+  describe('GET /api/partner/catalog', () => {
+    it('should reject requests without a key', async () => {
+      const response = await request(app).get('/api/partner/catalog');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('code', 'API_KEY_REQUIRED');
+    });
+
+    it('should reject an invalid key', async () => {
+      const response = await request(app)
+        .get('/api/partner/catalog')
+        .set('X-API-Key', 'cvk_00000000_invalid');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should not accept a user token', async () => {
+      const response = await request(app)
+        .get('/api/partner/catalog')
+        .set('Authorization', 'Bearer some.user.token');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the catalog with a catalog:read key', async () => {
+      const issued = await issueKey(['catalog:read']);
+      if (!issued) return;
+
+      const response = await request(app)
+        .get('/api/partner/catalog')
+        .set('X-API-Key', issued.key);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.headers).toHaveProperty('x-ratelimit-limit');
+    });
+  });
+
+  describe('Entitlement checks', () => {
+    const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
+    let userToken = null;
+    let movieId = null;
+
+    beforeAll(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Partner Viewer',
+          email: `partner_viewer_${uniqueId}@example.com`,
+          password: 'Test@1234567'
+        });
+      if (registered.status === 201) userToken = registered.body.token;
+
+      const catalog = await request(app).get('/api/movies').query({ limit: 1 });
+      movieId = catalog.body?.data?.movies?.[0]?.id || null;
+    });
+
+    it('should give a signed-in user a pairing code', async () => {
+      if (!userToken) return;
+
+      const pairing = await request(app)
+        .post('/api/auth/partner-links')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(pairing.status).toBe(201);
+      expect(pairing.body.code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+      const links = await request(app)
+        .get('/api/auth/partner-links')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(links.status).toBe(200);
+      expect(links.body.links).toEqual([]);
+
+      const unknown = await request(app)
+        .delete('/api/auth/partner-links/not-a-link')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should not look users up by email', async () => {
+      const issued = await issueKey(['access:check']);
+      if (!issued) return;
+
+      const response = await request(app)
+        .get('/api/partner/access')
+        .query({ movieId: '00000000-0000-0000-0000-000000000000', email: 'someone@example.com' })
+        .set('X-API-Key', issued.key);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an unknown pairing code', async () => {
+      const issued = await issueKey(['access:check']);
+      if (!issued) return;
+
+      const response = await request(app)
+        .post('/api/partner/links')
+        .set('X-API-Key', issued.key)
+        .send({ code: 'AAAA-BBBB', partnerUserId: `tv-${uniqueId}` });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('code', 'PAIRING_CODE_INVALID');
+    });
+
+    it('should only answer for users paired with this partner', async () => {
+      const issued = await issueKey(['access:check']);
+      const otherPartner = await issueKey(['access:check']);
+      if (!issued || !otherPartner || !userToken || !movieId) return;
+
+      const pairing = await request(app)
+        .post('/api/auth/partner-links')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(pairing.status).toBe(201);
+
+      const linked = await request(app)
+        .post('/api/partner/links')
+        .set('X-API-Key', issued.key)
+        .send({ code: pairing.body.code, partnerUserId: `tv-${uniqueId}` });
+      expect(linked.status).toBe(201);
+
+      const access = await request(app)
+        .get('/api/partner/access')
+        .query({ movieId, partnerUserId: `tv-${uniqueId}` })
+        .set('X-API-Key', issued.key);
+
+      expect(access.status).toBe(200);
+      expect(access.body).toHaveProperty('partnerUserId', `tv-${uniqueId}`);
+      expect(access.body).not.toHaveProperty('userId');
+
+      const otherAccess = await request(app)
+        .get('/api/partner/access')
+        .query({ movieId, partnerUserId: `tv-${uniqueId}` })
+        .set('X-API-Key', otherPartner.key);
+
+      expect(otherAccess.status).toBe(404);
+      expect(otherAccess.body).toHaveProperty('code', 'PARTNER_USER_NOT_LINKED');
+    });
+  });
+
+  describe('Scopes and limits', () => {
+    it('should reject a key without the required scope', async () => {
+      const issued = await issueKey(['catalog:read']);
+      if (!issued) return;
+
+      const response = await request(app)
+        .get('/api/partner/access')
+        .query({ movieId: '00000000-0000-0000-0000-000000000000', partnerUserId: 'tv-user-1' })
+        .set('X-API-Key', issued.key);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('code', 'API_KEY_SCOPE_MISSING');
+    });
+
+    it('should rate limit per key', async () => {
+      const issued = await issueKey(['catalog:read'], { rateLimitPerMinute: 1 });
+      if (!issued) return;
+
+      await request(app).get('/api/partner/catalog').set('X-API-Key', issued.key);
+      const response = await request(app)
+        .get('/api/partner/catalog')
+        .set('X-API-Key', issued.key);
+
+      expect(response.status).toBe(429);
+      expect(response.headers).toHaveProperty('retry-after');
+    });
+
+    it('should reject a revoked key', async () => {
+      const issued = await issueKey(['catalog:read']);
+      if (!issued) return;
+
+      await request(app)
+        .delete(`/api/admin/api-keys/${issued.apiKey.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .get('/api/partner/catalog')
+        .set('X-API-Key', issued.key);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('code', 'API_KEY_REVOKED');
+    });
+  });
+});
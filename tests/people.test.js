@@ -0,0 +1,80 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Cast & Crew API Tests', () => {
+  describe('GET /api/people', () => {
+    it('should list people', async () => {
+      const response = await request(app).get('/api/people');
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body).toHaveProperty('pagination');
+    });
+
+    it('should filter people by role', async () => {
+      const response = await request(app).get('/api/people?role=director');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app).get('/api/people?role=catering');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/people/:personId', () => {
+    it('should return 404 for an unknown person', async () => {
+      const response = await request(app).get('/api/people/no-such-person');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/people', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/people')
+        .send({ name: 'Test Director' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Movie credits', () => {
+    it('should require authentication to change credits', async () => {
+      const response = await request(app)
+        .put('/api/movies/00000000-0000-0000-0000-000000000000/credits')
+        .send({ credits: [] });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 404 for credits of an unknown title', async () => {
+      const response = await request(app)
+        .get('/api/movies/00000000-0000-0000-0000-000000000000/credits');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should look up credits by slug', async () => {
+      const response = await request(app)
+        .get('/api/movies/no-such-title/credits');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should include credits in movie details', async () => {
+      const list = await request(app).get('/api/movies?limit=1');
+      const movie = list.body?.data?.movies?.[0];
+      if (!movie) return;
+
+      const response = await request(app).get(`/api/movies/${movie.id}`);
+
+      if (response.status === 200) {
+        expect(Array.isArray(response.body.data.credits)).toBe(true);
+      }
+    });
+  });
+});
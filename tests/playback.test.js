@@ -0,0 +1,148 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Playback Progress API Tests', () => {
+  const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
+  let authToken = null;
+
+  // Password login stops at the email code, so use the session registration hands out
+  const getAuthToken = async () => {
+    if (!authToken) {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Playback Viewer',
+          email: `playback_viewer_${uniqueId}@example.com`,
+          password: 'Test@1234567'
+        });
+      if (response.status === 201) {
+        authToken = response.body.token;
+      }
+    }
+    return authToken;
+  };
+
+  describe('Authentication', () => {
+    it('should require authentication to report progress', async () => {
+      const response = await request(app)
+        .post('/api/playback/progress')
+        .send({ movieId: '00000000-0000-0000-0000-000000000000', position: 60 });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require authentication for continue watching', async () => {
+      const response = await request(app).get('/api/playback/continue-watching');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/playback/progress', () => {
+    it('should require a position', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/playback/progress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: '00000000-0000-0000-0000-000000000000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require season and episode numbers with a series id', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/playback/progress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ seriesId: '00000000-0000-0000-0000-000000000000', position: 60 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown title', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/playback/progress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: '00000000-0000-0000-0000-000000000000', position: 60, duration: 5400 });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should store and return the resume point', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const list = await request(app).get('/api/movies?limit=1&contentType=movie&facets=false');
+      const movie = list.body?.data?.movies?.[0];
+      if (!movie) return;
+
+      const reported = await request(app)
+        .post('/api/playback/progress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: movie.id, position: 600, duration: 6000 });
+      expect([200, 403]).toContain(reported.status);
+      if (reported.status === 403) return;
+      // The title's own length wins over what the player reports
+      expect(reported.body.data.duration).toBe(movie.videoDuration || 6000);
+
+      const resume = await request(app)
+        .get(`/api/playback/progress/${movie.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(resume.status).toBe(200);
+      expect(resume.body.data.position).toBe(Math.min(600, resume.body.data.duration));
+
+      const overrun = await request(app)
+        .post('/api/playback/progress')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: movie.id, position: 10 ** 7, duration: 10 ** 8 });
+      expect(overrun.status).toBe(200);
+      expect(overrun.body.data.position).toBe(overrun.body.data.duration);
+
+      const removed = await request(app)
+        .delete(`/api/playback/progress/${movie.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(removed.status).toBe(200);
+    });
+  });
+
+  describe('GET /api/playback/continue-watching', () => {
+    it('should list only unfinished titles', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/playback/continue-watching?limit=10')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeLessThanOrEqual(10);
+      response.body.data.forEach((entry) => {
+        if (entry.upNext) {
+          expect(entry.progress).toBeNull();
+        } else {
+          expect(entry.progress.finished).toBe(false);
+        }
+      });
+    });
+  });
+
+  describe('GET /api/playback/series/:seriesId/next', () => {
+    it('should return 404 for an unknown series', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/playback/series/00000000-0000-0000-0000-000000000000/next')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
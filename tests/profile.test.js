@@ -0,0 +1,227 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import request from 'supertest';
+import app from '../server.js';
+import { profilePinRateLimit } from '../middleware/rateLimitMiddleware.js';
+
+describe('Household Profiles API Tests', () => {
+  let authToken = null;
+  let profileId = null;
+
+  const createTestUser = () => {
+    const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
+    return {
+      name: `Profile Owner ${uniqueId}`,
+      email: `profiles_${uniqueId}@example.com`,
+      password: 'Test@1234567',
+      role: 'viewer',
+      deviceFingerprint: `fp_${uniqueId}`
+    };
+  };
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(createTestUser());
+
+    if (response.status === 201) {
+      authToken = response.body.token;
+    }
+  });
+
+  describe('GET /api/profiles', () => {
+    it('should reject without authentication', async () => {
+      const response = await request(app)
+        .get('/api/profiles');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list profiles for the account', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .get('/api/profiles')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.profiles)).toBe(true);
+      expect(response.body).toHaveProperty('activeProfileId', null);
+    });
+  });
+
+  describe('POST /api/profiles', () => {
+    it('should reject an invalid PIN', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .post('/api/profiles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Kids', pin: '12' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should create a PIN protected profile', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .post('/api/profiles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Kids', maturityLevel: 'kids', pin: '1234' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.profile).toHaveProperty('hasPin', true);
+      expect(response.body.profile).not.toHaveProperty('pinHash');
+      profileId = response.body.profile.id;
+    });
+  });
+
+  describe('POST /api/profiles/:profileId/switch', () => {
+    it('should require the PIN for a protected profile', async () => {
+      if (!authToken || !profileId) return;
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/switch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('code', 'PROFILE_PIN_REQUIRED');
+    });
+
+    it('should issue a profile-scoped token that cannot manage profiles', async () => {
+      if (!authToken || !profileId) return;
+
+      const switched = await request(app)
+        .post(`/api/profiles/${profileId}/switch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ pin: '1234' });
+
+      expect(switched.status).toBe(200);
+      expect(switched.body).toHaveProperty('token');
+
+      const listed = await request(app)
+        .get('/api/profiles')
+        .set('Authorization', `Bearer ${switched.body.token}`);
+
+      expect(listed.body).toHaveProperty('activeProfileId', profileId);
+
+      const created = await request(app)
+        .post('/api/profiles')
+        .set('Authorization', `Bearer ${switched.body.token}`)
+        .send({ name: 'Sneaky' });
+
+      expect(created.status).toBe(403);
+      expect(created.body).toHaveProperty('code', 'PROFILE_MANAGEMENT_RESTRICTED');
+    });
+  });
+
+  describe('Profile switching with the parental lock on', () => {
+    let parentToken = null;
+    let kidsProfileId = null;
+    let adultProfileId = null;
+
+    beforeAll(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(createTestUser());
+      if (registered.status !== 201) return;
+
+      const locked = await request(app)
+        .put('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ enabled: true, maxAge: 16, pin: '4321' });
+      if (locked.status !== 200) return;
+
+      const kids = await request(app)
+        .post('/api/profiles')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ name: 'Kids', maturityLevel: 'kids', parentalPin: '4321' });
+      const adult = await request(app)
+        .post('/api/profiles')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ name: 'Grown-up', maturityLevel: 'adult', parentalPin: '4321' });
+
+      parentToken = registered.body.token;
+      kidsProfileId = kids.body.profile?.id;
+      adultProfileId = adult.body.profile?.id;
+    });
+
+    it('should need the parental PIN to leave a kids profile for a less strict one', async () => {
+      if (!parentToken || !kidsProfileId || !adultProfileId) return;
+
+      const kids = await request(app)
+        .post(`/api/profiles/${kidsProfileId}/switch`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({});
+
+      expect(kids.status).toBe(200);
+
+      const withoutPin = await request(app)
+        .post(`/api/profiles/${adultProfileId}/switch`)
+        .set('Authorization', `Bearer ${kids.body.token}`)
+        .send({});
+
+      expect(withoutPin.status).toBe(403);
+      expect(withoutPin.body).toHaveProperty('code', 'PARENTAL_PIN_REQUIRED');
+
+      const withPin = await request(app)
+        .post(`/api/profiles/${adultProfileId}/switch`)
+        .set('Authorization', `Bearer ${kids.body.token}`)
+        .send({ parentalPin: '4321' });
+
+      expect(withPin.status).toBe(200);
+
+      // The account-wide limit still caps an adult profile
+      const controls = await request(app)
+        .get('/api/auth/parental-controls')
+        .set('Authorization', `Bearer ${withPin.body.token}`);
+
+      expect(controls.body).toHaveProperty('allowedAge', 16);
+    });
+  });
+
+  describe('PIN rate limiting', () => {
+    // One wrong PIN through the limiter, from the given IP
+    const guessPin = (ip, userId) => new Promise((resolve) => {
+      const res = new EventEmitter();
+      res.set = () => res;
+      res.status = (status) => {
+        res.statusCode = status;
+        return res;
+      };
+      res.json = () => resolve(res.statusCode);
+
+      profilePinRateLimit({ ip, userId, body: {} }, res, () => {
+        res.statusCode = 403;
+        res.emit('finish');
+        resolve(403);
+      });
+    });
+
+    it('should lock the account however many IPs the guesses come from', async () => {
+      const userId = crypto.randomUUID();
+      const statuses = [];
+      for (let i = 0; i < 6; i++) {
+        statuses.push(await guessPin(`198.51.100.${Math.floor(Math.random() * 250)}`, userId));
+      }
+
+      expect(statuses.slice(0, 5)).toEqual([403, 403, 403, 403, 403]);
+      expect(statuses[5]).toBe(429);
+    });
+  });
+
+  describe('GET /api/profiles/history', () => {
+    it('should return the watch history of the current profile', async () => {
+      if (!authToken) return;
+
+      const response = await request(app)
+        .get('/api/profiles/history')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('pagination');
+    });
+  });
+});
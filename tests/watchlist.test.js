@@ -0,0 +1,147 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Watchlist API Tests', () => {
+  const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
+  let authToken = null;
+
+  // Password login stops at the email code, so use the session registration hands out
+  const getAuthToken = async () => {
+    if (!authToken) {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Watchlist Viewer',
+          email: `watchlist_viewer_${uniqueId}@example.com`,
+          password: 'Test@1234567'
+        });
+      if (response.status === 201) {
+        authToken = response.body.token;
+      }
+    }
+    return authToken;
+  };
+
+  describe('Authentication', () => {
+    it('should require authentication to view the list', async () => {
+      const response = await request(app).get('/api/watchlist');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require authentication to add a title', async () => {
+      const response = await request(app)
+        .post('/api/watchlist')
+        .send({ movieId: '00000000-0000-0000-0000-000000000000' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/watchlist', () => {
+    it('should return the list with flag counts', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .get('/api/watchlist')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.counts).toHaveProperty('priceDropped');
+      expect(response.body.counts).toHaveProperty('nowAvailable');
+
+      const positions = response.body.data.map((entry) => entry.position);
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+  });
+
+  describe('POST /api/watchlist', () => {
+    it('should reject an invalid movie id', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/watchlist')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: 'not-a-uuid' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown title', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .post('/api/watchlist')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: '00000000-0000-0000-0000-000000000000' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should add, report and remove a title', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const list = await request(app).get('/api/movies?limit=1&contentType=movie&facets=false');
+      const movie = list.body?.data?.movies?.[0];
+      if (!movie) return;
+
+      const added = await request(app)
+        .post('/api/watchlist')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: movie.id });
+      expect([200, 201, 403]).toContain(added.status);
+      if (added.status === 403) return;
+
+      const again = await request(app)
+        .post('/api/watchlist')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieId: movie.id });
+      expect(again.status).toBe(200);
+      expect(again.body.data.id).toBe(added.body.data.id);
+
+      const details = await request(app)
+        .get(`/api/movies/${movie.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      if (details.status === 200) {
+        expect(details.body.data.onWatchlist).toBe(true);
+      }
+
+      const removed = await request(app)
+        .delete(`/api/watchlist/${movie.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(removed.status).toBe(200);
+    });
+  });
+
+  describe('PUT /api/watchlist/order', () => {
+    it('should reject titles that are not on the list', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .put('/api/watchlist/order')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ movieIds: ['00000000-0000-0000-0000-000000000000'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/watchlist/:movieId', () => {
+    it('should return 404 for a title not on the list', async () => {
+      const token = await getAuthToken();
+      if (!token) return;
+
+      const response = await request(app)
+        .delete('/api/watchlist/00000000-0000-0000-0000-000000000000')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
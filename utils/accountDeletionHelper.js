@@ -0,0 +1,192 @@
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import User from "../models/User.modal.js";
+import Movie from "../models/Movie.model.js";
+import Payment from "../models/Payment.model.js";
+import Review from "../models/Review.model.js";
+import MovieRating from "../models/MovieRating.model.js";
+import Share from "../models/share.model.js";
+import UserAccess from "../models/userAccess.model.js";
+import RefreshToken from "../models/RefreshToken.model.js";
+import Profile from "../models/Profile.model.js";
+import WatchHistory from "../models/WatchHistory.model.js";
+import WatchlistItem from "../models/WatchlistItem.model.js";
+import PlaybackProgress from "../models/PlaybackProgress.model.js";
+import PlaybackSession from "../models/PlaybackSession.model.js";
+import UserIdentity from "../models/UserIdentity.model.js";
+import PartnerLink from "../models/PartnerLink.model.js";
+import SecurityEvent from "../models/SecurityEvent.model.js";
+import { deleteOTP, deletePhoneOTP } from "./otpHelper.js";
+import { clearAccountLockouts } from "./rateLimiter.js";
+
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const EXPORT_EXCLUDED_USER_FIELDS = [
+    "password",
+    "totpSecret",
+    "totpPendingSecret",
+    "totpLastUsedStep",
+    "totpRecoveryCodes",
+    "parentalPinHash",
+    "activeDevices"
+];
+
+// Everything we hold about a user, as one JSON-serializable object
+export const buildUserDataExport = async (userId) => {
+    const user = await User.findByPk(userId, {
+        attributes: { exclude: EXPORT_EXCLUDED_USER_FIELDS }
+    });
+    if (!user) return null;
+
+    const [devices, payments, accessGrants, reviews, ratings, shares, sessions, profiles, watchHistory, watchlist, playbackProgress, identities, partnerLinks, securityEvents] = await Promise.all([
+        User.findByPk(userId, { attributes: ["activeDevices"], raw: true }),
+        Payment.findAll({ where: { userId }, order: [["createdAt", "DESC"]], raw: true }),
+        UserAccess.findAll({ where: { userId }, order: [["createdAt", "DESC"]], raw: true }),
+        Review.findAll({ where: { userId }, order: [["createdAt", "DESC"]], raw: true }),
+        MovieRating.findAll({ where: { userId }, order: [["createdAt", "DESC"]], raw: true }),
+        Share.findAll({ where: { userId: String(userId) }, order: [["createdAt", "DESC"]], raw: true }),
+        RefreshToken.findAll({
+            where: { userId },
+            attributes: ["deviceId", "userAgent", "ipAddress", "createdAt", "expiresAt", "revokedAt", "revokedReason"],
+            order: [["createdAt", "DESC"]],
+            raw: true
+        }),
+        Profile.findAll({
+            where: { userId },
+            attributes: ["id", "name", "avatar", "maturityLevel", "dateOfBirth", "createdAt"],
+            raw: true
+        }),
+        WatchHistory.findAll({ where: { userId }, order: [["lastWatchedAt", "DESC"]], raw: true }),
+        WatchlistItem.findAll({ where: { userId }, order: [["profileId", "ASC"], ["position", "ASC"]], raw: true }),
+        PlaybackProgress.findAll({ where: { userId }, order: [["lastWatchedAt", "DESC"]], raw: true }),
+        UserIdentity.findAll({
+            where: { userId },
+            attributes: ["provider", "subject", "email", "lastLoginAt", "createdAt"],
+            raw: true
+        }),
+        PartnerLink.findAll({
+            where: { userId, linkedAt: { [Op.ne]: null } },
+            attributes: ["apiKeyId", "partnerUserId", "linkedAt", "revokedAt"],
+            raw: true
+        }),
+        SecurityEvent.findAll({
+            where: { userId },
+            attributes: ["type", "outcome", "ipAddress", "userAgent", "deviceId", "metadata", "createdAt"],
+            order: [["createdAt", "DESC"]],
+            raw: true
+        })
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        profile: user.toJSON(),
+        devices: {
+            active: devices?.activeDevices || [],
+            sessionHistory: sessions,
+            securityEvents
+        },
+        profiles,
+        linkedAccounts: identities,
+        partnerLinks,
+        watchHistory,
+        watchlist,
+        playbackProgress,
+        payments,
+        accessGrants,
+        reviews,
+        ratings,
+        shares
+    };
+};
+
+export const scheduleAccountDeletion = async (user) => {
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+    return user.deletionScheduledFor;
+};
+
+export const cancelAccountDeletion = async (user) => {
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+};
+
+/**
+ * Permanently remove a user. Payments are kept for accounting but detached
+ * from the user and stripped of contact details; a filmmaker's titles are
+ * hidden and detached so they (and their buyers' payments) survive the
+ * account. Everything else is deleted, all in one transaction.
+ */
+export const purgeAccount = async (userId) => {
+    const user = await User.findByPk(userId);
+    if (!user) return { success: false, message: "User not found" };
+
+    await sequelize.transaction(async (transaction) => {
+        await Payment.update(
+            { userId: null, phoneNumber: null, anonymizedAt: new Date() },
+            { where: { userId }, transaction }
+        );
+
+        // Same treatment as an admin deleting a filmmaker; detached first so the
+        // cascade from the user row can't reach the titles
+        if (user.role === "filmmaker") {
+            await Movie.update(
+                { status: "hidden", filmmakerId: null },
+                { where: { filmmakerId: userId }, transaction }
+            );
+        }
+
+        // One connection per transaction, so these run one after another
+        const ownedModels = [
+            UserAccess,
+            Review,
+            MovieRating,
+            WatchHistory,
+            WatchlistItem,
+            PlaybackProgress,
+            PlaybackSession,
+            UserIdentity,
+            PartnerLink,
+            SecurityEvent,
+            Profile
+        ];
+        for (const Model of ownedModels) {
+            await Model.destroy({ where: { userId }, transaction });
+        }
+        await Share.destroy({ where: { userId: String(userId) }, transaction });
+
+        await user.destroy({ transaction });
+    });
+
+    // Short-lived codes and lockouts; nothing to keep consistent with the purge
+    await Promise.all([
+        user.email && deleteOTP(user.email),
+        user.phoneNumber && deletePhoneOTP(user.phoneNumber),
+        clearAccountLockouts(user.email),
+        clearAccountLockouts(user.phoneNumber)
+    ]);
+
+    return { success: true };
+};
+
+// Purge every account whose grace period has run out
+export const processDueAccountDeletions = async () => {
+    const dueUsers = await User.findAll({
+        where: { deletionScheduledFor: { [Op.lte]: new Date() } },
+        attributes: ["id"]
+    });
+
+    let purged = 0;
+    for (const { id } of dueUsers) {
+        try {
+            const result = await purgeAccount(id);
+            if (result.success) purged++;
+        } catch (error) {
+            console.error(`Error purging account ${id}:`, error);
+        }
+    }
+
+    return purged;
+};
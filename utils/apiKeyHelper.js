@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import { QueryTypes } from "sequelize";
+import ApiKey from "../models/ApiKey.model.js";
+
+// What a partner key can be allowed to do
+export const API_KEY_SCOPES = {
+    CATALOG_READ: "catalog:read",
+    ACCESS_CHECK: "access:check",
+    ANALYTICS_READ: "analytics:read",
+};
+
+export const DEFAULT_API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60;
+
+const KEY_PREFIX = "cvk";
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Generate a key of the form `cvk_<8 hex>_<secret>`. The first two parts are
+ * stored in clear to find the record; only a hash of the whole key is kept.
+ */
+export const generateApiKey = () => {
+    const keyPrefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString("hex")}`;
+    const key = `${keyPrefix}_${crypto.randomBytes(32).toString("base64url")}`;
+    return { key, keyPrefix, keyHash: hashApiKey(key) };
+};
+
+// Keys come in `X-API-Key`, or as `Authorization: ApiKey <key>`
+export const readApiKeyFromRequest = (req) => {
+    const header = req.headers["x-api-key"];
+    if (header) return String(header).trim();
+
+    const [scheme, value] = (req.headers["authorization"] || "").split(" ");
+    if (scheme === "ApiKey" && value) return value.trim();
+
+    return null;
+};
+
+/**
+ * Resolve a presented key to its record. Returns `{ success, apiKey }` or a
+ * failure with a code (API_KEY_INVALID, API_KEY_REVOKED, API_KEY_EXPIRED).
+ */
+export const findApiKey = async (key) => {
+    const match = /^(cvk_[0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(key || "");
+    if (!match) {
+        return { success: false, message: "Invalid API key", code: "API_KEY_INVALID" };
+    }
+
+    const apiKey = await ApiKey.findOne({ where: { keyPrefix: match[1] } });
+    const presentedHash = Buffer.from(hashApiKey(key), "hex");
+
+    if (!apiKey || !crypto.timingSafeEqual(presentedHash, Buffer.from(apiKey.keyHash, "hex"))) {
+        return { success: false, message: "Invalid API key", code: "API_KEY_INVALID" };
+    }
+
+    if (apiKey.revokedAt) {
+        return { success: false, message: "This API key has been revoked", code: "API_KEY_REVOKED" };
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+        return { success: false, message: "This API key has expired", code: "API_KEY_EXPIRED" };
+    }
+
+    return { success: true, apiKey };
+};
+
+/**
+ * Count one request against the key's per-minute window and record when and
+ * where it was last used. Done in a single UPDATE so concurrent requests from
+ * the same partner can't slip past the limit.
+ */
+export const trackApiKeyUsage = async (apiKey, ipAddress) => {
+    const [usage] = await ApiKey.sequelize.query(
+        `UPDATE "ApiKeys" SET
+            "windowRequestCount" = CASE
+                WHEN "windowStartedAt" IS NULL OR "windowStartedAt" <= NOW() - INTERVAL '${RATE_LIMIT_WINDOW_SECONDS} seconds' THEN 1
+                ELSE "windowRequestCount" + 1
+            END,
+            "windowStartedAt" = CASE
+                WHEN "windowStartedAt" IS NULL OR "windowStartedAt" <= NOW() - INTERVAL '${RATE_LIMIT_WINDOW_SECONDS} seconds' THEN NOW()
+                ELSE "windowStartedAt"
+            END,
+            "totalRequests" = "totalRequests" + 1,
+            "lastUsedAt" = NOW(),
+            "lastUsedIp" = :ipAddress
+        WHERE "id" = :id
+        RETURNING "windowRequestCount", "windowStartedAt"`,
+        { replacements: { id: apiKey.id, ipAddress }, type: QueryTypes.SELECT }
+    );
+
+    const limit = apiKey.rateLimitPerMinute || DEFAULT_API_KEY_RATE_LIMIT;
+    const resetAt = new Date(new Date(usage.windowStartedAt).getTime() + RATE_LIMIT_WINDOW_SECONDS * 1000);
+
+    return {
+        limited: usage.windowRequestCount > limit,
+        limit,
+        remaining: Math.max(0, limit - usage.windowRequestCount),
+        resetAt,
+        retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+    };
+};
+
+// Listing shape for admins; the hash never leaves the server
+export const serializeApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    description: apiKey.description,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes || [],
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    totalRequests: apiKey.totalRequests,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    expiresAt: apiKey.expiresAt,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    revokedAt: apiKey.revokedAt,
+    status: apiKey.revokedAt
+        ? "revoked"
+        : apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()
+            ? "expired"
+            : "active"
+});
@@ -286,7 +286,8 @@ export const uploadToB2 = async (fileBuffer, fileName, options = {}) => {
       '.jpeg': 'image/jpeg',
       '.png': 'image/png',
       '.webp': 'image/webp',
-      '.gif': 'image/gif'
+      '.gif': 'image/gif',
+      '.vtt': 'text/vtt'
     };
 
     if (contentTypeMap[ext]) {
@@ -580,6 +581,33 @@ export const uploadImageMiddleware = (maxSize = 10 * 1024 * 1024) => {
   });
 };
 
+/**
+ * File filter for subtitles. Browsers report .srt/.vtt with all sorts of
+ * MIME types (or none), so the extension decides.
+ */
+const subtitleFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".srt" || ext === ".vtt") {
+    cb(null, true);
+  } else {
+    cb(new Error("Only subtitle files are allowed (SRT, WebVTT)"), false);
+  }
+};
+
+/**
+ * Multer middleware for subtitle uploads
+ * @param {number} maxSize - Maximum file size in bytes (default: 2MB)
+ */
+export const uploadSubtitleMiddleware = (maxSize = 2 * 1024 * 1024) => {
+  return multer({
+    storage: multer.memoryStorage(),
+    fileFilter: subtitleFileFilter,
+    limits: {
+      fileSize: maxSize,
+    },
+  });
+};
+
 /**
  * Multer middleware for mixed uploads (video + images)
  * Used for complete movie uploads with video, poster, and backdrop
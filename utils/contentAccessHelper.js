@@ -0,0 +1,48 @@
+import UserAccess from "../models/userAccess.model.js";
+
+const isActiveGrant = (grant) => {
+    if (!grant) return false;
+    return grant.expiresAt === null || grant.expiresAt === undefined || new Date(grant.expiresAt) > new Date();
+};
+
+/**
+ * Whether `user` may watch `movie`, checked the same way as getMovieById:
+ * a purchase of the title, of its series, ownership, an active subscription,
+ * or a free title. Returns `{ hasAccess, accessType, expiresAt }`.
+ */
+export const resolveContentAccess = async (movie, user) => {
+    if (user) {
+        const individualAccess = await UserAccess.findOne({
+            where: { userId: user.id, movieId: movie.id, status: "active" }
+        });
+        if (isActiveGrant(individualAccess)) {
+            return { hasAccess: true, accessType: "individual", expiresAt: individualAccess.expiresAt };
+        }
+
+        if (movie.contentType === "episode" && movie.seriesId) {
+            const seriesAccess = await UserAccess.findOne({
+                where: { userId: user.id, seriesId: movie.seriesId, status: "active" }
+            });
+            if (isActiveGrant(seriesAccess)) {
+                return { hasAccess: true, accessType: "series", expiresAt: seriesAccess.expiresAt };
+            }
+        }
+
+        if (movie.filmmakerId === user.id) {
+            return { hasAccess: true, accessType: "owner", expiresAt: null };
+        }
+
+        if (user.isUpgraded && user.subscription) {
+            const subscriptionEndDate = new Date(user.subscription.endDate || user.subscription.expiresAt);
+            if (subscriptionEndDate > new Date()) {
+                return { hasAccess: true, accessType: "subscription", expiresAt: subscriptionEndDate };
+            }
+        }
+    }
+
+    if (movie.viewPrice === 0) {
+        return { hasAccess: true, accessType: "free", expiresAt: null };
+    }
+
+    return { hasAccess: false, accessType: null, expiresAt: null };
+};
@@ -0,0 +1,32 @@
+import MovieCredit, { CREDIT_ROLES } from "../models/MovieCredit.model.js";
+import Person from "../models/Person.model.js";
+import { clearUrl } from "./backblazeB2.js";
+
+export const PERSON_SUMMARY_ATTRIBUTES = ["id", "name", "slug", "profileImage"];
+
+export const serializePerson = (person) => ({
+    id: person.id,
+    name: person.name,
+    slug: person.slug,
+    profileImage: clearUrl(person.profileImage),
+});
+
+// Credits of a title grouped by role (directors first), each role in billing order
+export const getMovieCredits = async (movieId) => {
+    const credits = await MovieCredit.findAll({
+        where: { movieId },
+        include: [{ model: Person, as: "person", attributes: PERSON_SUMMARY_ATTRIBUTES }],
+        order: [["billingOrder", "ASC"], ["createdAt", "ASC"]],
+    });
+
+    return credits
+        .filter((credit) => credit.person)
+        .sort((a, b) => CREDIT_ROLES.indexOf(a.role) - CREDIT_ROLES.indexOf(b.role))
+        .map((credit) => ({
+            id: credit.id,
+            role: credit.role,
+            character: credit.character,
+            billingOrder: credit.billingOrder,
+            person: serializePerson(credit.person),
+        }));
+};
@@ -1,21 +1,21 @@
 // utils/deviceHelper.js (Backend)
 import crypto from 'crypto';
 
-export const getDeviceInfo = (req) => {
-    // Safely extract IP address with multiple fallbacks
-    const getClientIp = (request) => {
-        // Check headers first (when behind proxy)
-        const headers = request.headers || {};
-        return headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-               headers['x-real-ip'] ||
-               request.ip ||
-               request.connection?.remoteAddress ||
-               request.socket?.remoteAddress ||
-               request.connection?.socket?.remoteAddress ||
-               '0.0.0.0';
-    };
+/**
+ * The caller's address as Express resolved it. X-Forwarded-For is only honoured
+ * for the proxy hops allowed by the app's "trust proxy" setting (TRUST_PROXY),
+ * so clients can't pick their own IP.
+ */
+export const getClientIp = (req) => {
+    return req.ip ||
+           req.socket?.remoteAddress ||
+           req.connection?.remoteAddress ||
+           '0.0.0.0';
+};
 
+export const getDeviceInfo = (req) => {
     const userAgent = req.headers['user-agent'] || '';
+    // Never read X-Forwarded-For directly: it is whatever the client sent
     const ip = getClientIp(req);
     
     // Get device fingerprint from headers or request body
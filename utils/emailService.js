@@ -60,6 +60,140 @@ export const sendOTPEmail = async (email, otp) => {
     }
 };
 
+// Send password reset email
+export const sendPasswordResetEmail = async (email, resetUrl) => {
+    try {
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: "Cine-Verse Password Reset",
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+                        <h1 style="color: #333; margin: 0;">Cine-Verse</h1>
+                    </div>
+                    <div style="padding: 20px; background-color: #fff; border: 1px solid #ddd;">
+                        <h2 style="color: #333; margin-top: 0;">Reset your password</h2>
+                        <p style="color: #666; font-size: 16px;">Hi ${email.split("@")[0]},</p>
+                        <p style="color: #666; font-size: 16px;">We received a request to reset the password for your Cine-Verse account. Click the button below to choose a new one:</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${resetUrl}" style="background-color: #007bff; color: #fff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-size: 16px;">Reset Password</a>
+                        </div>
+
+                        <p style="color: #666; font-size: 14px;">
+                            <strong>This link is valid for 30 minutes and can only be used once.</strong>
+                        </p>
+                        <p style="color: #666; font-size: 14px;">
+                            If you didn't request a password reset, you can safely ignore this email. Your password will not change.
+                        </p>
+
+                        <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+                        <p style="color: #999; font-size: 12px;">
+                            Resetting your password signs you out of every device.
+                        </p>
+                    </div>
+                    <div style="padding: 10px; background-color: #f5f5f5; text-align: center; color: #999; font-size: 12px;">
+                        <p>&copy; ${new Date().getFullYear()} Cine-Verse. All rights reserved.</p>
+                    </div>
+                </div>
+            `
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, message: "Password reset email sent successfully", messageId: info.messageId };
+    } catch (error) {
+        console.error("Error sending password reset email:", error);
+        return { success: false, message: "Failed to send password reset email", error: error.message };
+    }
+};
+
+// Send email address verification link
+export const sendVerificationEmail = async (email, verifyUrl) => {
+    try {
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: "Verify your Cine-Verse email address",
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+                        <h1 style="color: #333; margin: 0;">Cine-Verse</h1>
+                    </div>
+                    <div style="padding: 20px; background-color: #fff; border: 1px solid #ddd;">
+                        <h2 style="color: #333; margin-top: 0;">Confirm your email</h2>
+                        <p style="color: #666; font-size: 16px;">Hi ${email.split("@")[0]},</p>
+                        <p style="color: #666; font-size: 16px;">Thanks for signing up to Cine-Verse. Please confirm this is your email address:</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${verifyUrl}" style="background-color: #007bff; color: #fff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-size: 16px;">Verify Email</a>
+                        </div>
+
+                        <p style="color: #666; font-size: 14px;">
+                            <strong>This link is valid for 24 hours.</strong>
+                        </p>
+                        <p style="color: #666; font-size: 14px;">
+                            If you didn't create a Cine-Verse account, you can ignore this email.
+                        </p>
+                    </div>
+                    <div style="padding: 10px; background-color: #f5f5f5; text-align: center; color: #999; font-size: 12px;">
+                        <p>&copy; ${new Date().getFullYear()} Cine-Verse. All rights reserved.</p>
+                    </div>
+                </div>
+            `
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, message: "Verification email sent successfully", messageId: info.messageId };
+    } catch (error) {
+        console.error("Error sending verification email:", error);
+        return { success: false, message: "Failed to send verification email", error: error.message };
+    }
+};
+
+// Send passwordless sign-in link
+export const sendMagicLinkEmail = async (email, loginUrl) => {
+    try {
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: "Your Cine-Verse sign-in link",
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+                        <h1 style="color: #333; margin: 0;">Cine-Verse</h1>
+                    </div>
+                    <div style="padding: 20px; background-color: #fff; border: 1px solid #ddd;">
+                        <h2 style="color: #333; margin-top: 0;">Sign in to Cine-Verse</h2>
+                        <p style="color: #666; font-size: 16px;">Hi ${email.split("@")[0]},</p>
+                        <p style="color: #666; font-size: 16px;">Click the button below to sign in. No password needed:</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${loginUrl}" style="background-color: #007bff; color: #fff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-size: 16px;">Sign In</a>
+                        </div>
+
+                        <p style="color: #666; font-size: 14px;">
+                            <strong>This link is valid for 15 minutes and can only be used once.</strong>
+                        </p>
+                        <p style="color: #666; font-size: 14px;">
+                            If you didn't try to sign in, you can safely ignore this email.
+                        </p>
+                    </div>
+                    <div style="padding: 10px; background-color: #f5f5f5; text-align: center; color: #999; font-size: 12px;">
+                        <p>&copy; ${new Date().getFullYear()} Cine-Verse. All rights reserved.</p>
+                    </div>
+                </div>
+            `
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, message: "Sign-in link sent successfully", messageId: info.messageId };
+    } catch (error) {
+        console.error("Error sending sign-in link email:", error);
+        return { success: false, message: "Failed to send sign-in link", error: error.message };
+    }
+};
+
 // Verify transporter connection
 export const verifyEmailConnection = async () => {
     try {
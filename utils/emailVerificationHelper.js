@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import EmailVerification from "../models/EmailVerification.model.js";
+import { sendVerificationEmail } from "./emailService.js";
+
+const VERIFICATION_EXPIRY_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_TOKEN_BYTES = 32;
+
+const hashVerificationToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const buildVerifyUrl = (email, token) => {
+    const baseUrl = process.env.FRONTEND_URL || "https://cinemarwa.com";
+    return `${baseUrl}/verify-email?token=${token}&email=${encodeURIComponent(email)}`;
+};
+
+export const createAndSendEmailVerification = async (user) => {
+    try {
+        // Only the latest link is valid
+        await EmailVerification.destroy({ where: { email: user.email } });
+
+        const token = crypto.randomBytes(VERIFICATION_TOKEN_BYTES).toString("hex");
+
+        const record = await EmailVerification.create({
+            userId: user.id,
+            email: user.email,
+            tokenHash: hashVerificationToken(token),
+            expiresAt: new Date(Date.now() + VERIFICATION_EXPIRY_TIME)
+        });
+
+        const emailResult = await sendVerificationEmail(user.email, buildVerifyUrl(user.email, token));
+
+        if (!emailResult.success) {
+            await EmailVerification.destroy({ where: { id: record.id } });
+
+            return {
+                success: false,
+                message: "Failed to send verification email",
+                error: emailResult.error
+            };
+        }
+
+        return {
+            success: true,
+            message: "Verification email sent successfully"
+        };
+    } catch (error) {
+        console.error("Error creating email verification:", error);
+        return {
+            success: false,
+            message: "Failed to create email verification",
+            error: error.message
+        };
+    }
+};
+
+// Check a verification token; the record is deleted so the link works only once
+export const consumeEmailVerificationToken = async (email, token) => {
+    try {
+        const record = await EmailVerification.findOne({
+            where: { email, tokenHash: hashVerificationToken(token) }
+        });
+
+        if (!record) {
+            return {
+                success: false,
+                message: "Invalid verification link. Request a new one.",
+                code: "VERIFICATION_TOKEN_INVALID"
+            };
+        }
+
+        await EmailVerification.destroy({ where: { id: record.id } });
+
+        if (new Date() > record.expiresAt) {
+            return {
+                success: false,
+                message: "Verification link expired. Request a new one.",
+                code: "VERIFICATION_TOKEN_EXPIRED"
+            };
+        }
+
+        return {
+            success: true,
+            userId: record.userId
+        };
+    } catch (error) {
+        console.error("Error verifying email token:", error);
+        return {
+            success: false,
+            message: "Failed to verify email",
+            error: error.message
+        };
+    }
+};
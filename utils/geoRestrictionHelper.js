@@ -0,0 +1,186 @@
+// utils/geoRestrictionHelper.js - Country lookup from an offline IP database and Movie.geoRestrictions checks
+import fs from "fs";
+import path from "path";
+import sequelize from "../config/database.js";
+import { Op } from "sequelize";
+import Movie from "../models/Movie.model.js";
+import { getClientIp } from "./deviceHelper.js";
+
+/**
+ * The database is a CSV of IPv4 ranges, one per line: `start,end,countryCode[,...]`.
+ * Both IP2Location LITE DB1 (integer bounds, quoted) and DB-IP lite (dotted bounds)
+ * files work as downloaded. IPv6 rows are skipped.
+ */
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || path.join(process.cwd(), "data", "ip-country.csv");
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+let ipRanges = null;
+
+const ipv4ToInt = (ip) => {
+    const match = /^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/i.exec(String(ip || "").trim());
+    if (!match) return null;
+
+    const octets = match.slice(1).map(Number);
+    if (octets.some((octet) => octet > 255)) return null;
+
+    return ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
+};
+
+const parseBound = (value) => {
+    return /^\d+$/.test(value) ? Number(value) : ipv4ToInt(value);
+};
+
+// Loaded once, on the first lookup
+const loadIpRanges = () => {
+    if (ipRanges) return ipRanges;
+
+    const rows = [];
+    try {
+        const lines = fs.readFileSync(GEOIP_DB_PATH, "utf8").split(/\r?\n/);
+        for (const line of lines) {
+            if (!line || line.includes(":")) continue;
+
+            const [rawStart, rawEnd, rawCountry] = line.split(",").map((part) => part.replace(/"/g, "").trim());
+            const start = parseBound(rawStart);
+            const end = parseBound(rawEnd);
+            const country = (rawCountry || "").toUpperCase();
+
+            if (start === null || end === null || !COUNTRY_CODE_PATTERN.test(country)) continue;
+            rows.push([start, end, country]);
+        }
+    } catch (error) {
+        console.warn(`⚠️ IP-to-country database not loaded (${GEOIP_DB_PATH}):`, error.message);
+    }
+
+    rows.sort((a, b) => a[0] - b[0]);
+    ipRanges = {
+        starts: Float64Array.from(rows, (row) => row[0]),
+        ends: Float64Array.from(rows, (row) => row[1]),
+        countries: rows.map((row) => row[2])
+    };
+    return ipRanges;
+};
+
+/**
+ * ISO 3166-1 alpha-2 code for an IPv4 address, or null when unknown
+ * (private addresses, IPv6, or no database installed)
+ */
+export const lookupCountry = (ip) => {
+    const value = ipv4ToInt(ip);
+    if (value === null) return null;
+
+    const { starts, ends, countries } = loadIpRanges();
+    let low = 0;
+    let high = starts.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (value < starts[mid]) {
+            high = mid - 1;
+        } else if (value > ends[mid]) {
+            low = mid + 1;
+        } else {
+            return countries[mid];
+        }
+    }
+
+    return null;
+};
+
+// Looked up from req.ip, so only X-Forwarded-For hops from our own proxies (TRUST_PROXY) count
+export const getRequestCountry = (req) => {
+    if (req.countryCode === undefined) {
+        req.countryCode = lookupCountry(getClientIp(req));
+    }
+    return req.countryCode;
+};
+
+/**
+ * Normalize filmmaker input to `{ allow: [...], deny: [...] }`.
+ * Accepts an object or its JSON string (multipart forms). Returns `{ error }` on bad input.
+ */
+export const normalizeGeoRestrictions = (input) => {
+    let value = input;
+    if (typeof value === "string") {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            return { error: "geoRestrictions must be valid JSON" };
+        }
+    }
+
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return { error: "geoRestrictions must be an object with allow and/or deny lists" };
+    }
+
+    const normalized = {};
+    for (const list of ["allow", "deny"]) {
+        const codes = value[list] || [];
+        if (!Array.isArray(codes)) {
+            return { error: `geoRestrictions.${list} must be an array of country codes` };
+        }
+
+        const upper = [...new Set(codes.map((code) => String(code).trim().toUpperCase()))];
+        const invalid = upper.filter((code) => !COUNTRY_CODE_PATTERN.test(code));
+        if (invalid.length) {
+            return { error: `Invalid country code(s) in geoRestrictions.${list}: ${invalid.join(", ")}` };
+        }
+        normalized[list] = upper;
+    }
+
+    return { value: normalized };
+};
+
+const listOf = (restrictions, list) => {
+    const codes = restrictions?.[list];
+    return Array.isArray(codes) ? codes : [];
+};
+
+/**
+ * Allow lists are strict: when a title is only licensed for some countries,
+ * viewers whose country cannot be resolved are refused too.
+ */
+const isAllowedIn = (restrictions, country) => {
+    const allow = listOf(restrictions, "allow");
+    const deny = listOf(restrictions, "deny");
+
+    if (allow.length && (!country || !allow.includes(country))) return false;
+    if (country && deny.includes(country)) return false;
+    return true;
+};
+
+// Episodes inherit the territory rules of their series
+export const isAvailableInRegion = async (movie, country) => {
+    if (!isAllowedIn(movie.geoRestrictions, country)) return false;
+
+    if (movie.contentType === "episode" && movie.seriesId) {
+        const series = await Movie.findByPk(movie.seriesId, { attributes: ["id", "geoRestrictions"] });
+        if (series && !isAllowedIn(series.geoRestrictions, country)) return false;
+    }
+
+    return true;
+};
+
+// Add a condition to a Movie `where` that hides titles not licensed for the country
+export const applyGeoRestriction = (where, country) => {
+    const allowList = `COALESCE("geoRestrictions"->'allow', '[]'::jsonb)`;
+    const denyList = `COALESCE("geoRestrictions"->'deny', '[]'::jsonb)`;
+
+    const condition = country
+        ? sequelize.literal(
+            `(jsonb_array_length(${allowList}) = 0 OR ${allowList} @> ${sequelize.escape(JSON.stringify([country]))}::jsonb)` +
+            ` AND NOT ${denyList} @> ${sequelize.escape(JSON.stringify([country]))}::jsonb`
+        )
+        : sequelize.literal(`jsonb_array_length(${allowList}) = 0`);
+
+    where[Op.and] = [...(where[Op.and] || []), condition];
+    return where;
+};
+
+export const regionRestrictedResponse = (country) => ({
+    success: false,
+    message: "This title is not available in your region",
+    code: "REGION_RESTRICTED",
+    country
+});
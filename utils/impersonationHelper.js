@@ -0,0 +1,102 @@
+import jwt from "jsonwebtoken";
+import ImpersonationSession from "../models/ImpersonationSession.model.js";
+import ImpersonationRequest from "../models/ImpersonationRequest.model.js";
+
+export const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+// Impersonation tokens can look but not touch
+export const IMPERSONATION_SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Open an audited session and issue a short-lived "view as user" token.
+ * The token is bound to the admin's own device, so signing out ends it too.
+ */
+export const startImpersonation = async (admin, target, { reason, profileId, deviceInfo }) => {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+    const session = await ImpersonationSession.create({
+        adminId: admin.id,
+        targetUserId: target.id,
+        profileId: profileId || null,
+        reason,
+        startedAt: new Date(),
+        expiresAt,
+        deviceId: deviceInfo.deviceId,
+        ipAddress: deviceInfo.ipAddress,
+        userAgent: deviceInfo.userAgent
+    });
+
+    const token = jwt.sign(
+        {
+            userId: target.id,
+            role: target.role,
+            deviceId: deviceInfo.deviceId,
+            profileId: profileId || undefined,
+            impersonationSessionId: session.id,
+            impersonatorId: admin.id
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+    );
+
+    console.log(`🕵️ Admin ${admin.id} started impersonating user ${target.id} (session ${session.id})`);
+
+    return { token, session };
+};
+
+/**
+ * Check that the session behind an impersonation token is still open.
+ * Returns the session, or a failure the middleware turns into a 401.
+ */
+export const findActiveImpersonation = async (decoded) => {
+    const session = await ImpersonationSession.findByPk(decoded.impersonationSessionId);
+
+    if (!session || session.adminId !== decoded.impersonatorId || session.targetUserId !== decoded.userId) {
+        return {
+            success: false,
+            message: "Impersonation session not found",
+            code: "IMPERSONATION_INVALID"
+        };
+    }
+
+    if (session.endedAt) {
+        return {
+            success: false,
+            message: "Impersonation session has ended",
+            code: "IMPERSONATION_ENDED"
+        };
+    }
+
+    if (new Date() > session.expiresAt) {
+        await endImpersonation(session, "expired");
+        return {
+            success: false,
+            message: "Impersonation session has expired",
+            code: "IMPERSONATION_ENDED"
+        };
+    }
+
+    return { success: true, session };
+};
+
+export const endImpersonation = async (session, reason) => {
+    if (session.endedAt) return session;
+
+    session.endedAt = new Date();
+    session.endedReason = reason;
+    await session.save();
+
+    console.log(`🕵️ Impersonation session ${session.id} ended (${reason})`);
+    return session;
+};
+
+// Record one request made with an impersonation token. Each request is its own
+// row, so concurrent requests can't overwrite each other's entries
+export const logImpersonatedRequest = async (sessionId, { method, path, status, at }) => {
+    try {
+        await ImpersonationRequest.create({ sessionId, method, path, status, at });
+    } catch (error) {
+        // Auditing must never break the response that was already sent
+        console.error("Error logging impersonated request:", error);
+    }
+};
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import LoginChallenge from "../models/LoginChallenge.model.js";
+
+const LOGIN_CHALLENGE_EXPIRY_MINUTES = 10;
+const LOGIN_CHALLENGE_BYTES = 32;
+
+const hashLoginChallenge = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const invalidChallenge = () => ({
+    success: false,
+    message: "Your sign-in attempt is no longer valid. Enter your email and password again.",
+    code: "LOGIN_CHALLENGE_INVALID"
+});
+
+/**
+ * Issue the proof that a user's password was just checked. The second login
+ * step (email code or authenticator app) must present it, so a code alone
+ * never signs anyone in.
+ */
+export const createLoginChallenge = async (user) => {
+    // Only the latest challenge is valid
+    await LoginChallenge.destroy({ where: { userId: user.id } });
+
+    const token = crypto.randomBytes(LOGIN_CHALLENGE_BYTES).toString("hex");
+
+    await LoginChallenge.create({
+        userId: user.id,
+        tokenHash: hashLoginChallenge(token),
+        expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_EXPIRY_MINUTES * 60 * 1000)
+    });
+
+    return { token, expiresIn: LOGIN_CHALLENGE_EXPIRY_MINUTES };
+};
+
+/**
+ * Check a challenge without using it up, so the second factor can be verified
+ * before it is spent. Returns `{ success, challengeId }`.
+ */
+export const findLoginChallenge = async (user, token) => {
+    if (!token) return invalidChallenge();
+
+    try {
+        const record = await LoginChallenge.findOne({
+            where: { userId: user.id, tokenHash: hashLoginChallenge(String(token)) }
+        });
+
+        if (!record || record.isUsed || new Date() > record.expiresAt) {
+            return invalidChallenge();
+        }
+
+        return { success: true, challengeId: record.id };
+    } catch (error) {
+        console.error("Error verifying login challenge:", error);
+        return {
+            success: false,
+            message: "Failed to verify sign-in attempt",
+            error: error.message
+        };
+    }
+};
+
+// Mark a challenge as used so it cannot be replayed
+export const consumeLoginChallenge = async (challengeId) => {
+    try {
+        // Conditional update guards against two requests racing on the same challenge
+        const [updated] = await LoginChallenge.update(
+            { isUsed: true, usedAt: new Date() },
+            { where: { id: challengeId, isUsed: false } }
+        );
+
+        if (updated === 0) return invalidChallenge();
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error consuming login challenge:", error);
+        return {
+            success: false,
+            message: "Failed to verify sign-in attempt",
+            error: error.message
+        };
+    }
+};
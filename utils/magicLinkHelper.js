@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import MagicLink from "../models/MagicLink.model.js";
+import { sendMagicLinkEmail } from "./emailService.js";
+
+const MAGIC_LINK_EXPIRY_MINUTES = 15;
+const MAGIC_LINK_PURPOSE = "magic-link";
+
+const hashMagicLinkToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const buildMagicLinkUrl = (email, token) => {
+    const baseUrl = process.env.FRONTEND_URL || "https://cinemarwa.com";
+    return `${baseUrl}/magic-login?token=${token}&email=${encodeURIComponent(email)}`;
+};
+
+const invalidLink = () => ({
+    success: false,
+    message: "Invalid sign-in link. Request a new one.",
+    code: "MAGIC_LINK_INVALID"
+});
+
+const usedLink = () => ({
+    success: false,
+    message: "This sign-in link has already been used.",
+    code: "MAGIC_LINK_USED"
+});
+
+const expiredLink = () => ({
+    success: false,
+    message: "Sign-in link expired. Request a new one.",
+    code: "MAGIC_LINK_EXPIRED"
+});
+
+export const createAndSendMagicLink = async (user, requestedIp = null) => {
+    try {
+        // Only the latest link is valid
+        await MagicLink.destroy({ where: { email: user.email } });
+
+        const record = await MagicLink.create({
+            userId: user.id,
+            email: user.email,
+            // Filled in once the token is signed with the record id
+            tokenHash: "pending",
+            expiresAt: new Date(Date.now() + MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000),
+            requestedIp
+        });
+
+        // Signed so a tampered link is rejected before touching the database
+        const token = jwt.sign(
+            { purpose: MAGIC_LINK_PURPOSE, email: user.email },
+            process.env.JWT_SECRET,
+            { expiresIn: `${MAGIC_LINK_EXPIRY_MINUTES}m`, jwtid: record.id, subject: String(user.id) }
+        );
+
+        record.tokenHash = hashMagicLinkToken(token);
+        await record.save();
+
+        const emailResult = await sendMagicLinkEmail(user.email, buildMagicLinkUrl(user.email, token));
+
+        if (!emailResult.success) {
+            await MagicLink.destroy({ where: { id: record.id } });
+
+            return {
+                success: false,
+                message: "Failed to send sign-in link",
+                error: emailResult.error
+            };
+        }
+
+        return {
+            success: true,
+            message: "Sign-in link sent successfully",
+            expiresIn: MAGIC_LINK_EXPIRY_MINUTES
+        };
+    } catch (error) {
+        console.error("Error creating magic link:", error);
+        return {
+            success: false,
+            message: "Failed to create sign-in link",
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Check the link's signature without using it up, so a second factor can be
+ * verified before the link is spent. Returns `{ success, userId, linkId }`.
+ */
+export const verifyMagicLinkSignature = (email, token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token || "", process.env.JWT_SECRET);
+    } catch (error) {
+        return error.name === "TokenExpiredError" ? expiredLink() : invalidLink();
+    }
+
+    if (payload.purpose !== MAGIC_LINK_PURPOSE || payload.email !== email || !payload.jti) {
+        return invalidLink();
+    }
+
+    return { success: true, userId: payload.sub, linkId: payload.jti };
+};
+
+// Validate a sign-in link and mark it as used so it cannot be replayed
+export const consumeMagicLinkToken = async (email, token) => {
+    const signature = verifyMagicLinkSignature(email, token);
+    if (!signature.success) return signature;
+
+    try {
+        const record = await MagicLink.findOne({
+            where: { id: signature.linkId, email, tokenHash: hashMagicLinkToken(token) }
+        });
+
+        // Superseded by a newer link, or already cleaned up
+        if (!record) return invalidLink();
+
+        if (record.isUsed) return usedLink();
+
+        if (new Date() > record.expiresAt) {
+            await MagicLink.destroy({ where: { id: record.id } });
+            return expiredLink();
+        }
+
+        // Conditional update guards against two requests racing on the same link
+        const [updated] = await MagicLink.update(
+            { isUsed: true, usedAt: new Date() },
+            { where: { id: record.id, isUsed: false } }
+        );
+
+        if (updated === 0) return usedLink();
+
+        return {
+            success: true,
+            userId: record.userId
+        };
+    } catch (error) {
+        console.error("Error verifying magic link:", error);
+        return {
+            success: false,
+            message: "Failed to verify sign-in link",
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,126 @@
+import { Op, QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+import Movie from "../models/Movie.model.js";
+
+// View-price buckets (RWF). `key` is what the client sends back as ?priceRange=
+export const PRICE_RANGES = [
+    { key: "free", min: 0, max: 0 },
+    { key: "1-1000", min: 0, max: 1000 },
+    { key: "1000-3000", min: 1000, max: 3000 },
+    { key: "3000-5000", min: 3000, max: 5000 },
+    { key: "5000+", min: 5000, max: null },
+];
+
+// "N stars & up", matching ?minRating=N
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Bucket bounds: the lower bound is exclusive except for "free", so buckets never overlap
+export const priceRangeCondition = (key) => {
+    const range = PRICE_RANGES.find((r) => r.key === key);
+    if (!range) return null;
+    if (range.key === "free") return { viewPrice: 0 };
+
+    const bounds = { [Op.gt]: range.min };
+    if (range.max !== null) bounds[Op.lte] = range.max;
+    return { viewPrice: bounds };
+};
+
+const releaseYear = `EXTRACT(YEAR FROM "release_date")::int`;
+
+// Titles released in the given year
+export const releaseYearCondition = (year) => {
+    const value = parseInt(year);
+    if (!value) return null;
+    return sequelize.where(sequelize.literal(releaseYear), value);
+};
+
+const countBy = async (where, expression, order) => {
+    const rows = await Movie.findAll({
+        where,
+        attributes: [
+            [expression, "value"],
+            [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+        ],
+        group: [sequelize.literal(`"value"`)],
+        order,
+        raw: true,
+    });
+
+    return rows
+        .filter((row) => row.value !== null && row.value !== "")
+        .map((row) => ({ value: row.value, count: Number(row.count) }));
+};
+
+// Postgres can't GROUP BY a set-returning function, so categories are unnested in a subquery
+const countCategories = async (where) => {
+    const titleCategories = sequelize.getQueryInterface().queryGenerator.selectQuery(
+        Movie.getTableName(),
+        {
+            attributes: [[sequelize.fn("unnest", sequelize.col("categories")), "value"]],
+            where,
+            tableAs: Movie.name,
+            model: Movie,
+        },
+        Movie
+    ).replace(/;$/, "");
+
+    return sequelize.query(
+        `SELECT "value", COUNT(*)::int AS "count"
+         FROM (${titleCategories}) AS "titleCategories"
+         WHERE "value" <> ''
+         GROUP BY "value"
+         ORDER BY "count" DESC, "value" ASC`,
+        { type: QueryTypes.SELECT }
+    );
+};
+
+// One row of COUNT(*) FILTER (...) per bucket
+const countBuckets = async (where, buckets) => {
+    const [row] = await Movie.findAll({
+        where,
+        attributes: buckets.map(({ alias, condition }) => [
+            sequelize.literal(`COUNT(*) FILTER (WHERE ${condition})`),
+            alias,
+        ]),
+        raw: true,
+    });
+
+    return buckets.map(({ alias }) => Number(row?.[alias] || 0));
+};
+
+/**
+ * Facet counts for the movie listing. `whereFor(facet)` returns the listing's
+ * filters minus the facet's own, so selecting "Drama" still shows how many
+ * titles the other categories would give.
+ */
+export const getMovieFacets = async (whereFor) => {
+    const priceBuckets = PRICE_RANGES.map((range, index) => ({
+        alias: `price_${index}`,
+        condition: range.key === "free"
+            ? `"viewPrice" = 0`
+            : `"viewPrice" > ${range.min}` + (range.max !== null ? ` AND "viewPrice" <= ${range.max}` : ""),
+    }));
+
+    const ratingBuckets = RATING_THRESHOLDS.map((min) => ({
+        alias: `rating_${min}`,
+        condition: `"avgRating" >= ${min}`,
+    }));
+
+    const [categories, languages, contentTypes, releaseYears, priceCounts, ratingCounts] = await Promise.all([
+        countCategories(whereFor("category")),
+        countBy(whereFor("language"), sequelize.col("language"), [[sequelize.literal(`"count"`), "DESC"]]),
+        countBy(whereFor("contentType"), sequelize.col("contentType"), [[sequelize.literal(`"count"`), "DESC"]]),
+        countBy(whereFor("year"), sequelize.literal(releaseYear), [[sequelize.literal(`"value"`), "DESC"]]),
+        countBuckets(whereFor("price"), priceBuckets),
+        countBuckets(whereFor("rating"), ratingBuckets),
+    ]);
+
+    return {
+        categories,
+        languages,
+        contentTypes,
+        releaseYears,
+        priceRanges: PRICE_RANGES.map((range, index) => ({ ...range, count: priceCounts[index] })),
+        ratings: RATING_THRESHOLDS.map((min, index) => ({ min, count: ratingCounts[index] })),
+    };
+};
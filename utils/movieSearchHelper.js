@@ -0,0 +1,301 @@
+import { Op, QueryTypes } from "sequelize";
+import sequelize from "../config/database.js";
+
+// Text search configuration used both to build the vectors and to parse queries
+const SEARCH_CONFIG = "english";
+
+// Highlighted fragments wrap matches in <mark>; descriptions are cut to a few fragments
+const HEADLINE_OPTIONS = {
+    title: "StartSel=<mark>, StopSel=</mark>, HighlightAll=true",
+    description: "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=\" … \"",
+};
+
+/**
+ * Movies."searchVector" is maintained by a trigger on every insert and on updates
+ * touching the searchable columns. Weights: titles A; tags, categories and credited
+ * people B; descriptions C. Translations are weighted like the original metadata.
+ * Safe to run repeatedly; called after Movie.sync() and by the migrations.
+ */
+export const installMovieSearchTrigger = async (queryInterface = sequelize.getQueryInterface()) => {
+    const run = (sql) => queryInterface.sequelize.query(sql);
+
+    // Credits and translations may not exist yet on a fresh database (Movies is created first)
+    await run(`
+        CREATE OR REPLACE FUNCTION movies_search_vector_update() RETURNS trigger AS $$
+        DECLARE
+            people text := '';
+            translated_titles text := '';
+            translated_tags text := '';
+            translated_descriptions text := '';
+        BEGIN
+            IF to_regclass('"MovieCredits"') IS NOT NULL THEN
+                SELECT coalesce(string_agg(p."name", ' '), '') INTO people
+                FROM "MovieCredits" c JOIN "People" p ON p."id" = c."personId"
+                WHERE c."movieId" = NEW."id";
+            END IF;
+
+            IF to_regclass('"MovieTranslations"') IS NOT NULL THEN
+                SELECT coalesce(string_agg(t."title", ' '), ''),
+                       coalesce(string_agg(array_to_string(t."tags", ' '), ' '), ''),
+                       coalesce(string_agg(t."description", ' '), '')
+                INTO translated_titles, translated_tags, translated_descriptions
+                FROM "MovieTranslations" t
+                WHERE t."movieId" = NEW."id";
+            END IF;
+
+            NEW."searchVector" :=
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW."title", '') || ' ' || translated_titles), 'A') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(array_to_string(NEW."tags", ' '), '') || ' ' || translated_tags), 'B') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(array_to_string(NEW."categories", ' '), '')), 'B') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', people), 'B') ||
+                setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW."description", '') || ' ' || translated_descriptions), 'C');
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql;
+    `);
+
+    await run(`DROP TRIGGER IF EXISTS movies_search_vector_trigger ON "Movies";`);
+    await run(`
+        CREATE TRIGGER movies_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF "title", "description", "tags", "categories" ON "Movies"
+        FOR EACH ROW EXECUTE FUNCTION movies_search_vector_update();
+    `);
+
+    // Rows written before the trigger existed
+    await run(`UPDATE "Movies" SET "title" = "title" WHERE "searchVector" IS NULL;`);
+};
+
+/**
+ * Re-index a title when its credits change or a credited person is renamed.
+ * Called after MovieCredit.sync() and by the migration.
+ */
+export const installCreditSearchTriggers = async (queryInterface = sequelize.getQueryInterface()) => {
+    const run = (sql) => queryInterface.sequelize.query(sql);
+
+    await run(`
+        CREATE OR REPLACE FUNCTION movie_credits_search_refresh() RETURNS trigger AS $$
+        BEGIN
+            IF TG_TABLE_NAME = 'People' THEN
+                UPDATE "Movies" SET "title" = "title"
+                WHERE "id" IN (SELECT "movieId" FROM "MovieCredits" WHERE "personId" = NEW."id");
+                RETURN NULL;
+            END IF;
+
+            IF TG_OP <> 'INSERT' THEN
+                UPDATE "Movies" SET "title" = "title" WHERE "id" = OLD."movieId";
+            END IF;
+            IF TG_OP <> 'DELETE' THEN
+                UPDATE "Movies" SET "title" = "title" WHERE "id" = NEW."movieId";
+            END IF;
+            RETURN NULL;
+        END
+        $$ LANGUAGE plpgsql;
+    `);
+
+    await run(`DROP TRIGGER IF EXISTS movie_credits_search_trigger ON "MovieCredits";`);
+    await run(`
+        CREATE TRIGGER movie_credits_search_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON "MovieCredits"
+        FOR EACH ROW EXECUTE FUNCTION movie_credits_search_refresh();
+    `);
+
+    await run(`DROP TRIGGER IF EXISTS people_search_trigger ON "People";`);
+    await run(`
+        CREATE TRIGGER people_search_trigger
+        AFTER UPDATE OF "name" ON "People"
+        FOR EACH ROW EXECUTE FUNCTION movie_credits_search_refresh();
+    `);
+};
+
+/**
+ * Re-index a title when one of its translations is added, edited or removed.
+ * Called after MovieTranslation.sync() and by the migration.
+ */
+export const installTranslationSearchTriggers = async (queryInterface = sequelize.getQueryInterface()) => {
+    const run = (sql) => queryInterface.sequelize.query(sql);
+
+    await run(`
+        CREATE OR REPLACE FUNCTION movie_translations_search_refresh() RETURNS trigger AS $$
+        BEGIN
+            IF TG_OP <> 'INSERT' THEN
+                UPDATE "Movies" SET "title" = "title" WHERE "id" = OLD."movieId";
+            END IF;
+            IF TG_OP <> 'DELETE' THEN
+                UPDATE "Movies" SET "title" = "title" WHERE "id" = NEW."movieId";
+            END IF;
+            RETURN NULL;
+        END
+        $$ LANGUAGE plpgsql;
+    `);
+
+    await run(`DROP TRIGGER IF EXISTS movie_translations_search_trigger ON "MovieTranslations";`);
+    await run(`
+        CREATE TRIGGER movie_translations_search_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON "MovieTranslations"
+        FOR EACH ROW EXECUTE FUNCTION movie_translations_search_refresh();
+    `);
+};
+
+/**
+ * Trigram indexes behind autocomplete and "did you mean": movie titles, user names
+ * and movie tags (through an immutable wrapper so the array can be indexed).
+ * Safe to run repeatedly; called after Movie.sync() and by the migration.
+ * Creating pg_trgm needs elevated rights, so only the migration does that; without
+ * the extension the trigram indexes are skipped.
+ */
+export const installMovieSuggestIndexes = async (queryInterface = sequelize.getQueryInterface()) => {
+    const run = (sql) => queryInterface.sequelize.query(sql);
+
+    await run(`
+        CREATE OR REPLACE FUNCTION movie_tags_text(varchar[]) RETURNS text
+        LANGUAGE sql IMMUTABLE PARALLEL SAFE
+        AS $$ SELECT coalesce(array_to_string($1, ' '), '') $$;
+    `);
+
+    const [installed] = await queryInterface.sequelize.query(
+        `SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm';`,
+        { type: QueryTypes.SELECT }
+    );
+    if (!installed) {
+        console.warn("⚠️ pg_trgm is not installed; run the migrations to enable typo-tolerant suggestions");
+        return;
+    }
+
+    await run(`CREATE INDEX IF NOT EXISTS movies_title_trgm_idx ON "Movies" USING GIN ("title" gin_trgm_ops);`);
+    await run(`CREATE INDEX IF NOT EXISTS movies_tags_trgm_idx ON "Movies" USING GIN (movie_tags_text("tags") gin_trgm_ops);`);
+    await run(`CREATE INDEX IF NOT EXISTS users_name_trgm_idx ON "Users" USING GIN ("name" gin_trgm_ops);`);
+};
+
+const searchQuery = (query) => `websearch_to_tsquery('${SEARCH_CONFIG}', ${sequelize.escape(query)})`;
+
+/**
+ * Add the full-text match to a Movie `where`. Accepts web-search syntax:
+ * quoted phrases, `or`, and `-word` to exclude.
+ */
+export const applyMovieSearch = (where, query) => {
+    where[Op.and] = [
+        ...(where[Op.and] || []),
+        sequelize.literal(`"searchVector" @@ ${searchQuery(query)}`),
+    ];
+    return where;
+};
+
+// The column in `locale` when the title has a translation, otherwise the original
+const localizedColumn = (column, locale) => {
+    if (!locale) return `"${column}"`;
+    return `coalesce((SELECT t."${column}" FROM "MovieTranslations" t ` +
+        `WHERE t."movieId" = "Movie"."id" AND t."locale" = ${sequelize.escape(locale)}), "${column}")`;
+};
+
+// Titles and descriptions are filmmaker input: escape them so the only markup in a
+// highlight is our own <mark> (& first, so the other entities aren't escaped twice)
+const htmlEscaped = (expression) =>
+    `replace(replace(replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// Rank (cover density, normalised by document length) and highlighted title/description,
+// the highlights in the viewer's locale and safe to render as HTML
+export const movieSearchAttributes = (query, locale = null) => [
+    [sequelize.literal(`ts_rank_cd("searchVector", ${searchQuery(query)}, 32)`), "searchRank"],
+    [sequelize.literal(`ts_headline('${SEARCH_CONFIG}', ${htmlEscaped(localizedColumn("title", locale))}, ${searchQuery(query)}, '${HEADLINE_OPTIONS.title}')`), "titleHighlight"],
+    [sequelize.literal(`ts_headline('${SEARCH_CONFIG}', ${htmlEscaped(`coalesce(${localizedColumn("description", locale)}, '')`)}, ${searchQuery(query)}, '${HEADLINE_OPTIONS.description}')`), "descriptionHighlight"],
+];
+
+export const movieSearchOrder = () => [
+    [sequelize.literal(`"searchRank"`), "DESC"],
+    ["createdAt", "DESC"],
+];
+
+// ====== AUTOCOMPLETE & SPELLING ======
+
+// Below this length trigrams say little, so only prefixes are matched
+const MIN_FUZZY_LENGTH = 3;
+
+const likePrefix = (query) => `${query.replace(/[\\%_]/g, "\\$&")}%`;
+
+// pg_trgm's `%` (similarity >= 0.3) and `<%` (word similarity >= 0.6) both use the GIN indexes.
+// `anywhere` matches the typed text inside the column rather than at its start.
+const fuzzyMatch = (column, query, { anywhere = false } = {}) => {
+    const pattern = (anywhere ? "%" : "") + likePrefix(query);
+    const prefix = `${column} ILIKE ${sequelize.escape(pattern)}`;
+    if (query.length < MIN_FUZZY_LENGTH) return prefix;
+    return `(${prefix} OR ${sequelize.escape(query)} <% ${column})`;
+};
+
+// 1 for a prefix match, otherwise how well the typed text matches a word run in the column
+const fuzzyScore = (column, query) =>
+    `GREATEST(CASE WHEN ${column} ILIKE ${sequelize.escape(likePrefix(query))} THEN 1 ELSE 0 END, ` +
+    `word_similarity(${sequelize.escape(query)}, ${column}))`;
+
+// Add the title match to a Movie `where`
+export const applyTitleSuggestMatch = (where, query) => {
+    where[Op.and] = [...(where[Op.and] || []), sequelize.literal(fuzzyMatch(`"title"`, query))];
+    return where;
+};
+
+export const titleSuggestScore = (query) => [sequelize.literal(fuzzyScore(`"title"`, query)), "score"];
+
+// Extra conditions for the raw queries below, from a Movie `where` such as
+// applyViewerRestrictions({}, req), on the "m" alias
+const movieConditions = (where = {}) => {
+    const conditions = sequelize.getQueryInterface().queryGenerator.whereItemsQuery(where, { prefix: "m" });
+    return conditions ? `AND ${conditions}` : "";
+};
+
+// Filmmakers with at least one approved title the viewer may see, matched by name
+export const suggestFilmmakers = (query, limit, restrictions) => {
+    return sequelize.query(
+        `SELECT u."id", u."name", u."filmmmakerProfileImage" AS "profileImage", ${fuzzyScore(`u."name"`, query)} AS "score"
+         FROM "Users" u
+         WHERE u."role" = 'filmmaker' AND u."isBlocked" = false
+           AND ${fuzzyMatch(`u."name"`, query)}
+           AND EXISTS (
+               SELECT 1 FROM "Movies" m
+               WHERE m."filmmakerId" = u."id" AND m."status" = 'approved' ${movieConditions(restrictions)}
+           )
+         ORDER BY "score" DESC, u."name" ASC
+         LIMIT ${Number(limit)}`,
+        { type: QueryTypes.SELECT }
+    );
+};
+
+// Distinct tags of approved titles the viewer may see; the indexed tag text narrows the rows first
+export const suggestTags = (query, limit, restrictions) => {
+    return sequelize.query(
+        `SELECT t."tag", MAX(${fuzzyScore(`t."tag"`, query)}) AS "score", COUNT(*)::int AS "titles"
+         FROM "Movies" m, unnest(m."tags") AS t("tag")
+         WHERE m."status" = 'approved' ${movieConditions(restrictions)}
+           AND ${fuzzyMatch(`movie_tags_text(m."tags")`, query, { anywhere: true })}
+           AND ${fuzzyMatch(`t."tag"`, query)}
+         GROUP BY t."tag"
+         ORDER BY "score" DESC, "titles" DESC
+         LIMIT ${Number(limit)}`,
+        { type: QueryTypes.SELECT }
+    );
+};
+
+/**
+ * "Did you mean": the approved title or tag closest to a query that found nothing,
+ * among the titles `restrictions` (a Movie `where`) lets the viewer see.
+ * Returns null when nothing is similar enough.
+ */
+export const findSpellingSuggestion = async (query, restrictions) => {
+    const q = sequelize.escape(query);
+    const visible = movieConditions(restrictions);
+    const [best] = await sequelize.query(
+        `SELECT "term" FROM (
+            SELECT m."title" AS "term", GREATEST(similarity(m."title", ${q}), word_similarity(${q}, m."title")) AS "score"
+            FROM "Movies" m
+            WHERE m."status" = 'approved' ${visible} AND (m."title" % ${q} OR ${q} <% m."title")
+            UNION ALL
+            SELECT t."tag", similarity(t."tag", ${q})
+            FROM "Movies" m, unnest(m."tags") AS t("tag")
+            WHERE m."status" = 'approved' ${visible} AND movie_tags_text(m."tags") % ${q} AND t."tag" % ${q}
+         ) candidates
+         WHERE lower("term") <> lower(${q})
+         ORDER BY "score" DESC
+         LIMIT 1`,
+        { type: QueryTypes.SELECT }
+    );
+
+    return best ? best.term : null;
+};
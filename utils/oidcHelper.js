@@ -0,0 +1,182 @@
+import crypto from "crypto";
+import axios from "axios";
+import jwt from "jsonwebtoken";
+
+// Authorization requests must come back within this window
+const STATE_EXPIRES_IN = "10m";
+const STATE_EXPIRES_MS = 10 * 60 * 1000;
+
+// Holds the PKCE verifier in the browser that started the flow; the callback only
+// completes when the same browser brings it back
+export const OIDC_BROWSER_COOKIE = "oidc_pkce";
+const BROWSER_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    // Sent on the provider's top-level redirect back to the callback
+    sameSite: "lax",
+    path: "/api/auth/oidc"
+};
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const cached = async (cache, key, load) => {
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+    const value = await load();
+    cache.set(key, { value, expiresAt: Date.now() + METADATA_CACHE_MS });
+    return value;
+};
+
+// Issuer discovery document (authorization, token and JWKS endpoints)
+export const getIssuerMetadata = (provider) => {
+    return cached(metadataCache, provider.issuer, async () => {
+        const { data } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+        if (!data?.authorization_endpoint || !data?.token_endpoint || !data?.jwks_uri) {
+            throw new Error(`Incomplete OpenID configuration for ${provider.issuer}`);
+        }
+        return data;
+    });
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+    const load = async () => (await axios.get(jwksUri, { timeout: 10000 })).data?.keys || [];
+
+    let keys = await cached(jwksCache, jwksUri, load);
+    let jwk = keys.find((key) => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+
+    // Unknown kid: the issuer may have rotated its keys
+    if (!jwk) {
+        jwksCache.delete(jwksUri);
+        keys = await cached(jwksCache, jwksUri, load);
+        jwk = keys.find((key) => key.kid === kid);
+    }
+
+    if (!jwk) throw new Error("No matching signing key for ID token");
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const toCodeChallenge = (codeVerifier) => {
+    return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+};
+
+// The verifier cookie sent back by the browser, if any
+export const readCodeVerifierCookie = (req) => {
+    const cookies = String(req.headers.cookie || "").split(";");
+    for (const cookie of cookies) {
+        const [name, ...value] = cookie.trim().split("=");
+        if (name === OIDC_BROWSER_COOKIE) return decodeURIComponent(value.join("="));
+    }
+    return null;
+};
+
+export const clearCodeVerifierCookie = (res) => {
+    res.clearCookie(OIDC_BROWSER_COOKIE, BROWSER_COOKIE_OPTIONS);
+};
+
+/**
+ * Build the URL that starts an authorization code flow and bind it to the
+ * requesting browser through a cookie set on `res`.
+ * `context` is carried in the signed state: `{ mode: "login" }` or `{ mode: "link", userId }`.
+ */
+export const buildAuthorizationUrl = async (provider, context, res) => {
+    const metadata = await getIssuerMetadata(provider);
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const codeChallenge = toCodeChallenge(codeVerifier);
+
+    // A state lifted from someone else's URL is useless without their cookie
+    const state = jwt.sign(
+        { provider: provider.id, nonce, codeChallenge, ...context },
+        process.env.JWT_SECRET,
+        { expiresIn: STATE_EXPIRES_IN, jwtid: crypto.randomUUID(), audience: "oidc-state" }
+    );
+
+    res.cookie(OIDC_BROWSER_COOKIE, codeVerifier, { ...BROWSER_COOKIE_OPTIONS, maxAge: STATE_EXPIRES_MS });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", provider.clientId);
+    url.searchParams.set("redirect_uri", provider.redirectUri);
+    url.searchParams.set("scope", provider.scopes);
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", codeChallenge);
+    url.searchParams.set("code_challenge_method", "S256");
+
+    return url.toString();
+};
+
+/**
+ * Finish the flow: check the state against the browser's verifier cookie, redeem
+ * the code and verify the ID token.
+ * Returns `{ success, claims, context }` or a failure with a code.
+ */
+export const completeAuthorization = async (provider, { code, state, codeVerifier }) => {
+    let context;
+    try {
+        context = jwt.verify(state || "", process.env.JWT_SECRET, { audience: "oidc-state" });
+    } catch (error) {
+        return { success: false, message: "Sign-in request expired or invalid. Please try again.", code: "OIDC_STATE_INVALID" };
+    }
+
+    if (context.provider !== provider.id) {
+        return { success: false, message: "Sign-in request does not match this provider", code: "OIDC_STATE_INVALID" };
+    }
+
+    if (!codeVerifier || !context.codeChallenge || toCodeChallenge(codeVerifier) !== context.codeChallenge) {
+        return {
+            success: false,
+            message: "Sign-in was not started from this browser. Please try again.",
+            code: "OIDC_STATE_INVALID"
+        };
+    }
+
+    if (!code) {
+        return { success: false, message: "Authorization code is missing", code: "OIDC_CODE_MISSING" };
+    }
+
+    const metadata = await getIssuerMetadata(provider);
+
+    let tokens;
+    try {
+        const body = new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: provider.redirectUri,
+            client_id: provider.clientId,
+            code_verifier: codeVerifier
+        });
+        if (provider.clientSecret) body.set("client_secret", provider.clientSecret);
+
+        ({ data: tokens } = await axios.post(metadata.token_endpoint, body.toString(), {
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            timeout: 10000
+        }));
+    } catch (error) {
+        console.error(`❌ OIDC token exchange with ${provider.id} failed:`, error.response?.data || error.message);
+        return { success: false, message: "Could not complete sign-in with the provider", code: "OIDC_TOKEN_EXCHANGE_FAILED" };
+    }
+
+    try {
+        const decoded = jwt.decode(tokens?.id_token, { complete: true });
+        if (!decoded) throw new Error("Provider did not return an ID token");
+
+        const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+        const claims = jwt.verify(tokens.id_token, key, {
+            algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+            issuer: metadata.issuer || provider.issuer,
+            audience: provider.clientId
+        });
+
+        if (claims.nonce !== context.nonce) throw new Error("Nonce mismatch");
+        if (!claims.sub) throw new Error("ID token has no subject");
+
+        return { success: true, claims, context };
+    } catch (error) {
+        console.error(`❌ OIDC ID token from ${provider.id} rejected:`, error.message);
+        return { success: false, message: "The provider's identity token could not be verified", code: "OIDC_ID_TOKEN_INVALID" };
+    }
+};
@@ -1,5 +1,6 @@
 import OTP from "../models/OTP.modal.js";
 import { sendOTPEmail } from "./emailService.js";
+import { sendOTPSms } from "./smsService.js";
 
 const OTP_EXPIRY_TIME = 10 * 60 * 1000; // 10 minutes
 const OTP_LENGTH = 6;
@@ -10,31 +11,37 @@ export const generateOTP = () => {
         .padStart(OTP_LENGTH, "0");
 };
 
-export const createAndSendOTP = async (email) => {
+/**
+ * Store a fresh code for one recipient and deliver it.
+ * `recipient` is `{ email }` or `{ phoneNumber }`; `deliver` sends the code to it.
+ * `fields` are stored alongside the code.
+ */
+const createAndDeliverOTP = async (recipient, deliver, fields = {}) => {
     try {
         // Delete existing OTPs
-        await OTP.destroy({ where: { email } });
+        await OTP.destroy({ where: recipient });
 
         const otp = generateOTP();
         const expiresAt = new Date(Date.now() + OTP_EXPIRY_TIME);
 
         const otpRecord = await OTP.create({
-            email,
+            ...recipient,
+            ...fields,
             otp,
             expiresAt,
             attempts: 0,
             maxAttempts: 3
         });
 
-        const emailResult = await sendOTPEmail(email, otp);
+        const deliveryResult = await deliver(otp);
 
-        if (!emailResult.success) {
+        if (!deliveryResult.success) {
             await OTP.destroy({ where: { id: otpRecord.id } });
 
             return {
                 success: false,
-                message: "Failed to send OTP email",
-                error: emailResult.error
+                message: recipient.email ? "Failed to send OTP email" : "Failed to send OTP SMS",
+                error: deliveryResult.error
             };
         }
 
@@ -53,10 +60,20 @@ export const createAndSendOTP = async (email) => {
     }
 };
 
-// Verify OTP
-export const verifyOTP = async (email, otp) => {
+export const createAndSendOTP = (email) => {
+    return createAndDeliverOTP({ email }, (otp) => sendOTPEmail(email, otp));
+};
+
+// Same code and attempt tracking as email, delivered by the configured SMS provider.
+// A signup passes its `{ name, role }`; verifyPhoneOTP hands them back
+export const createAndSendPhoneOTP = (phoneNumber, pendingSignup = null) => {
+    return createAndDeliverOTP({ phoneNumber }, (otp) => sendOTPSms(phoneNumber, otp), { pendingSignup });
+};
+
+// Verify OTP, counting failed attempts against the stored code
+const verifyRecipientOTP = async (recipient, otp) => {
     try {
-        const otpRecord = await OTP.findOne({ where: { email } });
+        const otpRecord = await OTP.findOne({ where: recipient });
 
         if (!otpRecord) {
             return {
@@ -103,7 +120,8 @@ export const verifyOTP = async (email, otp) => {
 
         return {
             success: true,
-            message: "OTP verified successfully"
+            message: "OTP verified successfully",
+            pendingSignup: otpRecord.pendingSignup || null
         };
     } catch (error) {
         console.error("Error verifying OTP:", error);
@@ -115,6 +133,10 @@ export const verifyOTP = async (email, otp) => {
     }
 };
 
+export const verifyOTP = (email, otp) => verifyRecipientOTP({ email }, otp);
+
+export const verifyPhoneOTP = (phoneNumber, otp) => verifyRecipientOTP({ phoneNumber }, otp);
+
 export const deleteOTP = async (email) => {
     try {
         await OTP.destroy({ where: { email } });
@@ -123,3 +145,12 @@ export const deleteOTP = async (email) => {
         return { success: false, error: error.message };
     }
 };
+
+export const deletePhoneOTP = async (phoneNumber) => {
+    try {
+        await OTP.destroy({ where: { phoneNumber } });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+};
@@ -0,0 +1,130 @@
+import bcrypt from "bcryptjs";
+import { Op } from "sequelize";
+import Movie from "../models/Movie.model.js";
+
+// Highest Movie.ageRestriction each profile maturity level may watch (null = no limit)
+export const MATURITY_LEVEL_MAX_AGE = {
+    kids: 12,
+    teen: 16,
+    adult: null
+};
+
+export const calculateAge = (dateOfBirth, now = new Date()) => {
+    if (!dateOfBirth) return null;
+
+    const dob = new Date(dateOfBirth);
+    if (Number.isNaN(dob.getTime())) return null;
+
+    let age = now.getFullYear() - dob.getFullYear();
+    const beforeBirthday =
+        now.getMonth() < dob.getMonth() ||
+        (now.getMonth() === dob.getMonth() && now.getDate() < dob.getDate());
+    if (beforeBirthday) age--;
+
+    return Math.max(0, age);
+};
+
+const strictest = (...limits) => {
+    const defined = limits.filter((limit) => limit !== null && limit !== undefined);
+    return defined.length ? Math.min(...defined) : null;
+};
+
+/**
+ * Highest age rating the request may see, or null when nothing is restricted.
+ * A selected profile is limited by its maturity level and date of birth; the
+ * account holder by their own date of birth. The account-wide parental limit
+ * caps both.
+ */
+export const getAllowedAge = (user, profile = null) => {
+    if (!user) return null;
+
+    const accountLimit = user.parentalControlsEnabled ? user.parentalMaxAge : null;
+
+    if (profile) {
+        return strictest(
+            MATURITY_LEVEL_MAX_AGE[profile.maturityLevel],
+            calculateAge(profile.dateOfBirth),
+            accountLimit
+        );
+    }
+
+    return strictest(calculateAge(user.dateOfBirth), accountLimit);
+};
+
+// True when `candidate` lets through titles that `current` hides
+export const isLessStrict = (candidate, current) => {
+    if (current === null || current === undefined) return false;
+    return candidate === null || candidate === undefined || candidate > current;
+};
+
+// Add a condition to a Movie `where` that hides titles above the allowed age
+export const applyAgeRestriction = (where, allowedAge) => {
+    if (allowedAge === null || allowedAge === undefined) return where;
+
+    const condition = {
+        [Op.or]: [
+            { ageRestriction: { [Op.lte]: allowedAge } },
+            { ageRestriction: null }
+        ]
+    };
+    where[Op.and] = [...(where[Op.and] || []), condition];
+    return where;
+};
+
+// Episodes are rated at least as strictly as the series they belong to
+export const getEffectiveAgeRestriction = async (movie) => {
+    let restriction = movie.ageRestriction || 0;
+
+    if (movie.contentType === "episode" && movie.seriesId) {
+        const series = await Movie.findByPk(movie.seriesId, { attributes: ["id", "ageRestriction"] });
+        restriction = Math.max(restriction, series?.ageRestriction || 0);
+    }
+
+    return restriction;
+};
+
+export const isAllowedForAge = async (movie, allowedAge) => {
+    if (allowedAge === null || allowedAge === undefined) return true;
+    return (await getEffectiveAgeRestriction(movie)) <= allowedAge;
+};
+
+export const hashParentalPin = async (pin) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(String(pin), salt);
+};
+
+/**
+ * When the parental lock is on, changes that loosen restrictions need the PIN.
+ * Always succeeds while the lock is off.
+ */
+export const verifyParentalPin = async (user, pin) => {
+    if (!user.parentalControlsEnabled || !user.parentalPinHash) {
+        return { success: true };
+    }
+
+    if (!pin) {
+        return {
+            success: false,
+            message: "Parental PIN is required",
+            code: "PARENTAL_PIN_REQUIRED"
+        };
+    }
+
+    const matches = await bcrypt.compare(String(pin), user.parentalPinHash);
+    if (!matches) {
+        return {
+            success: false,
+            message: "Incorrect parental PIN",
+            code: "INVALID_PARENTAL_PIN"
+        };
+    }
+
+    return { success: true };
+};
+
+export const ageRestrictedResponse = (allowedAge) => ({
+    success: false,
+    message: "This title is not available with your current parental controls",
+    code: "AGE_RESTRICTED",
+    allowedAge
+});
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import PartnerLink from "../models/PartnerLink.model.js";
+
+const PAIRING_CODE_EXPIRY_MINUTES = 10;
+// No 0/O or 1/I, so codes can be read off one screen and typed on another
+const PAIRING_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const PAIRING_CODE_LENGTH = 8;
+
+const normalizePairingCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const hashPairingCode = (code) => {
+    return crypto.createHash("sha256").update(normalizePairingCode(code)).digest("hex");
+};
+
+/**
+ * Issue the code a signed-in user hands to a partner (typed on a TV, set-top box...)
+ * to let it check their entitlements. Returns `{ code, expiresIn }`.
+ */
+export const createPairingCode = async (user) => {
+    // Only the latest unredeemed code is valid
+    await PartnerLink.destroy({ where: { userId: user.id, apiKeyId: null } });
+
+    // 32 symbols divide 256 evenly, so every symbol is equally likely
+    const code = Array.from(
+        crypto.randomBytes(PAIRING_CODE_LENGTH),
+        (byte) => PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length]
+    ).join("");
+
+    await PartnerLink.create({
+        userId: user.id,
+        codeHash: hashPairingCode(code),
+        codeExpiresAt: new Date(Date.now() + PAIRING_CODE_EXPIRY_MINUTES * 60 * 1000)
+    });
+
+    return { code: `${code.slice(0, 4)}-${code.slice(4)}`, expiresIn: PAIRING_CODE_EXPIRY_MINUTES };
+};
+
+/**
+ * Redeem a pairing code for a partner, under the partner's own id for the user.
+ * A partner user maps to one account and an account to one partner user, so an
+ * older link on either side is revoked. Returns `{ success, link }`.
+ */
+export const redeemPairingCode = async (apiKeyId, code, partnerUserId) => {
+    return sequelize.transaction(async (transaction) => {
+        const link = await PartnerLink.findOne({
+            where: {
+                codeHash: hashPairingCode(code),
+                apiKeyId: null,
+                revokedAt: null,
+                codeExpiresAt: { [Op.gt]: new Date() }
+            },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        if (!link) {
+            return {
+                success: false,
+                message: "Invalid or expired pairing code",
+                code: "PAIRING_CODE_INVALID"
+            };
+        }
+
+        const now = new Date();
+        await PartnerLink.update(
+            { revokedAt: now },
+            {
+                where: {
+                    apiKeyId,
+                    revokedAt: null,
+                    [Op.or]: [{ partnerUserId }, { userId: link.userId }]
+                },
+                transaction
+            }
+        );
+
+        link.apiKeyId = apiKeyId;
+        link.partnerUserId = partnerUserId;
+        link.linkedAt = now;
+        link.codeHash = null;
+        link.codeExpiresAt = null;
+        await link.save({ transaction });
+
+        return { success: true, link };
+    });
+};
+
+// The account a partner's user id is linked to, if the link still stands
+export const findPartnerLink = (apiKeyId, partnerUserId) => {
+    return PartnerLink.findOne({
+        where: { apiKeyId, partnerUserId, revokedAt: null }
+    });
+};
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import PasswordReset from "../models/PasswordReset.model.js";
+import { sendPasswordResetEmail } from "./emailService.js";
+
+const RESET_TOKEN_EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes
+const RESET_TOKEN_BYTES = 32;
+
+export const hashResetToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const buildResetUrl = (email, token) => {
+    const baseUrl = process.env.FRONTEND_URL || "https://cinemarwa.com";
+    return `${baseUrl}/reset-password?token=${token}&email=${encodeURIComponent(email)}`;
+};
+
+export const createAndSendPasswordReset = async (user) => {
+    try {
+        // Only the latest link is valid
+        await PasswordReset.destroy({ where: { email: user.email } });
+
+        const token = crypto.randomBytes(RESET_TOKEN_BYTES).toString("hex");
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_TIME);
+
+        const resetRecord = await PasswordReset.create({
+            userId: user.id,
+            email: user.email,
+            tokenHash: hashResetToken(token),
+            expiresAt
+        });
+
+        const emailResult = await sendPasswordResetEmail(user.email, buildResetUrl(user.email, token));
+
+        if (!emailResult.success) {
+            await PasswordReset.destroy({ where: { id: resetRecord.id } });
+
+            return {
+                success: false,
+                message: "Failed to send password reset email",
+                error: emailResult.error
+            };
+        }
+
+        return {
+            success: true,
+            message: "Password reset email sent successfully",
+            expiresIn: 30
+        };
+    } catch (error) {
+        console.error("Error creating password reset:", error);
+        return {
+            success: false,
+            message: "Failed to create password reset",
+            error: error.message
+        };
+    }
+};
+
+// Validate a reset token and mark it as used so it cannot be replayed
+export const consumePasswordResetToken = async (email, token) => {
+    try {
+        const resetRecord = await PasswordReset.findOne({
+            where: { email, tokenHash: hashResetToken(token) }
+        });
+
+        if (!resetRecord) {
+            return {
+                success: false,
+                message: "Invalid reset link. Request a new one.",
+                code: "RESET_TOKEN_INVALID"
+            };
+        }
+
+        if (resetRecord.isUsed) {
+            return {
+                success: false,
+                message: "This reset link has already been used.",
+                code: "RESET_TOKEN_USED"
+            };
+        }
+
+        if (new Date() > resetRecord.expiresAt) {
+            await PasswordReset.destroy({ where: { id: resetRecord.id } });
+            return {
+                success: false,
+                message: "Reset link expired. Request a new one.",
+                code: "RESET_TOKEN_EXPIRED"
+            };
+        }
+
+        // Conditional update guards against two requests racing on the same token
+        const [updated] = await PasswordReset.update(
+            { isUsed: true, usedAt: new Date() },
+            { where: { id: resetRecord.id, isUsed: false } }
+        );
+
+        if (updated === 0) {
+            return {
+                success: false,
+                message: "This reset link has already been used.",
+                code: "RESET_TOKEN_USED"
+            };
+        }
+
+        return {
+            success: true,
+            userId: resetRecord.userId
+        };
+    } catch (error) {
+        console.error("Error verifying password reset token:", error);
+        return {
+            success: false,
+            message: "Failed to verify reset link",
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,30 @@
+// Country code assumed for local numbers such as 0788123456 (Rwanda by default, like MoMo)
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || "250";
+
+const E164_PATTERN = /^\+[1-9][0-9]{7,14}$/;
+
+/**
+ * Normalize a phone number to E.164 (`+250788123456`) so the same number
+ * always maps to the same account. Returns null when it can't be a phone number.
+ */
+export const normalizePhoneNumber = (input) => {
+    if (input === undefined || input === null) return null;
+
+    let phone = String(input).trim().replace(/[\s().-]/g, "");
+
+    if (phone.startsWith("00")) {
+        phone = `+${phone.slice(2)}`;
+    } else if (phone.startsWith("0")) {
+        phone = `+${DEFAULT_COUNTRY_CODE}${phone.slice(1)}`;
+    } else if (!phone.startsWith("+")) {
+        phone = `+${phone}`;
+    }
+
+    return E164_PATTERN.test(phone) ? phone : null;
+};
+
+// Country prefix and last digits only, for responses that shouldn't echo the full number
+export const maskPhoneNumber = (phone) => {
+    if (!phone) return null;
+    return `${phone.slice(0, 4)}${"*".repeat(Math.max(phone.length - 7, 0))}${phone.slice(-3)}`;
+};
@@ -0,0 +1,223 @@
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import Movie from "../models/Movie.model.js";
+import PlaybackProgress from "../models/PlaybackProgress.model.js";
+import { applyViewerRestrictions } from "./viewerRestrictionHelper.js";
+
+// Watched this far (percent), a title counts as finished; the rest is usually credits
+export const COMPLETION_PERCENT = 90;
+
+// Titles abandoned before this (seconds) are not worth resuming
+const MIN_RESUME_SECONDS = 30;
+
+// How many recent progress rows the continue-watching rail is built from
+const CONTINUE_WATCHING_SCAN = 200;
+
+// Progress belongs to the profile the token is scoped to, or to the account holder
+export const progressOwner = (req) => ({ userId: req.userId, profileId: req.profileId || null });
+
+export const isFinished = (progress) => progress.percentWatched >= COMPLETION_PERCENT;
+
+export const serializeProgress = (progress) => ({
+    movieId: progress.movieId,
+    seriesId: progress.seriesId,
+    position: progress.positionSeconds,
+    duration: progress.durationSeconds,
+    percentWatched: progress.percentWatched,
+    finished: isFinished(progress),
+    completedAt: progress.completedAt,
+    lastWatchedAt: progress.lastWatchedAt,
+});
+
+/**
+ * Store where the viewer is in a title. The title's videoDuration (seconds) wins;
+ * `duration` from the player is only used when that is unknown. Returns the progress row.
+ */
+export const recordProgress = async (req, movie, { position, duration }) => {
+    const now = new Date();
+    const totalSeconds = movie.videoDuration || duration || null;
+    const positionSeconds = totalSeconds ? Math.min(position, totalSeconds) : position;
+    const percentWatched = totalSeconds
+        ? Math.round((positionSeconds / totalSeconds) * 10000) / 100
+        : 0;
+
+    const owner = { ...progressOwner(req), movieId: movie.id };
+    const existing = await PlaybackProgress.findOne({ where: owner });
+
+    // One row per owner and title (unique index), so reports from two devices can't fork it
+    const [progress] = await PlaybackProgress.upsert({
+        ...owner,
+        seriesId: movie.contentType === "episode" ? movie.seriesId : null,
+        positionSeconds,
+        durationSeconds: totalSeconds,
+        percentWatched,
+        maxPercentWatched: Math.max(existing?.maxPercentWatched || 0, percentWatched),
+        completedAt: existing?.completedAt || (percentWatched >= COMPLETION_PERCENT ? now : null),
+        deviceId: req.deviceId || null,
+        lastWatchedAt: now,
+    }, { conflictFields: ["userId", "profileId", "movieId"] });
+
+    return progress;
+};
+
+// ====== EPISODES ======
+
+const adjacentEpisode = (episode, direction, req) => {
+    const after = direction === "next";
+    const where = {
+        seriesId: episode.seriesId,
+        contentType: "episode",
+        status: "approved",
+        [Op.or]: [
+            {
+                seasonNumber: episode.seasonNumber,
+                episodeNumber: { [after ? Op.gt : Op.lt]: episode.episodeNumber },
+            },
+            { seasonNumber: { [after ? Op.gt : Op.lt]: episode.seasonNumber } },
+        ],
+    };
+
+    return Movie.findOne({
+        where: req ? applyViewerRestrictions(where, req) : where,
+        order: [
+            ["seasonNumber", after ? "ASC" : "DESC"],
+            ["episodeNumber", after ? "ASC" : "DESC"],
+        ],
+    });
+};
+
+/**
+ * The episode after this one: the next number in the same season, otherwise the
+ * first episode of the next season that has one. Null after the last episode.
+ * Pass `req` to skip episodes the viewer may not see.
+ */
+export const resolveNextEpisode = (episode, req = null) => adjacentEpisode(episode, "next", req);
+
+export const resolvePreviousEpisode = (episode, req = null) => adjacentEpisode(episode, "previous", req);
+
+/**
+ * What to play when the viewer opens a series: the episode they are part-way
+ * through, the one after the last they finished, or the first episode.
+ * Returns `{ reason, episode, progress }`; reason is resume, next, start or finished.
+ */
+export const resolveSeriesEpisode = async (req, series) => {
+    const latest = await PlaybackProgress.findOne({
+        where: { ...progressOwner(req), seriesId: series.id },
+        order: [["lastWatchedAt", "DESC"]],
+    });
+
+    const episodeWhere = { seriesId: series.id, contentType: "episode", status: "approved" };
+
+    if (!latest) {
+        const first = await Movie.findOne({
+            where: applyViewerRestrictions({ ...episodeWhere }, req),
+            order: [["seasonNumber", "ASC"], ["episodeNumber", "ASC"]],
+        });
+        return { reason: first ? "start" : "finished", episode: first, progress: null };
+    }
+
+    const current = await Movie.findOne({ where: { ...episodeWhere, id: latest.movieId } });
+    if (current && !isFinished(latest)) {
+        return { reason: "resume", episode: current, progress: latest };
+    }
+
+    const next = current ? await resolveNextEpisode(current, req) : null;
+    return { reason: next ? "next" : "finished", episode: next, progress: null };
+};
+
+// ====== CONTINUE WATCHING ======
+
+/**
+ * Titles to resume, most recently watched first. Finished movies drop out; a series
+ * appears once, at the episode in progress or, when that one is finished, at the next
+ * episode (`upNext`). Returns `[{ movie, series, progress, upNext, lastWatchedAt }]`.
+ */
+export const getContinueWatching = async (req, limit) => {
+    const rows = await PlaybackProgress.findAll({
+        where: progressOwner(req),
+        order: [["lastWatchedAt", "DESC"]],
+        limit: CONTINUE_WATCHING_SCAN,
+    });
+
+    // Latest row per series; movies as they are
+    const seenSeries = new Set();
+    const candidates = rows.filter((row) => {
+        if (!row.seriesId) return true;
+        if (seenSeries.has(row.seriesId)) return false;
+        seenSeries.add(row.seriesId);
+        return true;
+    });
+
+    const movieIds = [...new Set(candidates.flatMap((row) => [row.movieId, row.seriesId].filter(Boolean)))];
+    const movies = await Movie.findAll({
+        where: applyViewerRestrictions({ id: { [Op.in]: movieIds }, status: "approved" }, req),
+    });
+    const byId = new Map(movies.map((movie) => [movie.id, movie]));
+
+    const entries = [];
+    for (const row of candidates) {
+        if (entries.length >= limit) break;
+
+        const movie = byId.get(row.movieId);
+        const series = row.seriesId ? byId.get(row.seriesId) : null;
+        if (!movie || (row.seriesId && !series)) continue;
+
+        if (!isFinished(row)) {
+            if (row.positionSeconds < MIN_RESUME_SECONDS) continue;
+            entries.push({ movie, series, progress: serializeProgress(row), upNext: false, lastWatchedAt: row.lastWatchedAt });
+            continue;
+        }
+
+        if (!series) continue;
+
+        const next = await resolveNextEpisode(movie, req);
+        if (next) {
+            entries.push({ movie: next, series, progress: null, upNext: true, lastWatchedAt: row.lastWatchedAt });
+        }
+    }
+
+    return entries;
+};
+
+// ====== ANALYTICS ======
+
+/**
+ * Viewing engagement per title from stored progress: viewers who started, viewers
+ * who finished, and how far they got on average. `where` filters PlaybackProgress,
+ * e.g. `{ movieId: [...] }` or `{ seriesId }`. Returns a Map of movie id → stats.
+ */
+export const getEngagementByMovie = async (where) => {
+    const rows = await PlaybackProgress.findAll({
+        where,
+        attributes: [
+            "movieId",
+            [sequelize.fn("COUNT", sequelize.col("id")), "viewers"],
+            [sequelize.fn("COUNT", sequelize.col("completedAt")), "completions"],
+            [sequelize.fn("SUM", sequelize.col("maxPercentWatched")), "percentSum"],
+        ],
+        group: ["movieId"],
+        raw: true,
+    });
+
+    return new Map(rows.map((row) => [row.movieId, {
+        viewers: Number(row.viewers),
+        completions: Number(row.completions),
+        percentSum: Number(row.percentSum) || 0,
+    }]));
+};
+
+// Combine per-title stats into rates (percentages, one decimal)
+export const summarizeEngagement = (stats) => {
+    const totals = stats.reduce((acc, stat) => ({
+        viewers: acc.viewers + stat.viewers,
+        completions: acc.completions + stat.completions,
+        percentSum: acc.percentSum + stat.percentSum,
+    }), { viewers: 0, completions: 0, percentSum: 0 });
+
+    return {
+        viewersStarted: totals.viewers,
+        viewersCompleted: totals.completions,
+        completionRate: totals.viewers ? Math.round((totals.completions / totals.viewers) * 1000) / 10 : 0,
+        avgPercentWatched: totals.viewers ? Math.round((totals.percentSum / totals.viewers) * 10) / 10 : 0,
+    };
+};
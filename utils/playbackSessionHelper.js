@@ -0,0 +1,153 @@
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import User from "../models/User.modal.js";
+import PlaybackSession from "../models/PlaybackSession.model.js";
+
+// Players ping every HEARTBEAT_INTERVAL; a session that misses heartbeats for TIMEOUT stops counting
+export const STREAM_HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_SECONDS) || 30;
+const STREAM_SESSION_TIMEOUT_MS = (parseInt(process.env.STREAM_SESSION_TIMEOUT_SECONDS) || 90) * 1000;
+
+// Concurrent streams per subscription plan (maxDevices only limits logins)
+export const PLAN_STREAM_LIMITS = {
+    basic: 1,
+    pro: 2,
+    enterprise: 4
+};
+
+export const getStreamLimit = (user) => {
+    return user?.maxStreams || 1;
+};
+
+export const serializePlaybackSession = (session, currentDeviceId = null) => ({
+    id: session.id,
+    deviceId: session.deviceId,
+    profileId: session.profileId,
+    movieId: session.movieId,
+    startedAt: session.startedAt,
+    lastHeartbeatAt: session.lastHeartbeatAt,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    isCurrentDevice: currentDeviceId !== null && session.deviceId === currentDeviceId
+});
+
+/**
+ * End every still-open session matching `where` (e.g. `{ userId, deviceId }`).
+ */
+export const endPlaybackSessions = async (where, reason, { transaction } = {}) => {
+    const [count] = await PlaybackSession.update(
+        { endedAt: new Date(), endedReason: reason },
+        { where: { ...where, endedAt: null }, transaction }
+    );
+    return count;
+};
+
+const expireStaleSessions = (userId, options) => {
+    return endPlaybackSessions(
+        { userId, lastHeartbeatAt: { [Op.lt]: new Date(Date.now() - STREAM_SESSION_TIMEOUT_MS) } },
+        "expired",
+        options
+    );
+};
+
+// Open sessions for the account, oldest first
+export const getActivePlaybackSessions = async (userId, { transaction } = {}) => {
+    await expireStaleSessions(userId, { transaction });
+
+    return PlaybackSession.findAll({
+        where: { userId, endedAt: null },
+        order: [["startedAt", "ASC"]],
+        transaction
+    });
+};
+
+/**
+ * Start a stream for a device. A device only ever has one open session; when the
+ * account is already at its plan's limit, the oldest other sessions are evicted.
+ * Returns the new session and the sessions that were evicted to make room.
+ */
+export const startPlaybackSession = async (user, { deviceId, profileId, movieId, userAgent, ipAddress }) => {
+    return sequelize.transaction(async (transaction) => {
+        // Streams starting at the same time on several devices would each see a free slot;
+        // locking the account row makes them count and evict one after another
+        await User.findByPk(user.id, { attributes: ["id"], lock: transaction.LOCK.UPDATE, transaction });
+
+        await endPlaybackSessions({ userId: user.id, deviceId }, "replaced", { transaction });
+
+        const active = await getActivePlaybackSessions(user.id, { transaction });
+        const overLimit = active.length - getStreamLimit(user) + 1;
+        const evicted = overLimit > 0 ? active.slice(0, overLimit) : [];
+
+        if (evicted.length) {
+            await endPlaybackSessions({ id: evicted.map((session) => session.id) }, "evicted", { transaction });
+        }
+
+        const now = new Date();
+        const session = await PlaybackSession.create({
+            userId: user.id,
+            profileId: profileId || null,
+            deviceId,
+            movieId,
+            startedAt: now,
+            lastHeartbeatAt: now,
+            userAgent,
+            ipAddress
+        }, { transaction });
+
+        return { session, evicted };
+    });
+};
+
+// Look up a session and report why it can no longer be used, timing it out if it went quiet
+const findOpenPlaybackSession = async (where) => {
+    const session = await PlaybackSession.findOne({ where });
+
+    if (!session) {
+        return {
+            success: false,
+            message: "Playback session not found",
+            code: "STREAM_SESSION_NOT_FOUND"
+        };
+    }
+
+    if (!session.endedAt && session.lastHeartbeatAt < new Date(Date.now() - STREAM_SESSION_TIMEOUT_MS)) {
+        session.endedAt = new Date();
+        session.endedReason = "expired";
+        await session.save();
+    }
+
+    if (session.endedAt) {
+        return {
+            success: false,
+            message: session.endedReason === "evicted"
+                ? "This stream was stopped because your plan's stream limit was reached on another device"
+                : "This playback session has ended",
+            code: session.endedReason === "evicted" ? "STREAM_EVICTED" : "STREAM_SESSION_ENDED",
+            endedReason: session.endedReason
+        };
+    }
+
+    return { success: true, session };
+};
+
+/**
+ * Check the session a stream token was issued for. A token outlives its session,
+ * so an evicted or stopped device must not keep streaming with the URL it holds.
+ */
+export const verifyPlaybackSession = (userId, sessionId, movieId) => {
+    return findOpenPlaybackSession({ id: sessionId, userId, movieId });
+};
+
+/**
+ * Keep a session alive. Fails once the session was evicted, stopped or timed out,
+ * which tells the player to stop and, if the user wants, request a new stream.
+ */
+export const heartbeatPlaybackSession = async (userId, sessionId, deviceId) => {
+    const result = await findOpenPlaybackSession({ id: sessionId, userId, deviceId });
+    if (!result.success) return result;
+
+    const { session } = result;
+    session.lastHeartbeatAt = new Date();
+    await session.save();
+
+    return { success: true, session };
+};
@@ -0,0 +1,215 @@
+import crypto from "crypto";
+import { Op, QueryTypes } from "sequelize";
+import RateLimit from "../models/RateLimit.model.js";
+
+// Lock streaks are forgotten after a day without attempts
+const LOCK_DECAY_TIME = 24 * 60 * 60 * 1000;
+
+// Used when Postgres is unreachable so throttling keeps working per process
+const memoryStore = new Map();
+let usingMemoryStore = false;
+
+const memoryKey = (scope, subjectType, subject) => `${scope}|${subjectType}|${subject}`;
+
+const fallBackToMemory = (error) => {
+    if (!usingMemoryStore) {
+        console.warn("⚠️ Rate limit store unavailable, using in-memory fallback:", error.message);
+        usingMemoryStore = true;
+    }
+};
+
+const readRecord = async (scope, subjectType, subject) => {
+    try {
+        const record = await RateLimit.findOne({ where: { scope, subjectType, subject }, raw: true });
+        usingMemoryStore = false;
+        return record;
+    } catch (error) {
+        fallBackToMemory(error);
+        return memoryStore.get(memoryKey(scope, subjectType, subject)) || null;
+    }
+};
+
+const lockStatus = (record) => {
+    const lockedUntil = record?.lockedUntil ? new Date(record.lockedUntil) : null;
+    if (!lockedUntil || lockedUntil <= new Date()) {
+        return { locked: false };
+    }
+    return {
+        locked: true,
+        lockedUntil,
+        retryAfter: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    };
+};
+
+// Same rules as the SQL in reserveAttempt, for the in-memory fallback
+const reserveInMemory = (scope, subjectType, subject, { maxAttempts, windowMs, baseLockMs, maxLockMs }) => {
+    const key = memoryKey(scope, subjectType, subject);
+    const now = Date.now();
+    const record = memoryStore.get(key) || {
+        scope,
+        subjectType,
+        subject,
+        attempts: 0,
+        windowStartedAt: new Date(now),
+        lockCount: 0,
+        lockedUntil: null
+    };
+
+    const status = lockStatus(record);
+    if (status.locked) return status;
+
+    if (record.lastAttemptAt && now - new Date(record.lastAttemptAt).getTime() > LOCK_DECAY_TIME) {
+        record.lockCount = 0;
+    }
+
+    if (now - new Date(record.windowStartedAt).getTime() > windowMs) {
+        record.attempts = 0;
+        record.windowStartedAt = new Date(now);
+    }
+
+    record.attempts += 1;
+    record.lastAttemptAt = new Date(now);
+
+    if (record.attempts >= maxAttempts) {
+        const lockMs = Math.min(baseLockMs * 2 ** record.lockCount, maxLockMs);
+        record.lockedUntil = new Date(now + lockMs);
+        record.lockCount += 1;
+        record.attempts = 0;
+        record.windowStartedAt = new Date(now);
+    }
+
+    memoryStore.set(key, record);
+    return { locked: false };
+};
+
+/**
+ * Count one attempt before the request is handled, unless the subject is
+ * already locked (then `{ locked: true, retryAfter, lockedUntil }` and nothing
+ * is counted). Reaching `maxAttempts` inside `windowMs` locks the subject for
+ * the requests that follow, and each consecutive lockout doubles the lock
+ * duration up to `maxLockMs`. Done in a single upsert so concurrent requests
+ * can't all read the same count and slip past the limit.
+ */
+export const reserveAttempt = async (scope, subjectType, subject, limits) => {
+    const { maxAttempts, windowMs, baseLockMs, maxLockMs } = limits;
+    const windowExpired = `"RateLimits"."windowStartedAt" <= CAST(:now AS TIMESTAMPTZ) - :windowMs * INTERVAL '1 millisecond'`;
+    const nextAttempts = `(CASE WHEN ${windowExpired} THEN 0 ELSE "RateLimits"."attempts" END) + 1`;
+    const lockCount = `(CASE WHEN "RateLimits"."lastAttemptAt" <= CAST(:now AS TIMESTAMPTZ) - :decayMs * INTERVAL '1 millisecond' THEN 0 ELSE "RateLimits"."lockCount" END)`;
+    const trips = `${nextAttempts} >= :maxAttempts`;
+
+    try {
+        const rows = await RateLimit.sequelize.query(
+            `INSERT INTO "RateLimits" ("id", "scope", "subjectType", "subject", "attempts", "windowStartedAt", "lockCount", "lastAttemptAt", "createdAt", "updatedAt")
+            VALUES (:id, :scope, :subjectType, :subject, 1, :now, 0, :now, :now, :now)
+            ON CONFLICT ("scope", "subjectType", "subject") DO UPDATE SET
+                "attempts" = CASE WHEN ${trips} THEN 0 ELSE ${nextAttempts} END,
+                "windowStartedAt" = CASE WHEN ${trips} OR ${windowExpired} THEN :now ELSE "RateLimits"."windowStartedAt" END,
+                "lockCount" = CASE WHEN ${trips} THEN ${lockCount} + 1 ELSE ${lockCount} END,
+                "lockedUntil" = CASE
+                    WHEN ${trips} THEN CAST(:now AS TIMESTAMPTZ) + LEAST(:baseLockMs * POWER(2, ${lockCount}), :maxLockMs) * INTERVAL '1 millisecond'
+                    ELSE "RateLimits"."lockedUntil"
+                END,
+                "lastAttemptAt" = :now,
+                "updatedAt" = :now
+            WHERE "RateLimits"."lockedUntil" IS NULL OR "RateLimits"."lockedUntil" <= :now
+            RETURNING "id"`,
+            {
+                replacements: {
+                    id: crypto.randomUUID(),
+                    scope,
+                    subjectType,
+                    subject,
+                    now: new Date(),
+                    maxAttempts,
+                    windowMs,
+                    baseLockMs,
+                    maxLockMs,
+                    decayMs: LOCK_DECAY_TIME
+                },
+                type: QueryTypes.SELECT
+            }
+        );
+        usingMemoryStore = false;
+
+        // No row back means the update was skipped because a lock is in force
+        if (rows.length > 0) return { locked: false };
+        return lockStatus(await readRecord(scope, subjectType, subject));
+    } catch (error) {
+        fallBackToMemory(error);
+        return reserveInMemory(scope, subjectType, subject, limits);
+    }
+};
+
+// Give back an attempt reserved for a request whose outcome doesn't count
+export const releaseAttempt = async (scope, subjectType, subject) => {
+    const record = memoryStore.get(memoryKey(scope, subjectType, subject));
+    if (record) record.attempts = Math.max(record.attempts - 1, 0);
+    try {
+        await RateLimit.update(
+            { attempts: RateLimit.sequelize.literal('GREATEST("attempts" - 1, 0)') },
+            { where: { scope, subjectType, subject } }
+        );
+    } catch (error) {
+        fallBackToMemory(error);
+    }
+};
+
+export const clearAttempts = async (scope, subjectType, subject) => {
+    memoryStore.delete(memoryKey(scope, subjectType, subject));
+    try {
+        await RateLimit.destroy({ where: { scope, subjectType, subject } });
+    } catch (error) {
+        fallBackToMemory(error);
+    }
+};
+
+/**
+ * Active account lockouts for the given emails or phone numbers, grouped by subject
+ */
+export const getAccountLockouts = async (emails) => {
+    const subjects = emails.filter(Boolean).map((email) => email.toLowerCase());
+    const now = new Date();
+    let records;
+
+    try {
+        records = await RateLimit.findAll({
+            where: {
+                subjectType: "account",
+                subject: { [Op.in]: subjects },
+                lockedUntil: { [Op.gt]: now }
+            },
+            raw: true
+        });
+    } catch (error) {
+        fallBackToMemory(error);
+        records = [...memoryStore.values()].filter(
+            (r) => r.subjectType === "account" && subjects.includes(r.subject) && lockStatus(r).locked
+        );
+    }
+
+    return records.reduce((acc, record) => {
+        (acc[record.subject] = acc[record.subject] || []).push({
+            scope: record.scope,
+            lockedUntil: record.lockedUntil,
+            lockCount: record.lockCount
+        });
+        return acc;
+    }, {});
+};
+
+// Remove every account lockout for an email or phone number (all scopes)
+export const clearAccountLockouts = async (email) => {
+    // Phone-only accounts have no email (and email-only accounts no phone number)
+    if (!email) return;
+    const subject = email.toLowerCase();
+    for (const [key, record] of memoryStore) {
+        if (record.subjectType === "account" && record.subject === subject) {
+            memoryStore.delete(key);
+        }
+    }
+    try {
+        await RateLimit.destroy({ where: { subjectType: "account", subject } });
+    } catch (error) {
+        fallBackToMemory(error);
+    }
+};
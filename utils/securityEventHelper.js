@@ -0,0 +1,67 @@
+import SecurityEvent from "../models/SecurityEvent.model.js";
+import { getDeviceInfo } from "./deviceHelper.js";
+
+export const SECURITY_EVENT_TYPES = {
+    LOGIN: "login", // metadata.method: email_otp, totp, magic_link, phone_otp, google, oidc
+    LOGIN_FAILED: "login.failed",
+    OTP_FAILED: "otp.failed",
+    LOGOUT: "logout",
+    LOGOUT_ALL: "logout.all",
+    DEVICE_REMOVED: "device.removed",
+    PASSWORD_RESET_REQUESTED: "password.reset_requested",
+    PASSWORD_CHANGED: "password.changed",
+    EMAIL_VERIFIED: "email.verified",
+    GOOGLE_LINKED: "google.linked",
+    GOOGLE_UNLINKED: "google.unlinked",
+    OIDC_LINKED: "oidc.linked", // metadata.provider
+    OIDC_UNLINKED: "oidc.unlinked",
+    TWO_FACTOR_ENABLED: "two_factor.enabled",
+    TWO_FACTOR_DISABLED: "two_factor.disabled",
+    RECOVERY_CODES_REGENERATED: "two_factor.recovery_codes_regenerated",
+    ACCOUNT_DELETION_REQUESTED: "account.deletion_requested",
+    ACCOUNT_DELETION_CANCELLED: "account.deletion_cancelled",
+    ACCOUNT_UPGRADED: "account.upgraded",
+    ROLE_CHANGED: "role.changed",
+    ACCOUNT_BLOCKED: "account.blocked",
+    ACCOUNT_UNBLOCKED: "account.unblocked",
+    TWO_FACTOR_REQUIREMENT_CHANGED: "two_factor.requirement_changed",
+    IMPERSONATION_STARTED: "impersonation.started",
+};
+
+/**
+ * Append an event to the security log. Never throws: a logging failure must not
+ * break the login or admin action that triggered it.
+ * `options`: `{ userId, actorId, outcome, metadata, deviceId }`.
+ */
+export const recordSecurityEvent = async (req, type, options = {}) => {
+    try {
+        const deviceInfo = getDeviceInfo(req);
+
+        return await SecurityEvent.create({
+            userId: options.userId || null,
+            actorId: options.actorId || null,
+            type,
+            outcome: options.outcome || "success",
+            ipAddress: deviceInfo.ipAddress,
+            userAgent: deviceInfo.userAgent,
+            deviceId: options.deviceId || req.deviceId || deviceInfo.deviceId,
+            metadata: options.metadata || {}
+        });
+    } catch (error) {
+        console.error(`Failed to record security event ${type}:`, error.message);
+        return null;
+    }
+};
+
+// What an account holder sees about their own events; staff identities stay private
+export const serializeSecurityEvent = (event) => ({
+    id: event.id,
+    type: event.type,
+    outcome: event.outcome,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    deviceId: event.deviceId,
+    metadata: event.metadata || {},
+    byStaff: !!event.actorId && event.actorId !== event.userId,
+    createdAt: event.createdAt
+});
@@ -0,0 +1,82 @@
+import fs from "fs/promises";
+import path from "path";
+import axios from "axios";
+
+// ====== PROVIDERS ======
+// A provider is `{ send: async ({ to, message }) => ({ messageId }) }`, selected with SMS_PROVIDER.
+// `console` and `file` are for local development; they never reach a phone.
+
+const consoleProvider = {
+    send: async ({ to, message }) => {
+        console.log(`📱 SMS to ${to}: ${message}`);
+        return { messageId: `console-${Date.now()}` };
+    }
+};
+
+// Appends one JSON line per message, so tests and developers can read the codes back
+const fileProvider = {
+    send: async ({ to, message }) => {
+        const outbox = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), "tmp", "sms-outbox.log");
+        const messageId = `file-${Date.now()}`;
+
+        await fs.mkdir(path.dirname(outbox), { recursive: true });
+        await fs.appendFile(outbox, JSON.stringify({ messageId, to, message, sentAt: new Date() }) + "\n");
+        return { messageId };
+    }
+};
+
+// TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER
+const twilioProvider = {
+    send: async ({ to, message }) => {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const { data } = await axios.post(
+            `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+            new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: message }).toString(),
+            {
+                auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                timeout: 10000
+            }
+        );
+        return { messageId: data.sid };
+    }
+};
+
+const providers = new Map([
+    ["console", consoleProvider],
+    ["file", fileProvider],
+    ["twilio", twilioProvider]
+]);
+
+// Plug in another gateway (e.g. a local aggregator) without touching the callers
+export const registerSmsProvider = (name, provider) => {
+    if (typeof provider?.send !== "function") {
+        throw new Error(`SMS provider "${name}" must implement send({ to, message })`);
+    }
+    providers.set(name, provider);
+};
+
+const getSmsProvider = () => {
+    const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === "production" ? null : "console");
+    if (!name) throw new Error("SMS_PROVIDER is not configured");
+
+    const provider = providers.get(name);
+    if (!provider) throw new Error(`Unknown SMS provider "${name}"`);
+    return provider;
+};
+
+// ====== MESSAGES ======
+
+export const sendSMS = async (to, message) => {
+    try {
+        const { messageId } = await getSmsProvider().send({ to, message });
+        return { success: true, message: "SMS sent successfully", messageId };
+    } catch (error) {
+        console.error("Error sending SMS:", error.response?.data || error.message);
+        return { success: false, message: "Failed to send SMS", error: error.message };
+    }
+};
+
+export const sendOTPSms = async (phoneNumber, otp) => {
+    return sendSMS(phoneNumber, `Your Cine-Verse verification code is ${otp}. It expires in 10 minutes. Never share this code.`);
+};
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import SocialLoginCode from "../models/SocialLoginCode.model.js";
+
+// Long enough for the web app to load and post it back, short enough to be useless in a log
+const SOCIAL_LOGIN_CODE_EXPIRY_SECONDS = 60;
+const SOCIAL_LOGIN_CODE_BYTES = 32;
+
+const hashSocialLoginCode = (code) => {
+    return crypto.createHash("sha256").update(code).digest("hex");
+};
+
+const invalidCode = () => ({
+    success: false,
+    message: "Your Google sign-in is no longer valid. Sign in again.",
+    code: "SOCIAL_LOGIN_CODE_INVALID"
+});
+
+/**
+ * Issue the code the Google callback redirects to the web app with. Tokens are
+ * only handed out when the app exchanges it, so they never sit in a URL.
+ */
+export const createSocialLoginCode = async (user) => {
+    // Only the latest code is valid
+    await SocialLoginCode.destroy({ where: { userId: user.id } });
+
+    const code = crypto.randomBytes(SOCIAL_LOGIN_CODE_BYTES).toString("hex");
+
+    await SocialLoginCode.create({
+        userId: user.id,
+        codeHash: hashSocialLoginCode(code),
+        expiresAt: new Date(Date.now() + SOCIAL_LOGIN_CODE_EXPIRY_SECONDS * 1000)
+    });
+
+    return { code, expiresIn: SOCIAL_LOGIN_CODE_EXPIRY_SECONDS };
+};
+
+// Spend a code so it cannot be replayed. Returns `{ success, userId }`.
+export const consumeSocialLoginCode = async (code) => {
+    if (!code) return invalidCode();
+
+    try {
+        const record = await SocialLoginCode.findOne({
+            where: { codeHash: hashSocialLoginCode(String(code)) }
+        });
+
+        if (!record) return invalidCode();
+
+        // Conditional update guards against two requests racing on the same code
+        const [updated] = await SocialLoginCode.update(
+            { isUsed: true, usedAt: new Date() },
+            { where: { id: record.id, isUsed: false, expiresAt: { [Op.gt]: new Date() } } }
+        );
+
+        if (updated === 0) return invalidCode();
+
+        return { success: true, userId: record.userId };
+    } catch (error) {
+        console.error("Error consuming social login code:", error);
+        return {
+            success: false,
+            message: "Failed to verify Google sign-in",
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,60 @@
+import { getDeviceInfo } from "./deviceHelper.js";
+import { issueAuthTokens } from "./tokenHelper.js";
+import { createLoginChallenge } from "./loginChallengeHelper.js";
+import { isStaffRole } from "../config/permissions.js";
+
+/**
+ * Whether a provider's verified email may be attached to this existing account
+ * without its owner signing in. Staff and accounts protected by an authenticator
+ * app must link the provider from their settings instead.
+ */
+export const canLinkByEmail = (user) => {
+    return !isStaffRole(user.role) && !user.totpEnabled && !user.totpRequired;
+};
+
+/**
+ * A provider only stands in for the password. When the account has an
+ * authenticator app, return the login challenge to finish at POST /api/auth/verify-otp
+ * instead of signing in; returns null when no second factor is needed.
+ */
+export const requireSocialSecondFactor = async (user) => {
+    if (!user.totpEnabled) return null;
+
+    const challenge = await createLoginChallenge(user);
+    return {
+        message: "Enter the code from your authenticator app to login.",
+        email: user.email,
+        method: "totp",
+        loginChallenge: challenge.token,
+        expiresIn: challenge.expiresIn
+    };
+};
+
+/**
+ * Sign a user in on the requesting device after an external provider
+ * (Google, an OIDC issuer) vouched for them: record the device and issue tokens.
+ */
+export const completeSocialLogin = async (req, user) => {
+    const deviceInfo = getDeviceInfo(req);
+    const deviceId = deviceInfo.deviceId;
+    user.activeDevices = user.activeDevices || [];
+    const deviceIndex = user.activeDevices.findIndex(d => d.deviceId === deviceId);
+
+    // Update or add device
+    if (deviceIndex !== -1) {
+        user.activeDevices[deviceIndex].loginAt = new Date();
+        user.activeDevices[deviceIndex].lastActive = new Date();
+    } else {
+        user.activeDevices.push({
+            ...deviceInfo,
+            loginAt: new Date()
+        });
+    }
+    // Mark the JSON field as changed for Sequelize
+    user.changed('activeDevices', true);
+    await user.save();
+
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, deviceInfo);
+
+    return { token, refreshToken, expiresIn, deviceId };
+};
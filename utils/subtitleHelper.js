@@ -0,0 +1,139 @@
+/**
+ * Subtitle parsing, validation and SRT → WebVTT conversion.
+ * Every track is stored as WebVTT, the format browsers play natively.
+ */
+
+import SubtitleTrack from "../models/SubtitleTrack.model.js";
+import { getBunnyCDNUrl } from "./backblazeB2.js";
+
+const MAX_CUES = 20000;
+
+// 00:01:02,345 (SRT) or 00:01:02.345 / 01:02.345 (WebVTT)
+const TIMESTAMP = /^(?:(\d{1,3}):)?([0-5]\d):([0-5]\d)[,.](\d{3})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)(.*)$/;
+
+const parseTimestamp = (value) => {
+    const match = TIMESTAMP.exec(value);
+    if (!match) return null;
+    const [, hours = "0", minutes, seconds, millis] = match;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+};
+
+const formatTimestamp = (ms) => {
+    const pad = (value, size = 2) => String(value).padStart(size, "0");
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+};
+
+// UTF-8 when valid, otherwise Windows-1252 (common for French SRT files)
+const decodeSubtitleBuffer = (buffer) => {
+    let text;
+    try {
+        text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch (error) {
+        text = new TextDecoder("windows-1252").decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+};
+
+const invalid = (message) => ({ success: false, message, code: "SUBTITLE_INVALID" });
+
+/**
+ * Parse an uploaded .srt or .vtt file into cues and return it as WebVTT.
+ * Returns `{ success, vtt, cueCount, duration }` or `{ success: false, message, code }`.
+ */
+export const convertToWebVTT = (buffer, originalName = "") => {
+    if (!buffer || buffer.length === 0) return invalid("Subtitle file is empty");
+
+    const text = decodeSubtitleBuffer(buffer);
+    const isVtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text);
+    const extension = originalName.toLowerCase().slice(originalName.lastIndexOf("."));
+
+    if (extension === ".vtt" && !isVtt) {
+        return invalid("WebVTT files must start with a WEBVTT header");
+    }
+
+    // Drop the WebVTT header block; NOTE, STYLE and REGION blocks are not cues
+    const blocks = text.split(/\n{2,}/).map((block) => block.trim()).filter(Boolean);
+    if (isVtt) blocks.shift();
+
+    const cues = [];
+    for (const block of blocks) {
+        if (isVtt && /^(NOTE|STYLE|REGION)(\s|$)/.test(block)) continue;
+
+        const lines = block.split("\n");
+        const timingIndex = lines.findIndex((line) => line.includes("-->"));
+        if (timingIndex === -1 || timingIndex > 1) {
+            return invalid(`Cue ${cues.length + 1} has no timing line`);
+        }
+
+        const timing = TIMING_LINE.exec(lines[timingIndex].trim());
+        const start = timing && parseTimestamp(timing[1]);
+        const end = timing && parseTimestamp(timing[2]);
+        if (!timing || start === null || end === null) {
+            return invalid(`Cue ${cues.length + 1} has an invalid timestamp: "${lines[timingIndex].trim()}"`);
+        }
+        if (end <= start) {
+            return invalid(`Cue ${cues.length + 1} ends before it starts`);
+        }
+
+        const payload = lines.slice(timingIndex + 1).join("\n").trim();
+        if (!payload) continue;
+
+        cues.push({
+            start,
+            end,
+            // Cue settings (position, align) only exist in WebVTT
+            settings: isVtt ? timing[3].trim() : "",
+            // SRT font tags have no WebVTT equivalent
+            text: isVtt ? payload : payload.replace(/<\/?font[^>]*>/gi, "").replace(/\{\\[^}]*\}/g, ""),
+        });
+
+        if (cues.length > MAX_CUES) return invalid(`Subtitle files may have at most ${MAX_CUES} cues`);
+    }
+
+    if (cues.length === 0) return invalid("Subtitle file has no cues");
+
+    cues.sort((a, b) => a.start - b.start);
+
+    const vtt = ["WEBVTT", ""];
+    cues.forEach((cue, index) => {
+        vtt.push(String(index + 1));
+        vtt.push(`${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}`);
+        vtt.push(cue.text, "");
+    });
+
+    return {
+        success: true,
+        vtt: vtt.join("\n"),
+        cueCount: cues.length,
+        duration: Math.max(...cues.map((cue) => cue.end)) / 1000,
+    };
+};
+
+// ====== TRACKS ======
+
+// Shape players expect for <track> elements
+export const serializeSubtitleTrack = (track) => ({
+    id: track.id,
+    language: track.language,
+    label: track.label,
+    kind: track.kind,
+    isDefault: track.isDefault,
+    isForced: track.isForced,
+    url: getBunnyCDNUrl(track.fileUrl),
+    format: "vtt",
+    cueCount: track.cueCount,
+});
+
+// Default track first, then by language and label
+export const getSubtitleTracks = async (movieId) => {
+    const tracks = await SubtitleTrack.findAll({
+        where: { movieId },
+        order: [["isDefault", "DESC"], ["language", "ASC"], ["isForced", "ASC"], ["label", "ASC"]],
+    });
+
+    return tracks.map(serializeSubtitleTrack);
+};
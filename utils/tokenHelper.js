@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.model.js";
+
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRY_TIME =
+    (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_BYTES = 48;
+
+const hashRefreshToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Short-lived JWT sent as the Bearer token on every request
+export const signAccessToken = (user, deviceId, extraClaims = {}) => {
+    return jwt.sign(
+        {
+            userId: user.id,
+            role: user.role,
+            deviceId,
+            ...extraClaims
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+const createRefreshToken = async (userId, deviceInfo, familyId) => {
+    const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("hex");
+
+    const record = await RefreshToken.create({
+        userId,
+        deviceId: deviceInfo.deviceId,
+        familyId: familyId || crypto.randomUUID(),
+        tokenHash: hashRefreshToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_TIME),
+        userAgent: deviceInfo.userAgent,
+        ipAddress: deviceInfo.ipAddress
+    });
+
+    return { token, record };
+};
+
+/**
+ * Issue an access token and a new refresh token family for a fresh login.
+ * Any refresh tokens still live for the same device are revoked first.
+ */
+export const issueAuthTokens = async (user, deviceInfo) => {
+    await revokeRefreshTokens({ userId: user.id, deviceId: deviceInfo.deviceId }, "relogin");
+
+    const { token: refreshToken, record } = await createRefreshToken(user.id, deviceInfo);
+
+    return {
+        token: signAccessToken(user, deviceInfo.deviceId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        refreshTokenExpiresAt: record.expiresAt
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting a token that was already rotated means it leaked, so the whole family is revoked.
+ */
+export const rotateRefreshToken = async (refreshToken, deviceInfo) => {
+    const record = await RefreshToken.findOne({
+        where: { tokenHash: hashRefreshToken(refreshToken) }
+    });
+
+    if (!record) {
+        return {
+            success: false,
+            message: "Invalid refresh token",
+            code: "REFRESH_TOKEN_INVALID"
+        };
+    }
+
+    if (record.revokedAt) {
+        if (record.revokedReason === "rotated") {
+            await revokeRefreshTokens({ familyId: record.familyId }, "reuse_detected");
+            return {
+                success: false,
+                message: "Refresh token reuse detected. Please login again.",
+                code: "REFRESH_TOKEN_REUSED",
+                userId: record.userId,
+                deviceId: record.deviceId
+            };
+        }
+
+        return {
+            success: false,
+            message: "Refresh token has been revoked. Please login again.",
+            code: "REFRESH_TOKEN_REVOKED"
+        };
+    }
+
+    if (new Date() > record.expiresAt) {
+        return {
+            success: false,
+            message: "Refresh token expired. Please login again.",
+            code: "REFRESH_TOKEN_EXPIRED"
+        };
+    }
+
+    if (deviceInfo.deviceFingerprint && deviceInfo.deviceId !== record.deviceId) {
+        return {
+            success: false,
+            message: "Refresh token does not belong to this device",
+            code: "REFRESH_TOKEN_DEVICE_MISMATCH"
+        };
+    }
+
+    const { token: nextToken, record: nextRecord } = await createRefreshToken(
+        record.userId,
+        { ...deviceInfo, deviceId: record.deviceId },
+        record.familyId
+    );
+
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const [updated] = await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: "rotated", replacedById: nextRecord.id },
+        { where: { id: record.id, revokedAt: null } }
+    );
+
+    if (updated === 0) {
+        await revokeRefreshTokens({ familyId: record.familyId }, "reuse_detected");
+        return {
+            success: false,
+            message: "Refresh token reuse detected. Please login again.",
+            code: "REFRESH_TOKEN_REUSED",
+            userId: record.userId,
+            deviceId: record.deviceId
+        };
+    }
+
+    return {
+        success: true,
+        userId: record.userId,
+        deviceId: record.deviceId,
+        refreshToken: nextToken,
+        refreshTokenExpiresAt: nextRecord.expiresAt
+    };
+};
+
+/**
+ * Revoke every live refresh token matching `where` (userId, deviceId and/or familyId)
+ */
+export const revokeRefreshTokens = async (where, reason = "logout") => {
+    const [count] = await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { ...where, revokedAt: null } }
+    );
+    return count;
+};
@@ -0,0 +1,278 @@
+// utils/totpHelper.js - RFC 6238 time-based one-time passwords for authenticator apps
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import User from "../models/User.modal.js";
+
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || "Cine-Verse";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character in TOTP secret");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// Secrets are encrypted at rest so a database dump alone cannot mint codes. The key
+// is its own secret: falling back to another one would tie enrolled apps to it
+const getEncryptionKey = () => {
+    if (!process.env.TOTP_ENCRYPTION_KEY) {
+        throw new Error("TOTP_ENCRYPTION_KEY is not set");
+    }
+    return crypto.createHash("sha256").update(process.env.TOTP_ENCRYPTION_KEY).digest();
+};
+
+export const encryptTotpSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${iv.toString("hex")}:${tag.toString("hex")}:${encrypted.toString("hex")}`;
+};
+
+export const decryptTotpSecret = (payload) => {
+    const [ivHex, tagHex, dataHex] = payload.split(":");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), Buffer.from(ivHex, "hex"));
+    decipher.setAuthTag(Buffer.from(tagHex, "hex"));
+    return Buffer.concat([decipher.update(Buffer.from(dataHex, "hex")), decipher.final()]).toString("utf8");
+};
+
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+};
+
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+// HOTP (RFC 4226) with HMAC-SHA1 and dynamic truncation
+const generateCodeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        ((hmac[offset + 1] & 0xff) << 16) |
+        ((hmac[offset + 2] & 0xff) << 8) |
+        (hmac[offset + 3] & 0xff);
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+export const generateTotpCode = (secret, timestamp = Date.now()) => {
+    return generateCodeForStep(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code within the allowed drift window.
+ * Returns the matched time step so callers can reject replays of the same code.
+ */
+export const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return { success: false, code: "INVALID_TOTP" };
+    }
+
+    const currentStep = getTimeStep();
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const step = currentStep + drift;
+        const expected = generateCodeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            if (lastUsedStep !== null && step <= lastUsedStep) {
+                return { success: false, code: "TOTP_ALREADY_USED" };
+            }
+            return { success: true, step };
+        }
+    }
+
+    return { success: false, code: "INVALID_TOTP" };
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+export const buildOtpAuthUrl = (accountName, secret) => {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const hashRecoveryCode = (code) => {
+    return crypto
+        .createHash("sha256")
+        .update(code.replace(/[\s-]/g, "").toLowerCase())
+        .digest("hex");
+};
+
+// Returns plain codes (shown once) and their hashes (stored)
+export const generateRecoveryCodes = () => {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString("hex");
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Match a recovery code against the stored hashes.
+ * Returns the remaining hashes without the used one, or null when there is no match.
+ */
+export const consumeRecoveryCode = (storedHashes, code) => {
+    if (!code || !Array.isArray(storedHashes)) return null;
+
+    const hashed = hashRecoveryCode(String(code));
+    const index = storedHashes.indexOf(hashed);
+    if (index === -1) return null;
+
+    return storedHashes.filter((_, i) => i !== index);
+};
+
+/**
+ * Check a second factor for a user with TOTP enabled: either a current
+ * authenticator code or one of their unused recovery codes.
+ * Spends the time step / recovery code with a conditional update on success,
+ * so a code accepted once is refused to any concurrent or later request.
+ */
+export const verifyUserTotp = async (user, { code, recoveryCode }) => {
+    try {
+        if (!user.totpEnabled || !user.totpSecret) {
+            return {
+                success: false,
+                message: "Authenticator app is not enabled for this account",
+                code: "TOTP_NOT_ENABLED"
+            };
+        }
+
+        if (recoveryCode) {
+            const remaining = consumeRecoveryCode(user.totpRecoveryCodes, recoveryCode);
+            if (!remaining) {
+                return {
+                    success: false,
+                    message: "Invalid recovery code",
+                    code: "INVALID_RECOVERY_CODE"
+                };
+            }
+
+            // Conditional update against the codes we checked, so two requests racing
+            // on the same recovery code can't both use it
+            const [updated] = await User.update(
+                { totpRecoveryCodes: remaining },
+                {
+                    where: {
+                        id: user.id,
+                        [Op.and]: sequelize.where(
+                            sequelize.cast(sequelize.col("totpRecoveryCodes"), "jsonb"),
+                            sequelize.cast(JSON.stringify(user.totpRecoveryCodes), "jsonb")
+                        )
+                    }
+                }
+            );
+            if (updated === 0) {
+                return {
+                    success: false,
+                    message: "This recovery code has already been used",
+                    code: "RECOVERY_CODE_ALREADY_USED"
+                };
+            }
+            user.totpRecoveryCodes = remaining;
+
+            return {
+                success: true,
+                method: "recovery_code",
+                remainingRecoveryCodes: remaining.length
+            };
+        }
+
+        const result = verifyTotpCode(decryptTotpSecret(user.totpSecret), code, user.totpLastUsedStep);
+        if (!result.success) {
+            return {
+                success: false,
+                message: result.code === "TOTP_ALREADY_USED"
+                    ? "This code has already been used. Wait for the next one."
+                    : "Invalid authenticator code",
+                code: result.code
+            };
+        }
+
+        // Claim the time step only if no other request has claimed it (or a later one) first
+        const [updated] = await User.update(
+            { totpLastUsedStep: result.step },
+            {
+                where: {
+                    id: user.id,
+                    [Op.or]: [
+                        { totpLastUsedStep: null },
+                        { totpLastUsedStep: { [Op.lt]: result.step } }
+                    ]
+                }
+            }
+        );
+        if (updated === 0) {
+            return {
+                success: false,
+                message: "This code has already been used. Wait for the next one.",
+                code: "TOTP_ALREADY_USED"
+            };
+        }
+        user.totpLastUsedStep = result.step;
+
+        return { success: true, method: "totp" };
+    } catch (error) {
+        console.error("Error verifying TOTP:", error);
+        return {
+            success: false,
+            message: "Failed to verify authenticator code",
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,114 @@
+// utils/translationHelper.js - Request locale detection and per-locale movie metadata
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import MovieTranslation, { SUPPORTED_LOCALES } from "../models/MovieTranslation.model.js";
+
+// Three-letter codes some clients send instead of the two-letter ones
+const LOCALE_ALIASES = { kin: "rw", fra: "fr", fre: "fr", eng: "en" };
+
+const toSupportedLocale = (tag) => {
+    const primary = String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+    const locale = LOCALE_ALIASES[primary] || primary;
+    return SUPPORTED_LOCALES.includes(locale) ? locale : null;
+};
+
+// "fr-CA,fr;q=0.9,en;q=0.8" → ["fr-CA", "fr", "en"], best first; q=0 means "not this one"
+const parseAcceptLanguage = (header) => {
+    return String(header || "")
+        .split(",")
+        .map((entry, index) => {
+            const [tag, ...params] = entry.trim().split(";");
+            const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+            return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+        })
+        .filter((entry) => entry.tag && entry.tag !== "*" && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map((entry) => entry.tag);
+};
+
+/**
+ * The locale to show metadata in: `?lang=` wins, then the best supported
+ * Accept-Language entry. Null when neither names a supported locale, meaning
+ * the original-language metadata.
+ */
+export const getRequestLocale = (req) => {
+    const fromQuery = toSupportedLocale(req.query?.lang);
+    if (fromQuery) return fromQuery;
+
+    for (const tag of parseAcceptLanguage(req.headers?.["accept-language"])) {
+        const locale = toSupportedLocale(tag);
+        if (locale) return locale;
+    }
+    return null;
+};
+
+/**
+ * Movies (instances or plain objects) as plain objects with title, description and
+ * tags in `locale`. Missing translations, or missing fields of one, fall back to the
+ * original. Adds `locale` (what was served) and `originalTitle`.
+ */
+export const localizeMovies = async (movies, locale) => {
+    const plain = movies.map((movie) => (typeof movie?.toJSON === "function" ? movie.toJSON() : { ...movie }));
+
+    const ids = plain.filter((movie) => movie.id && movie.original_language !== locale).map((movie) => movie.id);
+    const translations = locale && ids.length
+        ? await MovieTranslation.findAll({
+            where: { movieId: { [Op.in]: ids }, locale },
+            attributes: ["movieId", "title", "description", "tags"],
+        })
+        : [];
+    const byMovie = new Map(translations.map((translation) => [translation.movieId, translation]));
+
+    return plain.map((movie) => {
+        const translation = byMovie.get(movie.id);
+        if (!translation) {
+            return { ...movie, locale: movie.original_language || null, originalTitle: movie.title };
+        }
+
+        return {
+            ...movie,
+            title: translation.title || movie.title,
+            description: translation.description || movie.description,
+            tags: translation.tags?.length ? translation.tags : movie.tags,
+            locale,
+            originalTitle: movie.title,
+        };
+    });
+};
+
+export const localizeMovie = async (movie, locale) => {
+    if (!movie) return movie;
+    const [localized] = await localizeMovies([movie], locale);
+    return localized;
+};
+
+// The original language first, then every translated locale
+export const getAvailableLocales = async (movie) => {
+    const translations = await MovieTranslation.findAll({
+        where: { movieId: movie.id },
+        attributes: ["locale"],
+        order: [["locale", "ASC"]],
+    });
+    const locales = translations.map((translation) => translation.locale);
+    return [...new Set([movie.original_language, ...locales].filter(Boolean))];
+};
+
+// Matches titles whose translated title or description contains `text` (for ILIKE listing filters)
+export const translatedTextMatch = (text) => {
+    const pattern = sequelize.escape(`%${text}%`);
+    return sequelize.literal(
+        `EXISTS (SELECT 1 FROM "MovieTranslations" t WHERE t."movieId" = "Movie"."id" ` +
+        `AND (t."title" ILIKE ${pattern} OR t."description" ILIKE ${pattern}))`
+    );
+};
+
+export const serializeTranslation = (translation) => ({
+    id: translation.id,
+    locale: translation.locale,
+    title: translation.title,
+    description: translation.description,
+    tags: translation.tags || [],
+    updatedAt: translation.updatedAt,
+});
+
+export { SUPPORTED_LOCALES };
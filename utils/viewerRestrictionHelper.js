@@ -0,0 +1,60 @@
+import Joi from "joi";
+import Movie from "../models/Movie.model.js";
+import {
+  getAllowedAge,
+  applyAgeRestriction,
+  isAllowedForAge,
+  ageRestrictedResponse,
+} from "./parentalControlHelper.js";
+import {
+  getRequestCountry,
+  applyGeoRestriction,
+  isAvailableInRegion,
+  regionRestrictedResponse,
+} from "./geoRestrictionHelper.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+// What the checks in findViewableMovie read
+const VIEWABLE_ATTRIBUTES = ["id", "status", "filmmakerId", "ageRestriction", "contentType", "seriesId", "geoRestrictions"];
+
+// Hide titles the viewer may not see: above their allowed age or not licensed in their country.
+// Admins and moderators see the whole catalog.
+export const applyViewerRestrictions = (where, req) => {
+  applyAgeRestriction(where, getAllowedAge(req.user, req.profile));
+  if (!hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE)) {
+    applyGeoRestriction(where, getRequestCountry(req));
+  }
+  return where;
+};
+
+/**
+ * One title by id or slug, for endpoints that show parts of it (credits, subtitles...).
+ * Checked like the movie detail endpoint: unpublished titles only for their filmmaker
+ * and moderators, then the viewer's age and region.
+ * Returns `{ success, movie }`, or `{ success: false, status, body }` to respond with.
+ */
+export const findViewableMovie = async (req, idOrSlug, attributes = []) => {
+  const { error } = Joi.string().uuid().validate(idOrSlug);
+  const movie = await Movie.findOne({
+    where: error ? { slug: idOrSlug } : { id: idOrSlug },
+    attributes: [...new Set([...VIEWABLE_ATTRIBUTES, ...attributes])],
+  });
+
+  const isOwnerOrModerator =
+    hasPermission(req.userRole, PERMISSIONS.MOVIES_MODERATE) || Boolean(req.userId && movie?.filmmakerId === req.userId);
+  if (!movie || (movie.status !== "approved" && !isOwnerOrModerator)) {
+    return { success: false, status: 404, body: { success: false, message: "Content not found" } };
+  }
+
+  const allowedAge = getAllowedAge(req.user, req.profile);
+  if (!(await isAllowedForAge(movie, allowedAge))) {
+    return { success: false, status: 403, body: ageRestrictedResponse(allowedAge) };
+  }
+
+  const country = getRequestCountry(req);
+  if (!isOwnerOrModerator && !(await isAvailableInRegion(movie, country))) {
+    return { success: false, status: 403, body: regionRestrictedResponse(country) };
+  }
+
+  return { success: true, movie };
+};
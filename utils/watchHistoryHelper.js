@@ -0,0 +1,22 @@
+import WatchHistory from "../models/WatchHistory.model.js";
+
+// Record that the account (or one of its profiles) started watching a title
+export const recordWatch = async (userId, profileId, movieId) => {
+    try {
+        const where = { userId, profileId: profileId || null, movieId };
+        const existing = await WatchHistory.findOne({ where });
+
+        if (existing) {
+            existing.watchCount += 1;
+            existing.lastWatchedAt = new Date();
+            await existing.save();
+            return existing;
+        }
+
+        return await WatchHistory.create({ ...where, lastWatchedAt: new Date() });
+    } catch (error) {
+        // History is best-effort; it must never block playback
+        console.error("Error recording watch history:", error);
+        return null;
+    }
+};
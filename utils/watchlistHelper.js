@@ -0,0 +1,74 @@
+import { Op } from "sequelize";
+import sequelize from "../config/database.js";
+import Movie from "../models/Movie.model.js";
+import WatchlistItem from "../models/WatchlistItem.model.js";
+
+// Series whose seriesId has at least one approved episode
+const seriesWithEpisodes = async (seriesIds) => {
+    if (seriesIds.length === 0) return new Set();
+
+    const rows = await Movie.findAll({
+        where: { seriesId: { [Op.in]: seriesIds }, contentType: "episode", status: "approved" },
+        attributes: [[sequelize.fn("DISTINCT", sequelize.col("seriesId")), "seriesId"]],
+        raw: true,
+    });
+    return new Set(rows.map((row) => row.seriesId));
+};
+
+/**
+ * Whether each title can be watched today: approved, released, and for a series,
+ * with at least one approved episode. Returns a Map of movie id → boolean.
+ */
+export const getAvailability = async (movies) => {
+    const now = new Date();
+    const withEpisodes = await seriesWithEpisodes(
+        movies.filter((movie) => movie.contentType === "series").map((movie) => movie.id)
+    );
+
+    return new Map(movies.map((movie) => [
+        movie.id,
+        movie.status === "approved" &&
+            (!movie.release_date || new Date(movie.release_date) <= now) &&
+            (movie.contentType !== "series" || withEpisodes.has(movie.id)),
+    ]));
+};
+
+// The list belongs to the profile the token is scoped to, or to the account holder
+export const watchlistOwner = (req) => ({ userId: req.userId, profileId: req.profileId || null });
+
+/**
+ * Whether the title is on the current viewer's list. Episodes count as listed
+ * when their series is.
+ */
+export const isOnWatchlist = async (req, movie) => {
+    if (!req.userId) return false;
+
+    const movieId = movie.contentType === "episode" && movie.seriesId ? movie.seriesId : movie.id;
+    const item = await WatchlistItem.findOne({
+        where: { ...watchlistOwner(req), movieId },
+        attributes: ["id"],
+    });
+    return Boolean(item);
+};
+
+/**
+ * List entry with its flags: `priceDropped` when the title is cheaper than when it
+ * was added, `nowAvailable` when it was upcoming then and can be watched now.
+ */
+export const serializeWatchlistItem = (item, movie, available) => {
+    const currentPrice = movie.viewPrice ?? null;
+    const priceDropped = item.priceAtAdd !== null && currentPrice !== null && currentPrice < item.priceAtAdd;
+
+    return {
+        id: item.id,
+        position: item.position,
+        addedAt: item.createdAt,
+        priceAtAdd: item.priceAtAdd,
+        currentPrice,
+        priceDropped,
+        priceDrop: priceDropped ? item.priceAtAdd - currentPrice : 0,
+        available,
+        nowAvailable: !item.availableAtAdd && available,
+        movie,
+    };
+};